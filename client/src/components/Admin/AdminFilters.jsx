@@ -0,0 +1,41 @@
+// client/src/components/Admin/AdminFilters.jsx
+import React, { useState } from "react";
+
+// Search box that only reloads the list on Enter or when it loses focus
+export const SearchFilter = ({ value, onChange, placeholder }) => {
+  const [draft, setDraft] = useState(value);
+
+  const commit = () => {
+    if (draft.trim() !== value) {
+      onChange(draft.trim());
+    }
+  };
+
+  return (
+    <input
+      type="search"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === "Enter" && commit()}
+      placeholder={placeholder}
+      className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:outline-none"
+    />
+  );
+};
+
+export const SelectFilter = ({ value, onChange, options }) => {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:ring-2 focus:ring-primary-500 focus:outline-none"
+    >
+      {options.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+  );
+};
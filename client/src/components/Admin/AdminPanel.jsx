@@ -0,0 +1,42 @@
+// client/src/components/Admin/AdminPanel.jsx
+import React from "react";
+import { RefreshCw } from "lucide-react";
+
+// Card shell shared by the admin sections: header, filter row and content
+const AdminPanel = ({
+  title,
+  description,
+  onRefresh,
+  isLoading,
+  filters,
+  children,
+}) => {
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+          <p className="text-sm text-gray-500">{description}</p>
+        </div>
+        <button
+          onClick={onRefresh}
+          disabled={isLoading}
+          className="p-2 text-gray-500 hover:text-gray-700 rounded-lg hover:bg-gray-50 transition-colors duration-200 disabled:opacity-50"
+          title="Refresh"
+        >
+          <RefreshCw className={`w-4 h-4 ${isLoading ? "animate-spin" : ""}`} />
+        </button>
+      </div>
+
+      {filters && (
+        <div className="px-6 py-3 border-b border-gray-200 bg-gray-50 flex flex-wrap gap-3">
+          {filters}
+        </div>
+      )}
+
+      {children}
+    </div>
+  );
+};
+
+export default AdminPanel;
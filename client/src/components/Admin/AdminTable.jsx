@@ -0,0 +1,102 @@
+// client/src/components/Admin/AdminTable.jsx
+import React from "react";
+import { ChevronLeft, ChevronRight, AlertTriangle } from "lucide-react";
+
+// Table with loading, error, empty and pagination states for admin panels
+const AdminTable = ({
+  columns,
+  rows,
+  isLoading,
+  error,
+  pagination,
+  onPageChange,
+  emptyMessage = "Nothing matches these filters.",
+}) => {
+  return (
+    <div>
+      {error && (
+        <div className="mx-6 mt-4 flex items-center space-x-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              {columns.map((column) => (
+                <th
+                  key={column.key}
+                  className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                >
+                  {column.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {isLoading && rows.length === 0 ? (
+              <tr>
+                <td
+                  colSpan={columns.length}
+                  className="px-4 py-8 text-center text-gray-500"
+                >
+                  Loading...
+                </td>
+              </tr>
+            ) : rows.length === 0 ? (
+              <tr>
+                <td
+                  colSpan={columns.length}
+                  className="px-4 py-8 text-center text-gray-500"
+                >
+                  {emptyMessage}
+                </td>
+              </tr>
+            ) : (
+              rows.map((row) => (
+                <tr
+                  key={row._id}
+                  className={isLoading ? "opacity-50" : "hover:bg-gray-50"}
+                >
+                  {columns.map((column) => (
+                    <td key={column.key} className="px-4 py-3 align-top">
+                      {column.render ? column.render(row) : row[column.key]}
+                    </td>
+                  ))}
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+          <span>
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => onPageChange(pagination.currentPage - 1)}
+              disabled={!pagination.hasPrev || isLoading}
+              className="p-1.5 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50"
+            >
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => onPageChange(pagination.currentPage + 1)}
+              disabled={!pagination.hasNext || isLoading}
+              className="p-1.5 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50"
+            >
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminTable;
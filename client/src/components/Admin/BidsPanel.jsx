@@ -0,0 +1,190 @@
+// client/src/components/Admin/BidsPanel.jsx
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { Trash2 } from "lucide-react";
+import adminService from "../../services/adminService";
+import { useAdminList } from "../../hooks/useAdminList";
+import {
+  BID_STATUS,
+  BID_STATUS_OPTIONS,
+  getBidStatusInfo,
+} from "../../constants/statusTypes";
+import {
+  formatCurrency,
+  getRelativeTime,
+  truncateText,
+} from "../../utils/helpers";
+import AdminPanel from "./AdminPanel";
+import AdminTable from "./AdminTable";
+import ConfirmActionModal from "./ConfirmActionModal";
+import { SearchFilter, SelectFilter } from "./AdminFilters";
+
+const fetchBids = (filters) => adminService.getBids(filters);
+
+const STATUS_FILTER_OPTIONS = [
+  { value: "", label: "Any status" },
+  ...BID_STATUS_OPTIONS.map((option) => ({
+    value: option.value,
+    label: option.label,
+  })),
+];
+
+// Accepted bids are part of an assignment; moderators close the task instead
+const REMOVABLE_STATUSES = [
+  BID_STATUS.PENDING,
+  BID_STATUS.REJECTED,
+  BID_STATUS.WITHDRAWN,
+];
+
+const BidsPanel = () => {
+  const {
+    filters,
+    items,
+    pagination,
+    isLoading,
+    error,
+    reload,
+    updateFilter,
+    setPage,
+    replaceItem,
+  } = useAdminList(fetchBids, { search: "", status: "" });
+  const [removingBid, setRemovingBid] = useState(null);
+
+  const handleConfirm = async (reason) => {
+    const result = await adminService.removeBid(removingBid._id, reason);
+
+    if (result.success) {
+      replaceItem({
+        _id: removingBid._id,
+        status: result.data.status,
+        moderation: result.data.moderation,
+      });
+      setRemovingBid(null);
+    }
+    return result;
+  };
+
+  const columns = [
+    {
+      key: "message",
+      label: "Bid",
+      render: (bid) => (
+        <div className="max-w-sm">
+          <p className="text-gray-900">{truncateText(bid.message, 120)}</p>
+          {bid.moderation?.reason && (
+            <p className="text-xs text-red-600 mt-1">
+              Removed by moderator: {bid.moderation.reason}
+            </p>
+          )}
+        </div>
+      ),
+    },
+    {
+      key: "task",
+      label: "Task",
+      render: (bid) =>
+        bid.task ? (
+          <Link
+            to={`/tasks/${bid.task._id}`}
+            className="text-gray-700 hover:text-primary-600"
+          >
+            {bid.task.title}
+          </Link>
+        ) : (
+          "—"
+        ),
+    },
+    {
+      key: "bidder",
+      label: "Bidder",
+      render: (bid) => (
+        <div>
+          <p className="text-gray-700">
+            {bid.bidder?.firstName} {bid.bidder?.lastName}
+          </p>
+          <p className="text-xs text-gray-500">{bid.bidder?.email}</p>
+        </div>
+      ),
+    },
+    {
+      key: "amount",
+      label: "Amount",
+      render: (bid) => formatCurrency(bid.amount),
+    },
+    {
+      key: "status",
+      label: "Status",
+      render: (bid) => (
+        <div>
+          <span
+            className={`px-2 py-0.5 text-xs font-medium rounded-full border ${getBidStatusInfo(bid.status).color}`}
+          >
+            {bid.status}
+          </span>
+          <p className="text-xs text-gray-400 mt-1">
+            {getRelativeTime(bid.createdAt)}
+          </p>
+        </div>
+      ),
+    },
+    {
+      key: "actions",
+      label: "",
+      render: (bid) =>
+        REMOVABLE_STATUSES.includes(bid.status) && (
+          <button
+            onClick={() => setRemovingBid(bid)}
+            className="inline-flex items-center space-x-1 px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors duration-200"
+          >
+            <Trash2 className="w-4 h-4" />
+            <span>Remove</span>
+          </button>
+        ),
+    },
+  ];
+
+  return (
+    <AdminPanel
+      title="Bids"
+      description="Remove spam or abusive bids. The bidder is told why."
+      onRefresh={reload}
+      isLoading={isLoading}
+      filters={
+        <>
+          <SearchFilter
+            value={filters.search}
+            onChange={(value) => updateFilter("search", value)}
+            placeholder="Search bid messages"
+          />
+          <SelectFilter
+            value={filters.status}
+            onChange={(value) => updateFilter("status", value)}
+            options={STATUS_FILTER_OPTIONS}
+          />
+        </>
+      }
+    >
+      <AdminTable
+        columns={columns}
+        rows={items}
+        isLoading={isLoading}
+        error={error}
+        pagination={pagination}
+        onPageChange={setPage}
+        emptyMessage="No bids match these filters."
+      />
+
+      {removingBid && (
+        <ConfirmActionModal
+          title="Remove bid"
+          description={`This bid by ${removingBid.bidder?.firstName || "the bidder"} will be hidden from the task and can't be restored.`}
+          confirmLabel="Remove bid"
+          onConfirm={handleConfirm}
+          onCancel={() => setRemovingBid(null)}
+        />
+      )}
+    </AdminPanel>
+  );
+};
+
+export default BidsPanel;
@@ -0,0 +1,114 @@
+// client/src/components/Admin/ConfirmActionModal.jsx
+import React, { useState } from "react";
+import { AlertTriangle, X } from "lucide-react";
+
+// Confirmation dialog for moderation actions; most actions need a reason
+const ConfirmActionModal = ({
+  title,
+  description,
+  confirmLabel = "Confirm",
+  requireReason = true,
+  optionalReason = false,
+  danger = true,
+  onConfirm,
+  onCancel,
+}) => {
+  const [reason, setReason] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const showReason = requireReason || optionalReason;
+  const reasonTooShort = requireReason && reason.trim().length < 5;
+
+  const handleConfirm = async () => {
+    if (reasonTooShort) {
+      setError("Please give a reason of at least 5 characters");
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError("");
+
+    const result = await onConfirm(reason.trim());
+
+    // The parent closes the modal on success
+    if (!result.success) {
+      setError(result.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 px-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-md">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <AlertTriangle
+              className={`w-5 h-5 ${danger ? "text-red-600" : "text-primary-600"}`}
+            />
+            <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+          </div>
+          <button
+            onClick={onCancel}
+            disabled={isSubmitting}
+            className="p-1 text-gray-400 hover:text-gray-600 rounded-lg"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="px-6 py-4 space-y-4">
+          <p className="text-sm text-gray-600">{description}</p>
+
+          {showReason && (
+            <div>
+              <label
+                htmlFor="moderation-reason"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                {requireReason
+                  ? "Reason (shared with the user)"
+                  : "Note (optional)"}
+              </label>
+              <textarea
+                id="moderation-reason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                rows={3}
+                maxLength={500}
+                disabled={isSubmitting}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:outline-none text-sm"
+                placeholder="e.g. Spam, harassment, prohibited content"
+              />
+            </div>
+          )}
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+
+        <div className="px-6 py-4 border-t border-gray-200 bg-gray-50 rounded-b-xl flex justify-end space-x-2">
+          <button
+            onClick={onCancel}
+            disabled={isSubmitting}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={isSubmitting || reasonTooShort}
+            className={`px-4 py-2 text-sm font-medium text-white rounded-lg disabled:opacity-50 ${
+              danger
+                ? "bg-red-600 hover:bg-red-700"
+                : "bg-primary-600 hover:bg-primary-700"
+            }`}
+          >
+            {isSubmitting ? "Working..." : confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmActionModal;
@@ -0,0 +1,197 @@
+// client/src/components/Admin/DisputesPanel.jsx
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { Scale, Paperclip } from "lucide-react";
+import adminService from "../../services/adminService";
+import { useAdminList } from "../../hooks/useAdminList";
+import {
+  DISPUTE_REASONS,
+  getDisputeReasonLabel,
+  getDisputeOutcomeLabel,
+} from "../../constants/disputeReasons";
+import {
+  formatCurrency,
+  getRelativeTime,
+  truncateText,
+} from "../../utils/helpers";
+import AdminPanel from "./AdminPanel";
+import AdminTable from "./AdminTable";
+import ResolveDisputeModal from "./ResolveDisputeModal";
+import { SelectFilter } from "./AdminFilters";
+
+const fetchDisputes = (filters) => adminService.getDisputes(filters);
+
+const STATUS_OPTIONS = [
+  { value: "open", label: "Open" },
+  { value: "resolved", label: "Resolved" },
+];
+
+const REASON_OPTIONS = [{ value: "", label: "Any reason" }, ...DISPUTE_REASONS];
+
+const ROLE_LABELS = {
+  poster: "Poster",
+  bidder: "Assignee",
+  moderator: "Moderator",
+};
+
+const DisputesPanel = () => {
+  const {
+    filters,
+    items,
+    pagination,
+    isLoading,
+    error,
+    reload,
+    updateFilter,
+    setPage,
+  } = useAdminList(fetchDisputes, { status: "open", reason: "" });
+  const [resolving, setResolving] = useState(null);
+
+  const handleConfirm = async (decision) => {
+    const result = await adminService.resolveDispute(
+      resolving._id,
+      decision
+    );
+
+    if (result.success) {
+      setResolving(null);
+      reload();
+    }
+    return result;
+  };
+
+  const columns = [
+    {
+      key: "task",
+      label: "Task",
+      render: (dispute) => (
+        <div className="max-w-xs">
+          {dispute.task ? (
+            <Link
+              to={`/tasks/${dispute.task._id}`}
+              className="text-gray-900 hover:text-primary-600"
+            >
+              {dispute.task.title}
+            </Link>
+          ) : (
+            <span className="text-gray-400">Deleted</span>
+          )}
+          <p className="text-xs text-gray-500 mt-1">
+            {dispute.openedBy?.firstName} {dispute.openedBy?.lastName} vs{" "}
+            {dispute.against?.firstName} {dispute.against?.lastName}
+          </p>
+          <p className="text-xs text-gray-400">
+            Opened {getRelativeTime(dispute.createdAt)}
+          </p>
+        </div>
+      ),
+    },
+    {
+      key: "reason",
+      label: "Reason",
+      render: (dispute) => (
+        <span className="font-medium text-gray-700">
+          {getDisputeReasonLabel(dispute.reason)}
+        </span>
+      ),
+    },
+    {
+      key: "statements",
+      label: "Thread",
+      render: (dispute) => (
+        <ol className="max-w-md space-y-2">
+          {dispute.statements.map((entry) => (
+            <li key={entry._id} className="text-xs">
+              <span className="font-medium text-gray-700">
+                {ROLE_LABELS[entry.role]}:
+              </span>{" "}
+              <span className="text-gray-600">
+                {truncateText(entry.message, 160)}
+              </span>
+              {entry.evidence?.map((file) => (
+                <a
+                  key={file.filename}
+                  href={file.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex items-center space-x-1 text-primary-600 hover:text-primary-700 mt-0.5"
+                >
+                  <Paperclip className="w-3 h-3" />
+                  <span className="truncate">{file.originalName}</span>
+                </a>
+              ))}
+            </li>
+          ))}
+        </ol>
+      ),
+    },
+    {
+      key: "actions",
+      label: "",
+      render: (dispute) =>
+        dispute.status === "open" ? (
+          <button
+            onClick={() => setResolving(dispute)}
+            className="inline-flex items-center space-x-1 px-3 py-1.5 text-sm text-primary-600 border border-primary-200 rounded-lg hover:bg-primary-50 transition-colors duration-200"
+          >
+            <Scale className="w-4 h-4" />
+            <span>Resolve</span>
+          </button>
+        ) : (
+          <div className="text-xs text-gray-500">
+            <p className="font-medium text-gray-700">
+              {getDisputeOutcomeLabel(dispute.resolution?.outcome)}
+            </p>
+            <p>
+              {formatCurrency(dispute.resolution?.released)} paid,{" "}
+              {formatCurrency(dispute.resolution?.refunded)} refunded
+            </p>
+            <p>{dispute.resolution?.moderator?.firstName}</p>
+          </div>
+        ),
+    },
+  ];
+
+  return (
+    <AdminPanel
+      title="Disputes"
+      description="Decide frozen tasks and settle their escrow between the two parties."
+      onRefresh={reload}
+      isLoading={isLoading}
+      filters={
+        <>
+          <SelectFilter
+            value={filters.status}
+            onChange={(value) => updateFilter("status", value)}
+            options={STATUS_OPTIONS}
+          />
+          <SelectFilter
+            value={filters.reason}
+            onChange={(value) => updateFilter("reason", value)}
+            options={REASON_OPTIONS}
+          />
+        </>
+      }
+    >
+      <AdminTable
+        columns={columns}
+        rows={items}
+        isLoading={isLoading}
+        error={error}
+        pagination={pagination}
+        onPageChange={setPage}
+        emptyMessage="No disputes waiting."
+      />
+
+      {resolving && (
+        <ResolveDisputeModal
+          dispute={resolving}
+          onConfirm={handleConfirm}
+          onCancel={() => setResolving(null)}
+        />
+      )}
+    </AdminPanel>
+  );
+};
+
+export default DisputesPanel;
@@ -0,0 +1,170 @@
+// client/src/components/Admin/MessagesPanel.jsx
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { EyeOff } from "lucide-react";
+import adminService from "../../services/adminService";
+import { useAdminList } from "../../hooks/useAdminList";
+import { getRelativeTime } from "../../utils/helpers";
+import AdminPanel from "./AdminPanel";
+import AdminTable from "./AdminTable";
+import ConfirmActionModal from "./ConfirmActionModal";
+import { SearchFilter, SelectFilter } from "./AdminFilters";
+
+const fetchMessages = (filters) => adminService.getMessages(filters);
+
+const VISIBILITY_OPTIONS = [
+  { value: "", label: "All messages" },
+  { value: "false", label: "Visible" },
+  { value: "true", label: "Hidden" },
+];
+
+const MessagesPanel = () => {
+  const {
+    filters,
+    items,
+    pagination,
+    isLoading,
+    error,
+    reload,
+    updateFilter,
+    setPage,
+    replaceItem,
+  } = useAdminList(fetchMessages, { search: "", hidden: "" });
+  const [hidingMessage, setHidingMessage] = useState(null);
+
+  const handleConfirm = async (reason) => {
+    const result = await adminService.hideMessage(hidingMessage._id, reason);
+
+    if (result.success) {
+      replaceItem({
+        _id: hidingMessage._id,
+        isDeleted: true,
+        deletedAt: result.data.deletedAt,
+        moderationReason: result.data.moderationReason,
+      });
+      setHidingMessage(null);
+    }
+    return result;
+  };
+
+  const columns = [
+    {
+      key: "content",
+      label: "Message",
+      render: (message) => (
+        <div className="max-w-sm">
+          <p
+            className={
+              message.isDeleted ? "text-gray-400 line-through" : "text-gray-900"
+            }
+          >
+            {message.content}
+          </p>
+          {message.isDeleted && (
+            <p className="text-xs text-red-600 mt-1">
+              Hidden
+              {message.moderationReason
+                ? `: ${message.moderationReason}`
+                : " by sender"}
+            </p>
+          )}
+        </div>
+      ),
+    },
+    {
+      key: "sender",
+      label: "Sender",
+      render: (message) => (
+        <div>
+          <p className="text-gray-700">
+            {message.sender?.firstName} {message.sender?.lastName}
+          </p>
+          <p className="text-xs text-gray-500">{message.sender?.email}</p>
+        </div>
+      ),
+    },
+    {
+      key: "task",
+      label: "Task",
+      render: (message) =>
+        message.task ? (
+          <Link
+            to={`/tasks/${message.task._id}`}
+            className="text-gray-700 hover:text-primary-600"
+          >
+            {message.task.title}
+          </Link>
+        ) : (
+          "—"
+        ),
+    },
+    {
+      key: "createdAt",
+      label: "Sent",
+      render: (message) => (
+        <span className="text-gray-500">
+          {getRelativeTime(message.createdAt)}
+        </span>
+      ),
+    },
+    {
+      key: "actions",
+      label: "",
+      render: (message) =>
+        !message.isDeleted && (
+          <button
+            onClick={() => setHidingMessage(message)}
+            className="inline-flex items-center space-x-1 px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors duration-200"
+          >
+            <EyeOff className="w-4 h-4" />
+            <span>Hide</span>
+          </button>
+        ),
+    },
+  ];
+
+  return (
+    <AdminPanel
+      title="Messages"
+      description="Hide chat messages that break the rules. Both participants stop seeing them."
+      onRefresh={reload}
+      isLoading={isLoading}
+      filters={
+        <>
+          <SearchFilter
+            value={filters.search}
+            onChange={(value) => updateFilter("search", value)}
+            placeholder="Search message text"
+          />
+          <SelectFilter
+            value={filters.hidden}
+            onChange={(value) => updateFilter("hidden", value)}
+            options={VISIBILITY_OPTIONS}
+          />
+        </>
+      }
+    >
+      <AdminTable
+        columns={columns}
+        rows={items}
+        isLoading={isLoading}
+        error={error}
+        pagination={pagination}
+        onPageChange={setPage}
+        emptyMessage="No messages match these filters."
+      />
+
+      {hidingMessage && (
+        <ConfirmActionModal
+          title="Hide message"
+          description="The message will be removed from the chat and the sender will be notified."
+          confirmLabel="Hide message"
+          onConfirm={handleConfirm}
+          onCancel={() => setHidingMessage(null)}
+        />
+      )}
+    </AdminPanel>
+  );
+};
+
+export default MessagesPanel;
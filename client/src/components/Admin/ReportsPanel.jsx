@@ -0,0 +1,260 @@
+// client/src/components/Admin/ReportsPanel.jsx
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { CheckCircle, XCircle, EyeOff, Paperclip } from "lucide-react";
+import adminService from "../../services/adminService";
+import { useAdminList } from "../../hooks/useAdminList";
+import {
+  REPORT_REASONS,
+  getReportReasonLabel,
+} from "../../constants/reportReasons";
+import { getRelativeTime, truncateText } from "../../utils/helpers";
+import AdminPanel from "./AdminPanel";
+import AdminTable from "./AdminTable";
+import ConfirmActionModal from "./ConfirmActionModal";
+import { SelectFilter } from "./AdminFilters";
+
+const fetchReports = (filters) => adminService.getReports(filters);
+
+const STATUS_OPTIONS = [
+  { value: "pending", label: "Open" },
+  { value: "resolved", label: "Resolved" },
+  { value: "dismissed", label: "Dismissed" },
+];
+
+const TARGET_OPTIONS = [
+  { value: "", label: "All types" },
+  { value: "task", label: "Tasks" },
+  { value: "bid", label: "Bids" },
+  { value: "message", label: "Messages" },
+  { value: "user", label: "Profiles" },
+];
+
+const REASON_OPTIONS = [{ value: "", label: "Any reason" }, ...REPORT_REASONS];
+
+// One-line description of whatever was reported
+const describeTarget = (report) => {
+  const target = report.target;
+
+  if (!target) {
+    return <span className="text-gray-400">Deleted</span>;
+  }
+
+  switch (report.targetType) {
+    case "task":
+      return (
+        <Link
+          to={`/tasks/${target._id}`}
+          className="text-gray-900 hover:text-primary-600"
+        >
+          {target.title}
+        </Link>
+      );
+    case "bid":
+      return truncateText(target.message, 80);
+    case "message":
+      return truncateText(target.content, 80);
+    default:
+      return (
+        <Link
+          to={`/profile/${target._id}`}
+          className="text-gray-900 hover:text-primary-600"
+        >
+          {target.firstName} {target.lastName}
+        </Link>
+      );
+  }
+};
+
+const ReportsPanel = () => {
+  const {
+    filters,
+    items,
+    pagination,
+    isLoading,
+    error,
+    reload,
+    updateFilter,
+    setPage,
+  } = useAdminList(fetchReports, {
+    status: "pending",
+    targetType: "",
+    reason: "",
+  });
+  const [pendingReview, setPendingReview] = useState(null);
+
+  const handleConfirm = async (note) => {
+    const result = await adminService.reviewReport(
+      pendingReview.report._id,
+      pendingReview.outcome,
+      note || undefined
+    );
+
+    if (result.success) {
+      setPendingReview(null);
+      // Reviewing closes every open report on the target, so refetch
+      reload();
+    }
+    return result;
+  };
+
+  const columns = [
+    {
+      key: "target",
+      label: "Reported",
+      render: (report) => (
+        <div className="max-w-xs">
+          <p className="text-xs uppercase tracking-wide text-gray-400">
+            {report.targetType}
+          </p>
+          <div className="text-gray-900">{describeTarget(report)}</div>
+          {report.targetOwner && (
+            <p className="text-xs text-gray-500">
+              by {report.targetOwner.firstName} {report.targetOwner.lastName}
+            </p>
+          )}
+          {report.target?.isHidden && (
+            <span className="inline-flex items-center space-x-1 mt-1 px-2 py-0.5 text-xs font-medium text-orange-700 bg-orange-100 rounded-full">
+              <EyeOff className="w-3 h-3" />
+              <span>Hidden</span>
+            </span>
+          )}
+        </div>
+      ),
+    },
+    {
+      key: "reason",
+      label: "Reason",
+      render: (report) => (
+        <div className="max-w-xs">
+          <p className="font-medium text-gray-700">
+            {getReportReasonLabel(report.reason)}
+          </p>
+          {report.details && (
+            <p className="text-xs text-gray-500 mt-1">{report.details}</p>
+          )}
+          {report.evidence?.map((file) => (
+            <a
+              key={file.filename}
+              href={file.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="flex items-center space-x-1 text-xs text-primary-600 hover:text-primary-700 mt-1"
+            >
+              <Paperclip className="w-3 h-3" />
+              <span className="truncate">{file.originalName}</span>
+            </a>
+          ))}
+        </div>
+      ),
+    },
+    {
+      key: "reporter",
+      label: "Reporter",
+      render: (report) => (
+        <div>
+          <p className="text-gray-700">
+            {report.reporter?.firstName} {report.reporter?.lastName}
+          </p>
+          <p className="text-xs text-gray-400">
+            {getRelativeTime(report.createdAt)}
+          </p>
+        </div>
+      ),
+    },
+    {
+      key: "openReports",
+      label: "Open",
+      render: (report) => (
+        <span className="text-gray-700">{report.openReports}</span>
+      ),
+    },
+    {
+      key: "actions",
+      label: "",
+      render: (report) =>
+        report.status === "pending" ? (
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setPendingReview({ report, outcome: "resolved" })}
+              className="inline-flex items-center space-x-1 px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors duration-200"
+            >
+              <CheckCircle className="w-4 h-4" />
+              <span>Uphold</span>
+            </button>
+            <button
+              onClick={() => setPendingReview({ report, outcome: "dismissed" })}
+              className="inline-flex items-center space-x-1 px-3 py-1.5 text-sm text-gray-600 border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors duration-200"
+            >
+              <XCircle className="w-4 h-4" />
+              <span>Dismiss</span>
+            </button>
+          </div>
+        ) : (
+          <p className="text-xs text-gray-500">
+            {report.review?.moderator?.firstName}
+            {report.review?.note ? `: ${report.review.note}` : ""}
+          </p>
+        ),
+    },
+  ];
+
+  const resolving = pendingReview?.outcome === "resolved";
+
+  return (
+    <AdminPanel
+      title="Reports"
+      description="Review what users have flagged. Reporters are told the outcome."
+      onRefresh={reload}
+      isLoading={isLoading}
+      filters={
+        <>
+          <SelectFilter
+            value={filters.status}
+            onChange={(value) => updateFilter("status", value)}
+            options={STATUS_OPTIONS}
+          />
+          <SelectFilter
+            value={filters.targetType}
+            onChange={(value) => updateFilter("targetType", value)}
+            options={TARGET_OPTIONS}
+          />
+          <SelectFilter
+            value={filters.reason}
+            onChange={(value) => updateFilter("reason", value)}
+            options={REASON_OPTIONS}
+          />
+        </>
+      }
+    >
+      <AdminTable
+        columns={columns}
+        rows={items}
+        isLoading={isLoading}
+        error={error}
+        pagination={pagination}
+        onPageChange={setPage}
+        emptyMessage="The queue is empty."
+      />
+
+      {pendingReview && (
+        <ConfirmActionModal
+          title={resolving ? "Uphold report" : "Dismiss report"}
+          description={
+            resolving
+              ? `The ${pendingReview.report.targetType} stays hidden and all ${pendingReview.report.openReports} open report(s) on it are closed. Use the other tabs to suspend or remove content as well.`
+              : `The ${pendingReview.report.targetType} is restored and all ${pendingReview.report.openReports} open report(s) on it are dismissed.`
+          }
+          confirmLabel={resolving ? "Uphold" : "Dismiss"}
+          requireReason={false}
+          optionalReason
+          danger={resolving}
+          onConfirm={handleConfirm}
+          onCancel={() => setPendingReview(null)}
+        />
+      )}
+    </AdminPanel>
+  );
+};
+
+export default ReportsPanel;
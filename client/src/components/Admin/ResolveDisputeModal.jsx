@@ -0,0 +1,144 @@
+// client/src/components/Admin/ResolveDisputeModal.jsx
+import React, { useState } from "react";
+import { Scale, X } from "lucide-react";
+import { DISPUTE_OUTCOMES } from "../../constants/disputeReasons";
+
+// Decision dialog for a dispute: who gets the escrow, and why
+const ResolveDisputeModal = ({ dispute, onConfirm, onCancel }) => {
+  const [outcome, setOutcome] = useState("");
+  const [assigneeShare, setAssigneeShare] = useState(50);
+  const [note, setNote] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const canSubmit = outcome && note.trim().length >= 10;
+
+  const handleConfirm = async () => {
+    setIsSubmitting(true);
+    setError("");
+
+    const result = await onConfirm({
+      outcome,
+      assigneeShare: outcome === "split" ? assigneeShare : undefined,
+      note: note.trim(),
+    });
+
+    // The parent closes the modal on success
+    if (!result.success) {
+      setError(result.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 px-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-md">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <Scale className="w-5 h-5 text-primary-600" />
+            <h3 className="text-lg font-semibold text-gray-900">
+              Resolve dispute
+            </h3>
+          </div>
+          <button
+            onClick={onCancel}
+            disabled={isSubmitting}
+            className="p-1 text-gray-400 hover:text-gray-600 rounded-lg"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="px-6 py-4 space-y-4">
+          <p className="text-sm text-gray-600">
+            Settles the escrow for "{dispute.task?.title}". Refunds close the
+            task; payouts and splits mark it completed. Both parties see your
+            note.
+          </p>
+
+          <fieldset className="space-y-2">
+            {DISPUTE_OUTCOMES.map((option) => (
+              <label
+                key={option.value}
+                className="flex items-center space-x-2 text-sm text-gray-700"
+              >
+                <input
+                  type="radio"
+                  name="dispute-outcome"
+                  value={option.value}
+                  checked={outcome === option.value}
+                  onChange={(e) => setOutcome(e.target.value)}
+                  disabled={isSubmitting}
+                  className="text-primary-600 focus:ring-primary-500"
+                />
+                <span>{option.label}</span>
+              </label>
+            ))}
+          </fieldset>
+
+          {outcome === "split" && (
+            <div>
+              <label
+                htmlFor="dispute-share"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Assignee receives {assigneeShare}%, poster gets{" "}
+                {100 - assigneeShare}% back
+              </label>
+              <input
+                id="dispute-share"
+                type="range"
+                min="1"
+                max="99"
+                value={assigneeShare}
+                onChange={(e) => setAssigneeShare(Number(e.target.value))}
+                disabled={isSubmitting}
+                className="w-full"
+              />
+            </div>
+          )}
+
+          <div>
+            <label
+              htmlFor="dispute-note"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Decision (shared with both parties)
+            </label>
+            <textarea
+              id="dispute-note"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              rows={3}
+              maxLength={1000}
+              disabled={isSubmitting}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:outline-none text-sm"
+              placeholder="What you found and why you decided this way"
+            />
+          </div>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+
+        <div className="px-6 py-4 border-t border-gray-200 bg-gray-50 rounded-b-xl flex justify-end space-x-2">
+          <button
+            onClick={onCancel}
+            disabled={isSubmitting}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={isSubmitting || !canSubmit}
+            className="px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-lg hover:bg-primary-700 disabled:opacity-50"
+          >
+            {isSubmitting ? "Working..." : "Resolve"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResolveDisputeModal;
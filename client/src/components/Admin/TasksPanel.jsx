@@ -0,0 +1,169 @@
+// client/src/components/Admin/TasksPanel.jsx
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { XCircle } from "lucide-react";
+import adminService from "../../services/adminService";
+import { useAdminList } from "../../hooks/useAdminList";
+import {
+  TASK_STATUS,
+  TASK_STATUS_OPTIONS,
+  getTaskStatusInfo,
+} from "../../constants/statusTypes";
+import { getRelativeTime } from "../../utils/helpers";
+import AdminPanel from "./AdminPanel";
+import AdminTable from "./AdminTable";
+import ConfirmActionModal from "./ConfirmActionModal";
+import { SearchFilter, SelectFilter } from "./AdminFilters";
+
+const fetchTasks = (filters) => adminService.getTasks(filters);
+
+const STATUS_FILTER_OPTIONS = [
+  { value: "", label: "Any status" },
+  ...TASK_STATUS_OPTIONS.map((option) => ({
+    value: option.value,
+    label: option.label,
+  })),
+];
+
+const TasksPanel = () => {
+  const {
+    filters,
+    items,
+    pagination,
+    isLoading,
+    error,
+    reload,
+    updateFilter,
+    setPage,
+    replaceItem,
+  } = useAdminList(fetchTasks, { search: "", status: "" });
+  const [closingTask, setClosingTask] = useState(null);
+
+  const handleConfirm = async (reason) => {
+    const result = await adminService.closeTask(closingTask._id, reason);
+
+    if (result.success) {
+      replaceItem({
+        _id: closingTask._id,
+        status: result.data.status,
+        moderation: result.data.moderation,
+      });
+      setClosingTask(null);
+    }
+    return result;
+  };
+
+  const columns = [
+    {
+      key: "title",
+      label: "Task",
+      render: (task) => (
+        <div>
+          <Link
+            to={`/tasks/${task._id}`}
+            className="font-medium text-gray-900 hover:text-primary-600"
+          >
+            {task.title}
+          </Link>
+          <p className="text-xs text-gray-500">
+            {task.category} · {task.bidCount || 0} bids
+          </p>
+          {task.moderation?.reason && (
+            <p className="text-xs text-red-600 mt-1">
+              Closed by moderator: {task.moderation.reason}
+            </p>
+          )}
+        </div>
+      ),
+    },
+    {
+      key: "poster",
+      label: "Poster",
+      render: (task) => (
+        <div>
+          <p className="text-gray-700">
+            {task.poster?.firstName} {task.poster?.lastName}
+          </p>
+          <p className="text-xs text-gray-500">{task.poster?.email}</p>
+        </div>
+      ),
+    },
+    {
+      key: "status",
+      label: "Status",
+      render: (task) => (
+        <span
+          className={`px-2 py-0.5 text-xs font-medium rounded-full border ${getTaskStatusInfo(task.status).color}`}
+        >
+          {task.status}
+        </span>
+      ),
+    },
+    {
+      key: "createdAt",
+      label: "Posted",
+      render: (task) => (
+        <span className="text-gray-500">{getRelativeTime(task.createdAt)}</span>
+      ),
+    },
+    {
+      key: "actions",
+      label: "",
+      render: (task) =>
+        task.status !== TASK_STATUS.CLOSED && (
+          <button
+            onClick={() => setClosingTask(task)}
+            className="inline-flex items-center space-x-1 px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors duration-200"
+          >
+            <XCircle className="w-4 h-4" />
+            <span>Force close</span>
+          </button>
+        ),
+    },
+  ];
+
+  return (
+    <AdminPanel
+      title="Tasks"
+      description="Close tasks that break the rules. Pending bids are rejected and everyone involved is notified."
+      onRefresh={reload}
+      isLoading={isLoading}
+      filters={
+        <>
+          <SearchFilter
+            value={filters.search}
+            onChange={(value) => updateFilter("search", value)}
+            placeholder="Search title or description"
+          />
+          <SelectFilter
+            value={filters.status}
+            onChange={(value) => updateFilter("status", value)}
+            options={STATUS_FILTER_OPTIONS}
+          />
+        </>
+      }
+    >
+      <AdminTable
+        columns={columns}
+        rows={items}
+        isLoading={isLoading}
+        error={error}
+        pagination={pagination}
+        onPageChange={setPage}
+        emptyMessage="No tasks match these filters."
+      />
+
+      {closingTask && (
+        <ConfirmActionModal
+          title="Force close task"
+          description={`"${closingTask.title}" will be closed immediately and can't be reopened by the poster.`}
+          confirmLabel="Close task"
+          onConfirm={handleConfirm}
+          onCancel={() => setClosingTask(null)}
+        />
+      )}
+    </AdminPanel>
+  );
+};
+
+export default TasksPanel;
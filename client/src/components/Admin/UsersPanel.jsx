@@ -0,0 +1,228 @@
+// client/src/components/Admin/UsersPanel.jsx
+import React, { useState } from "react";
+import { Ban, CheckCircle } from "lucide-react";
+import { useAuth } from "../../context/AuthContext";
+import adminService from "../../services/adminService";
+import { useAdminList } from "../../hooks/useAdminList";
+import { getRelativeTime } from "../../utils/helpers";
+import AdminPanel from "./AdminPanel";
+import AdminTable from "./AdminTable";
+import ConfirmActionModal from "./ConfirmActionModal";
+import { SearchFilter, SelectFilter } from "./AdminFilters";
+
+const fetchUsers = (filters) => adminService.getUsers(filters);
+
+const ROLE_OPTIONS = [
+  { value: "", label: "All roles" },
+  { value: "user", label: "Users" },
+  { value: "moderator", label: "Moderators" },
+  { value: "admin", label: "Admins" },
+];
+
+const STATUS_OPTIONS = [
+  { value: "", label: "Any status" },
+  { value: "active", label: "Active" },
+  { value: "suspended", label: "Suspended" },
+];
+
+const UsersPanel = ({ permissions }) => {
+  const { user: currentUser } = useAuth();
+  const {
+    filters,
+    items,
+    pagination,
+    isLoading,
+    error,
+    reload,
+    updateFilter,
+    setPage,
+    replaceItem,
+  } = useAdminList(fetchUsers, { search: "", role: "", status: "" });
+  const [pendingAction, setPendingAction] = useState(null);
+  const [roleError, setRoleError] = useState("");
+
+  const canSuspend = permissions.includes("users:suspend");
+  const canManageRoles = permissions.includes("users:manage_roles");
+
+  const askToggleStatus = (user) => {
+    const suspending = user.isActive;
+
+    setPendingAction({
+      title: suspending ? "Suspend user" : "Reactivate user",
+      description: suspending
+        ? `${user.firstName} ${user.lastName} will be signed out everywhere and won't be able to log in until reactivated.`
+        : `${user.firstName} ${user.lastName} will be able to log in again.`,
+      confirmLabel: suspending ? "Suspend" : "Reactivate",
+      requireReason: suspending,
+      danger: suspending,
+      run: async (reason) => {
+        const result = await adminService.updateUserStatus(
+          user._id,
+          !suspending,
+          reason || undefined
+        );
+        if (result.success) {
+          replaceItem({ _id: user._id, isActive: result.data.isActive });
+        }
+        return result;
+      },
+    });
+  };
+
+  const handleRoleChange = async (user, role) => {
+    setRoleError("");
+    const result = await adminService.updateUserRole(user._id, role);
+
+    if (result.success) {
+      replaceItem({ _id: user._id, role: result.data.role });
+    } else {
+      setRoleError(result.message);
+    }
+  };
+
+  const handleConfirm = async (reason) => {
+    const result = await pendingAction.run(reason);
+    if (result.success) {
+      setPendingAction(null);
+    }
+    return result;
+  };
+
+  const columns = [
+    {
+      key: "name",
+      label: "User",
+      render: (user) => (
+        <div>
+          <p className="font-medium text-gray-900">
+            {user.firstName} {user.lastName}
+          </p>
+          <p className="text-xs text-gray-500">{user.email}</p>
+        </div>
+      ),
+    },
+    {
+      key: "campus",
+      label: "Campus",
+      render: (user) => (
+        <span className="text-gray-600">
+          {user.campus?.name || user.college || "—"}
+        </span>
+      ),
+    },
+    {
+      key: "role",
+      label: "Role",
+      render: (user) =>
+        canManageRoles && user._id !== currentUser?._id ? (
+          <select
+            value={user.role}
+            onChange={(e) => handleRoleChange(user, e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-lg text-sm bg-white"
+          >
+            {ROLE_OPTIONS.slice(1).map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.value}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <span className="capitalize text-gray-700">{user.role}</span>
+        ),
+    },
+    {
+      key: "status",
+      label: "Status",
+      render: (user) =>
+        user.isActive ? (
+          <span className="px-2 py-0.5 text-xs font-medium text-green-700 bg-green-100 rounded-full">
+            Active
+          </span>
+        ) : (
+          <span className="px-2 py-0.5 text-xs font-medium text-red-700 bg-red-100 rounded-full">
+            Suspended
+          </span>
+        ),
+    },
+    {
+      key: "lastLogin",
+      label: "Last login",
+      render: (user) => (
+        <span className="text-gray-500">
+          {user.lastLogin ? getRelativeTime(user.lastLogin) : "Never"}
+        </span>
+      ),
+    },
+    {
+      key: "actions",
+      label: "",
+      render: (user) =>
+        canSuspend &&
+        user._id !== currentUser?._id && (
+          <button
+            onClick={() => askToggleStatus(user)}
+            className={`inline-flex items-center space-x-1 px-3 py-1.5 text-sm border rounded-lg transition-colors duration-200 ${
+              user.isActive
+                ? "text-red-600 border-red-200 hover:bg-red-50"
+                : "text-green-700 border-green-200 hover:bg-green-50"
+            }`}
+          >
+            {user.isActive ? (
+              <Ban className="w-4 h-4" />
+            ) : (
+              <CheckCircle className="w-4 h-4" />
+            )}
+            <span>{user.isActive ? "Suspend" : "Reactivate"}</span>
+          </button>
+        ),
+    },
+  ];
+
+  return (
+    <AdminPanel
+      title="Users"
+      description="Suspend abusive accounts and manage staff roles."
+      onRefresh={reload}
+      isLoading={isLoading}
+      filters={
+        <>
+          <SearchFilter
+            value={filters.search}
+            onChange={(value) => updateFilter("search", value)}
+            placeholder="Search name, email or college"
+          />
+          <SelectFilter
+            value={filters.role}
+            onChange={(value) => updateFilter("role", value)}
+            options={ROLE_OPTIONS}
+          />
+          <SelectFilter
+            value={filters.status}
+            onChange={(value) => updateFilter("status", value)}
+            options={STATUS_OPTIONS}
+          />
+        </>
+      }
+    >
+      <AdminTable
+        columns={columns}
+        rows={items}
+        isLoading={isLoading}
+        error={error || roleError}
+        pagination={pagination}
+        onPageChange={setPage}
+        emptyMessage="No users match these filters."
+      />
+
+      {pendingAction && (
+        <ConfirmActionModal
+          {...pendingAction}
+          onConfirm={handleConfirm}
+          onCancel={() => setPendingAction(null)}
+        />
+      )}
+    </AdminPanel>
+  );
+};
+
+export default UsersPanel;
@@ -1,5 +1,5 @@
 // client/src/components/Bids/BidCard.jsx
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import {
   IndianRupee,
   Clock,
@@ -18,21 +18,42 @@ import {
   AlertTriangle,
 } from "lucide-react";
 import { Link } from "react-router-dom";
+import ReportButton from "../Reports/ReportButton";
+import NegotiationPanel from "./NegotiationPanel";
 
 const BidCard = ({
-  bid,
+  bid: initialBid,
   isTaskOwner = false,
+  canAccept = true,
   onAccept,
   onReject,
   onWithdraw,
   onDelete,
   onEdit,
+  onBidChange,
   showActions = true,
   className = "",
 }) => {
+  const [bid, setBid] = useState(initialBid);
   const [isLoading, setIsLoading] = useState(false);
   const [showFullMessage, setShowFullMessage] = useState(false);
 
+  // Follow the parent when it reloads or patches the bid
+  useEffect(() => {
+    setBid(initialBid);
+  }, [initialBid]);
+
+  // A counter-offer changed the bid's terms
+  const handleNegotiation = (updatedBid) => {
+    const terms = {
+      amount: updatedBid.amount,
+      proposedTimeline: updatedBid.proposedTimeline,
+      negotiation: updatedBid.negotiation,
+    };
+    setBid((prev) => ({ ...prev, ...terms }));
+    onBidChange?.(bid._id, terms);
+  };
+
   // Handle action with loading state
   const handleAction = async (action, ...args) => {
     setIsLoading(true);
@@ -253,6 +274,15 @@ const BidCard = ({
         )}
       </div>
 
+      {/* Counter-offers */}
+      {showActions && (
+        <NegotiationPanel
+          bid={bid}
+          isTaskOwner={isTaskOwner}
+          onChange={handleNegotiation}
+        />
+      )}
+
       {/* Footer */}
       <div className="px-6 py-4 bg-gray-50 border-t border-gray-100 rounded-b-xl">
         <div className="flex items-center justify-between">
@@ -288,14 +318,16 @@ const BidCard = ({
                     <XCircle className="w-3 h-3" />
                     <span>Reject</span>
                   </button>
-                  <button
-                    onClick={() => handleAction(onAccept, bid._id)}
-                    disabled={isLoading}
-                    className="flex items-center space-x-1 px-3 py-1.5 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
-                  >
-                    <CheckCircle className="w-3 h-3" />
-                    <span>Accept</span>
-                  </button>
+                  {canAccept && (
+                    <button
+                      onClick={() => handleAction(onAccept, bid._id)}
+                      disabled={isLoading}
+                      className="flex items-center space-x-1 px-3 py-1.5 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+                    >
+                      <CheckCircle className="w-3 h-3" />
+                      <span>Accept</span>
+                    </button>
+                  )}
                 </>
               )}
 
@@ -341,6 +373,12 @@ const BidCard = ({
                 </>
               )}
 
+              <ReportButton
+                targetType="bid"
+                targetId={bid._id}
+                ownerId={bid.bidder?._id || bid.bidder}
+              />
+
               {/* Chat Button (for accepted bids) */}
               {bid.status === "Accepted" && (
                 <Link
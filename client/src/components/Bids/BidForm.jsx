@@ -12,9 +12,17 @@ import {
   AlertCircle,
   CheckCircle,
   Send,
+  Lock,
 } from "lucide-react";
 import { useAuth } from "../../hooks/useAuth";
 import bidService from "../../services/bidService";
+import MilestoneEditor from "../Tasks/MilestoneEditor";
+import {
+  getMilestoneTotal,
+  toEditableMilestones,
+  toMilestonePayload,
+} from "../../utils/helpers";
+import { AUCTION_TYPES, hasAuctionEnded } from "../../constants/statusTypes";
 
 const BidForm = ({
   task,
@@ -39,6 +47,8 @@ const BidForm = ({
     { title: "", url: "", description: "" },
   ]);
 
+  const [milestones, setMilestones] = useState([]);
+
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitStatus, setSubmitStatus] = useState(null);
@@ -60,6 +70,8 @@ const BidForm = ({
       if (existingBid.portfolio?.length > 0) {
         setPortfolio(existingBid.portfolio);
       }
+
+      setMilestones(toEditableMilestones(existingBid.milestones));
     }
   }, [isEdit, existingBid]);
 
@@ -160,6 +172,26 @@ const BidForm = ({
       newErrors.deliverables = "At least one deliverable is required";
     }
 
+    // Milestone validation (optional, must add up to the bid amount)
+    if (milestones.length > 0) {
+      if (
+        milestones.some(
+          (milestone) =>
+            milestone.title.trim().length < 3 ||
+            !(parseFloat(milestone.amount) >= 1) ||
+            !milestone.dueDate
+        )
+      ) {
+        newErrors.milestones =
+          "Each milestone needs a title, an amount and a due date";
+      } else if (
+        Math.round(getMilestoneTotal(milestones) * 100) !==
+        Math.round(parseFloat(formData.amount) * 100)
+      ) {
+        newErrors.milestones = "Milestone amounts must add up to your bid";
+      }
+    }
+
     // Portfolio validation (optional but validate URLs)
     portfolio.forEach((item, index) => {
       if (item.url && item.url.trim()) {
@@ -197,6 +229,7 @@ const BidForm = ({
         portfolio: portfolio.filter(
           (item) => item.title.trim() || item.url.trim()
         ),
+        milestones: toMilestonePayload(milestones),
       };
 
       let result;
@@ -229,10 +262,11 @@ const BidForm = ({
     if (task.poster === user.id) return false;
     if (task.status !== "Open") return false;
     if (new Date(task.deadline) <= new Date()) return false;
+    if (hasAuctionEnded(task)) return false;
     return true;
   };
 
-  if (!canBid() && !isEdit) {
+  if (!canBid() && (!isEdit || hasAuctionEnded(task))) {
     return (
       <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
         <div className="flex items-center">
@@ -240,6 +274,8 @@ const BidForm = ({
           <p className="text-yellow-800">
             {task.poster === user?.id
               ? "You cannot bid on your own task"
+              : hasAuctionEnded(task)
+              ? "Bidding on this auction has closed"
               : "This task is no longer accepting bids"}
           </p>
         </div>
@@ -257,6 +293,21 @@ const BidForm = ({
         <p className="text-gray-600 mt-1">
           Budget: ₹{task.budget.min} - ₹{task.budget.max}
         </p>
+        {task.auctionType === AUCTION_TYPES.SEALED && (
+          <p className="flex items-center text-sm text-gray-500 mt-2">
+            <Lock className="w-4 h-4 mr-1" />
+            Sealed bids: other bidders can't see your bid until bidding closes
+            on {new Date(task.auctionEndsAt).toLocaleString()}.
+          </p>
+        )}
+        {task.auctionType === AUCTION_TYPES.REVERSE && (
+          <p className="text-sm text-gray-500 mt-2">
+            Reverse auction: the lowest bid
+            {task.reservePrice ? ` at or under ₹${task.reservePrice}` : ""}{" "}
+            wins automatically on{" "}
+            {new Date(task.auctionEndsAt).toLocaleString()}.
+          </p>
+        )}
       </div>
 
       {/* Success/Error Messages */}
@@ -414,6 +465,31 @@ const BidForm = ({
           )}
         </div>
 
+        {/* Milestones */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Payment Milestones (Optional)
+          </label>
+          <p className="text-gray-500 text-xs mb-3">
+            {task.milestones?.length > 0
+              ? "The poster planned this task in stages. Leave this empty to follow their plan, scaled to your bid, or propose your own."
+              : "Propose staged payments. Each milestone is paid once the poster approves it."}
+          </p>
+          <MilestoneEditor
+            milestones={milestones}
+            onChange={(next) => {
+              setMilestones(next);
+              if (errors.milestones) {
+                setErrors((prev) => ({ ...prev, milestones: "" }));
+              }
+            }}
+            targetLabel={
+              formData.amount ? `your bid ₹${formData.amount}` : null
+            }
+            error={errors.milestones}
+          />
+        </div>
+
         {/* Experience */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
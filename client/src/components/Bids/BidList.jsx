@@ -15,11 +15,13 @@ import {
 import BidCard from "./BidCard";
 import bidService from "../../services/bidService";
 import { useAuth } from "../../hooks/useAuth";
+import { useBidNegotiationSocket } from "../../hooks/useSocket";
 
 const BidList = ({
   taskId = null,
   type = "all", // 'all', 'my-bids', 'received'
   isTaskOwner = false,
+  canAccept = true,
   onBidAccept,
   onBidReject,
   onBidWithdraw,
@@ -139,6 +141,18 @@ const BidList = ({
     }
   };
 
+  // Apply new negotiated terms to a bid in the list
+  const handleBidChange = (bidId, terms) => {
+    setBids((prev) =>
+      prev.map((bid) => (bid._id === bidId ? { ...bid, ...terms } : bid))
+    );
+  };
+
+  // Counter-offers from the other side arrive live
+  useBidNegotiationSocket(({ bidId, amount, proposedTimeline, negotiation }) =>
+    handleBidChange(bidId, { amount, proposedTimeline, negotiation })
+  );
+
   // Refresh bids
   const refreshBids = async () => {
     setRefreshing(true);
@@ -456,6 +470,7 @@ const BidList = ({
               key={bid._id}
               bid={bid}
               isTaskOwner={isTaskOwner}
+              canAccept={canAccept}
               onAccept={handleBidAccept}
               onReject={handleBidReject}
               onWithdraw={handleBidWithdraw}
@@ -0,0 +1,247 @@
+// client/src/components/Bids/NegotiationPanel.jsx
+import React, { useState } from "react";
+import { Repeat, Check, X, Clock } from "lucide-react";
+import bidService from "../../services/bidService";
+import { useAuth } from "../../hooks/useAuth";
+import { getRelativeTime } from "../../utils/helpers";
+
+const STATUS_LABELS = {
+  agreed: "Terms agreed",
+  declined: "Counter-offer declined",
+  expired: "Counter-offer expired",
+};
+
+// Whose move it is: the poster opens or reopens a negotiation, the other
+// side answers an open offer (mirrors Bid#getNegotiationTurn on the server)
+const getTurn = (bid) => {
+  const { status, offers = [] } = bid.negotiation || {};
+
+  if (bid.status !== "Pending" || status === "agreed") return null;
+  if (status !== "open") return "poster";
+
+  return offers[offers.length - 1].from === "poster" ? "bidder" : "poster";
+};
+
+const NegotiationPanel = ({ bid, isTaskOwner = false, onChange }) => {
+  const { user } = useAuth();
+  const [showForm, setShowForm] = useState(false);
+  const [offer, setOffer] = useState({
+    amount: "",
+    proposedTimeline: "",
+    message: "",
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const isBidder = !!user && (bid.bidder?._id || bid.bidder) === user._id;
+  const role = isTaskOwner ? "poster" : isBidder ? "bidder" : null;
+  const negotiation = bid.negotiation || {};
+  const offers = negotiation.offers || [];
+  const isExpired =
+    negotiation.status === "open" &&
+    negotiation.expiresAt &&
+    new Date(negotiation.expiresAt) <= new Date();
+  const isMyTurn = getTurn(bid) === role && !isExpired;
+
+  // Only the two parties see the thread, once the poster opens one
+  if (!role || (offers.length === 0 && !(isTaskOwner && isMyTurn))) {
+    return null;
+  }
+
+  const runAction = async (action) => {
+    setIsSubmitting(true);
+    setError("");
+
+    const result = await action();
+
+    setIsSubmitting(false);
+
+    if (result.success) {
+      setShowForm(false);
+      setOffer({ amount: "", proposedTimeline: "", message: "" });
+      onChange?.(result.bid);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  const handleCounter = (e) => {
+    e.preventDefault();
+
+    const payload = { amount: parseFloat(offer.amount) };
+    if (offer.proposedTimeline.trim()) {
+      payload.proposedTimeline = offer.proposedTimeline.trim();
+    }
+    if (offer.message.trim()) {
+      payload.message = offer.message.trim();
+    }
+
+    runAction(() => bidService.counterBid(bid._id, payload));
+  };
+
+  return (
+    <div className="px-6 pb-4">
+      <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-2 text-sm font-medium text-gray-900">
+            <Repeat className="w-4 h-4 text-gray-500" />
+            <span>Negotiation</span>
+          </div>
+          {negotiation.status === "open" && !isExpired ? (
+            <span className="flex items-center text-xs text-gray-500">
+              <Clock className="w-3 h-3 mr-1" />
+              {isMyTurn ? "Answer by" : "Waiting until"}{" "}
+              {new Date(negotiation.expiresAt).toLocaleString()}
+            </span>
+          ) : (
+            <span className="text-xs text-gray-500">
+              {isExpired
+                ? STATUS_LABELS.expired
+                : STATUS_LABELS[negotiation.status]}
+            </span>
+          )}
+        </div>
+
+        {/* Offer history, oldest first */}
+        {offers.length > 0 && (
+          <ol className="space-y-2">
+            {offers.map((entry, index) => (
+              <li
+                key={entry._id || index}
+                className={`text-sm rounded-lg px-3 py-2 ${
+                  entry.from === "poster" ? "bg-blue-50" : "bg-gray-50"
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-medium text-gray-900">
+                    {index === 0
+                      ? "Original bid"
+                      : entry.from === "poster"
+                      ? "Poster's offer"
+                      : "Bidder's counter"}
+                    : ₹{entry.amount}
+                  </span>
+                  <span className="text-xs text-gray-400">
+                    {getRelativeTime(entry.createdAt)}
+                  </span>
+                </div>
+                {entry.proposedTimeline && (
+                  <p className="text-xs text-gray-600 mt-1">
+                    {entry.proposedTimeline}
+                  </p>
+                )}
+                {entry.message && (
+                  <p className="text-xs text-gray-600 mt-1 italic">
+                    {entry.message}
+                  </p>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {/* Counter-offer form */}
+        {isMyTurn && showForm && (
+          <form onSubmit={handleCounter} className="space-y-2">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              <input
+                type="number"
+                min="50"
+                max="2000"
+                required
+                value={offer.amount}
+                onChange={(e) =>
+                  setOffer((prev) => ({ ...prev, amount: e.target.value }))
+                }
+                placeholder="Amount (₹)"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+              />
+              <input
+                type="text"
+                maxLength={200}
+                value={offer.proposedTimeline}
+                onChange={(e) =>
+                  setOffer((prev) => ({
+                    ...prev,
+                    proposedTimeline: e.target.value,
+                  }))
+                }
+                placeholder="Timeline (optional)"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+              />
+            </div>
+            <textarea
+              rows={2}
+              maxLength={500}
+              value={offer.message}
+              onChange={(e) =>
+                setOffer((prev) => ({ ...prev, message: e.target.value }))
+              }
+              placeholder="Add a note (optional)"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+            />
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() => setShowForm(false)}
+                disabled={isSubmitting}
+                className="px-3 py-1.5 text-sm text-gray-600 border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting || !offer.amount}
+                className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                {isSubmitting ? "Sending..." : "Send offer"}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Answer the latest offer */}
+        {isMyTurn && !showForm && (
+          <div className="flex flex-wrap justify-end gap-2">
+            {negotiation.status === "open" && (
+              <button
+                onClick={() =>
+                  runAction(() => bidService.declineCounterOffer(bid._id))
+                }
+                disabled={isSubmitting}
+                className="flex items-center space-x-1 px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors disabled:opacity-50"
+              >
+                <X className="w-3 h-3" />
+                <span>Decline</span>
+              </button>
+            )}
+            <button
+              onClick={() => setShowForm(true)}
+              disabled={isSubmitting}
+              className="flex items-center space-x-1 px-3 py-1.5 text-sm text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 transition-colors disabled:opacity-50"
+            >
+              <Repeat className="w-3 h-3" />
+              <span>Counter</span>
+            </button>
+            {role === "bidder" && (
+              <button
+                onClick={() =>
+                  runAction(() => bidService.acceptCounterOffer(bid._id))
+                }
+                disabled={isSubmitting}
+                className="flex items-center space-x-1 px-3 py-1.5 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+              >
+                <Check className="w-3 h-3" />
+                <span>Accept ₹{offers[offers.length - 1].amount}</span>
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NegotiationPanel;
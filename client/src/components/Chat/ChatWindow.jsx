@@ -19,10 +19,12 @@ import {
   Loader,
   CheckCircle2,
   Clock,
+  Flag,
 } from "lucide-react";
 import { Link, useNavigate } from "react-router-dom";
 import MessageInput from "./MessageInput";
-import { useTaskSocket } from "../../hooks/useSocket";
+import ReportModal from "../Reports/ReportModal";
+import { useTaskSocket, usePresence } from "../../hooks/useSocket";
 import chatService from "../../services/chatService";
 import { useAuth } from "../../context/AuthContext";
 
@@ -55,8 +57,11 @@ const ChatWindow = ({
   const [showDropdown, setShowDropdown] = useState(null);
   const [participant, setParticipant] = useState(null);
   const [typingUsers, setTypingUsers] = useState([]);
-  const [isOnline, setIsOnline] = useState(false);
-  const [lastSeen, setLastSeen] = useState(null);
+
+  // Whether the other side is online, over the chat's own socket
+  const presence = usePresence([participant?._id], socket);
+  const { isOnline = false, lastSeen = null } =
+    presence[participant?._id] || {};
 
   // Scroll to bottom
   const scrollToBottom = useCallback((smooth = false) => {
@@ -148,12 +153,6 @@ const ChatWindow = ({
           // Clear reply state
           setReplyingTo(null);
 
-          // Emit via socket for real-time updates
-          socket.emit("message_sent", {
-            taskId,
-            message: response.data,
-          });
-
           return { success: true };
         } else {
           throw new Error(response.message);
@@ -166,7 +165,7 @@ const ChatWindow = ({
         };
       }
     },
-    [taskId, user, scrollToBottom, socket]
+    [taskId, user, scrollToBottom]
   );
 
   // Edit message
@@ -184,13 +183,6 @@ const ChatWindow = ({
 
           setEditingMessage(null);
 
-          // Emit via socket
-          socket.emit("message_edited", {
-            taskId,
-            messageId,
-            message: response.data,
-          });
-
           return { success: true };
         } else {
           throw new Error(response.message);
@@ -203,7 +195,7 @@ const ChatWindow = ({
         };
       }
     },
-    [taskId, socket]
+    []
   );
 
   // Delete message
@@ -215,12 +207,6 @@ const ChatWindow = ({
         if (response.success) {
           setMessages((prev) => prev.filter((msg) => msg._id !== messageId));
 
-          // Emit via socket
-          socket.emit("message_deleted", {
-            taskId,
-            messageId,
-          });
-
           return { success: true };
         } else {
           throw new Error(response.message);
@@ -233,7 +219,7 @@ const ChatWindow = ({
         };
       }
     },
-    [taskId, socket]
+    []
   );
 
   // Add reaction
@@ -250,20 +236,12 @@ const ChatWindow = ({
                 : msg
             )
           );
-
-          // Emit via socket
-          socket.emit("reaction_added", {
-            taskId,
-            messageId,
-            emoji,
-            reactions: response.reactions,
-          });
         }
       } catch (error) {
         console.error("Error adding reaction:", error);
       }
     },
-    [taskId, socket]
+    []
   );
 
   // Remove reaction
@@ -280,19 +258,12 @@ const ChatWindow = ({
                 : msg
             )
           );
-
-          // Emit via socket
-          socket.emit("reaction_removed", {
-            taskId,
-            messageId,
-            reactions: response.reactions,
-          });
         }
       } catch (error) {
         console.error("Error removing reaction:", error);
       }
     },
-    [taskId, socket]
+    []
   );
 
   // Search messages
@@ -419,23 +390,6 @@ const ChatWindow = ({
       }
     });
 
-    // Listen for online status
-    socket.on("user_online", (data) => {
-      const participant = getParticipant();
-      if (participant && data.userId === participant._id) {
-        setIsOnline(true);
-        setLastSeen(null);
-      }
-    });
-
-    socket.on("user_offline", (data) => {
-      const participant = getParticipant();
-      if (participant && data.userId === participant._id) {
-        setIsOnline(false);
-        setLastSeen(data.lastSeen);
-      }
-    });
-
     return () => {
       socket.leaveRoom(`task_${taskId}`);
       socket.off("new_message");
@@ -445,10 +399,8 @@ const ChatWindow = ({
       socket.off("reaction_removed");
       socket.off("user_typing");
       socket.off("user_stopped_typing");
-      socket.off("user_online");
-      socket.off("user_offline");
     };
-  }, [socket, taskId, user, scrollToBottom, getParticipant]);
+  }, [socket, taskId, user, scrollToBottom]);
 
   // Initial load
   useEffect(() => {
@@ -790,6 +742,7 @@ const MessageBubble = ({
 }) => {
   const [showActions, setShowActions] = useState(false);
   const [showReactions, setShowReactions] = useState(false);
+  const [isReporting, setIsReporting] = useState(false);
   const [editContent, setEditContent] = useState(message.content);
 
   const canEdit = chatService.canEditMessage(message);
@@ -892,9 +845,28 @@ const MessageBubble = ({
                   <Trash2 className="w-4 h-4" />
                 </button>
               )}
+
+              {!isMyMessage && !message.isOptimistic && (
+                <button
+                  onClick={() => setIsReporting(true)}
+                  className="p-1 hover:bg-gray-100 rounded text-gray-600 hover:text-red-600"
+                  title="Report"
+                >
+                  <Flag className="w-4 h-4" />
+                </button>
+              )}
             </div>
           )}
 
+          {/* Kept outside the hover menu so it survives the mouse leaving */}
+          {isReporting && (
+            <ReportModal
+              targetType="message"
+              targetId={message._id}
+              onClose={() => setIsReporting(false)}
+            />
+          )}
+
           {/* Reaction Picker */}
           {showReactions && (
             <div
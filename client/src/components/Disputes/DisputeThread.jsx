@@ -0,0 +1,344 @@
+// client/src/components/Disputes/DisputeThread.jsx
+import React, { useState, useEffect, useCallback } from "react";
+import { Scale, Paperclip, X, AlertTriangle, CheckCircle } from "lucide-react";
+import disputeService from "../../services/disputeService";
+import {
+  DISPUTE_REASONS,
+  getDisputeReasonLabel,
+  getDisputeOutcomeLabel,
+} from "../../constants/disputeReasons";
+import { formatCurrency, getRelativeTime } from "../../utils/helpers";
+
+const MAX_EVIDENCE_FILES = 3;
+const DISPUTABLE_STATUSES = ["Assigned", "In-Progress", "Submitted"];
+
+const ROLE_LABELS = {
+  poster: "Poster",
+  bidder: "Assignee",
+  moderator: "Moderator",
+};
+
+const ROLE_COLORS = {
+  poster: "bg-blue-100 text-blue-700",
+  bidder: "bg-purple-100 text-purple-700",
+  moderator: "bg-red-100 text-red-700",
+};
+
+// Statement box with optional evidence files, used to open and reply
+const StatementForm = ({ submitLabel, onSubmit, onCancel, children }) => {
+  const [statement, setStatement] = useState("");
+  const [evidence, setEvidence] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleFiles = (e) => {
+    const files = Array.from(e.target.files || []);
+    setEvidence((prev) => [...prev, ...files].slice(0, MAX_EVIDENCE_FILES));
+    e.target.value = "";
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError("");
+
+    const result = await onSubmit({ statement, evidence });
+
+    setIsSubmitting(false);
+
+    if (result.success) {
+      setStatement("");
+      setEvidence([]);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      {children}
+
+      <textarea
+        value={statement}
+        onChange={(e) => setStatement(e.target.value)}
+        rows={3}
+        maxLength={2000}
+        placeholder="Explain what happened. Moderators read the whole thread."
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:outline-none text-sm"
+      />
+
+      {evidence.length > 0 && (
+        <ul className="space-y-1">
+          {evidence.map((file, index) => (
+            <li
+              key={`${file.name}-${index}`}
+              className="flex items-center justify-between text-xs text-gray-600 bg-gray-50 rounded-lg px-2 py-1"
+            >
+              <span className="truncate">{file.name}</span>
+              <button
+                type="button"
+                onClick={() =>
+                  setEvidence((prev) => prev.filter((_, i) => i !== index))
+                }
+                className="ml-2 text-gray-400 hover:text-gray-600"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex items-center justify-between">
+        {evidence.length < MAX_EVIDENCE_FILES ? (
+          <label className="inline-flex items-center space-x-1 text-sm text-primary-600 hover:text-primary-700 cursor-pointer">
+            <Paperclip className="w-4 h-4" />
+            <span>Attach evidence</span>
+            <input
+              type="file"
+              multiple
+              accept="image/*,.pdf,.doc,.docx,.txt,.rtf"
+              onChange={handleFiles}
+              className="hidden"
+            />
+          </label>
+        ) : (
+          <span />
+        )}
+
+        <div className="flex space-x-2">
+          {onCancel && (
+            <button
+              type="button"
+              onClick={onCancel}
+              disabled={isSubmitting}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={isSubmitting || statement.trim().length < 10}
+            className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 disabled:opacity-50"
+          >
+            {isSubmitting ? "Sending..." : submitLabel}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+const DisputeThread = ({ task, onTaskChange }) => {
+  const [dispute, setDispute] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [isOpening, setIsOpening] = useState(false);
+  const [reason, setReason] = useState("");
+
+  const loadDispute = useCallback(async () => {
+    setIsLoading(true);
+    const result = await disputeService.getTaskDispute(task._id);
+
+    if (result.success) {
+      setDispute(result.dispute);
+    } else {
+      setError(result.message);
+    }
+    setIsLoading(false);
+  }, [task._id]);
+
+  useEffect(() => {
+    loadDispute();
+  }, [loadDispute, task.status]);
+
+  const handleOpen = async ({ statement, evidence }) => {
+    if (!reason) {
+      return { success: false, message: "Please choose a reason" };
+    }
+
+    const result = await disputeService.openDispute({
+      taskId: task._id,
+      reason,
+      statement,
+      evidence,
+    });
+
+    if (result.success) {
+      setDispute(result.dispute);
+      setIsOpening(false);
+      onTaskChange?.();
+    }
+    return result;
+  };
+
+  const handleStatement = async ({ statement, evidence }) => {
+    const result = await disputeService.addStatement({
+      taskId: task._id,
+      statement,
+      evidence,
+    });
+
+    if (result.success) {
+      setDispute(result.dispute);
+    }
+    return result;
+  };
+
+  if (isLoading && !dispute) {
+    return null;
+  }
+
+  // No dispute yet: offer to open one while the task can still be disputed
+  if (!dispute) {
+    if (!DISPUTABLE_STATUSES.includes(task.status)) {
+      return null;
+    }
+
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <div className="flex items-center space-x-2 mb-2">
+          <Scale className="w-5 h-5 text-gray-500" />
+          <h3 className="text-lg font-semibold text-gray-900">
+            Problem with this task?
+          </h3>
+        </div>
+
+        {isOpening ? (
+          <StatementForm
+            submitLabel="Open dispute"
+            onSubmit={handleOpen}
+            onCancel={() => setIsOpening(false)}
+          >
+            <p className="text-sm text-gray-600">
+              Opening a dispute freezes the task and its escrowed payment until
+              a moderator decides how to settle it.
+            </p>
+            <select
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:outline-none text-sm"
+            >
+              <option value="">Choose a reason</option>
+              {DISPUTE_REASONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </StatementForm>
+        ) : (
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-600">
+              Try sorting it out in chat first. If that fails, a moderator can
+              step in.
+            </p>
+            <button
+              onClick={() => setIsOpening(true)}
+              className="ml-4 flex-shrink-0 px-4 py-2 text-sm font-medium text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors duration-200"
+            >
+              Open a dispute
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const isOpen = dispute.status === "open";
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-red-200">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Scale className="w-5 h-5 text-red-600" />
+          <h3 className="text-lg font-semibold text-gray-900">Dispute</h3>
+          <span
+            className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+              isOpen ? "bg-red-100 text-red-700" : "bg-green-100 text-green-700"
+            }`}
+          >
+            {isOpen ? "Under review" : "Resolved"}
+          </span>
+        </div>
+        <p className="text-sm text-gray-500">
+          {getDisputeReasonLabel(dispute.reason)}
+        </p>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 flex items-center space-x-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {!isOpen && dispute.resolution && (
+        <div className="mx-6 mt-4 p-4 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+          <div className="flex items-center space-x-2 font-medium">
+            <CheckCircle className="w-4 h-4" />
+            <span>{getDisputeOutcomeLabel(dispute.resolution.outcome)}</span>
+          </div>
+          <p className="mt-1">
+            {formatCurrency(dispute.resolution.released)} paid to the
+            assignee, {formatCurrency(dispute.resolution.refunded)} refunded
+            to the poster.
+          </p>
+        </div>
+      )}
+
+      <ol className="px-6 py-4 space-y-4">
+        {dispute.statements.map((entry) => (
+          <li key={entry._id} className="flex space-x-3">
+            <div className="min-w-0 flex-1">
+              <div className="flex items-center space-x-2">
+                <span className="text-sm font-medium text-gray-900">
+                  {entry.author?.firstName} {entry.author?.lastName}
+                </span>
+                <span
+                  className={`px-2 py-0.5 text-xs rounded-full ${
+                    ROLE_COLORS[entry.role]
+                  }`}
+                >
+                  {ROLE_LABELS[entry.role]}
+                </span>
+                <span className="text-xs text-gray-400">
+                  {getRelativeTime(entry.createdAt)}
+                </span>
+              </div>
+              <p className="mt-1 text-sm text-gray-700 whitespace-pre-line">
+                {entry.message}
+              </p>
+              {entry.evidence?.map((file) => (
+                <a
+                  key={file.filename}
+                  href={file.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex items-center space-x-1 text-xs text-primary-600 hover:text-primary-700 mt-1"
+                >
+                  <Paperclip className="w-3 h-3" />
+                  <span className="truncate">{file.originalName}</span>
+                </a>
+              ))}
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      {isOpen && (
+        <div className="px-6 py-4 border-t border-gray-200 bg-gray-50 rounded-b-xl">
+          <StatementForm
+            submitLabel="Add statement"
+            onSubmit={handleStatement}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DisputeThread;
@@ -14,14 +14,25 @@ import {
   Briefcase,
   Home,
   ChevronDown,
+  Shield,
+  Wallet,
 } from "lucide-react";
 import { useAuth } from "../../hooks/useAuth";
 import { useNotificationSocket } from "../../hooks/useSocket";
+import notificationService from "../../services/notificationService";
+import { getRelativeTime } from "../../utils/helpers";
 
 const Navbar = () => {
-  const { isAuthenticated, user, logout, getAvatarUrl, getUserInitials } =
-    useAuth();
-  const { unreadCount } = useNotificationSocket();
+  const {
+    isAuthenticated,
+    user,
+    logout,
+    getAvatarUrl,
+    getUserInitials,
+    isStaff,
+  } = useAuth();
+  const { notifications, unreadCount, markAsRead, markAllAsRead } =
+    useNotificationSocket();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -88,6 +99,16 @@ const Navbar = () => {
     setIsNotificationsOpen(!isNotificationsOpen);
   };
 
+  const handleNotificationClick = (notification) => {
+    markAsRead(notification._id);
+    setIsNotificationsOpen(false);
+
+    const link = notificationService.getNotificationLink(notification);
+    if (link) {
+      navigate(link);
+    }
+  };
+
   const isActive = (path) => {
     return location.pathname === path;
   };
@@ -194,28 +215,52 @@ const Navbar = () => {
                   {/* Notifications Dropdown */}
                   {isNotificationsOpen && (
                     <div className="absolute right-0 mt-2 w-80 bg-white rounded-xl shadow-strong border border-gray-200 py-2 z-50">
-                      <div className="px-4 py-2 border-b border-gray-100">
+                      <div className="px-4 py-2 border-b border-gray-100 flex items-center justify-between">
                         <h3 className="text-sm font-semibold text-gray-900">
                           Notifications
                         </h3>
+                        {unreadCount > 0 && (
+                          <button
+                            onClick={markAllAsRead}
+                            className="text-xs font-medium text-primary-600 hover:text-primary-700"
+                          >
+                            Mark all as read
+                          </button>
+                        )}
                       </div>
                       <div className="max-h-96 overflow-y-auto">
-                        {unreadCount === 0 ? (
+                        {notifications.length === 0 ? (
                           <div className="px-4 py-8 text-center text-gray-500">
                             <Bell className="w-8 h-8 mx-auto mb-2 text-gray-300" />
                             <p className="text-sm">No new notifications</p>
                           </div>
                         ) : (
                           <div className="py-2">
-                            {/* Notification items would be rendered here */}
-                            <div className="px-4 py-3 hover:bg-gray-50 cursor-pointer">
-                              <p className="text-sm text-gray-900">
-                                New bid received on your task
-                              </p>
-                              <p className="text-xs text-gray-500 mt-1">
-                                2 minutes ago
-                              </p>
-                            </div>
+                            {notifications.map((notification) => (
+                              <button
+                                key={notification._id}
+                                onClick={() =>
+                                  handleNotificationClick(notification)
+                                }
+                                className={`w-full text-left px-4 py-3 hover:bg-gray-50 transition-colors duration-200 ${
+                                  notification.isRead ? "" : "bg-primary-50"
+                                }`}
+                              >
+                                <div className="flex items-start space-x-2">
+                                  {!notification.isRead && (
+                                    <span className="mt-1.5 w-2 h-2 bg-primary-600 rounded-full flex-shrink-0" />
+                                  )}
+                                  <div>
+                                    <p className="text-sm text-gray-900">
+                                      {notification.message}
+                                    </p>
+                                    <p className="text-xs text-gray-500 mt-1">
+                                      {getRelativeTime(notification.createdAt)}
+                                    </p>
+                                  </div>
+                                </div>
+                              </button>
+                            ))}
                           </div>
                         )}
                       </div>
@@ -262,6 +307,14 @@ const Navbar = () => {
                           <span>View Profile</span>
                         </Link>
 
+                        <Link
+                          to="/wallet"
+                          className="flex items-center space-x-2 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors duration-200"
+                        >
+                          <Wallet className="w-4 h-4" />
+                          <span>Wallet</span>
+                        </Link>
+
                         <Link
                           to="/settings"
                           className="flex items-center space-x-2 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors duration-200"
@@ -270,6 +323,16 @@ const Navbar = () => {
                           <span>Settings</span>
                         </Link>
 
+                        {isStaff() && (
+                          <Link
+                            to="/admin"
+                            className="flex items-center space-x-2 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors duration-200"
+                          >
+                            <Shield className="w-4 h-4" />
+                            <span>Moderation</span>
+                          </Link>
+                        )}
+
                         <button
                           onClick={handleLogout}
                           className="flex items-center space-x-2 w-full px-4 py-2 text-sm text-red-600 hover:bg-red-50 transition-colors duration-200"
@@ -406,6 +469,14 @@ const Navbar = () => {
                   <span>Profile</span>
                 </Link>
 
+                <Link
+                  to="/wallet"
+                  className="flex items-center space-x-3 px-3 py-3 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors duration-200"
+                >
+                  <Wallet className="w-5 h-5" />
+                  <span>Wallet</span>
+                </Link>
+
                 <Link
                   to="/settings"
                   className="flex items-center space-x-3 px-3 py-3 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors duration-200"
@@ -414,6 +485,16 @@ const Navbar = () => {
                   <span>Settings</span>
                 </Link>
 
+                {isStaff() && (
+                  <Link
+                    to="/admin"
+                    className="flex items-center space-x-3 px-3 py-3 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors duration-200"
+                  >
+                    <Shield className="w-5 h-5" />
+                    <span>Moderation</span>
+                  </Link>
+                )}
+
                 <button
                   onClick={handleLogout}
                   className="flex items-center space-x-3 w-full px-3 py-3 rounded-lg text-red-600 hover:bg-red-50 transition-colors duration-200"
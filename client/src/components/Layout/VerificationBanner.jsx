@@ -0,0 +1,60 @@
+// client/src/components/Layout/VerificationBanner.jsx
+import React, { useState } from "react";
+import { MailWarning, Send, CheckCircle } from "lucide-react";
+import { useAuth } from "../../hooks/useAuth";
+import authService from "../../services/authService";
+
+const VerificationBanner = () => {
+  const { user, isAuthenticated } = useAuth();
+  const [isSending, setIsSending] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  if (!isAuthenticated || !user || user.isVerified) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setIsSending(true);
+    const result = await authService.resendVerification();
+    setStatus(result);
+    setIsSending(false);
+  };
+
+  return (
+    <div className="bg-amber-50 border-b border-amber-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <div className="flex items-center text-sm text-amber-800">
+          <MailWarning className="w-5 h-5 mr-2 flex-shrink-0" />
+          <span>
+            Verify your email address ({user.email}) to post tasks and place
+            bids.
+          </span>
+        </div>
+
+        {status?.success ? (
+          <span className="flex items-center text-sm text-green-700">
+            <CheckCircle className="w-4 h-4 mr-1" />
+            {status.message}
+          </span>
+        ) : (
+          <div className="flex items-center gap-3">
+            {status && (
+              <span className="text-sm text-red-700">{status.message}</span>
+            )}
+            <button
+              type="button"
+              onClick={handleResend}
+              disabled={isSending}
+              className="inline-flex items-center space-x-1 text-sm font-medium text-amber-900 hover:text-amber-700 disabled:opacity-50 transition-colors duration-200"
+            >
+              <Send className="w-4 h-4" />
+              <span>{isSending ? "Sending..." : "Resend email"}</span>
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerificationBanner;
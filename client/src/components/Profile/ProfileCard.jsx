@@ -20,8 +20,14 @@ import {
   Clock,
   Upload,
   Loader,
+  UserX,
 } from "lucide-react";
 import { useAuth } from "../../context/AuthContext";
+import ReportButton from "../Reports/ReportButton";
+import { RatingBreakdown } from "./RatingStars";
+import userService from "../../services/userService";
+import { usePresence } from "../../hooks/useSocket";
+import { getRelativeTime } from "../../utils/helpers";
 
 const ProfileCard = ({
   user = null,
@@ -49,6 +55,12 @@ const ProfileCard = ({
   const [isUploading, setIsUploading] = useState(false);
   const [uploadError, setUploadError] = useState("");
   const fileInputRef = useRef(null);
+  const [isBlocked, setIsBlocked] = useState(!!profileUser?.isBlockedByMe);
+  const [isBlocking, setIsBlocking] = useState(false);
+
+  // Online dot and last-seen text for other people's profiles
+  const presence = usePresence(isOwnProfile ? [] : [profileUser?._id]);
+  const userPresence = isOwnProfile ? null : presence[profileUser?._id];
 
   if (!profileUser) {
     return (
@@ -69,6 +81,30 @@ const ProfileCard = ({
   const initials = getUserInitials();
   const verified = isVerified();
 
+  // Block or unblock the profile's owner
+  const handleToggleBlock = async () => {
+    if (
+      !isBlocked &&
+      !window.confirm(
+        `Block ${profileUser.firstName}? They won't be able to bid on your tasks or message you, and pending bids between you will be withdrawn.`
+      )
+    ) {
+      return;
+    }
+
+    setIsBlocking(true);
+    const result = isBlocked
+      ? await userService.unblockUser(profileUser._id)
+      : await userService.blockUser(profileUser._id);
+    setIsBlocking(false);
+
+    if (result.success) {
+      setIsBlocked(!isBlocked);
+    } else {
+      setUploadError(result.message);
+    }
+  };
+
   // Handle avatar upload
   const handleAvatarUpload = async (event) => {
     const file = event.target.files[0];
@@ -168,6 +204,12 @@ const ProfileCard = ({
             {verified && (
               <CheckCircle className="absolute -bottom-1 -right-1 w-4 h-4 text-green-500 bg-white rounded-full" />
             )}
+            {userPresence?.isOnline && (
+              <span
+                title="Online"
+                className="absolute top-0 right-0 w-3 h-3 bg-green-500 border-2 border-white rounded-full"
+              />
+            )}
           </div>
 
           {/* User Info */}
@@ -237,6 +279,14 @@ const ProfileCard = ({
               </div>
             )}
 
+            {/* Online Dot */}
+            {userPresence?.isOnline && (
+              <span
+                title="Online"
+                className="absolute top-1 right-1 w-5 h-5 bg-green-500 border-4 border-white rounded-full"
+              />
+            )}
+
             {/* Avatar Upload/Edit (Own Profile) */}
             {isOwnProfile && (
               <div className="absolute -bottom-1 -right-1">
@@ -286,6 +336,28 @@ const ProfileCard = ({
               <span>Edit Profile</span>
             </button>
           )}
+
+          {!isOwnProfile && (
+            <div className="mt-12 flex items-center space-x-1">
+              {currentUser && (
+                <button
+                  onClick={handleToggleBlock}
+                  disabled={isBlocking}
+                  className="px-3 py-2 text-sm text-gray-500 hover:text-red-600 rounded-lg flex items-center space-x-1 transition-colors disabled:opacity-50"
+                >
+                  <UserX className="w-4 h-4" />
+                  <span>{isBlocked ? "Unblock" : "Block"}</span>
+                </button>
+              )}
+              <ReportButton
+                targetType="user"
+                targetId={profileUser._id}
+                ownerId={profileUser._id}
+                showLabel
+                className="px-3 py-2 text-sm text-gray-500 hover:text-red-600 rounded-lg flex items-center space-x-1 transition-colors"
+              />
+            </div>
+          )}
         </div>
 
         {/* Upload Error */}
@@ -313,6 +385,21 @@ const ProfileCard = ({
               </span>
             </div>
 
+            {/* Presence */}
+            {userPresence && (
+              <p
+                className={`text-sm mb-2 ${
+                  userPresence.isOnline ? "text-green-600" : "text-gray-500"
+                }`}
+              >
+                {userPresence.isOnline
+                  ? "Online"
+                  : userPresence.lastSeen
+                  ? `Last seen ${getRelativeTime(userPresence.lastSeen)}`
+                  : "Offline"}
+              </p>
+            )}
+
             {/* Rating */}
             {rating.hasRating && (
               <div className="flex items-center space-x-2">
@@ -333,6 +420,12 @@ const ProfileCard = ({
                 </span>
               </div>
             )}
+            {rating.hasRating && showFullDetails && (
+              <RatingBreakdown
+                breakdown={rating.breakdown}
+                className="mt-3 max-w-sm"
+              />
+            )}
           </div>
 
           {/* Contact Info */}
@@ -1,6 +1,7 @@
 // client/src/components/Profile/RatingStars.jsx
 import React, { useState } from "react";
 import { Star } from "lucide-react";
+import { REVIEW_DIMENSIONS } from "../../constants/reviewDimensions";
 
 const RatingStars = ({
   rating = 0,
@@ -389,4 +390,34 @@ export const RatingSummary = ({
   );
 };
 
+// Per-dimension averages (quality, communication, timeliness)
+export const RatingBreakdown = ({ breakdown = {}, className = "" }) => {
+  if (!REVIEW_DIMENSIONS.some(({ value }) => breakdown[value] > 0)) {
+    return null;
+  }
+
+  return (
+    <div className={`space-y-2 ${className}`}>
+      {REVIEW_DIMENSIONS.map(({ value, label }) => {
+        const score = breakdown[value] || 0;
+
+        return (
+          <div key={value} className="flex items-center space-x-3">
+            <span className="text-sm text-gray-600 w-28">{label}</span>
+            <div className="flex-1 bg-gray-200 rounded-full h-2">
+              <div
+                className="bg-yellow-400 h-2 rounded-full transition-all duration-300"
+                style={{ width: `${(score / 5) * 100}%` }}
+              />
+            </div>
+            <span className="text-sm text-gray-600 w-8 text-right">
+              {score.toFixed(1)}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
 export default RatingStars;
@@ -0,0 +1,94 @@
+// client/src/components/Profile/ReviewList.jsx
+import React from "react";
+import { Link } from "react-router-dom";
+import { MessageCircle, CornerDownRight } from "lucide-react";
+import { CompactStars } from "./RatingStars";
+import { REVIEW_DIMENSIONS } from "../../constants/reviewDimensions";
+import { getRelativeTime } from "../../utils/helpers";
+
+// The reviewer's side of the task
+const ROLE_LABELS = {
+  poster: "Task poster",
+  bidder: "Assignee",
+};
+
+// A single revealed review with its scores and the reviewee's reply
+export const ReviewItem = ({ review, showTask = true }) => (
+  <div className="bg-white border border-gray-200 rounded-lg p-4">
+    <div className="flex items-start justify-between">
+      <div className="min-w-0">
+        <p className="text-sm font-medium text-gray-900">
+          {review.reviewer?.firstName} {review.reviewer?.lastName}
+          <span className="ml-2 text-xs font-normal text-gray-500">
+            {ROLE_LABELS[review.reviewerRole]} ·{" "}
+            {getRelativeTime(review.revealedAt || review.createdAt)}
+          </span>
+        </p>
+        {showTask && review.task && (
+          <Link
+            to={`/tasks/${review.task._id}`}
+            className="text-xs text-primary-600 hover:text-primary-700 truncate"
+          >
+            {review.task.title}
+          </Link>
+        )}
+      </div>
+      <CompactStars rating={review.overall} showValue={true} />
+    </div>
+
+    <div className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-500">
+      {REVIEW_DIMENSIONS.map(({ value, label }) => (
+        <span key={value}>
+          {label}: {review.scores?.[value]}/5
+        </span>
+      ))}
+    </div>
+
+    {review.comment && (
+      <p className="mt-2 text-sm text-gray-700 whitespace-pre-line">
+        {review.comment}
+      </p>
+    )}
+
+    {review.response?.comment && (
+      <div className="mt-3 flex space-x-2 pl-2 border-l-2 border-gray-200">
+        <CornerDownRight className="w-4 h-4 text-gray-400 flex-shrink-0" />
+        <p className="text-sm text-gray-600 whitespace-pre-line">
+          {review.response.comment}
+        </p>
+      </div>
+    )}
+  </div>
+);
+
+const ReviewList = ({ reviews = [], hasMore = false, onLoadMore = null }) => {
+  if (reviews.length === 0) {
+    return (
+      <div className="text-center py-8 text-gray-500">
+        <MessageCircle className="w-8 h-8 mx-auto mb-2 opacity-50" />
+        <p>No reviews yet</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {reviews.map((review) => (
+        <ReviewItem key={review._id} review={review} />
+      ))}
+
+      {hasMore && onLoadMore && (
+        <div className="text-center">
+          <button
+            onClick={onLoadMore}
+            className="text-sm font-medium text-primary-600 hover:text-primary-700"
+          >
+            Load more reviews
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewList;
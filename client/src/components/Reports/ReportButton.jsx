@@ -0,0 +1,56 @@
+// client/src/components/Reports/ReportButton.jsx
+import React, { useState } from "react";
+import { Flag } from "lucide-react";
+import { useAuth } from "../../hooks/useAuth";
+import ReportModal from "./ReportModal";
+
+// Flag button that opens the report dialog. Hidden for guests and for
+// the owner of the content, who can't report themselves.
+const ReportButton = ({
+  targetType,
+  targetId,
+  ownerId,
+  showLabel = false,
+  className = "",
+}) => {
+  const { isAuthenticated, user } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!isAuthenticated || !user || (ownerId && ownerId === user._id)) {
+    return null;
+  }
+
+  const handleOpen = (e) => {
+    // Cards are often wrapped in links
+    e.preventDefault();
+    e.stopPropagation();
+    setIsOpen(true);
+  };
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={handleOpen}
+        title="Report"
+        className={
+          className ||
+          "inline-flex items-center space-x-1 p-1 text-gray-400 hover:text-red-600 rounded-md transition-colors"
+        }
+      >
+        <Flag className="w-4 h-4" />
+        {showLabel && <span>Report</span>}
+      </button>
+
+      {isOpen && (
+        <ReportModal
+          targetType={targetType}
+          targetId={targetId}
+          onClose={() => setIsOpen(false)}
+        />
+      )}
+    </>
+  );
+};
+
+export default ReportButton;
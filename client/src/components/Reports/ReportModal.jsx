@@ -0,0 +1,207 @@
+// client/src/components/Reports/ReportModal.jsx
+import React, { useState } from "react";
+import { Flag, Paperclip, X, CheckCircle } from "lucide-react";
+import reportService from "../../services/reportService";
+import { REPORT_REASONS } from "../../constants/reportReasons";
+
+const MAX_EVIDENCE_FILES = 3;
+
+const TARGET_LABELS = {
+  task: "task",
+  bid: "bid",
+  message: "message",
+  user: "profile",
+};
+
+const ReportModal = ({ targetType, targetId, onClose }) => {
+  const [reason, setReason] = useState("");
+  const [details, setDetails] = useState("");
+  const [evidence, setEvidence] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+
+  const label = TARGET_LABELS[targetType];
+
+  const handleFiles = (e) => {
+    const files = Array.from(e.target.files || []);
+    setEvidence((prev) => [...prev, ...files].slice(0, MAX_EVIDENCE_FILES));
+    e.target.value = "";
+  };
+
+  const removeFile = (index) => {
+    setEvidence((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!reason) {
+      setError("Please choose a reason");
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError("");
+
+    const result = await reportService.createReport({
+      targetType,
+      targetId,
+      reason,
+      details,
+      evidence,
+    });
+
+    setIsSubmitting(false);
+
+    if (result.success) {
+      setConfirmation(result.message);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 px-4"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-md text-left">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <Flag className="w-5 h-5 text-red-600" />
+            <h3 className="text-lg font-semibold text-gray-900">
+              Report {label}
+            </h3>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isSubmitting}
+            className="p-1 text-gray-400 hover:text-gray-600 rounded-lg"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {confirmation ? (
+          <div className="px-6 py-8 text-center space-y-3">
+            <CheckCircle className="w-10 h-10 text-green-600 mx-auto" />
+            <p className="text-sm text-gray-700">{confirmation}</p>
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-lg hover:bg-primary-700"
+            >
+              Done
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="px-6 py-4 space-y-4">
+              <fieldset className="space-y-2">
+                <legend className="text-sm font-medium text-gray-700 mb-1">
+                  What's wrong with this {label}?
+                </legend>
+                {REPORT_REASONS.map((option) => (
+                  <label
+                    key={option.value}
+                    className="flex items-center space-x-2 text-sm text-gray-700"
+                  >
+                    <input
+                      type="radio"
+                      name="report-reason"
+                      value={option.value}
+                      checked={reason === option.value}
+                      onChange={(e) => setReason(e.target.value)}
+                      className="text-primary-600 focus:ring-primary-500"
+                    />
+                    <span>{option.label}</span>
+                  </label>
+                ))}
+              </fieldset>
+
+              <div>
+                <label
+                  htmlFor="report-details"
+                  className="block text-sm font-medium text-gray-700 mb-1"
+                >
+                  Details (optional)
+                </label>
+                <textarea
+                  id="report-details"
+                  value={details}
+                  onChange={(e) => setDetails(e.target.value)}
+                  rows={3}
+                  maxLength={1000}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:outline-none text-sm"
+                  placeholder="Anything that helps moderators understand the problem"
+                />
+              </div>
+
+              <div>
+                <span className="block text-sm font-medium text-gray-700 mb-1">
+                  Evidence (optional, up to {MAX_EVIDENCE_FILES} files)
+                </span>
+                {evidence.length > 0 && (
+                  <ul className="mb-2 space-y-1">
+                    {evidence.map((file, index) => (
+                      <li
+                        key={`${file.name}-${index}`}
+                        className="flex items-center justify-between text-xs text-gray-600 bg-gray-50 rounded-lg px-2 py-1"
+                      >
+                        <span className="truncate">{file.name}</span>
+                        <button
+                          type="button"
+                          onClick={() => removeFile(index)}
+                          className="ml-2 text-gray-400 hover:text-gray-600"
+                        >
+                          <X className="w-3 h-3" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {evidence.length < MAX_EVIDENCE_FILES && (
+                  <label className="inline-flex items-center space-x-1 text-sm text-primary-600 hover:text-primary-700 cursor-pointer">
+                    <Paperclip className="w-4 h-4" />
+                    <span>Attach screenshot or file</span>
+                    <input
+                      type="file"
+                      multiple
+                      accept="image/*,.pdf,.doc,.docx,.txt,.rtf"
+                      onChange={handleFiles}
+                      className="hidden"
+                    />
+                  </label>
+                )}
+              </div>
+
+              {error && <p className="text-sm text-red-600">{error}</p>}
+            </div>
+
+            <div className="px-6 py-4 border-t border-gray-200 bg-gray-50 rounded-b-xl flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={onClose}
+                disabled={isSubmitting}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting || !reason}
+                className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 disabled:opacity-50"
+              >
+                {isSubmitting ? "Sending..." : "Send report"}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReportModal;
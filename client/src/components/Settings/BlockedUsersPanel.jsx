@@ -0,0 +1,131 @@
+// client/src/components/Settings/BlockedUsersPanel.jsx
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { RefreshCw, AlertTriangle, UserX, User } from "lucide-react";
+import userService from "../../services/userService";
+import { getRelativeTime } from "../../utils/helpers";
+
+const BlockedUsersPanel = () => {
+  const [users, setUsers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [pendingId, setPendingId] = useState(null);
+
+  // Load blocked users
+  const loadBlockedUsers = useCallback(async () => {
+    setIsLoading(true);
+    setError("");
+
+    const result = await userService.getBlockedUsers();
+
+    if (result.success) {
+      setUsers(result.users);
+    } else {
+      setError(result.message);
+    }
+    setIsLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadBlockedUsers();
+  }, [loadBlockedUsers]);
+
+  const handleUnblock = async (blockedUser) => {
+    setPendingId(blockedUser._id);
+    const result = await userService.unblockUser(blockedUser._id);
+    setPendingId(null);
+
+    if (!result.success) {
+      setError(result.message);
+      return;
+    }
+
+    setUsers((prev) => prev.filter((item) => item._id !== blockedUser._id));
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Blocked users</h2>
+          <p className="text-sm text-gray-500">
+            Blocked users can't bid on your tasks or message you, and you won't
+            see each other's tasks.
+          </p>
+        </div>
+        <button
+          onClick={loadBlockedUsers}
+          disabled={isLoading}
+          className="p-2 text-gray-500 hover:text-gray-700 rounded-lg hover:bg-gray-50 transition-colors duration-200 disabled:opacity-50"
+          title="Refresh"
+        >
+          <RefreshCw className={`w-4 h-4 ${isLoading ? "animate-spin" : ""}`} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 flex items-center space-x-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="divide-y divide-gray-100">
+        {isLoading && users.length === 0 ? (
+          <div className="px-6 py-8 text-center text-sm text-gray-500">
+            Loading blocked users...
+          </div>
+        ) : users.length === 0 ? (
+          <div className="px-6 py-8 text-center text-sm text-gray-500">
+            You haven't blocked anyone.
+          </div>
+        ) : (
+          users.map((blockedUser) => (
+            <div
+              key={blockedUser._id}
+              className="px-6 py-4 flex items-center justify-between"
+            >
+              <Link
+                to={`/profile/${blockedUser._id}`}
+                className="flex items-center space-x-3 min-w-0"
+              >
+                {blockedUser.avatar ? (
+                  <img
+                    src={blockedUser.avatar}
+                    alt={blockedUser.firstName}
+                    className="w-9 h-9 rounded-full object-cover flex-shrink-0"
+                  />
+                ) : (
+                  <div className="w-9 h-9 rounded-full bg-gray-100 flex items-center justify-center flex-shrink-0">
+                    <User className="w-4 h-4 text-gray-400" />
+                  </div>
+                )}
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    {blockedUser.firstName} {blockedUser.lastName}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-0.5">
+                    Blocked {getRelativeTime(blockedUser.blockedAt)}
+                  </p>
+                </div>
+              </Link>
+
+              <button
+                onClick={() => handleUnblock(blockedUser)}
+                disabled={pendingId !== null}
+                className="ml-4 flex-shrink-0 inline-flex items-center space-x-1 px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200 disabled:opacity-50"
+              >
+                <UserX className="w-4 h-4" />
+                <span>
+                  {pendingId === blockedUser._id ? "Unblocking..." : "Unblock"}
+                </span>
+              </button>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BlockedUsersPanel;
@@ -0,0 +1,193 @@
+// client/src/components/Settings/SessionsPanel.jsx
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  Monitor,
+  Smartphone,
+  LogOut,
+  RefreshCw,
+  AlertTriangle,
+  ShieldCheck,
+} from "lucide-react";
+import authService from "../../services/authService";
+import { getRelativeTime } from "../../utils/helpers";
+
+const MOBILE_PATTERN = /Android|iOS/;
+
+const SessionsPanel = () => {
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [pendingId, setPendingId] = useState(null);
+
+  // Load active sessions
+  const loadSessions = useCallback(async () => {
+    setIsLoading(true);
+    setError("");
+
+    const result = await authService.getSessions();
+
+    if (result.success) {
+      setSessions(result.sessions);
+    } else {
+      setError(result.message);
+    }
+    setIsLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  // Sign out one device
+  const handleRevoke = async (session) => {
+    if (
+      session.isCurrent &&
+      !window.confirm("This will sign you out on this device. Continue?")
+    ) {
+      return;
+    }
+
+    setPendingId(session._id);
+    const result = await authService.revokeSession(session._id);
+    setPendingId(null);
+
+    if (!result.success) {
+      setError(result.message);
+      return;
+    }
+
+    if (result.isCurrent) {
+      navigate("/login");
+      return;
+    }
+
+    setSessions((prev) => prev.filter((item) => item._id !== session._id));
+  };
+
+  // Sign out every device, including this one
+  const handleLogoutEverywhere = async () => {
+    if (
+      !window.confirm(
+        "Log out from all devices? You will need to sign in again everywhere."
+      )
+    ) {
+      return;
+    }
+
+    setPendingId("all");
+    const result = await authService.logoutEverywhere();
+    setPendingId(null);
+
+    if (result.success) {
+      navigate("/login");
+    } else {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">
+            Where you're signed in
+          </h2>
+          <p className="text-sm text-gray-500">
+            Sign out of devices you don't recognise or no longer use.
+          </p>
+        </div>
+        <button
+          onClick={loadSessions}
+          disabled={isLoading}
+          className="p-2 text-gray-500 hover:text-gray-700 rounded-lg hover:bg-gray-50 transition-colors duration-200 disabled:opacity-50"
+          title="Refresh"
+        >
+          <RefreshCw className={`w-4 h-4 ${isLoading ? "animate-spin" : ""}`} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 flex items-center space-x-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="divide-y divide-gray-100">
+        {isLoading && sessions.length === 0 ? (
+          <div className="px-6 py-8 text-center text-sm text-gray-500">
+            Loading sessions...
+          </div>
+        ) : (
+          sessions.map((session) => {
+            const DeviceIcon = MOBILE_PATTERN.test(session.device)
+              ? Smartphone
+              : Monitor;
+
+            return (
+              <div
+                key={session._id}
+                className="px-6 py-4 flex items-center justify-between"
+              >
+                <div className="flex items-start space-x-3 min-w-0">
+                  <DeviceIcon className="w-5 h-5 text-gray-400 mt-0.5 flex-shrink-0" />
+                  <div className="min-w-0">
+                    <div className="flex items-center space-x-2">
+                      <p className="text-sm font-medium text-gray-900">
+                        {session.device}
+                      </p>
+                      {session.isCurrent && (
+                        <span className="inline-flex items-center space-x-1 px-2 py-0.5 text-xs font-medium text-green-700 bg-green-100 rounded-full">
+                          <ShieldCheck className="w-3 h-3" />
+                          <span>This device</span>
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {session.ipAddress || "Unknown IP"} · Last active{" "}
+                      {getRelativeTime(session.lastUsedAt)}
+                    </p>
+                    <p
+                      className="text-xs text-gray-400 mt-1 truncate"
+                      title={session.userAgent}
+                    >
+                      {session.userAgent || "No user agent reported"}
+                    </p>
+                  </div>
+                </div>
+
+                <button
+                  onClick={() => handleRevoke(session)}
+                  disabled={pendingId !== null}
+                  className="ml-4 flex-shrink-0 inline-flex items-center space-x-1 px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors duration-200 disabled:opacity-50"
+                >
+                  <LogOut className="w-4 h-4" />
+                  <span>
+                    {pendingId === session._id ? "Signing out..." : "Sign out"}
+                  </span>
+                </button>
+              </div>
+            );
+          })
+        )}
+      </div>
+
+      <div className="px-6 py-4 border-t border-gray-200 bg-gray-50 rounded-b-xl flex justify-end">
+        <button
+          onClick={handleLogoutEverywhere}
+          disabled={pendingId !== null}
+          className="inline-flex items-center space-x-2 px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-medium hover:bg-red-700 transition-colors duration-200 disabled:opacity-50"
+        >
+          <LogOut className="w-4 h-4" />
+          <span>
+            {pendingId === "all" ? "Logging out..." : "Log out everywhere"}
+          </span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SessionsPanel;
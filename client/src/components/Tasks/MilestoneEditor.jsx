@@ -0,0 +1,95 @@
+// client/src/components/Tasks/MilestoneEditor.jsx
+import React from "react";
+import { Plus, X, Flag } from "lucide-react";
+import { formatCurrency, getMilestoneTotal } from "../../utils/helpers";
+
+const MAX_MILESTONES = 10;
+
+const EMPTY_MILESTONE = { title: "", amount: "", dueDate: "" };
+
+// Editable list of milestones with a running total against a target
+const MilestoneEditor = ({ milestones, onChange, targetLabel, error }) => {
+  const updateMilestone = (index, field, value) => {
+    onChange(
+      milestones.map((milestone, i) =>
+        i === index ? { ...milestone, [field]: value } : milestone
+      )
+    );
+  };
+
+  const total = getMilestoneTotal(milestones);
+
+  return (
+    <div className="space-y-3">
+      {milestones.map((milestone, index) => (
+        <div key={index} className="grid grid-cols-12 gap-2 items-center">
+          <input
+            type="text"
+            value={milestone.title}
+            onChange={(e) => updateMilestone(index, "title", e.target.value)}
+            placeholder={`Milestone ${index + 1}`}
+            maxLength={100}
+            className="col-span-6 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none text-sm"
+          />
+          <input
+            type="number"
+            value={milestone.amount}
+            onChange={(e) => updateMilestone(index, "amount", e.target.value)}
+            placeholder="₹"
+            min="1"
+            className="col-span-2 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none text-sm"
+          />
+          <input
+            type="date"
+            value={milestone.dueDate}
+            onChange={(e) => updateMilestone(index, "dueDate", e.target.value)}
+            className="col-span-3 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none text-sm"
+          />
+          <button
+            type="button"
+            onClick={() => onChange(milestones.filter((_, i) => i !== index))}
+            className="col-span-1 p-2 text-gray-400 hover:text-red-600"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+
+      <div className="flex items-center justify-between">
+        {milestones.length < MAX_MILESTONES ? (
+          <button
+            type="button"
+            onClick={() => onChange([...milestones, { ...EMPTY_MILESTONE }])}
+            className="inline-flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700"
+          >
+            {milestones.length === 0 ? (
+              <Flag className="w-4 h-4" />
+            ) : (
+              <Plus className="w-4 h-4" />
+            )}
+            <span>
+              {milestones.length === 0
+                ? "Split into milestones"
+                : "Add milestone"}
+            </span>
+          </button>
+        ) : (
+          <span />
+        )}
+
+        {milestones.length > 0 && (
+          <p className="text-sm text-gray-600">
+            Total {formatCurrency(total)}
+            {targetLabel && (
+              <span className="text-gray-400"> · {targetLabel}</span>
+            )}
+          </p>
+        )}
+      </div>
+
+      {error && <p className="text-red-600 text-sm">{error}</p>}
+    </div>
+  );
+};
+
+export default MilestoneEditor;
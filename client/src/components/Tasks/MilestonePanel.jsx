@@ -0,0 +1,182 @@
+// client/src/components/Tasks/MilestonePanel.jsx
+import React, { useState } from "react";
+import { Flag, CheckCircle, Send, AlertTriangle } from "lucide-react";
+import taskService from "../../services/taskService";
+import MilestoneProgress from "./MilestoneProgress";
+import { formatCurrency, formatDate } from "../../utils/helpers";
+
+const MILESTONE_STATUS = {
+  pending: { label: "Pending", color: "bg-gray-100 text-gray-700" },
+  submitted: {
+    label: "Awaiting approval",
+    color: "bg-indigo-100 text-indigo-700",
+  },
+  approved: { label: "Approved", color: "bg-blue-100 text-blue-700" },
+  paid: { label: "Paid", color: "bg-green-100 text-green-700" },
+};
+
+// Milestones only move while the assignee is working on the task
+const ACTIVE_STATUSES = ["In-Progress", "Submitted"];
+
+const MilestonePanel = ({ task, isTaskOwner, isAssignee, onTaskChange }) => {
+  const [noteFor, setNoteFor] = useState(null);
+  const [note, setNote] = useState("");
+  const [pendingId, setPendingId] = useState(null);
+  const [error, setError] = useState("");
+
+  if (!task.milestones?.length) {
+    return null;
+  }
+
+  const isActive = ACTIVE_STATUSES.includes(task.status);
+
+  const runAction = async (milestoneId, action) => {
+    setPendingId(milestoneId);
+    setError("");
+
+    const result = await action();
+
+    setPendingId(null);
+    if (result.success) {
+      setNoteFor(null);
+      setNote("");
+      onTaskChange?.();
+    } else {
+      setError(result.message);
+    }
+  };
+
+  const handleSubmit = (milestoneId) =>
+    runAction(milestoneId, () =>
+      taskService.submitMilestone(task._id, milestoneId, note)
+    );
+
+  const handleApprove = (milestoneId) =>
+    runAction(milestoneId, () =>
+      taskService.approveMilestone(task._id, milestoneId)
+    );
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <div className="flex items-center space-x-2">
+          <Flag className="w-5 h-5 text-blue-600" />
+          <h3 className="text-lg font-semibold text-gray-900">Milestones</h3>
+        </div>
+        {task.status === "Open" ? (
+          <p className="text-sm text-gray-500 mt-1">
+            The poster's plan. Bids follow it unless they propose their own.
+          </p>
+        ) : (
+          <MilestoneProgress
+            progress={task.milestoneProgress}
+            className="mt-3"
+          />
+        )}
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 flex items-center space-x-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <ol className="divide-y divide-gray-100">
+        {task.milestones.map((milestone, index) => {
+          const status = MILESTONE_STATUS[milestone.status];
+          const isPending = pendingId === milestone._id;
+          const canSubmit =
+            isAssignee &&
+            task.status === "In-Progress" &&
+            milestone.status === "pending";
+          const canApprove =
+            isTaskOwner && isActive && milestone.status === "submitted";
+
+          return (
+            <li key={milestone._id || index} className="px-6 py-4">
+              <div className="flex items-start justify-between">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900">
+                    {index + 1}. {milestone.title}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {formatCurrency(milestone.amount)} · due{" "}
+                    {formatDate(milestone.dueDate)}
+                  </p>
+                  {milestone.note && (
+                    <p className="text-sm text-gray-600 mt-2 whitespace-pre-line">
+                      {milestone.note}
+                    </p>
+                  )}
+                </div>
+
+                <div className="ml-4 flex flex-col items-end space-y-2 flex-shrink-0">
+                  {task.status !== "Open" && (
+                    <span
+                      className={`px-2 py-0.5 text-xs font-medium rounded-full ${status.color}`}
+                    >
+                      {status.label}
+                    </span>
+                  )}
+
+                  {canSubmit && noteFor !== milestone._id && (
+                    <button
+                      onClick={() => setNoteFor(milestone._id)}
+                      className="inline-flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700"
+                    >
+                      <Send className="w-4 h-4" />
+                      <span>Mark delivered</span>
+                    </button>
+                  )}
+
+                  {canApprove && (
+                    <button
+                      onClick={() => handleApprove(milestone._id)}
+                      disabled={isPending}
+                      className="inline-flex items-center space-x-1 px-3 py-1.5 text-sm font-medium text-white bg-green-600 rounded-lg hover:bg-green-700 disabled:opacity-50"
+                    >
+                      <CheckCircle className="w-4 h-4" />
+                      <span>{isPending ? "Paying..." : "Approve & pay"}</span>
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {canSubmit && noteFor === milestone._id && (
+                <div className="mt-3 space-y-2">
+                  <textarea
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    rows={2}
+                    maxLength={500}
+                    placeholder="What did you deliver for this milestone? (optional)"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none text-sm"
+                  />
+                  <div className="flex justify-end space-x-2">
+                    <button
+                      onClick={() => setNoteFor(null)}
+                      disabled={isPending}
+                      className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      onClick={() => handleSubmit(milestone._id)}
+                      disabled={isPending}
+                      className="px-3 py-1.5 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {isPending ? "Submitting..." : "Submit for approval"}
+                    </button>
+                  </div>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default MilestonePanel;
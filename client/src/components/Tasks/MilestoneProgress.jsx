@@ -0,0 +1,34 @@
+// client/src/components/Tasks/MilestoneProgress.jsx
+import React from "react";
+import { formatCurrency } from "../../utils/helpers";
+
+// Progress bar for a task's milestones, driven by the server's summary
+const MilestoneProgress = ({ progress, className = "" }) => {
+  if (!progress) {
+    return null;
+  }
+
+  return (
+    <div className={className}>
+      <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
+        <span>
+          {progress.paid} of {progress.total} milestones paid
+          {progress.submitted > 0 &&
+            ` · ${progress.submitted} awaiting approval`}
+        </span>
+        <span>
+          {formatCurrency(progress.paidAmount)} /{" "}
+          {formatCurrency(progress.totalAmount)}
+        </span>
+      </div>
+      <div className="w-full h-2 bg-gray-100 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-green-500 rounded-full transition-all duration-300"
+          style={{ width: `${progress.percent}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default MilestoneProgress;
@@ -0,0 +1,288 @@
+// client/src/components/Tasks/ReviewPanel.jsx
+import React, { useState, useEffect, useCallback } from "react";
+import { Star, EyeOff, Edit } from "lucide-react";
+import reviewService from "../../services/reviewService";
+import { InteractiveStars } from "../Profile/RatingStars";
+import { ReviewItem } from "../Profile/ReviewList";
+import { REVIEW_DIMENSIONS } from "../../constants/reviewDimensions";
+import { formatDate } from "../../utils/helpers";
+
+const EMPTY_SCORES = { quality: 0, communication: 0, timeliness: 0 };
+
+// Three dimension scores and a comment, used to write and edit a review
+const ReviewForm = ({ initialReview, submitLabel, onSubmit, onCancel }) => {
+  const [scores, setScores] = useState(
+    initialReview ? { ...initialReview.scores } : EMPTY_SCORES
+  );
+  const [comment, setComment] = useState(initialReview?.comment || "");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const isComplete = REVIEW_DIMENSIONS.every(({ value }) => scores[value] > 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError("");
+
+    const result = await onSubmit({ scores, comment });
+
+    setIsSubmitting(false);
+    if (!result.success) {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {REVIEW_DIMENSIONS.map(({ value, label, hint }) => (
+        <div key={value} className="flex items-center justify-between">
+          <div>
+            <p className="text-sm font-medium text-gray-900">{label}</p>
+            <p className="text-xs text-gray-500">{hint}</p>
+          </div>
+          <InteractiveStars
+            rating={scores[value]}
+            showValue={false}
+            onChange={(score) =>
+              setScores((prev) => ({ ...prev, [value]: score }))
+            }
+          />
+        </div>
+      ))}
+
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        rows={3}
+        maxLength={1000}
+        placeholder="Anything others should know? (optional)"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:outline-none text-sm"
+      />
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex justify-end space-x-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={isSubmitting}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={isSubmitting || !isComplete}
+          className="px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-lg hover:bg-primary-700 disabled:opacity-50"
+        >
+          {isSubmitting ? "Saving..." : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// One-off public reply to a revealed review
+const ResponseForm = ({ onSubmit }) => {
+  const [comment, setComment] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError("");
+
+    const result = await onSubmit(comment);
+
+    setIsSubmitting(false);
+    if (!result.success) {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 space-y-2">
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        rows={2}
+        maxLength={500}
+        placeholder="Reply publicly to this review (you can only reply once)"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:outline-none text-sm"
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          disabled={isSubmitting || !comment.trim()}
+          className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+        >
+          {isSubmitting ? "Sending..." : "Reply"}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const ReviewPanel = ({ task, isTaskOwner }) => {
+  const [reviews, setReviews] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [error, setError] = useState("");
+
+  const otherParty = isTaskOwner ? task.assignedTo : task.poster;
+
+  const loadReviews = useCallback(async () => {
+    const result = await reviewService.getTaskReviews(task._id);
+
+    if (result.success) {
+      setReviews(result);
+    } else {
+      setError(result.message);
+    }
+  }, [task._id]);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  const handleCreate = async (review) => {
+    const result = await reviewService.createReview(task._id, review);
+    if (result.success) {
+      loadReviews();
+    }
+    return result;
+  };
+
+  const handleUpdate = async (review) => {
+    const result = await reviewService.updateReview(reviews.mine._id, review);
+    if (result.success) {
+      setIsEditing(false);
+      loadReviews();
+    }
+    return result;
+  };
+
+  const handleRespond = async (comment) => {
+    const result = await reviewService.respondToReview(
+      reviews.theirs._id,
+      comment
+    );
+    if (result.success) {
+      loadReviews();
+    }
+    return result;
+  };
+
+  if (!reviews) {
+    return error ? (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 text-sm text-red-600">
+        {error}
+      </div>
+    ) : null;
+  }
+
+  const { mine, theirs, theirsSubmitted, canReview, reviewDeadline } = reviews;
+
+  // Window closed without either side reviewing
+  if (!mine && !theirs && !canReview) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Star className="w-5 h-5 text-yellow-500" />
+          <h3 className="text-lg font-semibold text-gray-900">Reviews</h3>
+        </div>
+        {reviewDeadline && (canReview || (mine && !mine.isRevealed)) && (
+          <p className="text-xs text-gray-500">
+            Reviews are shown on {formatDate(reviewDeadline)} at the latest
+          </p>
+        )}
+      </div>
+
+      <div className="p-6 space-y-6">
+        {/* Your review of the other party */}
+        {!mine && canReview && (
+          <div>
+            <p className="text-sm text-gray-600 mb-4">
+              How was working with {otherParty?.firstName}? Your review stays
+              hidden until they review you too, so neither of you sees the
+              other's first.
+            </p>
+            <ReviewForm submitLabel="Submit review" onSubmit={handleCreate} />
+          </div>
+        )}
+
+        {mine && !mine.isRevealed && (
+          <div>
+            <div className="flex items-center justify-between mb-3">
+              <div className="flex items-center space-x-2 text-sm text-gray-600">
+                <EyeOff className="w-4 h-4" />
+                <span>
+                  Your review is hidden until {otherParty?.firstName} reviews
+                  you or the window closes.
+                </span>
+              </div>
+              {!isEditing && (
+                <button
+                  onClick={() => setIsEditing(true)}
+                  className="inline-flex items-center space-x-1 text-sm text-primary-600 hover:text-primary-700"
+                >
+                  <Edit className="w-4 h-4" />
+                  <span>Edit</span>
+                </button>
+              )}
+            </div>
+            {isEditing ? (
+              <ReviewForm
+                initialReview={mine}
+                submitLabel="Save changes"
+                onSubmit={handleUpdate}
+                onCancel={() => setIsEditing(false)}
+              />
+            ) : (
+              <ReviewItem review={mine} showTask={false} />
+            )}
+          </div>
+        )}
+
+        {mine && mine.isRevealed && (
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">
+              Your review
+            </p>
+            <ReviewItem review={mine} showTask={false} />
+          </div>
+        )}
+
+        {/* Their review of you */}
+        {theirs ? (
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">
+              {otherParty?.firstName}'s review of you
+            </p>
+            <ReviewItem review={theirs} showTask={false} />
+            {!theirs.response?.respondedAt && (
+              <ResponseForm onSubmit={handleRespond} />
+            )}
+          </div>
+        ) : (
+          theirsSubmitted && (
+            <p className="text-sm text-gray-600">
+              {otherParty?.firstName} has reviewed you. Leave your review to
+              see it.
+            </p>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewPanel;
@@ -0,0 +1,495 @@
+// client/src/components/Tasks/SubmissionPanel.jsx
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Package,
+  Paperclip,
+  X,
+  Play,
+  CheckCircle,
+  Circle,
+  RotateCcw,
+  AlertTriangle,
+} from "lucide-react";
+import taskService from "../../services/taskService";
+import { getRelativeTime } from "../../utils/helpers";
+
+const MAX_FILES = 5;
+
+const SUBMISSION_STATUS = {
+  pending: { label: "Awaiting review", color: "bg-indigo-100 text-indigo-700" },
+  approved: { label: "Approved", color: "bg-green-100 text-green-700" },
+  revision_requested: {
+    label: "Changes requested",
+    color: "bg-yellow-100 text-yellow-700",
+  },
+};
+
+// Assignee's hand-in form: notes, deliverable checklist and files
+const SubmitForm = ({ deliverables, isRevision, onSubmit }) => {
+  const [notes, setNotes] = useState("");
+  const [checked, setChecked] = useState([]);
+  const [files, setFiles] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const toggleDeliverable = (deliverable) => {
+    setChecked((prev) =>
+      prev.includes(deliverable)
+        ? prev.filter((item) => item !== deliverable)
+        : [...prev, deliverable]
+    );
+  };
+
+  const handleFiles = (e) => {
+    const selected = Array.from(e.target.files || []);
+    setFiles((prev) => [...prev, ...selected].slice(0, MAX_FILES));
+    e.target.value = "";
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError("");
+
+    const result = await onSubmit({ notes, checklist: checked, files });
+
+    setIsSubmitting(false);
+    if (!result.success) {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <p className="text-sm text-gray-600">
+        {isRevision
+          ? "Address the poster's comments and hand in the updated work."
+          : "Hand in your work. The poster will approve it or ask for changes."}
+      </p>
+
+      {deliverables.length > 0 && (
+        <div className="space-y-1">
+          <p className="text-sm font-medium text-gray-700">
+            Deliverables from your bid
+          </p>
+          {deliverables.map((deliverable) => (
+            <label
+              key={deliverable}
+              className="flex items-center space-x-2 text-sm text-gray-700"
+            >
+              <input
+                type="checkbox"
+                checked={checked.includes(deliverable)}
+                onChange={() => toggleDeliverable(deliverable)}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span>{deliverable}</span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      <textarea
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        rows={3}
+        maxLength={2000}
+        placeholder="Describe what you're delivering and anything the poster should know."
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:outline-none text-sm"
+      />
+
+      {files.length > 0 && (
+        <ul className="space-y-1">
+          {files.map((file, index) => (
+            <li
+              key={`${file.name}-${index}`}
+              className="flex items-center justify-between text-xs text-gray-600 bg-gray-50 rounded-lg px-2 py-1"
+            >
+              <span className="truncate">{file.name}</span>
+              <button
+                type="button"
+                onClick={() =>
+                  setFiles((prev) => prev.filter((_, i) => i !== index))
+                }
+                className="ml-2 text-gray-400 hover:text-gray-600"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex items-center justify-between">
+        {files.length < MAX_FILES ? (
+          <label className="inline-flex items-center space-x-1 text-sm text-primary-600 hover:text-primary-700 cursor-pointer">
+            <Paperclip className="w-4 h-4" />
+            <span>Attach files</span>
+            <input
+              type="file"
+              multiple
+              accept="image/*,.pdf,.doc,.docx,.txt,.rtf"
+              onChange={handleFiles}
+              className="hidden"
+            />
+          </label>
+        ) : (
+          <span />
+        )}
+
+        <button
+          type="submit"
+          disabled={isSubmitting || notes.trim().length < 10}
+          className="px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-lg hover:bg-primary-700 disabled:opacity-50"
+        >
+          {isSubmitting ? "Submitting..." : "Submit work"}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Poster's choice on submitted work: approve it, or send it back
+const ReviewActions = ({
+  canRequestRevision,
+  maxRevisions,
+  onApprove,
+  onRevise,
+}) => {
+  const [mode, setMode] = useState(null);
+  const [text, setText] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError("");
+
+    const result =
+      mode === "approve"
+        ? await onApprove()
+        : await onRevise(text);
+
+    setIsSubmitting(false);
+    if (result.success) {
+      setMode(null);
+      setText("");
+    } else {
+      setError(result.message);
+    }
+  };
+
+  if (!mode) {
+    return (
+      <div className="space-y-2">
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => setMode("approve")}
+            className="inline-flex items-center space-x-2 px-4 py-2 text-sm font-medium text-white bg-green-600 rounded-lg hover:bg-green-700 transition-colors duration-200"
+          >
+            <CheckCircle className="w-4 h-4" />
+            <span>Approve and complete</span>
+          </button>
+          <button
+            onClick={() => setMode("revise")}
+            disabled={!canRequestRevision}
+            className="inline-flex items-center space-x-2 px-4 py-2 text-sm font-medium text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200 disabled:opacity-50"
+          >
+            <RotateCcw className="w-4 h-4" />
+            <span>Request changes</span>
+          </button>
+        </div>
+        {!canRequestRevision && (
+          <p className="text-xs text-gray-500">
+            All {maxRevisions} revision rounds have been used. Approve the work
+            or open a dispute below.
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  const isApproving = mode === "approve";
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      {isApproving ? (
+        <p className="text-sm text-gray-600">
+          Approving completes the task and releases the escrowed payment to
+          the assignee. You can both review each other afterwards.
+        </p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600">
+            Tell the assignee what needs to change. The task goes back to in
+            progress until they resubmit.
+          </p>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={3}
+            maxLength={1000}
+            placeholder="What should be changed?"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:outline-none text-sm"
+          />
+        </>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={() => setMode(null)}
+          disabled={isSubmitting}
+          className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isSubmitting || (!isApproving && text.trim().length < 10)}
+          className={`px-4 py-2 text-sm font-medium text-white rounded-lg disabled:opacity-50 ${
+            isApproving
+              ? "bg-green-600 hover:bg-green-700"
+              : "bg-primary-600 hover:bg-primary-700"
+          }`}
+        >
+          {isSubmitting
+            ? "Saving..."
+            : isApproving
+            ? "Approve"
+            : "Send back for changes"}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const SubmissionPanel = ({ task, isTaskOwner, isAssignee, onTaskChange }) => {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState("");
+  const [isStarting, setIsStarting] = useState(false);
+
+  const loadSubmissions = useCallback(async () => {
+    const result = await taskService.getSubmissions(task._id);
+
+    if (result.success) {
+      setHistory(result);
+    } else {
+      setError(result.message);
+    }
+  }, [task._id]);
+
+  useEffect(() => {
+    loadSubmissions();
+  }, [loadSubmissions, task.status]);
+
+  const handleStart = async () => {
+    setIsStarting(true);
+    setError("");
+
+    const result = await taskService.startTask(task._id);
+
+    setIsStarting(false);
+    if (result.success) {
+      onTaskChange?.();
+    } else {
+      setError(result.message);
+    }
+  };
+
+  const handleSubmitWork = async (submission) => {
+    const result = await taskService.submitWork(task._id, submission);
+    if (result.success) {
+      onTaskChange?.();
+    }
+    return result;
+  };
+
+  const handleApprove = async () => {
+    const result = await taskService.completeTask(task._id);
+    if (result.success) {
+      onTaskChange?.();
+    }
+    return result;
+  };
+
+  const handleRevise = async (comments) => {
+    const result = await taskService.requestRevision(task._id, comments);
+    if (result.success) {
+      onTaskChange?.();
+    }
+    return result;
+  };
+
+  if (!history) {
+    return null;
+  }
+
+  const { submissions, deliverables, revisionsUsed, maxRevisions } = history;
+  const hasActions = ["Assigned", "In-Progress", "Submitted"].includes(
+    task.status
+  );
+
+  if (!hasActions && submissions.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Package className="w-5 h-5 text-indigo-600" />
+          <h3 className="text-lg font-semibold text-gray-900">Deliverables</h3>
+        </div>
+        {submissions.length > 0 && (
+          <p className="text-sm text-gray-500">
+            {revisionsUsed} of {maxRevisions} revisions used
+          </p>
+        )}
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 flex items-center space-x-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {/* Next step for whoever holds the task */}
+      {isAssignee && task.status === "Assigned" && (
+        <div className="px-6 py-4 flex items-center justify-between">
+          <p className="text-sm text-gray-600">
+            Let the poster know you've started working on this task.
+          </p>
+          <button
+            onClick={handleStart}
+            disabled={isStarting}
+            className="ml-4 flex-shrink-0 inline-flex items-center space-x-2 px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-lg hover:bg-primary-700 disabled:opacity-50"
+          >
+            <Play className="w-4 h-4" />
+            <span>{isStarting ? "Starting..." : "Start work"}</span>
+          </button>
+        </div>
+      )}
+
+      {isAssignee && task.status === "In-Progress" && (
+        <div className="px-6 py-4">
+          <SubmitForm
+            deliverables={deliverables}
+            isRevision={submissions.length > 0}
+            onSubmit={handleSubmitWork}
+          />
+        </div>
+      )}
+
+      {isAssignee && task.status === "Submitted" && (
+        <p className="px-6 py-4 text-sm text-gray-600">
+          Your work is with the poster for review.
+        </p>
+      )}
+
+      {isTaskOwner && task.status === "Submitted" && (
+        <div className="px-6 py-4">
+          <ReviewActions
+            canRequestRevision={revisionsUsed < maxRevisions}
+            maxRevisions={maxRevisions}
+            onApprove={handleApprove}
+            onRevise={handleRevise}
+          />
+        </div>
+      )}
+
+      {isTaskOwner && ["Assigned", "In-Progress"].includes(task.status) && (
+        <p className="px-6 py-4 text-sm text-gray-600">
+          {submissions.length > 0
+            ? "The assignee is working on the changes you asked for."
+            : "The assignee hasn't submitted any work yet."}
+        </p>
+      )}
+
+      {/* Submission history, newest first */}
+      {submissions.length > 0 && (
+        <ol className="px-6 py-4 space-y-4 border-t border-gray-200">
+          {[...submissions].reverse().map((submission) => {
+            const status = SUBMISSION_STATUS[submission.status];
+
+            return (
+              <li key={submission._id} className="space-y-2">
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm font-medium text-gray-900">
+                    Round {submission.round}
+                  </span>
+                  <span
+                    className={`px-2 py-0.5 text-xs rounded-full ${status.color}`}
+                  >
+                    {status.label}
+                  </span>
+                  <span className="text-xs text-gray-400">
+                    {getRelativeTime(submission.createdAt)}
+                  </span>
+                </div>
+
+                <p className="text-sm text-gray-700 whitespace-pre-line">
+                  {submission.notes}
+                </p>
+
+                {submission.checklist.length > 0 && (
+                  <ul className="space-y-1">
+                    {submission.checklist.map((item) => (
+                      <li
+                        key={item.deliverable}
+                        className="flex items-center space-x-2 text-sm"
+                      >
+                        {item.done ? (
+                          <CheckCircle className="w-4 h-4 text-green-500" />
+                        ) : (
+                          <Circle className="w-4 h-4 text-gray-300" />
+                        )}
+                        <span
+                          className={
+                            item.done ? "text-gray-700" : "text-gray-400"
+                          }
+                        >
+                          {item.deliverable}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {submission.files.map((file) => (
+                  <a
+                    key={file.filename}
+                    href={file.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="flex items-center space-x-1 text-xs text-primary-600 hover:text-primary-700"
+                  >
+                    <Paperclip className="w-3 h-3" />
+                    <span className="truncate">{file.originalName}</span>
+                  </a>
+                ))}
+
+                {submission.review?.comments && (
+                  <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                    <p className="font-medium">Poster's comments</p>
+                    <p className="mt-1 whitespace-pre-line">
+                      {submission.review.comments}
+                    </p>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default SubmissionPanel;
@@ -13,7 +13,10 @@ import {
   Badge,
   ArrowRight,
   Timer,
+  GraduationCap,
 } from "lucide-react";
+import ReportButton from "../Reports/ReportButton";
+import MilestoneProgress from "./MilestoneProgress";
 
 const TaskCard = ({ task, showBidButton = true, className = "" }) => {
   // Calculate time remaining
@@ -52,6 +55,10 @@ const TaskCard = ({ task, showBidButton = true, className = "" }) => {
         return "bg-blue-100 text-blue-800 border-blue-200";
       case "In-Progress":
         return "bg-yellow-100 text-yellow-800 border-yellow-200";
+      case "Submitted":
+        return "bg-indigo-100 text-indigo-800 border-indigo-200";
+      case "Disputed":
+        return "bg-red-100 text-red-800 border-red-200";
       case "Completed":
         return "bg-purple-100 text-purple-800 border-purple-200";
       case "Closed":
@@ -108,14 +115,30 @@ const TaskCard = ({ task, showBidButton = true, className = "" }) => {
                 Urgent
               </span>
             )}
+            {task.visibility === "campus" && (
+              <span
+                className="flex items-center px-2 py-1 text-xs font-medium text-orange-700 bg-orange-50 border border-orange-200 rounded-md"
+                title={task.campus?.name}
+              >
+                <GraduationCap className="w-3 h-3 mr-1" />
+                Campus only
+              </span>
+            )}
+          </div>
+          <div className="flex items-center space-x-1">
+            <span
+              className={`px-2 py-1 text-xs font-medium rounded-md border ${getStatusColor(
+                task.status
+              )}`}
+            >
+              {task.status}
+            </span>
+            <ReportButton
+              targetType="task"
+              targetId={task._id}
+              ownerId={task.poster?._id || task.poster}
+            />
           </div>
-          <span
-            className={`px-2 py-1 text-xs font-medium rounded-md border ${getStatusColor(
-              task.status
-            )}`}
-          >
-            {task.status}
-          </span>
         </div>
 
         <h3 className="text-lg font-semibold text-gray-900 mb-2 line-clamp-2 hover:text-blue-600 transition-colors">
@@ -150,6 +173,19 @@ const TaskCard = ({ task, showBidButton = true, className = "" }) => {
           )}
         </div>
 
+        {/* Milestones */}
+        {task.milestoneProgress &&
+          (task.status === "Open" ? (
+            <p className="text-xs text-gray-500 mb-4">
+              Paid in {task.milestoneProgress.total} milestones
+            </p>
+          ) : (
+            <MilestoneProgress
+              progress={task.milestoneProgress}
+              className="mb-4"
+            />
+          ))}
+
         {/* Tags */}
         {task.tags && task.tags.length > 0 && (
           <div className="flex flex-wrap gap-2 mb-4">
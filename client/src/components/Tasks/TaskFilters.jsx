@@ -1,5 +1,5 @@
 // client/src/components/Tasks/TaskFilters.jsx
-import React from "react";
+import React, { useState, useEffect } from "react";
 import {
   Tag,
   IndianRupee,
@@ -9,6 +9,8 @@ import {
   GraduationCap,
   Clock,
 } from "lucide-react";
+import { useAuth } from "../../hooks/useAuth";
+import campusService from "../../services/campusService";
 
 const TaskFilters = ({
   filters,
@@ -16,6 +18,30 @@ const TaskFilters = ({
   onClearAll,
   showUserFilters = false,
 }) => {
+  const { user } = useAuth();
+  const [campuses, setCampuses] = useState([]);
+
+  // Load campuses for the campus switcher
+  useEffect(() => {
+    campusService.getCampuses().then((result) => {
+      setCampuses(result.campuses);
+    });
+  }, []);
+
+  // "My campus" needs a campus proven by a verified college email
+  const hasVerifiedCampus = !!(user && user.isVerified && user.campus);
+
+  const campusOptions = [
+    { value: "all", label: "All Campuses" },
+    ...(hasVerifiedCampus ? [{ value: "mine", label: "My Campus" }] : []),
+    ...campuses
+      .filter((campus) => !hasVerifiedCampus || campus._id !== user.campus)
+      .map((campus) => ({ value: campus._id, label: campus.name })),
+  ];
+
+  const getCampusLabel = (value) =>
+    campusOptions.find((option) => option.value === value)?.label || "Campus";
+
   // Categories
   const categories = [
     { value: "", label: "All Categories" },
@@ -32,6 +58,8 @@ const TaskFilters = ({
     { value: "Open", label: "Open" },
     { value: "Assigned", label: "Assigned" },
     { value: "In-Progress", label: "In Progress" },
+    { value: "Submitted", label: "Submitted" },
+    { value: "Disputed", label: "Disputed" },
     { value: "Completed", label: "Completed" },
     { value: "Closed", label: "Closed" },
   ];
@@ -81,7 +109,7 @@ const TaskFilters = ({
       filters.deadline ||
       filters.location ||
       (filters.status && filters.status !== "Open") ||
-      filters.sameCollege
+      (filters.campus && filters.campus !== "all")
     );
   };
 
@@ -101,7 +129,26 @@ const TaskFilters = ({
         )}
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        {/* Campus Switcher */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            <GraduationCap className="w-4 h-4 inline mr-1" />
+            Campus
+          </label>
+          <select
+            value={filters.campus || "all"}
+            onChange={(e) => handleFilterChange("campus", e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+          >
+            {campusOptions.map((campus) => (
+              <option key={campus.value} value={campus.value}>
+                {campus.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
         {/* Category Filter */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -248,29 +295,18 @@ const TaskFilters = ({
       </div>
 
       {/* User-specific Filters */}
-      {showUserFilters && (
+      {showUserFilters && !hasVerifiedCampus && (
         <div className="border-t border-gray-200 pt-6">
-          <h4 className="text-sm font-medium text-gray-700 mb-4">
+          <h4 className="text-sm font-medium text-gray-700 mb-2">
             Personal Preferences
           </h4>
-
-          <div className="space-y-3">
-            {/* Same College Filter */}
-            <label className="flex items-center space-x-3 cursor-pointer">
-              <input
-                type="checkbox"
-                checked={filters.sameCollege}
-                onChange={(e) =>
-                  handleFilterChange("sameCollege", e.target.checked)
-                }
-                className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
-              />
-              <div className="flex items-center space-x-2">
-                <GraduationCap className="w-4 h-4 text-gray-500" />
-                <span className="text-sm text-gray-700">Same college only</span>
-              </div>
-            </label>
-          </div>
+          <p className="flex items-center space-x-2 text-sm text-gray-500">
+            <GraduationCap className="w-4 h-4" />
+            <span>
+              Verify your college email to see campus-only tasks from your
+              institution.
+            </span>
+          </p>
         </div>
       )}
 
@@ -348,11 +384,11 @@ const TaskFilters = ({
               </span>
             )}
 
-            {filters.sameCollege && (
+            {filters.campus && filters.campus !== "all" && (
               <span className="inline-flex items-center px-2 py-1 bg-orange-100 text-orange-800 text-xs rounded-md">
-                Same College
+                {getCampusLabel(filters.campus)}
                 <button
-                  onClick={() => handleFilterChange("sameCollege", false)}
+                  onClick={() => handleFilterChange("campus", "all")}
                   className="ml-1 text-orange-600 hover:text-orange-800"
                 >
                   <X className="w-3 h-3" />
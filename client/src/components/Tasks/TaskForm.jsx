@@ -14,9 +14,23 @@ import {
   Image as ImageIcon,
   Paperclip,
   Clock,
+  Globe,
+  GraduationCap,
+  Gavel,
+  Zap,
 } from "lucide-react";
 import { useAuth } from "../../hooks/useAuth";
 import taskService from "../../services/taskService";
+import MilestoneEditor from "./MilestoneEditor";
+import {
+  getMilestoneTotal,
+  toEditableMilestones,
+  toMilestonePayload,
+} from "../../utils/helpers";
+import {
+  AUCTION_TYPES,
+  AUCTION_TYPE_OPTIONS,
+} from "../../constants/statusTypes";
 
 const TaskForm = ({ task = null, isEdit = false }) => {
   const { user } = useAuth();
@@ -32,6 +46,11 @@ const TaskForm = ({ task = null, isEdit = false }) => {
     location: "",
     priority: "Medium",
     tags: "",
+    visibility: "public",
+    auctionType: AUCTION_TYPES.OPEN,
+    auctionEndsAt: "",
+    reservePrice: "",
+    instantPrice: "",
   });
 
   const [files, setFiles] = useState({
@@ -39,6 +58,7 @@ const TaskForm = ({ task = null, isEdit = false }) => {
     documents: [],
   });
 
+  const [milestones, setMilestones] = useState([]);
   const [previewImages, setPreviewImages] = useState([]);
   const [attachments, setAttachments] = useState([]);
   const [errors, setErrors] = useState({});
@@ -54,6 +74,23 @@ const TaskForm = ({ task = null, isEdit = false }) => {
     { value: "Other", label: "Other", icon: "📝" },
   ];
 
+  const visibilityOptions = [
+    {
+      value: "public",
+      label: "Everyone",
+      description: "Students from any campus can view and bid",
+      icon: Globe,
+    },
+    {
+      value: "campus",
+      label: "My campus only",
+      description: "Only verified students from your college",
+      icon: GraduationCap,
+    },
+  ];
+
+  const canPostCampusOnly = !!(user && user.isVerified && user.campus);
+
   const priorities = [
     { value: "Low", label: "Low", color: "text-blue-600" },
     { value: "Medium", label: "Medium", color: "text-green-600" },
@@ -78,8 +115,17 @@ const TaskForm = ({ task = null, isEdit = false }) => {
         location: task.location || "",
         priority: task.priority || "Medium",
         tags: task.tags ? task.tags.join(", ") : "",
+        visibility: task.visibility || "public",
+        auctionType: task.auctionType || AUCTION_TYPES.OPEN,
+        auctionEndsAt: task.auctionEndsAt
+          ? new Date(task.auctionEndsAt).toISOString().slice(0, 16)
+          : "",
+        reservePrice: task.reservePrice?.toString() || "",
+        instantPrice: task.instantPrice?.toString() || "",
       });
 
+      setMilestones(toEditableMilestones(task.milestones));
+
       if (task.images) {
         setPreviewImages(
           task.images.map((img) => ({ ...img, isExisting: true }))
@@ -276,12 +322,65 @@ const TaskForm = ({ task = null, isEdit = false }) => {
         "Maximum budget must be greater than minimum budget";
     }
 
+    // Milestones are optional, but must be complete and fit the budget
+    if (milestones.length > 0) {
+      const total = getMilestoneTotal(milestones);
+      if (
+        milestones.some(
+          (milestone) =>
+            milestone.title.trim().length < 3 ||
+            !(parseFloat(milestone.amount) >= 1) ||
+            !milestone.dueDate
+        )
+      ) {
+        newErrors.milestones =
+          "Each milestone needs a title, an amount and a due date";
+      } else if (
+        total < parseInt(formData.budget.min) ||
+        total > parseInt(formData.budget.max)
+      ) {
+        newErrors.milestones =
+          "Milestone amounts must add up to a value within your budget range";
+      }
+    }
+
     if (!formData.deadline) {
       newErrors.deadline = "Deadline is required";
     } else if (new Date(formData.deadline) <= new Date()) {
       newErrors.deadline = "Deadline must be in the future";
     }
 
+    // Sealed and reverse auctions close before the task is due
+    if (formData.auctionType !== AUCTION_TYPES.OPEN) {
+      if (!formData.auctionEndsAt) {
+        newErrors.auctionEndsAt = "Choose when bidding closes";
+      } else if (new Date(formData.auctionEndsAt) <= new Date()) {
+        newErrors.auctionEndsAt = "Bidding must close in the future";
+      } else if (
+        formData.deadline &&
+        new Date(formData.auctionEndsAt) > new Date(formData.deadline)
+      ) {
+        newErrors.auctionEndsAt = "Bidding must close before the deadline";
+      }
+    }
+
+    if (
+      formData.auctionType === AUCTION_TYPES.REVERSE &&
+      formData.reservePrice &&
+      (parseFloat(formData.reservePrice) < parseFloat(formData.budget.min) ||
+        parseFloat(formData.reservePrice) > parseFloat(formData.budget.max))
+    ) {
+      newErrors.reservePrice = "Reserve price must be within your budget";
+    }
+
+    if (
+      formData.instantPrice &&
+      (parseFloat(formData.instantPrice) < parseFloat(formData.budget.min) ||
+        parseFloat(formData.instantPrice) > parseFloat(formData.budget.max))
+    ) {
+      newErrors.instantPrice = "Instant price must be within your budget";
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -308,6 +407,23 @@ const TaskForm = ({ task = null, isEdit = false }) => {
       submitData.append("budget[max]", formData.budget.max);
       submitData.append("deadline", formData.deadline);
       submitData.append("priority", formData.priority);
+      submitData.append("visibility", formData.visibility);
+      submitData.append("auctionType", formData.auctionType);
+
+      if (formData.auctionType !== AUCTION_TYPES.OPEN) {
+        submitData.append("auctionEndsAt", formData.auctionEndsAt);
+      }
+
+      if (
+        formData.auctionType === AUCTION_TYPES.REVERSE &&
+        formData.reservePrice
+      ) {
+        submitData.append("reservePrice", formData.reservePrice);
+      }
+
+      if (formData.instantPrice) {
+        submitData.append("instantPrice", formData.instantPrice);
+      }
 
       if (formData.location.trim()) {
         submitData.append("location", formData.location.trim());
@@ -317,6 +433,13 @@ const TaskForm = ({ task = null, isEdit = false }) => {
         submitData.append("tags", formData.tags.trim());
       }
 
+      if (milestones.length > 0 || isEdit) {
+        submitData.append(
+          "milestones",
+          JSON.stringify(toMilestonePayload(milestones))
+        );
+      }
+
       // Add files
       files.images.forEach((file) => {
         submitData.append("images", file);
@@ -551,6 +674,65 @@ const TaskForm = ({ task = null, isEdit = false }) => {
             </p>
           </div>
 
+          {/* Instant price */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Instant price (Optional)
+            </label>
+            <div className="relative">
+              <Zap className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+              <input
+                type="number"
+                value={formData.instantPrice}
+                onChange={(e) =>
+                  handleInputChange("instantPrice", e.target.value)
+                }
+                className={`w-full pl-10 pr-4 py-3 border rounded-lg focus:ring-2 focus:outline-none ${
+                  errors.instantPrice
+                    ? "border-red-300 focus:ring-red-500"
+                    : "border-gray-300 focus:ring-blue-500"
+                }`}
+                placeholder="Let a bidder take the task at this price"
+                min={formData.budget.min || 50}
+                max={formData.budget.max || 2000}
+              />
+            </div>
+            {errors.instantPrice ? (
+              <p className="text-red-600 text-sm mt-1">{errors.instantPrice}</p>
+            ) : (
+              <p className="text-gray-500 text-xs mt-2">
+                The first bidder to take it at this price is assigned straight
+                away
+              </p>
+            )}
+          </div>
+
+          {/* Milestones */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Milestones (Optional)
+            </label>
+            <p className="text-gray-500 text-xs mb-3">
+              Pay in stages for bigger tasks. Each milestone is approved and
+              paid on its own. Bidders can propose their own schedule.
+            </p>
+            <MilestoneEditor
+              milestones={milestones}
+              onChange={(next) => {
+                setMilestones(next);
+                if (errors.milestones) {
+                  setErrors((prev) => ({ ...prev, milestones: "" }));
+                }
+              }}
+              targetLabel={
+                formData.budget.min && formData.budget.max
+                  ? `budget ₹${formData.budget.min} - ₹${formData.budget.max}`
+                  : null
+              }
+              error={errors.milestones}
+            />
+          </div>
+
           {/* Deadline and Location */}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div>
@@ -598,6 +780,130 @@ const TaskForm = ({ task = null, isEdit = false }) => {
             </div>
           </div>
 
+          {/* Visibility (campus-only needs a verified campus email) */}
+          {(canPostCampusOnly || formData.visibility === "campus") && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Who can see this task?
+              </label>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {visibilityOptions.map((option) => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    onClick={() =>
+                      handleInputChange("visibility", option.value)
+                    }
+                    className={`flex items-start space-x-3 p-3 border rounded-lg text-left transition-colors ${
+                      formData.visibility === option.value
+                        ? "border-blue-500 bg-blue-50"
+                        : "border-gray-300 hover:bg-gray-50"
+                    }`}
+                  >
+                    <option.icon className="w-5 h-5 mt-0.5 text-gray-500" />
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        {option.label}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {option.description}
+                      </p>
+                    </div>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Auction type */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              How should a winner be picked?
+            </label>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              {AUCTION_TYPE_OPTIONS.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => handleInputChange("auctionType", option.value)}
+                  className={`p-3 border rounded-lg text-left transition-colors ${
+                    formData.auctionType === option.value
+                      ? "border-blue-500 bg-blue-50"
+                      : "border-gray-300 hover:bg-gray-50"
+                  }`}
+                >
+                  <p className="text-sm font-medium text-gray-900">
+                    {option.label}
+                  </p>
+                  <p className="text-xs text-gray-500">{option.description}</p>
+                </button>
+              ))}
+            </div>
+
+            {formData.auctionType !== AUCTION_TYPES.OPEN && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Bidding closes *
+                  </label>
+                  <div className="relative">
+                    <Gavel className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+                    <input
+                      type="datetime-local"
+                      value={formData.auctionEndsAt}
+                      onChange={(e) =>
+                        handleInputChange("auctionEndsAt", e.target.value)
+                      }
+                      className={`w-full pl-10 pr-4 py-3 border rounded-lg focus:ring-2 focus:outline-none ${
+                        errors.auctionEndsAt
+                          ? "border-red-300 focus:ring-red-500"
+                          : "border-gray-300 focus:ring-blue-500"
+                      }`}
+                      min={getMinDateTime()}
+                      max={formData.deadline || undefined}
+                    />
+                  </div>
+                  {errors.auctionEndsAt && (
+                    <p className="text-red-600 text-sm mt-1">
+                      {errors.auctionEndsAt}
+                    </p>
+                  )}
+                </div>
+
+                {formData.auctionType === AUCTION_TYPES.REVERSE && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Reserve price (Optional)
+                    </label>
+                    <div className="relative">
+                      <IndianRupee className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+                      <input
+                        type="number"
+                        value={formData.reservePrice}
+                        onChange={(e) =>
+                          handleInputChange("reservePrice", e.target.value)
+                        }
+                        className={`w-full pl-10 pr-4 py-3 border rounded-lg focus:ring-2 focus:outline-none ${
+                          errors.reservePrice
+                            ? "border-red-300 focus:ring-red-500"
+                            : "border-gray-300 focus:ring-blue-500"
+                        }`}
+                        placeholder="Highest amount that wins automatically"
+                        min={formData.budget.min || 50}
+                        max={formData.budget.max || 2000}
+                      />
+                    </div>
+                    {errors.reservePrice && (
+                      <p className="text-red-600 text-sm mt-1">
+                        {errors.reservePrice}
+                      </p>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+
           {/* Tags */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -39,7 +39,7 @@ const TaskList = ({
     location: "",
     status: "Open",
     sort: "newest",
-    sameCollege: false,
+    campus: "all",
     ...initialFilters,
   });
   const [pagination, setPagination] = useState({
@@ -141,7 +141,7 @@ const TaskList = ({
       location: "",
       status: initialFilters.status || "Open",
       sort: "newest",
-      sameCollege: false,
+      campus: "all",
     });
   };
 
@@ -154,7 +154,7 @@ const TaskList = ({
     if (filters.deadline) count++;
     if (filters.location) count++;
     if (filters.status && filters.status !== "Open") count++;
-    if (filters.sameCollege) count++;
+    if (filters.campus && filters.campus !== "all") count++;
     return count;
   };
 
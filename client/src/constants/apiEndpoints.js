@@ -8,13 +8,21 @@ export const AUTH_ENDPOINTS = {
   REGISTER: `${API_BASE_URL}/auth/register`,
   LOGIN: `${API_BASE_URL}/auth/login`,
   LOGOUT: `${API_BASE_URL}/auth/logout`,
+  REFRESH_TOKEN: `${API_BASE_URL}/auth/refresh`,
   VERIFY_TOKEN: `${API_BASE_URL}/auth/verify`,
   GET_ME: `${API_BASE_URL}/auth/me`,
   UPDATE_PROFILE: `${API_BASE_URL}/auth/profile`,
   CHANGE_PASSWORD: `${API_BASE_URL}/auth/password`,
+  VERIFY_EMAIL: (token) => `${API_BASE_URL}/auth/verify-email/${token}`,
+  RESEND_VERIFICATION: `${API_BASE_URL}/auth/resend-verification`,
+  FORGOT_PASSWORD: `${API_BASE_URL}/auth/forgot-password`,
+  RESET_PASSWORD: (token) => `${API_BASE_URL}/auth/reset-password/${token}`,
   DELETE_ACCOUNT: `${API_BASE_URL}/auth/account`,
   UPLOAD_AVATAR: `${API_BASE_URL}/auth/avatar`,
   DELETE_AVATAR: `${API_BASE_URL}/auth/avatar`,
+  GET_SESSIONS: `${API_BASE_URL}/auth/sessions`,
+  REVOKE_SESSION: (id) => `${API_BASE_URL}/auth/sessions/${id}`,
+  LOGOUT_EVERYWHERE: `${API_BASE_URL}/auth/sessions`,
 };
 
 // User endpoints
@@ -27,6 +35,10 @@ export const USER_ENDPOINTS = {
   GET_USER_ANALYTICS: `${API_BASE_URL}/users/me/analytics`,
   UPLOAD_AVATAR: `${API_BASE_URL}/users/me/avatar`,
   DELETE_AVATAR: `${API_BASE_URL}/users/me/avatar`,
+  GET_BLOCKED_USERS: `${API_BASE_URL}/users/me/blocked`,
+  BLOCK_USER: (id) => `${API_BASE_URL}/users/${id}/block`,
+  GET_PRESENCE: `${API_BASE_URL}/users/presence`,
+  GET_USER_REVIEWS: (id) => `${API_BASE_URL}/users/${id}/reviews`,
 };
 
 // Task endpoints
@@ -39,9 +51,17 @@ export const TASK_ENDPOINTS = {
   GET_TASK_BIDS: (id) => `${API_BASE_URL}/tasks/${id}/bids`,
   ACCEPT_BID: (taskId, bidId) =>
     `${API_BASE_URL}/tasks/${taskId}/bids/${bidId}/accept`,
+  TAKE_TASK: (id) => `${API_BASE_URL}/tasks/${id}/take`,
   START_TASK: (id) => `${API_BASE_URL}/tasks/${id}/start`,
   COMPLETE_TASK: (id) => `${API_BASE_URL}/tasks/${id}/complete`,
   CLOSE_TASK: (id) => `${API_BASE_URL}/tasks/${id}/close`,
+  GET_SUBMISSIONS: (id) => `${API_BASE_URL}/tasks/${id}/submissions`,
+  SUBMIT_WORK: (id) => `${API_BASE_URL}/tasks/${id}/submit`,
+  REQUEST_REVISION: (id) => `${API_BASE_URL}/tasks/${id}/request-revision`,
+  SUBMIT_MILESTONE: (taskId, milestoneId) =>
+    `${API_BASE_URL}/tasks/${taskId}/milestones/${milestoneId}/submit`,
+  APPROVE_MILESTONE: (taskId, milestoneId) =>
+    `${API_BASE_URL}/tasks/${taskId}/milestones/${milestoneId}/approve`,
   REMOVE_TASK_FILE: (taskId, fileId) =>
     `${API_BASE_URL}/tasks/${taskId}/files/${fileId}`,
 };
@@ -55,6 +75,9 @@ export const BID_ENDPOINTS = {
   DELETE_BID: (id) => `${API_BASE_URL}/bids/${id}`,
   WITHDRAW_BID: (id) => `${API_BASE_URL}/bids/${id}/withdraw`,
   HIGHLIGHT_BID: (id) => `${API_BASE_URL}/bids/${id}/highlight`,
+  COUNTER_BID: (id) => `${API_BASE_URL}/bids/${id}/counter`,
+  ACCEPT_COUNTER_OFFER: (id) => `${API_BASE_URL}/bids/${id}/counter/accept`,
+  DECLINE_COUNTER_OFFER: (id) => `${API_BASE_URL}/bids/${id}/counter/decline`,
   GET_BID_STATS: (taskId) => `${API_BASE_URL}/bids/task/${taskId}/stats`,
   GET_RECOMMENDED_BIDS: `${API_BASE_URL}/bids/recommendations`,
   GET_BID_ANALYTICS: `${API_BASE_URL}/bids/analytics`,
@@ -78,6 +101,15 @@ export const CHAT_ENDPOINTS = {
     `${API_BASE_URL}/chat/files/${messageId}/${filename}`,
 };
 
+// Notification endpoints
+export const NOTIFICATION_ENDPOINTS = {
+  GET_NOTIFICATIONS: `${API_BASE_URL}/notifications`,
+  GET_UNREAD_COUNT: `${API_BASE_URL}/notifications/unread-count`,
+  MARK_AS_READ: (id) => `${API_BASE_URL}/notifications/${id}/read`,
+  MARK_ALL_AS_READ: `${API_BASE_URL}/notifications/read-all`,
+  DELETE_NOTIFICATION: (id) => `${API_BASE_URL}/notifications/${id}`,
+};
+
 // File upload endpoints
 export const UPLOAD_ENDPOINTS = {
   TASK_FILES: `${API_BASE_URL}/tasks`,
@@ -87,6 +119,58 @@ export const UPLOAD_ENDPOINTS = {
     import.meta.env.VITE_UPLOADS_BASE_URL || "http://localhost:5000/uploads",
 };
 
+// Campus endpoints
+export const CAMPUS_ENDPOINTS = {
+  GET_CAMPUSES: `${API_BASE_URL}/campuses`,
+};
+
+// Admin (staff) endpoints
+export const ADMIN_ENDPOINTS = {
+  GET_PROFILE: `${API_BASE_URL}/admin/me`,
+  GET_USERS: `${API_BASE_URL}/admin/users`,
+  GET_USER: (id) => `${API_BASE_URL}/admin/users/${id}`,
+  UPDATE_USER_STATUS: (id) => `${API_BASE_URL}/admin/users/${id}/status`,
+  UPDATE_USER_ROLE: (id) => `${API_BASE_URL}/admin/users/${id}/role`,
+  GET_TASKS: `${API_BASE_URL}/admin/tasks`,
+  CLOSE_TASK: (id) => `${API_BASE_URL}/admin/tasks/${id}/close`,
+  GET_BIDS: `${API_BASE_URL}/admin/bids`,
+  REMOVE_BID: (id) => `${API_BASE_URL}/admin/bids/${id}/remove`,
+  GET_MESSAGES: `${API_BASE_URL}/admin/messages`,
+  HIDE_MESSAGE: (id) => `${API_BASE_URL}/admin/messages/${id}/hide`,
+  GET_REPORTS: `${API_BASE_URL}/admin/reports`,
+  REVIEW_REPORT: (id) => `${API_BASE_URL}/admin/reports/${id}`,
+  GET_DISPUTES: `${API_BASE_URL}/admin/disputes`,
+  RESOLVE_DISPUTE: (id) => `${API_BASE_URL}/admin/disputes/${id}/resolve`,
+};
+
+// Report endpoints
+export const REPORT_ENDPOINTS = {
+  CREATE_REPORT: `${API_BASE_URL}/reports`,
+  GET_MY_REPORTS: `${API_BASE_URL}/reports/mine`,
+};
+
+// Wallet endpoints
+export const WALLET_ENDPOINTS = {
+  GET_WALLET: `${API_BASE_URL}/wallet`,
+  GET_TRANSACTIONS: `${API_BASE_URL}/wallet/transactions`,
+  DEPOSIT: `${API_BASE_URL}/wallet/deposit`,
+  WITHDRAW: `${API_BASE_URL}/wallet/withdraw`,
+};
+
+// Dispute endpoints
+export const DISPUTE_ENDPOINTS = {
+  TASK_DISPUTE: (taskId) => `${API_BASE_URL}/disputes/task/${taskId}`,
+  ADD_STATEMENT: (taskId) =>
+    `${API_BASE_URL}/disputes/task/${taskId}/statements`,
+};
+
+// Review endpoints
+export const REVIEW_ENDPOINTS = {
+  TASK_REVIEWS: (taskId) => `${API_BASE_URL}/reviews/task/${taskId}`,
+  UPDATE_REVIEW: (id) => `${API_BASE_URL}/reviews/${id}`,
+  RESPOND_TO_REVIEW: (id) => `${API_BASE_URL}/reviews/${id}/response`,
+};
+
 // Health check
 export const HEALTH_ENDPOINT = `${API_BASE_URL}/health`;
 
@@ -96,6 +180,13 @@ export default {
   TASK_ENDPOINTS,
   BID_ENDPOINTS,
   CHAT_ENDPOINTS,
+  NOTIFICATION_ENDPOINTS,
+  CAMPUS_ENDPOINTS,
+  ADMIN_ENDPOINTS,
+  REPORT_ENDPOINTS,
+  WALLET_ENDPOINTS,
+  DISPUTE_ENDPOINTS,
+  REVIEW_ENDPOINTS,
   UPLOAD_ENDPOINTS,
   HEALTH_ENDPOINT,
   API_BASE_URL,
@@ -0,0 +1,30 @@
+// client/src/constants/disputeReasons.js
+
+// Mirrors Dispute.REASONS on the server
+export const DISPUTE_REASONS = [
+  { value: "not_delivered", label: "Work was not delivered" },
+  { value: "poor_quality", label: "Work is poor quality" },
+  { value: "not_as_described", label: "Work doesn't match the task" },
+  { value: "unresponsive", label: "The other side stopped responding" },
+  { value: "payment_refused", label: "Poster won't mark it completed" },
+  { value: "other", label: "Something else" },
+];
+
+// Mirrors Dispute.OUTCOMES on the server
+export const DISPUTE_OUTCOMES = [
+  { value: "refund", label: "Refund the poster" },
+  { value: "release", label: "Pay the assignee" },
+  { value: "split", label: "Split the payment" },
+];
+
+export const getDisputeReasonLabel = (value) => {
+  const reason = DISPUTE_REASONS.find((item) => item.value === value);
+  return reason ? reason.label : value;
+};
+
+export const getDisputeOutcomeLabel = (value) => {
+  const outcome = DISPUTE_OUTCOMES.find((item) => item.value === value);
+  return outcome ? outcome.label : value;
+};
+
+export default DISPUTE_REASONS;
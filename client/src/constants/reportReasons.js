@@ -0,0 +1,18 @@
+// client/src/constants/reportReasons.js
+
+// Mirrors Report.REASONS on the server
+export const REPORT_REASONS = [
+  { value: "spam", label: "Spam or advertising" },
+  { value: "scam", label: "Scam or fraud" },
+  { value: "harassment", label: "Harassment or hate" },
+  { value: "inappropriate", label: "Inappropriate content" },
+  { value: "academic_dishonesty", label: "Academic dishonesty" },
+  { value: "other", label: "Something else" },
+];
+
+export const getReportReasonLabel = (value) => {
+  const reason = REPORT_REASONS.find((item) => item.value === value);
+  return reason ? reason.label : value;
+};
+
+export default REPORT_REASONS;
@@ -0,0 +1,22 @@
+// client/src/constants/reviewDimensions.js
+
+// Mirrors Review.DIMENSIONS on the server
+export const REVIEW_DIMENSIONS = [
+  {
+    value: "quality",
+    label: "Quality",
+    hint: "How good was the work or the brief?",
+  },
+  {
+    value: "communication",
+    label: "Communication",
+    hint: "Were they clear and responsive?",
+  },
+  {
+    value: "timeliness",
+    label: "Timeliness",
+    hint: "Did things happen when promised?",
+  },
+];
+
+export default REVIEW_DIMENSIONS;
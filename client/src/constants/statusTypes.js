@@ -5,6 +5,8 @@ export const TASK_STATUS = {
   OPEN: "Open",
   ASSIGNED: "Assigned",
   IN_PROGRESS: "In-Progress",
+  SUBMITTED: "Submitted",
+  DISPUTED: "Disputed",
   COMPLETED: "Completed",
   CLOSED: "Closed",
 };
@@ -40,6 +42,26 @@ export const TASK_STATUS_OPTIONS = [
     canEdit: false,
     canReceiveBids: false,
   },
+  {
+    value: TASK_STATUS.SUBMITTED,
+    label: "Submitted",
+    description: "Work has been handed in and is waiting for the poster",
+    icon: "📦",
+    color: "bg-indigo-100 text-indigo-800 border-indigo-200",
+    badgeColor: "bg-indigo-500",
+    canEdit: false,
+    canReceiveBids: false,
+  },
+  {
+    value: TASK_STATUS.DISPUTED,
+    label: "Disputed",
+    description: "Task is frozen while a moderator reviews a dispute",
+    icon: "⚖️",
+    color: "bg-red-100 text-red-800 border-red-200",
+    badgeColor: "bg-red-500",
+    canEdit: false,
+    canReceiveBids: false,
+  },
   {
     value: TASK_STATUS.COMPLETED,
     label: "Completed",
@@ -68,6 +90,7 @@ export const BID_STATUS = {
   ACCEPTED: "Accepted",
   REJECTED: "Rejected",
   WITHDRAWN: "Withdrawn",
+  REMOVED: "Removed",
 };
 
 export const BID_STATUS_OPTIONS = [
@@ -111,6 +134,16 @@ export const BID_STATUS_OPTIONS = [
     canEdit: false,
     canWithdraw: false,
   },
+  {
+    value: BID_STATUS.REMOVED,
+    label: "Removed",
+    description: "Bid was removed by a moderator",
+    icon: "🚫",
+    color: "bg-red-100 text-red-800 border-red-200",
+    badgeColor: "bg-red-500",
+    canEdit: false,
+    canWithdraw: false,
+  },
 ];
 
 // Priority Types
@@ -233,6 +266,70 @@ export const canTaskReceiveBids = (status) => {
   return statusInfo.canReceiveBids;
 };
 
+// Auction Types (mirrors Task.AUCTION_TYPES on the server)
+export const AUCTION_TYPES = {
+  OPEN: "open",
+  SEALED: "sealed",
+  REVERSE: "reverse",
+};
+
+export const AUCTION_TYPE_OPTIONS = [
+  {
+    value: AUCTION_TYPES.OPEN,
+    label: "Open bidding",
+    description: "Bids are visible and you pick a winner whenever you like",
+  },
+  {
+    value: AUCTION_TYPES.SEALED,
+    label: "Sealed bids",
+    description:
+      "Bidders can't see each other's bids until bidding closes, then you pick a winner",
+  },
+  {
+    value: AUCTION_TYPES.REVERSE,
+    label: "Reverse auction",
+    description:
+      "The lowest bid at or under your reserve wins automatically when bidding closes",
+  },
+];
+
+export const getAuctionTypeInfo = (auctionType) => {
+  return (
+    AUCTION_TYPE_OPTIONS.find((option) => option.value === auctionType) ||
+    AUCTION_TYPE_OPTIONS[0]
+  );
+};
+
+// Sealed and reverse auctions stop taking bids at auctionEndsAt
+export const hasAuctionEnded = (task) => {
+  if (!task.auctionType || task.auctionType === AUCTION_TYPES.OPEN) {
+    return false;
+  }
+  return (
+    !!task.auctionClosedAt || new Date(task.auctionEndsAt) <= new Date()
+  );
+};
+
+// The poster picks a winner by hand once a sealed or reverse auction closes
+export const canAcceptTaskBids = (task) => {
+  return (
+    task.status === TASK_STATUS.OPEN &&
+    (!task.auctionType ||
+      task.auctionType === AUCTION_TYPES.OPEN ||
+      !!task.auctionClosedAt)
+  );
+};
+
+// Any bidder can take a task at its instant price while bidding is open
+export const canTakeTaskNow = (task) => {
+  return (
+    !!task.instantPrice &&
+    task.status === TASK_STATUS.OPEN &&
+    new Date(task.deadline) > new Date() &&
+    !hasAuctionEnded(task)
+  );
+};
+
 export const canEditBid = (status) => {
   const statusInfo = getBidStatusInfo(status);
   return statusInfo.canEdit;
@@ -267,9 +364,11 @@ export default {
   PRIORITY_TYPES,
   MESSAGE_TYPES,
   USER_STATUS,
+  AUCTION_TYPES,
   TASK_STATUS_OPTIONS,
   BID_STATUS_OPTIONS,
   PRIORITY_OPTIONS,
+  AUCTION_TYPE_OPTIONS,
   getTaskStatusInfo,
   getBidStatusInfo,
   getPriorityInfo,
@@ -278,6 +377,10 @@ export default {
   getStatusBadgeColor,
   canEditTask,
   canTaskReceiveBids,
+  hasAuctionEnded,
+  canAcceptTaskBids,
+  canTakeTaskNow,
+  getAuctionTypeInfo,
   canEditBid,
   canWithdrawBid,
   getNextPossibleStatuses,
@@ -579,6 +579,25 @@ export const AuthProvider = ({ children }) => {
     return true;
   };
 
+  // Get the account role ("user", "moderator" or "admin")
+  const getUserRole = () => {
+    if (!state.user) {
+      return "guest";
+    }
+
+    return state.user.role || "user";
+  };
+
+  // Check if user has verified their email
+  const isVerified = () => {
+    return state.user?.isVerified || false;
+  };
+
+  // Check if user is moderation staff
+  const isStaff = () => {
+    return ["moderator", "admin"].includes(getUserRole());
+  };
+
   // Get user avatar URL
   const getAvatarUrl = () => {
     if (!state.user || !state.user.avatar) {
@@ -640,6 +659,9 @@ export const AuthProvider = ({ children }) => {
 
     // Utilities
     hasPermission,
+    getUserRole,
+    isVerified,
+    isStaff,
     getAvatarUrl,
     getUserFullName,
     getUserInitials,
@@ -836,9 +836,9 @@ export const TaskProvider = ({ children }) => {
     }
   };
 
-  const completeTask = async (taskId, completionData = {}) => {
+  const completeTask = async (taskId) => {
     try {
-      const result = await taskService.completeTask(taskId, completionData);
+      const result = await taskService.completeTask(taskId);
       if (result.success) {
         dispatch({
           type: TASK_ACTIONS.UPDATE_TASK,
@@ -0,0 +1,67 @@
+// client/src/hooks/useAdminList.js
+import { useState, useEffect, useCallback } from "react";
+
+// Paginated, filterable list for the admin moderation tables
+export const useAdminList = (fetcher, initialFilters = {}) => {
+  const [filters, setFilters] = useState({ page: 1, ...initialFilters });
+  const [items, setItems] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    setIsLoading(true);
+    setError("");
+
+    // Drop empty filters so they don't reach the query string
+    const query = Object.fromEntries(
+      Object.entries(filters).filter(([, value]) => value !== "")
+    );
+
+    const result = await fetcher(query);
+
+    if (result.success) {
+      setItems(result.items);
+      setPagination(result.pagination);
+    } else {
+      setError(result.message);
+    }
+    setIsLoading(false);
+  }, [fetcher, filters]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Changing any filter goes back to the first page
+  const updateFilter = useCallback((field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value, page: 1 }));
+  }, []);
+
+  const setPage = useCallback((page) => {
+    setFilters((prev) => ({ ...prev, page }));
+  }, []);
+
+  // Swap in the server's copy of an item after an action
+  const replaceItem = useCallback((updated) => {
+    setItems((prev) =>
+      prev.map((item) =>
+        item._id === updated._id ? { ...item, ...updated } : item
+      )
+    );
+  }, []);
+
+  return {
+    filters,
+    items,
+    pagination,
+    isLoading,
+    error,
+    reload: load,
+    updateFilter,
+    setPage,
+    replaceItem,
+  };
+};
+
+export default useAdminList;
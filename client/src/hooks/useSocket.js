@@ -1,7 +1,10 @@
 // client/src/hooks/useSocket.js
 import { useEffect, useRef, useState, useCallback } from "react";
 import { io } from "socket.io-client";
-import { useAuth } from "../context/AuthContext";
+import { useAuth } from "./useAuth";
+import notificationService from "../services/notificationService";
+import authService from "../services/authService";
+import userService from "../services/userService";
 
 // Socket connection hook for real-time features
 export const useSocket = (options = {}) => {
@@ -29,17 +32,14 @@ export const useSocket = (options = {}) => {
     }
 
     try {
-      const token = getAuthToken();
-
       socketRef.current = io(serverUrl, {
         autoConnect: false,
         reconnection,
         reconnectionAttempts,
         reconnectionDelay,
         timeout,
-        auth: {
-          token,
-        },
+        // Read the token on every (re)connect so refreshed tokens are used
+        auth: (cb) => cb({ token: getAuthToken() }),
         transports: ["websocket", "polling"],
       });
 
@@ -103,6 +103,19 @@ export const useSocket = (options = {}) => {
         console.log("Socket authenticated:", data);
       });
 
+      // This device was signed out from the sessions page
+      socketRef.current.on("session_revoked", () => {
+        authService.clearAuth();
+        if (window.location.pathname !== "/login") {
+          window.location.href = "/login";
+        }
+      });
+
+      // Email was verified in another tab or on another device
+      socketRef.current.on("email_verified", () => {
+        authService.refreshUser();
+      });
+
       // Connect the socket
       socketRef.current.connect();
     } catch (error) {
@@ -202,14 +215,6 @@ export const useSocket = (options = {}) => {
     [emit]
   );
 
-  // Send message to room
-  const sendToRoom = useCallback(
-    (room, event, data) => {
-      return emit("room_message", { room, event, data });
-    },
-    [emit]
-  );
-
   // Get socket ID
   const getSocketId = useCallback(() => {
     return socketRef.current?.id || null;
@@ -234,10 +239,9 @@ export const useSocket = (options = {}) => {
     }
   }, [connect]);
 
-  // Update authentication token
-  const updateAuth = useCallback((newToken) => {
+  // Reconnect so the auth callback sends the current token
+  const updateAuth = useCallback(() => {
     if (socketRef.current) {
-      socketRef.current.auth = { token: newToken };
       if (socketRef.current.connected) {
         // Reconnect with new token
         socketRef.current.disconnect();
@@ -264,8 +268,7 @@ export const useSocket = (options = {}) => {
   // Update auth token when it changes
   useEffect(() => {
     if (isAuthenticated && socketRef.current) {
-      const token = getAuthToken();
-      updateAuth(token);
+      updateAuth();
     }
   }, [isAuthenticated, getAuthToken, updateAuth]);
 
@@ -312,7 +315,6 @@ export const useSocket = (options = {}) => {
     // Room management
     joinRoom,
     leaveRoom,
-    sendToRoom,
     isInRoom,
     getJoinedRooms,
 
@@ -356,58 +358,27 @@ export const useTaskSocket = (taskId) => {
       setMessages((prev) => [data, ...prev.slice(0, 49)]); // Keep last 50 messages
     };
 
-    socket.on("task_updated", handleTaskUpdate);
-    socket.on("bid_updated", handleBidUpdate);
+    // Only the server emits these, after the change is saved
+    socket.on("task_status_changed", handleTaskUpdate);
+    socket.on("bid_placed", handleBidUpdate);
+    socket.on("bid_accepted", handleBidUpdate);
+    socket.on("bid_withdrawn", handleBidUpdate);
     socket.on("new_message", handleNewMessage);
 
     return () => {
-      socket.off("task_updated", handleTaskUpdate);
-      socket.off("bid_updated", handleBidUpdate);
+      socket.off("task_status_changed", handleTaskUpdate);
+      socket.off("bid_placed", handleBidUpdate);
+      socket.off("bid_accepted", handleBidUpdate);
+      socket.off("bid_withdrawn", handleBidUpdate);
       socket.off("new_message", handleNewMessage);
     };
   }, [socket]);
 
-  // Send task update
-  const sendTaskUpdate = useCallback(
-    (updateData) => {
-      if (taskId) {
-        return socket.sendToRoom(`task_${taskId}`, "task_update", updateData);
-      }
-      return false;
-    },
-    [taskId, socket]
-  );
-
-  // Send bid update
-  const sendBidUpdate = useCallback(
-    (bidData) => {
-      if (taskId) {
-        return socket.sendToRoom(`task_${taskId}`, "bid_update", bidData);
-      }
-      return false;
-    },
-    [taskId, socket]
-  );
-
-  // Send message
-  const sendMessage = useCallback(
-    (messageData) => {
-      if (taskId) {
-        return socket.sendToRoom(`task_${taskId}`, "message", messageData);
-      }
-      return false;
-    },
-    [taskId, socket]
-  );
-
   return {
     ...socket,
     taskUpdates,
     bidUpdates,
     messages,
-    sendTaskUpdate,
-    sendBidUpdate,
-    sendMessage,
     clearUpdates: () => {
       setTaskUpdates([]);
       setBidUpdates([]);
@@ -416,63 +387,219 @@ export const useTaskSocket = (taskId) => {
   };
 };
 
+// Hook for live counter-offer updates on bids the user is negotiating
+export const useBidNegotiationSocket = (onNegotiationUpdate) => {
+  const socket = useSocket();
+  const { isConnected, on, off } = socket;
+  const handlerRef = useRef(onNegotiationUpdate);
+
+  // Always call the latest handler without re-subscribing
+  useEffect(() => {
+    handlerRef.current = onNegotiationUpdate;
+  }, [onNegotiationUpdate]);
+
+  useEffect(() => {
+    if (!isConnected) return;
+
+    const handleUpdate = (update) => {
+      handlerRef.current?.(update);
+    };
+
+    on("bid_negotiation_updated", handleUpdate);
+
+    return () => {
+      off("bid_negotiation_updated", handleUpdate);
+    };
+  }, [isConnected, on, off]);
+
+  return socket;
+};
+
+// Hook for the online state and last-seen time of a few users, keyed by
+// user ID. Pass a socket the component already has to avoid opening
+// another connection.
+export const usePresence = (userIds = [], existingSocket = null) => {
+  const ownSocket = useSocket({ autoConnect: !existingSocket });
+  const { isConnected, on, off } = existingSocket || ownSocket;
+  const [presence, setPresence] = useState({});
+  const idsKey = userIds.filter(Boolean).join(",");
+
+  // Load the current state, and again after reconnects to catch up
+  useEffect(() => {
+    if (!idsKey) return;
+
+    let cancelled = false;
+
+    userService.getPresence(idsKey.split(",")).then((result) => {
+      if (cancelled || !result.success) return;
+
+      setPresence(
+        Object.fromEntries(
+          result.presence.map(({ userId, isOnline, lastSeen }) => [
+            userId,
+            { isOnline, lastSeen },
+          ])
+        )
+      );
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [idsKey, isConnected]);
+
+  // Live changes only reach users who share a task or chat with them
+  useEffect(() => {
+    if (!isConnected || !idsKey) return;
+
+    const ids = idsKey.split(",");
+
+    const handleOnline = ({ userId }) => {
+      if (!ids.includes(userId)) return;
+      setPresence((prev) => ({
+        ...prev,
+        [userId]: { ...prev[userId], isOnline: true },
+      }));
+    };
+
+    const handleOffline = ({ userId, lastSeen }) => {
+      if (!ids.includes(userId)) return;
+      setPresence((prev) => ({
+        ...prev,
+        [userId]: { isOnline: false, lastSeen },
+      }));
+    };
+
+    on("user_online", handleOnline);
+    on("user_offline", handleOffline);
+
+    return () => {
+      off("user_online", handleOnline);
+      off("user_offline", handleOffline);
+    };
+  }, [isConnected, idsKey, on, off]);
+
+  return presence;
+};
+
 // Hook for notification socket events
 export const useNotificationSocket = () => {
   const socket = useSocket();
+  const { isAuthenticated } = useAuth();
+  const { isConnected, on, off } = socket;
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
 
-  // Listen for notifications
+  // Load the persisted inbox
+  const fetchNotifications = useCallback(async () => {
+    setIsLoading(true);
+    const result = await notificationService.getNotifications({ limit: 20 });
+
+    if (result.success) {
+      setNotifications(result.notifications);
+      setUnreadCount(result.unreadCount);
+    }
+    setIsLoading(false);
+  }, []);
+
+  // Refetch on login and after reconnects to catch up on missed events
   useEffect(() => {
-    if (!socket.isConnected) return;
+    if (isAuthenticated) {
+      fetchNotifications();
+    }
+  }, [isAuthenticated, isConnected, fetchNotifications]);
 
-    const handleNotification = (notification) => {
-      setNotifications((prev) => [notification, ...prev.slice(0, 49)]); // Keep last 50
-      setUnreadCount((prev) => prev + 1);
+  // Listen for notifications
+  useEffect(() => {
+    if (!isConnected) return;
+
+    const handleNotification = ({ notification }) => {
+      setNotifications((prev) => [
+        notification,
+        ...prev.filter((notif) => notif._id !== notification._id).slice(0, 49),
+      ]); // Keep last 50
+      if (!notification.isRead) {
+        setUnreadCount((prev) => prev + 1);
+      }
     };
 
-    const handleUnreadCount = (count) => {
+    // Server-side count wins over local bookkeeping
+    const handleUnreadCount = ({ count }) => {
       setUnreadCount(count);
     };
 
-    socket.on("notification", handleNotification);
-    socket.on("unread_count", handleUnreadCount);
+    // Read state changed in another tab or device
+    const handleNotificationRead = ({ notificationId }) => {
+      setNotifications((prev) =>
+        prev.map((notif) =>
+          notif._id === notificationId ? { ...notif, isRead: true } : notif
+        )
+      );
+    };
+
+    const handleAllRead = () => {
+      setNotifications((prev) =>
+        prev.map((notif) => ({ ...notif, isRead: true }))
+      );
+      setUnreadCount(0);
+    };
+
+    on("notification", handleNotification);
+    on("unread_count", handleUnreadCount);
+    on("notification_read", handleNotificationRead);
+    on("notifications_read_all", handleAllRead);
 
     return () => {
-      socket.off("notification", handleNotification);
-      socket.off("unread_count", handleUnreadCount);
+      off("notification", handleNotification);
+      off("unread_count", handleUnreadCount);
+      off("notification_read", handleNotificationRead);
+      off("notifications_read_all", handleAllRead);
     };
-  }, [socket]);
+  }, [isConnected, on, off]);
 
   // Mark notification as read
   const markAsRead = useCallback(
-    (notificationId) => {
-      socket.emit("mark_notification_read", { notificationId });
+    async (notificationId) => {
+      const target = notifications.find((notif) => notif._id === notificationId);
+      if (!target || target.isRead) return;
+
       setNotifications((prev) =>
         prev.map((notif) =>
-          notif.id === notificationId ? { ...notif, isRead: true } : notif
+          notif._id === notificationId ? { ...notif, isRead: true } : notif
         )
       );
       setUnreadCount((prev) => Math.max(0, prev - 1));
+
+      const result = await notificationService.markAsRead(notificationId);
+      if (!result.success) {
+        fetchNotifications();
+      }
     },
-    [socket]
+    [notifications, fetchNotifications]
   );
 
   // Mark all as read
-  const markAllAsRead = useCallback(() => {
-    socket.emit("mark_all_notifications_read");
+  const markAllAsRead = useCallback(async () => {
     setNotifications((prev) =>
       prev.map((notif) => ({ ...notif, isRead: true }))
     );
     setUnreadCount(0);
-  }, [socket]);
+
+    const result = await notificationService.markAllAsRead();
+    if (!result.success) {
+      fetchNotifications();
+    }
+  }, [fetchNotifications]);
 
   return {
     ...socket,
     notifications,
     unreadCount,
+    isLoading,
     markAsRead,
     markAllAsRead,
+    refreshNotifications: fetchNotifications,
     clearNotifications: () => setNotifications([]),
   };
 };
@@ -4,17 +4,24 @@ import { AuthProvider } from './context/AuthContext';
 import { TaskProvider } from './context/TaskContext';
 import Navbar from './components/Layout/Navbar';
 import Footer from './components/Layout/Footer';
+import VerificationBanner from './components/Layout/VerificationBanner';
 import ProtectedRoute, { UnauthenticatedRoute } from './pages/ProtectedRoute';
 
 // Pages
 import Home from './pages/Home';
 import LoginForm from './pages/LoginForm';
 import RegisterForm from './pages/RegisterForm';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
 import TaskDetail from './pages/TaskDetail';
 import CreateTask from './pages/CreateTask';
 import Profile from './pages/Profile';
 import Chat from './pages/Chat';
+import Settings from './pages/Settings';
+import Wallet from './pages/Wallet';
+import Admin from './pages/Admin';
 
 // Components
 import TaskList from './components/Tasks/TaskList';
@@ -30,6 +37,7 @@ function App() {
         <TaskProvider>
           <div className="min-h-screen bg-gray-50 flex flex-col">
             <Navbar />
+            <VerificationBanner />
 
             <main className="flex-1">
               <Routes>
@@ -49,6 +57,21 @@ function App() {
                   </UnauthenticatedRoute>
                 } />
 
+                <Route path="/forgot-password" element={
+                  <UnauthenticatedRoute>
+                    <ForgotPassword />
+                  </UnauthenticatedRoute>
+                } />
+
+                <Route path="/reset-password/:token" element={
+                  <UnauthenticatedRoute>
+                    <ResetPassword />
+                  </UnauthenticatedRoute>
+                } />
+
+                {/* Email verification links work signed in or out */}
+                <Route path="/verify-email/:token" element={<VerifyEmail />} />
+
                 {/* Public Task Browsing */}
                 <Route path="/tasks" element={<TaskList />} />
                 <Route path="/tasks/:taskId" element={<TaskDetail />} />
@@ -140,7 +163,19 @@ function App() {
 
                 <Route path="/settings" element={
                   <ProtectedRoute requireAuth={true}>
-                    <Profile />
+                    <Settings />
+                  </ProtectedRoute>
+                } />
+
+                <Route path="/wallet" element={
+                  <ProtectedRoute requireAuth={true}>
+                    <Wallet />
+                  </ProtectedRoute>
+                } />
+
+                <Route path="/admin" element={
+                  <ProtectedRoute requireAuth={true} allowedRoles={['moderator', 'admin']}>
+                    <Admin />
                   </ProtectedRoute>
                 } />
 
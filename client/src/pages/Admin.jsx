@@ -0,0 +1,156 @@
+// client/src/pages/Admin.jsx
+import React, { useState, useEffect } from "react";
+import {
+  Shield,
+  Flag,
+  Users,
+  ClipboardList,
+  Gavel,
+  MessageSquare,
+  Scale,
+} from "lucide-react";
+
+import adminService from "../services/adminService";
+import ReportsPanel from "../components/Admin/ReportsPanel";
+import DisputesPanel from "../components/Admin/DisputesPanel";
+import UsersPanel from "../components/Admin/UsersPanel";
+import TasksPanel from "../components/Admin/TasksPanel";
+import BidsPanel from "../components/Admin/BidsPanel";
+import MessagesPanel from "../components/Admin/MessagesPanel";
+
+// Moderation sections; each is shown only to staff holding its permission
+const SECTIONS = [
+  {
+    id: "reports",
+    label: "Reports",
+    icon: Flag,
+    permission: "reports:review",
+    component: ReportsPanel,
+  },
+  {
+    id: "disputes",
+    label: "Disputes",
+    icon: Scale,
+    permission: "disputes:resolve",
+    component: DisputesPanel,
+  },
+  {
+    id: "users",
+    label: "Users",
+    icon: Users,
+    permission: "users:read",
+    component: UsersPanel,
+  },
+  {
+    id: "tasks",
+    label: "Tasks",
+    icon: ClipboardList,
+    permission: "tasks:moderate",
+    component: TasksPanel,
+  },
+  {
+    id: "bids",
+    label: "Bids",
+    icon: Gavel,
+    permission: "bids:moderate",
+    component: BidsPanel,
+  },
+  {
+    id: "messages",
+    label: "Messages",
+    icon: MessageSquare,
+    permission: "messages:moderate",
+    component: MessagesPanel,
+  },
+];
+
+const Admin = () => {
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState("");
+  const [activeSection, setActiveSection] = useState(SECTIONS[0].id);
+
+  // The server is the source of truth for what this account may do
+  useEffect(() => {
+    const loadProfile = async () => {
+      const result = await adminService.getProfile();
+
+      if (result.success) {
+        setProfile(result);
+      } else {
+        setError(result.message);
+      }
+    };
+
+    loadProfile();
+  }, []);
+
+  if (error) {
+    return (
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      </div>
+    );
+  }
+
+  if (!profile) {
+    return (
+      <div className="flex justify-center py-16">
+        <div className="w-8 h-8 border-4 border-primary-600 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  const sections = SECTIONS.filter((section) =>
+    profile.permissions.includes(section.permission)
+  );
+  const active =
+    sections.find((section) => section.id === activeSection) || sections[0];
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center space-x-3 mb-8">
+        <Shield className="w-6 h-6 text-primary-600" />
+        <h1 className="text-2xl font-bold text-gray-900">Moderation</h1>
+        <span className="px-2 py-0.5 text-xs font-medium text-primary-700 bg-primary-100 rounded-full capitalize">
+          {profile.role}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-6">
+        <nav className="md:col-span-1 space-y-1">
+          {sections.map((section) => {
+            const Icon = section.icon;
+            return (
+              <button
+                key={section.id}
+                onClick={() => setActiveSection(section.id)}
+                className={`w-full flex items-center space-x-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors duration-200 ${
+                  active?.id === section.id
+                    ? "text-primary-600 bg-primary-50"
+                    : "text-gray-700 hover:bg-white"
+                }`}
+              >
+                <Icon className="w-4 h-4" />
+                <span>{section.label}</span>
+              </button>
+            );
+          })}
+        </nav>
+
+        <div className="md:col-span-4">
+          {active ? (
+            <active.component permissions={profile.permissions} />
+          ) : (
+            <p className="text-sm text-gray-500">
+              Your role doesn't include any moderation tools.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Admin;
@@ -75,7 +75,9 @@ const Chat = () => {
 
     // Assigned user can chat if task is assigned/in-progress
     if (task.assignedTo && task.assignedTo._id === currentUser._id) {
-      return ["Assigned", "In-Progress"].includes(task.status);
+      return ["Assigned", "In-Progress", "Submitted", "Disputed"].includes(
+        task.status
+      );
     }
 
     return false;
@@ -327,6 +329,10 @@ const Chat = () => {
                       ? "bg-blue-100 text-blue-700"
                       : task.status === "In-Progress"
                       ? "bg-yellow-100 text-yellow-700"
+                      : task.status === "Submitted"
+                      ? "bg-indigo-100 text-indigo-700"
+                      : task.status === "Disputed"
+                      ? "bg-red-100 text-red-700"
                       : task.status === "Completed"
                       ? "bg-purple-100 text-purple-700"
                       : "bg-gray-100 text-gray-700"
@@ -23,7 +23,9 @@ import {
 } from "lucide-react";
 import { useAuth } from "../hooks/useAuth";
 import { useTask } from "../context/TaskContext";
+import { useBidNegotiationSocket } from "../hooks/useSocket";
 import TaskCard from "../components/Tasks/TaskCard";
+import MilestoneProgress from "../components/Tasks/MilestoneProgress";
 import BidCard from "../components/Bids/BidCard";
 import ProtectedRoute from "./ProtectedRoute";
 
@@ -62,6 +64,9 @@ const Dashboard = () => {
   const userRating = getUserRating();
   const userRole = getUserRole();
 
+  // Counter-offers on your bids change their terms
+  useBidNegotiationSocket(() => fetchMyBids({ limit: 5 }));
+
   // Initialize dashboard data
   useEffect(() => {
     loadDashboardData();
@@ -192,6 +197,23 @@ const Dashboard = () => {
     return filtered.slice(0, 5);
   };
 
+  // Tasks you posted or are working on that are being paid in milestones
+  const getMilestoneTasks = () => {
+    const seen = new Set();
+
+    return [...myTasks, ...assignedTasks].filter((task) => {
+      if (
+        !task.milestoneProgress ||
+        ["Open", "Completed", "Closed"].includes(task.status) ||
+        seen.has(task._id)
+      ) {
+        return false;
+      }
+      seen.add(task._id);
+      return true;
+    });
+  };
+
   // Get greeting based on time
   const getGreeting = () => {
     const hour = new Date().getHours();
@@ -513,6 +535,36 @@ const Dashboard = () => {
                     )}
                   </div>
 
+                  {/* Milestone Progress */}
+                  {getMilestoneTasks().length > 0 && (
+                    <div>
+                      <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                        Milestone Progress
+                      </h3>
+                      <div className="space-y-3">
+                        {getMilestoneTasks().map((task) => (
+                          <Link
+                            key={task._id}
+                            to={`/tasks/${task._id}`}
+                            className="block p-4 border border-gray-200 rounded-lg hover:border-blue-300 transition-colors"
+                          >
+                            <div className="flex items-center justify-between mb-2">
+                              <span className="font-medium text-gray-900 truncate">
+                                {task.title}
+                              </span>
+                              <span className="ml-4 text-sm text-gray-500 flex-shrink-0">
+                                {task.milestoneProgress.percent}%
+                              </span>
+                            </div>
+                            <MilestoneProgress
+                              progress={task.milestoneProgress}
+                            />
+                          </Link>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
                   {/* Recent Bids */}
                   {myBids.length > 0 && (
                     <div>
@@ -0,0 +1,175 @@
+// client/src/pages/ForgotPassword.jsx
+
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { Mail, Send, AlertCircle, CheckCircle, ArrowLeft } from "lucide-react";
+import authService from "../services/authService";
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [validationError, setValidationError] = useState("");
+  const [error, setError] = useState("");
+  const [sentMessage, setSentMessage] = useState("");
+
+  // Validate email field
+  const validateForm = () => {
+    if (!email) {
+      setValidationError("Email is required");
+      return false;
+    }
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      setValidationError("Please enter a valid email address");
+      return false;
+    }
+
+    setValidationError("");
+    return true;
+  };
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError("");
+
+    const result = await authService.forgotPassword(email.trim());
+
+    if (result.success) {
+      setSentMessage(result.message);
+    } else {
+      setError(result.message);
+    }
+
+    setIsSubmitting(false);
+  };
+
+  // Get input field styles
+  const getInputStyles = () => {
+    const baseStyles =
+      "w-full pl-10 pr-4 py-3 border rounded-xl transition-all duration-200 focus:ring-2 focus:outline-none";
+
+    if (validationError) {
+      return `${baseStyles} border-red-300 focus:border-red-500 focus:ring-red-500/20 bg-red-50`;
+    }
+
+    return `${baseStyles} border-gray-300 focus:border-primary-500 focus:ring-primary-500/20 bg-white`;
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 via-white to-secondary-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        {/* Header */}
+        <div className="text-center">
+          <div className="flex justify-center mb-4">
+            <div className="w-12 h-12 bg-primary-600 rounded-xl flex items-center justify-center">
+              <span className="text-white font-bold text-xl">T</span>
+            </div>
+          </div>
+          <h2 className="text-3xl font-bold text-gray-900 mb-2">
+            Forgot your password?
+          </h2>
+          <p className="text-gray-600">
+            Enter your email and we'll send you a link to reset it
+          </p>
+        </div>
+
+        {/* Success Message */}
+        {sentMessage && (
+          <div className="bg-green-50 border border-green-200 rounded-xl p-4 animate-fade-in">
+            <div className="flex items-center">
+              <CheckCircle className="w-5 h-5 text-green-600 mr-3" />
+              <p className="text-green-800 text-sm">{sentMessage}</p>
+            </div>
+          </div>
+        )}
+
+        {/* Error Message */}
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-xl p-4 animate-slide-up">
+            <div className="flex items-center">
+              <AlertCircle className="w-5 h-5 text-red-600 mr-3" />
+              <p className="text-red-800 text-sm">{error}</p>
+            </div>
+          </div>
+        )}
+
+        {/* Request Form */}
+        <form
+          onSubmit={handleSubmit}
+          className="bg-white rounded-2xl shadow-medium p-8 space-y-6"
+        >
+          {/* Email Field */}
+          <div>
+            <label
+              htmlFor="email"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Email Address
+            </label>
+            <div className="relative">
+              <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+              <input
+                id="email"
+                type="email"
+                value={email}
+                onChange={(e) => {
+                  setEmail(e.target.value);
+                  setValidationError("");
+                }}
+                className={getInputStyles()}
+                placeholder="Enter your email"
+                disabled={isSubmitting}
+                autoComplete="email"
+              />
+            </div>
+            {validationError && (
+              <p className="text-red-600 text-sm mt-1 flex items-center">
+                <AlertCircle className="w-4 h-4 mr-1" />
+                {validationError}
+              </p>
+            )}
+          </div>
+
+          {/* Submit Button */}
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full flex items-center justify-center space-x-2 py-3 px-4 border border-transparent rounded-xl shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 font-medium"
+          >
+            {isSubmitting ? (
+              <>
+                <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                <span>Sending link...</span>
+              </>
+            ) : (
+              <>
+                <Send className="w-5 h-5" />
+                <span>Send Reset Link</span>
+              </>
+            )}
+          </button>
+
+          {/* Back to Login */}
+          <div className="text-center">
+            <Link
+              to="/login"
+              className="inline-flex items-center space-x-1 text-primary-600 hover:text-primary-700 font-medium transition-colors duration-200"
+            >
+              <ArrowLeft className="w-4 h-4" />
+              <span>Back to sign in</span>
+            </Link>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,5 +1,5 @@
 // client/src/pages/Profile.jsx
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { useParams, useNavigate, Link } from "react-router-dom";
 import { Helmet } from "react-helmet-async";
 import {
@@ -23,7 +23,12 @@ import {
 import ProfileCard from "../components/Profile/ProfileCard";
 import TaskCard from "../components/Tasks/TaskCard";
 import BidCard from "../components/Bids/BidCard";
-import { ReadOnlyStars } from "../components/Profile/RatingStars";
+import {
+  ReadOnlyStars,
+  RatingBreakdown,
+} from "../components/Profile/RatingStars";
+import ReviewList from "../components/Profile/ReviewList";
+import reviewService from "../services/reviewService";
 import { useAuth } from "../hooks/useAuth";
 
 const Profile = () => {
@@ -35,7 +40,6 @@ const Profile = () => {
     isLoading: authLoading,
     updateProfile,
     getUserStats,
-    getUserRating,
     formatUserForDisplay,
   } = useAuth();
 
@@ -56,6 +60,8 @@ const Profile = () => {
   const [userTasks, setUserTasks] = useState([]);
   const [userBids, setUserBids] = useState([]);
   const [reviews, setReviews] = useState([]);
+  const [reviewSummary, setReviewSummary] = useState(null);
+  const [reviewPagination, setReviewPagination] = useState(null);
   const [stats, setStats] = useState(null);
 
   // Edit profile state
@@ -82,6 +88,14 @@ const Profile = () => {
     }
   }, [userId, currentUser]);
 
+  // Reviews are public, so load them for any profile being shown
+  const profileUserId = profileUser?._id;
+  useEffect(() => {
+    if (profileUserId) {
+      loadUserReviews(profileUserId);
+    }
+  }, [profileUserId, loadUserReviews]);
+
   // Load user profile data
   const loadUserProfile = async (targetUserId) => {
     setIsLoading(true);
@@ -103,7 +117,6 @@ const Profile = () => {
       await Promise.all([
         loadUserTasks(targetUserId),
         loadUserBids(targetUserId),
-        loadUserReviews(targetUserId),
         loadUserStats(targetUserId),
       ]);
     } catch (err) {
@@ -136,16 +149,21 @@ const Profile = () => {
     }
   };
 
-  // Load user reviews
-  const loadUserReviews = async (targetUserId) => {
-    try {
-      // This would call reviewService.getUserReviews() or similar
-      // For now, return empty array
-      setReviews([]);
-    } catch (err) {
-      console.error("Error loading user reviews:", err);
+  // Load revealed reviews about the user, appending later pages
+  const loadUserReviews = useCallback(async (targetUserId, page = 1) => {
+    const result = await reviewService.getUserReviews(targetUserId, { page });
+
+    if (!result.success) {
+      console.error("Error loading user reviews:", result.message);
+      return;
     }
-  };
+
+    setReviews((prev) =>
+      page === 1 ? result.reviews : [...prev, ...result.reviews]
+    );
+    setReviewSummary(result.summary);
+    setReviewPagination(result.pagination);
+  }, []);
 
   // Load user statistics
   const loadUserStats = async (targetUserId) => {
@@ -203,7 +221,13 @@ const Profile = () => {
     return userTasks.filter((task) => {
       switch (tasksFilter) {
         case "active":
-          return ["Open", "Assigned", "In-Progress"].includes(task.status);
+          return [
+            "Open",
+            "Assigned",
+            "In-Progress",
+            "Submitted",
+            "Disputed",
+          ].includes(task.status);
         case "completed":
           return ["Completed", "Closed"].includes(task.status);
         default:
@@ -297,7 +321,6 @@ const Profile = () => {
     );
   }
 
-  const userRating = getUserRating();
   const userStats = stats || getUserStats();
 
   return (
@@ -472,7 +495,9 @@ const Profile = () => {
                       },
                       {
                         id: "reviews",
-                        label: `Reviews (${reviews.length})`,
+                        label: `Reviews (${
+                          reviewSummary?.count ?? reviews.length
+                        })`,
                         icon: MessageCircle,
                       },
                     ].map((tab) => {
@@ -683,44 +708,40 @@ const Profile = () => {
                   {/* Reviews Tab */}
                   {activeTab === "reviews" && (
                     <div className="space-y-4">
-                      {userRating.hasRating && (
+                      {reviewSummary?.count > 0 && (
                         <div className="bg-gray-50 rounded-lg p-4 mb-6">
-                          <div className="flex items-center justify-center space-x-4">
+                          <div className="flex flex-col md:flex-row items-center justify-center gap-6">
                             <div className="text-center">
                               <div className="text-3xl font-bold text-gray-900">
-                                {userRating.average.toFixed(1)}
+                                {reviewSummary.average.toFixed(1)}
                               </div>
                               <ReadOnlyStars
-                                rating={userRating.average}
+                                rating={reviewSummary.average}
                                 size="lg"
                               />
                               <div className="text-sm text-gray-600 mt-1">
-                                Based on {userRating.count} review
-                                {userRating.count !== 1 ? "s" : ""}
+                                Based on {reviewSummary.count} review
+                                {reviewSummary.count !== 1 ? "s" : ""}
                               </div>
                             </div>
+                            <RatingBreakdown
+                              breakdown={reviewSummary.breakdown}
+                              className="w-full max-w-sm"
+                            />
                           </div>
                         </div>
                       )}
 
-                      <div className="space-y-4">
-                        {reviews.length > 0 ? (
-                          reviews.map((review, index) => (
-                            <div
-                              key={index}
-                              className="bg-white border border-gray-200 rounded-lg p-4"
-                            >
-                              {/* Review content would go here */}
-                              <p className="text-gray-600">Review content...</p>
-                            </div>
-                          ))
-                        ) : (
-                          <div className="text-center py-8 text-gray-500">
-                            <MessageCircle className="w-8 h-8 mx-auto mb-2 opacity-50" />
-                            <p>No reviews yet</p>
-                          </div>
-                        )}
-                      </div>
+                      <ReviewList
+                        reviews={reviews}
+                        hasMore={reviewPagination?.hasNext}
+                        onLoadMore={() =>
+                          loadUserReviews(
+                            profileUserId,
+                            reviewPagination.currentPage + 1
+                          )
+                        }
+                      />
                     </div>
                   )}
                 </div>
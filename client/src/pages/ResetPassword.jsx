@@ -0,0 +1,230 @@
+// client/src/pages/ResetPassword.jsx
+
+import React, { useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { Eye, EyeOff, Lock, KeyRound, AlertCircle } from "lucide-react";
+import authService from "../services/authService";
+
+const ResetPassword = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+
+  const [formData, setFormData] = useState({
+    password: "",
+    confirmPassword: "",
+  });
+  const [showPassword, setShowPassword] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [validationErrors, setValidationErrors] = useState({});
+  const [error, setError] = useState("");
+
+  // Validate form fields (same rules as registration)
+  const validateForm = () => {
+    const errors = {};
+
+    if (!formData.password) {
+      errors.password = "Password is required";
+    } else if (formData.password.length < 6) {
+      errors.password = "Password must be at least 6 characters";
+    } else if (!/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(formData.password)) {
+      errors.password =
+        "Password must contain at least one uppercase letter, one lowercase letter, and one number";
+    }
+
+    if (formData.confirmPassword !== formData.password) {
+      errors.confirmPassword = "Passwords do not match";
+    }
+
+    setValidationErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError("");
+
+    const result = await authService.resetPassword(token, formData.password);
+
+    if (result.success) {
+      navigate("/login", {
+        replace: true,
+        state: { message: result.message },
+      });
+      return;
+    }
+
+    setError(result.message);
+    setIsSubmitting(false);
+  };
+
+  // Handle input changes
+  const handleInputChange = (field, value) => {
+    setFormData((prev) => ({ ...prev, [field]: value }));
+
+    // Clear specific field error when user starts typing
+    if (validationErrors[field]) {
+      setValidationErrors((prev) => {
+        const newErrors = { ...prev };
+        delete newErrors[field];
+        return newErrors;
+      });
+    }
+  };
+
+  // Get input field styles
+  const getInputStyles = (field) => {
+    const baseStyles =
+      "w-full pl-10 pr-12 py-3 border rounded-xl transition-all duration-200 focus:ring-2 focus:outline-none";
+
+    if (validationErrors[field]) {
+      return `${baseStyles} border-red-300 focus:border-red-500 focus:ring-red-500/20 bg-red-50`;
+    }
+
+    return `${baseStyles} border-gray-300 focus:border-primary-500 focus:ring-primary-500/20 bg-white`;
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 via-white to-secondary-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        {/* Header */}
+        <div className="text-center">
+          <div className="flex justify-center mb-4">
+            <div className="w-12 h-12 bg-primary-600 rounded-xl flex items-center justify-center">
+              <span className="text-white font-bold text-xl">T</span>
+            </div>
+          </div>
+          <h2 className="text-3xl font-bold text-gray-900 mb-2">
+            Choose a new password
+          </h2>
+          <p className="text-gray-600">
+            You'll be signed out of all your devices afterwards
+          </p>
+        </div>
+
+        {/* Error Message */}
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-xl p-4 animate-slide-up">
+            <div className="flex items-center">
+              <AlertCircle className="w-5 h-5 text-red-600 mr-3" />
+              <p className="text-red-800 text-sm">
+                {error}{" "}
+                <Link
+                  to="/forgot-password"
+                  className="font-medium underline hover:text-red-900"
+                >
+                  Request a new link
+                </Link>
+              </p>
+            </div>
+          </div>
+        )}
+
+        {/* Reset Form */}
+        <form
+          onSubmit={handleSubmit}
+          className="bg-white rounded-2xl shadow-medium p-8 space-y-6"
+        >
+          {/* Password Field */}
+          <div>
+            <label
+              htmlFor="password"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              New Password
+            </label>
+            <div className="relative">
+              <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+              <input
+                id="password"
+                type={showPassword ? "text" : "password"}
+                value={formData.password}
+                onChange={(e) => handleInputChange("password", e.target.value)}
+                className={getInputStyles("password")}
+                placeholder="Enter a new password"
+                disabled={isSubmitting}
+                autoComplete="new-password"
+              />
+              <button
+                type="button"
+                onClick={() => setShowPassword(!showPassword)}
+                className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600 transition-colors duration-200"
+                disabled={isSubmitting}
+              >
+                {showPassword ? (
+                  <EyeOff className="w-5 h-5" />
+                ) : (
+                  <Eye className="w-5 h-5" />
+                )}
+              </button>
+            </div>
+            {validationErrors.password && (
+              <p className="text-red-600 text-sm mt-1 flex items-center">
+                <AlertCircle className="w-4 h-4 mr-1" />
+                {validationErrors.password}
+              </p>
+            )}
+          </div>
+
+          {/* Confirm Password Field */}
+          <div>
+            <label
+              htmlFor="confirmPassword"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Confirm New Password
+            </label>
+            <div className="relative">
+              <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+              <input
+                id="confirmPassword"
+                type={showPassword ? "text" : "password"}
+                value={formData.confirmPassword}
+                onChange={(e) =>
+                  handleInputChange("confirmPassword", e.target.value)
+                }
+                className={getInputStyles("confirmPassword")}
+                placeholder="Repeat the new password"
+                disabled={isSubmitting}
+                autoComplete="new-password"
+              />
+            </div>
+            {validationErrors.confirmPassword && (
+              <p className="text-red-600 text-sm mt-1 flex items-center">
+                <AlertCircle className="w-4 h-4 mr-1" />
+                {validationErrors.confirmPassword}
+              </p>
+            )}
+          </div>
+
+          {/* Submit Button */}
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full flex items-center justify-center space-x-2 py-3 px-4 border border-transparent rounded-xl shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 font-medium"
+          >
+            {isSubmitting ? (
+              <>
+                <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                <span>Resetting password...</span>
+              </>
+            ) : (
+              <>
+                <KeyRound className="w-5 h-5" />
+                <span>Reset Password</span>
+              </>
+            )}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,73 @@
+// client/src/pages/Settings.jsx
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { ArrowLeft, Monitor, UserX } from "lucide-react";
+
+import SessionsPanel from "../components/Settings/SessionsPanel";
+import BlockedUsersPanel from "../components/Settings/BlockedUsersPanel";
+
+// Settings sections; each renders one panel
+const SECTIONS = [
+  {
+    id: "sessions",
+    label: "Devices & Sessions",
+    icon: Monitor,
+    component: SessionsPanel,
+  },
+  {
+    id: "blocked",
+    label: "Blocked Users",
+    icon: UserX,
+    component: BlockedUsersPanel,
+  },
+];
+
+const Settings = () => {
+  const [activeSection, setActiveSection] = useState(SECTIONS[0].id);
+
+  const ActivePanel = SECTIONS.find(
+    (section) => section.id === activeSection
+  ).component;
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center space-x-3 mb-8">
+        <Link
+          to="/profile"
+          className="p-2 text-gray-600 hover:text-gray-900 rounded-lg hover:bg-white transition-colors duration-200"
+        >
+          <ArrowLeft className="w-5 h-5" />
+        </Link>
+        <h1 className="text-2xl font-bold text-gray-900">Settings</h1>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+        <nav className="md:col-span-1 space-y-1">
+          {SECTIONS.map((section) => {
+            const Icon = section.icon;
+            return (
+              <button
+                key={section.id}
+                onClick={() => setActiveSection(section.id)}
+                className={`w-full flex items-center space-x-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors duration-200 ${
+                  activeSection === section.id
+                    ? "text-primary-600 bg-primary-50"
+                    : "text-gray-700 hover:bg-white"
+                }`}
+              >
+                <Icon className="w-4 h-4" />
+                <span>{section.label}</span>
+              </button>
+            );
+          })}
+        </nav>
+
+        <div className="md:col-span-3">
+          <ActivePanel />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
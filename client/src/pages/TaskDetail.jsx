@@ -26,12 +26,25 @@ import {
   ExternalLink,
   AlertCircle,
   Loader,
+  Gavel,
+  Zap,
 } from "lucide-react";
 import { useAuth } from "../hooks/useAuth";
 import taskService from "../services/taskService";
 import bidService from "../services/bidService";
 import BidForm from "../components/Bids/BidForm";
 import BidList from "../components/Bids/BidList";
+import DisputeThread from "../components/Disputes/DisputeThread";
+import SubmissionPanel from "../components/Tasks/SubmissionPanel";
+import MilestonePanel from "../components/Tasks/MilestonePanel";
+import ReviewPanel from "../components/Tasks/ReviewPanel";
+import {
+  AUCTION_TYPES,
+  getAuctionTypeInfo,
+  hasAuctionEnded,
+  canTakeTaskNow,
+  canAcceptTaskBids,
+} from "../constants/statusTypes";
 
 const TaskDetail = () => {
   const { taskId } = useParams();
@@ -119,6 +132,32 @@ const TaskDetail = () => {
     }
   };
 
+  // Take the task at its instant price
+  const handleTakeNow = async () => {
+    if (
+      !window.confirm(
+        `Take this task for ₹${task.instantPrice}? It will be assigned to you straight away.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setActionLoading(true);
+      const response = await taskService.takeTask(taskId);
+
+      if (!response.success) {
+        alert(response.message || "Failed to take task");
+      }
+      fetchTaskDetail();
+    } catch (error) {
+      console.error("Error taking task:", error);
+      alert("Something went wrong. Please try again.");
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   // Handle task deletion
   const handleDeleteTask = async () => {
     try {
@@ -209,6 +248,10 @@ const TaskDetail = () => {
         return "bg-blue-100 text-blue-800 border-blue-200";
       case "In-Progress":
         return "bg-yellow-100 text-yellow-800 border-yellow-200";
+      case "Submitted":
+        return "bg-indigo-100 text-indigo-800 border-indigo-200";
+      case "Disputed":
+        return "bg-red-100 text-red-800 border-red-200";
       case "Completed":
         return "bg-purple-100 text-purple-800 border-purple-200";
       case "Closed":
@@ -241,8 +284,18 @@ const TaskDetail = () => {
     user &&
     task.poster._id !== user._id &&
     task.status === "Open" &&
+    !hasAuctionEnded(task) &&
     !userBid;
+  const isAssignee =
+    task && user && task.assignedTo && task.assignedTo._id === user._id;
   const canEdit = isTaskOwner && task.status === "Open" && task.bidCount === 0;
+  const canAcceptBids = isTaskOwner && canAcceptTaskBids(task);
+  const canTakeNow =
+    task &&
+    user &&
+    task.poster._id !== user._id &&
+    canTakeTaskNow(task) &&
+    (!userBid || userBid.status === "Pending");
   const canDelete =
     isTaskOwner && (task.status === "Open" || task.status === "Closed");
 
@@ -365,6 +418,12 @@ const TaskDetail = () => {
                       ? `₹${task.budget.min}`
                       : `₹${task.budget.min} - ₹${task.budget.max}`}
                   </span>
+                  {task.instantPrice && (
+                    <span className="ml-3 inline-flex items-center px-2 py-0.5 text-xs font-medium bg-amber-100 text-amber-700 rounded-full">
+                      <Zap className="w-3 h-3 mr-1" />
+                      Instant ₹{task.instantPrice}
+                    </span>
+                  )}
                 </div>
 
                 <div
@@ -514,6 +573,36 @@ const TaskDetail = () => {
               />
             )}
 
+            {/* Milestones */}
+            {(task.status === "Open" || isTaskOwner || isAssignee) && (
+              <MilestonePanel
+                task={task}
+                isTaskOwner={isTaskOwner}
+                isAssignee={isAssignee}
+                onTaskChange={fetchTaskDetail}
+              />
+            )}
+
+            {/* Deliverables */}
+            {(isTaskOwner || isAssignee) && task.status !== "Open" && (
+              <SubmissionPanel
+                task={task}
+                isTaskOwner={isTaskOwner}
+                isAssignee={isAssignee}
+                onTaskChange={fetchTaskDetail}
+              />
+            )}
+
+            {/* Reviews */}
+            {(isTaskOwner || isAssignee) && task.status === "Completed" && (
+              <ReviewPanel task={task} isTaskOwner={isTaskOwner} />
+            )}
+
+            {/* Dispute */}
+            {(isTaskOwner || isAssignee) && task.status !== "Open" && (
+              <DisputeThread task={task} onTaskChange={fetchTaskDetail} />
+            )}
+
             {/* Bids Section */}
             {(isTaskOwner || task.status !== "Open") && (
               <div className="bg-white rounded-xl shadow-sm border border-gray-200">
@@ -521,6 +610,7 @@ const TaskDetail = () => {
                   taskId={task._id}
                   type="all"
                   isTaskOwner={isTaskOwner}
+                  canAccept={canAcceptBids}
                   onBidAccept={handleBidAccept}
                   onBidReject={handleBidReject}
                   pageTitle="Bids for this Task"
@@ -690,6 +780,65 @@ const TaskDetail = () => {
                     <p className="text-gray-600">Bidding is not available</p>
                   </div>
                 )}
+
+                {canTakeNow && (
+                  <div className="mt-4 pt-4 border-t border-gray-200">
+                    <button
+                      onClick={handleTakeNow}
+                      disabled={actionLoading}
+                      className="w-full inline-flex items-center justify-center space-x-2 px-4 py-2 bg-amber-500 text-white rounded-lg hover:bg-amber-600 transition-colors disabled:opacity-50"
+                    >
+                      <Zap className="w-4 h-4" />
+                      <span>Take it now for ₹{task.instantPrice}</span>
+                    </button>
+                    <p className="mt-2 text-xs text-gray-500 text-center">
+                      Skip the bidding and get assigned straight away
+                    </p>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Auction */}
+            {task.auctionType && task.auctionType !== AUCTION_TYPES.OPEN && (
+              <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                <div className="flex items-center space-x-2 mb-2">
+                  <Gavel className="w-5 h-5 text-gray-500" />
+                  <h3 className="text-lg font-semibold text-gray-900">
+                    {getAuctionTypeInfo(task.auctionType).label}
+                  </h3>
+                </div>
+                <p className="text-sm text-gray-600 mb-4">
+                  {getAuctionTypeInfo(task.auctionType).description}
+                </p>
+                <div className="space-y-2 text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-gray-500">
+                      {hasAuctionEnded(task)
+                        ? "Bidding closed"
+                        : "Bidding closes"}
+                    </span>
+                    <span className="font-medium text-gray-900">
+                      {new Date(task.auctionEndsAt).toLocaleString()}
+                    </span>
+                  </div>
+                  {task.reservePrice && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-500">Reserve</span>
+                      <span className="font-medium text-gray-900">
+                        ₹{task.reservePrice}
+                      </span>
+                    </div>
+                  )}
+                </div>
+                {isTaskOwner &&
+                  task.status === "Open" &&
+                  hasAuctionEnded(task) &&
+                  !canAcceptBids && (
+                    <p className="mt-4 text-xs text-gray-500">
+                      Closing the auction. This takes up to a minute.
+                    </p>
+                  )}
               </div>
             )}
 
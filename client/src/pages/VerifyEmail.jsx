@@ -0,0 +1,82 @@
+// client/src/pages/VerifyEmail.jsx
+
+import React, { useState, useEffect, useRef } from "react";
+import { Link, useParams } from "react-router-dom";
+import { CheckCircle, AlertCircle } from "lucide-react";
+import { useAuth } from "../hooks/useAuth";
+import authService from "../services/authService";
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { isAuthenticated } = useAuth();
+  const [status, setStatus] = useState("verifying");
+  const [message, setMessage] = useState("");
+  const requestedRef = useRef(false);
+
+  // Tokens are single-use, so only submit once (StrictMode mounts twice)
+  useEffect(() => {
+    if (requestedRef.current) return;
+    requestedRef.current = true;
+
+    const verify = async () => {
+      const result = await authService.verifyEmail(token);
+      setStatus(result.success ? "verified" : "failed");
+      setMessage(result.message);
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 via-white to-secondary-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full bg-white rounded-2xl shadow-medium p-8 text-center space-y-4">
+        {status === "verifying" && (
+          <>
+            <div className="flex justify-center">
+              <div className="w-10 h-10 border-4 border-primary-600 border-t-transparent rounded-full animate-spin"></div>
+            </div>
+            <p className="text-gray-600">Verifying your email address...</p>
+          </>
+        )}
+
+        {status === "verified" && (
+          <>
+            <CheckCircle className="w-12 h-12 text-green-600 mx-auto" />
+            <h2 className="text-2xl font-bold text-gray-900">
+              Email verified!
+            </h2>
+            <p className="text-gray-600">
+              You can now post tasks and bid on tasks from other students.
+            </p>
+          </>
+        )}
+
+        {status === "failed" && (
+          <>
+            <AlertCircle className="w-12 h-12 text-red-600 mx-auto" />
+            <h2 className="text-2xl font-bold text-gray-900">
+              Verification failed
+            </h2>
+            <p className="text-gray-600">{message}</p>
+            {isAuthenticated && (
+              <p className="text-sm text-gray-500">
+                Use the banner at the top of the page to send a new link.
+              </p>
+            )}
+          </>
+        )}
+
+        {status !== "verifying" && (
+          <Link
+            to={isAuthenticated ? "/dashboard" : "/login"}
+            className="inline-block bg-primary-600 text-white px-6 py-3 rounded-xl hover:bg-primary-700 transition-colors duration-200 font-medium"
+          >
+            {isAuthenticated ? "Go to dashboard" : "Sign in"}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,313 @@
+// client/src/pages/Wallet.jsx
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import {
+  Wallet as WalletIcon,
+  Lock,
+  Clock,
+  Plus,
+  ArrowUpRight,
+  ArrowDownLeft,
+  RefreshCw,
+  AlertTriangle,
+  CheckCircle,
+} from "lucide-react";
+import walletService from "../services/walletService";
+import { formatCurrency, getRelativeTime } from "../utils/helpers";
+
+// How each ledger entry type reads in the transaction list
+const TRANSACTION_LABELS = {
+  deposit: "Added funds",
+  withdrawal: "Withdrawal",
+  withdrawal_reversal: "Withdrawal returned",
+  escrow_hold: "Held in escrow",
+  escrow_release: "Payment received",
+  escrow_refund: "Escrow refund",
+};
+
+const QUICK_AMOUNTS = [100, 500, 1000];
+
+const formatAmount = (amount) =>
+  formatCurrency(amount, { showDecimals: !Number.isInteger(amount) });
+
+const Wallet = () => {
+  const [wallet, setWallet] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [amount, setAmount] = useState("");
+  const [pendingAction, setPendingAction] = useState(null);
+
+  // Load balance and the first page of transactions
+  const loadWallet = useCallback(async () => {
+    setIsLoading(true);
+    setError("");
+
+    const [walletResult, transactionsResult] = await Promise.all([
+      walletService.getWallet(),
+      walletService.getTransactions({ page: 1 }),
+    ]);
+
+    if (walletResult.success) {
+      setWallet(walletResult.wallet);
+    } else {
+      setError(walletResult.message);
+    }
+
+    if (transactionsResult.success) {
+      setTransactions(transactionsResult.transactions);
+      setPagination(transactionsResult.pagination);
+    }
+    setIsLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadWallet();
+  }, [loadWallet]);
+
+  const loadMore = async () => {
+    const result = await walletService.getTransactions({
+      page: pagination.currentPage + 1,
+    });
+
+    if (result.success) {
+      setTransactions((prev) => [...prev, ...result.transactions]);
+      setPagination(result.pagination);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  // Add or withdraw funds, then refresh the ledger
+  const handleAction = async (action) => {
+    setError("");
+    setNotice("");
+    setPendingAction(action);
+
+    const value = parseFloat(amount);
+    const result =
+      action === "deposit"
+        ? await walletService.deposit(value)
+        : await walletService.withdraw(value);
+
+    setPendingAction(null);
+
+    if (!result.success) {
+      setError(result.message);
+      return;
+    }
+
+    setNotice(result.message);
+    setAmount("");
+    loadWallet();
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center justify-between mb-8">
+        <div className="flex items-center space-x-3">
+          <WalletIcon className="w-7 h-7 text-primary-600" />
+          <h1 className="text-2xl font-bold text-gray-900">Wallet</h1>
+        </div>
+        <button
+          onClick={loadWallet}
+          disabled={isLoading}
+          className="p-2 text-gray-500 hover:text-gray-700 rounded-lg hover:bg-white transition-colors duration-200 disabled:opacity-50"
+          title="Refresh"
+        >
+          <RefreshCw className={`w-4 h-4 ${isLoading ? "animate-spin" : ""}`} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-6 flex items-center space-x-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {notice && (
+        <div className="mb-6 flex items-center space-x-2 p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-700">
+          <CheckCircle className="w-4 h-4 flex-shrink-0" />
+          <span>{notice}</span>
+        </div>
+      )}
+
+      {/* Balances */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <div className="flex items-center space-x-2 text-sm text-gray-500">
+            <WalletIcon className="w-4 h-4" />
+            <span>Available balance</span>
+          </div>
+          <p className="mt-2 text-3xl font-bold text-gray-900">
+            {wallet ? formatAmount(wallet.balance) : "—"}
+          </p>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <div className="flex items-center space-x-2 text-sm text-gray-500">
+            <Lock className="w-4 h-4" />
+            <span>Held for your tasks</span>
+          </div>
+          <p className="mt-2 text-2xl font-semibold text-gray-900">
+            {wallet ? formatAmount(wallet.escrow.held) : "—"}
+          </p>
+          <p className="mt-1 text-xs text-gray-500">
+            Released to the assignee when you mark a task completed
+          </p>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <div className="flex items-center space-x-2 text-sm text-gray-500">
+            <Clock className="w-4 h-4" />
+            <span>Waiting for you</span>
+          </div>
+          <p className="mt-2 text-2xl font-semibold text-gray-900">
+            {wallet ? formatAmount(wallet.escrow.incoming) : "—"}
+          </p>
+          <p className="mt-1 text-xs text-gray-500">
+            Paid out once the poster confirms your work
+          </p>
+        </div>
+      </div>
+
+      {/* Add or withdraw funds */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+        <h2 className="text-lg font-semibold text-gray-900">Move money</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Accepting a bid holds its amount from your balance in escrow.
+        </p>
+
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <div className="relative flex-1">
+            <span className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-500">
+              ₹
+            </span>
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              placeholder="Amount"
+              className="w-full pl-8 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            />
+          </div>
+          <div className="flex space-x-2">
+            {QUICK_AMOUNTS.map((quickAmount) => (
+              <button
+                key={quickAmount}
+                onClick={() => setAmount(String(quickAmount))}
+                className="px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200"
+              >
+                {formatCurrency(quickAmount)}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={() => handleAction("deposit")}
+            disabled={!amount || pendingAction !== null}
+            className="inline-flex items-center justify-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg text-sm font-medium hover:bg-primary-700 transition-colors duration-200 disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+            <span>
+              {pendingAction === "deposit" ? "Adding..." : "Add funds"}
+            </span>
+          </button>
+          <button
+            onClick={() => handleAction("withdraw")}
+            disabled={!amount || pendingAction !== null}
+            className="inline-flex items-center justify-center space-x-2 px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200 disabled:opacity-50"
+          >
+            <ArrowUpRight className="w-4 h-4" />
+            <span>
+              {pendingAction === "withdraw" ? "Withdrawing..." : "Withdraw"}
+            </span>
+          </button>
+        </div>
+      </div>
+
+      {/* Transactions */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Transactions</h2>
+        </div>
+
+        <div className="divide-y divide-gray-100">
+          {isLoading && transactions.length === 0 ? (
+            <div className="px-6 py-8 text-center text-sm text-gray-500">
+              Loading transactions...
+            </div>
+          ) : transactions.length === 0 ? (
+            <div className="px-6 py-8 text-center text-sm text-gray-500">
+              No transactions yet.
+            </div>
+          ) : (
+            transactions.map((transaction) => {
+              const isCredit = transaction.amount > 0;
+              const Icon = isCredit ? ArrowDownLeft : ArrowUpRight;
+
+              return (
+                <div
+                  key={transaction._id}
+                  className="px-6 py-4 flex items-center justify-between"
+                >
+                  <div className="flex items-start space-x-3 min-w-0">
+                    <Icon
+                      className={`w-5 h-5 mt-0.5 flex-shrink-0 ${
+                        isCredit ? "text-green-500" : "text-gray-400"
+                      }`}
+                    />
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900">
+                        {TRANSACTION_LABELS[transaction.type] ||
+                          transaction.type}
+                      </p>
+                      <p className="text-xs text-gray-500 mt-1 truncate">
+                        {transaction.task ? (
+                          <Link
+                            to={`/tasks/${transaction.task._id}`}
+                            className="hover:text-primary-600"
+                          >
+                            {transaction.task.title}
+                          </Link>
+                        ) : (
+                          transaction.description
+                        )}{" "}
+                        · {getRelativeTime(transaction.createdAt)}
+                      </p>
+                    </div>
+                  </div>
+                  <span
+                    className={`ml-4 text-sm font-semibold flex-shrink-0 ${
+                      isCredit ? "text-green-600" : "text-gray-900"
+                    }`}
+                  >
+                    {isCredit ? "+" : "−"}
+                    {formatAmount(Math.abs(transaction.amount))}
+                  </span>
+                </div>
+              );
+            })
+          )}
+        </div>
+
+        {pagination?.hasNext && (
+          <div className="px-6 py-4 border-t border-gray-200 text-center">
+            <button
+              onClick={loadMore}
+              className="text-sm font-medium text-primary-600 hover:text-primary-700"
+            >
+              Load more
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Wallet;
@@ -0,0 +1,173 @@
+// client/src/services/adminService.js
+import api, { apiUtils } from "./api";
+import { ADMIN_ENDPOINTS } from "../constants/apiEndpoints";
+
+class AdminService {
+  // Current staff role and permissions
+  async getProfile() {
+    try {
+      const response = await api.get(ADMIN_ENDPOINTS.GET_PROFILE);
+
+      if (response.data.success) {
+        return {
+          success: true,
+          role: response.data.data.role,
+          permissions: response.data.data.permissions,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to load admin profile");
+    } catch (error) {
+      console.error("Get admin profile error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+        permissions: [],
+      };
+    }
+  }
+
+  // Shared list fetcher for the moderation tables
+  async getList(endpoint, filters = {}, label = "items") {
+    try {
+      const queryString = apiUtils.buildQueryString(filters);
+      const url = queryString ? `${endpoint}?${queryString}` : endpoint;
+
+      const response = await api.get(url);
+
+      if (response.data.success) {
+        return {
+          success: true,
+          items: response.data.data,
+          pagination: response.data.pagination,
+        };
+      }
+
+      throw new Error(response.data.message || `Failed to fetch ${label}`);
+    } catch (error) {
+      console.error(`Admin get ${label} error:`, error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+        items: [],
+      };
+    }
+  }
+
+  // Shared action runner for moderation actions
+  async runAction(request, label) {
+    try {
+      const response = await request();
+
+      if (response.data.success) {
+        return {
+          success: true,
+          message: response.data.message,
+          data: response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || `Failed to ${label}`);
+    } catch (error) {
+      console.error(`Admin ${label} error:`, error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  getUsers(filters) {
+    return this.getList(ADMIN_ENDPOINTS.GET_USERS, filters, "users");
+  }
+
+  getTasks(filters) {
+    return this.getList(ADMIN_ENDPOINTS.GET_TASKS, filters, "tasks");
+  }
+
+  getBids(filters) {
+    return this.getList(ADMIN_ENDPOINTS.GET_BIDS, filters, "bids");
+  }
+
+  getMessages(filters) {
+    return this.getList(ADMIN_ENDPOINTS.GET_MESSAGES, filters, "messages");
+  }
+
+  getReports(filters) {
+    return this.getList(ADMIN_ENDPOINTS.GET_REPORTS, filters, "reports");
+  }
+
+  getDisputes(filters) {
+    return this.getList(ADMIN_ENDPOINTS.GET_DISPUTES, filters, "disputes");
+  }
+
+  // Suspend (isActive false, reason required) or reactivate a user
+  updateUserStatus(userId, isActive, reason) {
+    return this.runAction(
+      () =>
+        api.patch(ADMIN_ENDPOINTS.UPDATE_USER_STATUS(userId), {
+          isActive,
+          reason,
+        }),
+      "update user status"
+    );
+  }
+
+  updateUserRole(userId, role) {
+    return this.runAction(
+      () => api.patch(ADMIN_ENDPOINTS.UPDATE_USER_ROLE(userId), { role }),
+      "update user role"
+    );
+  }
+
+  closeTask(taskId, reason) {
+    return this.runAction(
+      () => api.post(ADMIN_ENDPOINTS.CLOSE_TASK(taskId), { reason }),
+      "close task"
+    );
+  }
+
+  removeBid(bidId, reason) {
+    return this.runAction(
+      () => api.post(ADMIN_ENDPOINTS.REMOVE_BID(bidId), { reason }),
+      "remove bid"
+    );
+  }
+
+  hideMessage(messageId, reason) {
+    return this.runAction(
+      () => api.post(ADMIN_ENDPOINTS.HIDE_MESSAGE(messageId), { reason }),
+      "hide message"
+    );
+  }
+
+  // Resolve (uphold) or dismiss every open report on the report's target
+  reviewReport(reportId, outcome, note) {
+    return this.runAction(
+      () =>
+        api.patch(ADMIN_ENDPOINTS.REVIEW_REPORT(reportId), { outcome, note }),
+      "review report"
+    );
+  }
+
+  // Settle a dispute: refund, release, or split with an assignee share
+  resolveDispute(disputeId, { outcome, assigneeShare, note }) {
+    return this.runAction(
+      () =>
+        api.post(ADMIN_ENDPOINTS.RESOLVE_DISPUTE(disputeId), {
+          outcome,
+          assigneeShare,
+          note,
+        }),
+      "resolve dispute"
+    );
+  }
+}
+
+// Create and export singleton instance
+const adminService = new AdminService();
+
+export default adminService;
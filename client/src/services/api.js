@@ -1,5 +1,6 @@
 // client/src/services/api.js
 import axios from "axios";
+import { AUTH_ENDPOINTS } from "../constants/apiEndpoints";
 
 const API_BASE_URL =
   import.meta.env.VITE_API_BASE_URL || "http://localhost:5000/api";
@@ -14,6 +15,53 @@ const api = axios.create({
   withCredentials: true,
 });
 
+// Auth requests that must never trigger a token refresh
+const NO_REFRESH_PATTERN =
+  /\/auth\/(login|register|refresh|forgot-password|reset-password\/[^/]+)$/;
+
+// POSTs the server deduplicates by Idempotency-Key: creating tasks, bids
+// and chat messages, and moving a task through its statuses
+const IDEMPOTENT_PATTERN =
+  /\/(tasks|bids|chat\/task\/[^/]+|tasks\/[^/]+\/(bids\/[^/]+\/accept|take|start|complete|close|submit|request-revision))$/;
+
+// How many times a dropped idempotent request is sent again
+const MAX_IDEMPOTENT_RETRIES = 2;
+
+// crypto.randomUUID needs HTTPS or localhost, so fall back to random bits
+const createIdempotencyKey = () =>
+  window.crypto?.randomUUID?.() ||
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+let refreshPromise = null;
+
+// Exchange the httpOnly refresh cookie for a new access token.
+// Concurrent 401s share one refresh request so the token rotates only once.
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(
+        AUTH_ENDPOINTS.REFRESH_TOKEN,
+        {},
+        { withCredentials: true, timeout: 30000 }
+      )
+      .then((response) => {
+        const { token, user } = response.data;
+
+        localStorage.setItem("token", token);
+        if (user) {
+          localStorage.setItem("user", JSON.stringify(user));
+        }
+
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
@@ -22,6 +70,15 @@ api.interceptors.request.use(
       config.headers.Authorization = `Bearer ${token}`;
     }
 
+    // One key per call, kept when the same request is sent again
+    if (
+      config.method === "post" &&
+      IDEMPOTENT_PATTERN.test(config.url || "") &&
+      !config.headers["Idempotency-Key"]
+    ) {
+      config.headers["Idempotency-Key"] = createIdempotencyKey();
+    }
+
     // Log request in development
     if (import.meta.env.DEV) {
       console.log(`📤 ${config.method?.toUpperCase()} ${config.url}`, {
@@ -69,20 +126,50 @@ api.interceptors.response.use(
       );
     }
 
-    // Handle 401 unauthorized errors
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    // Handle 401 unauthorized errors: refresh once, then replay the request
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !NO_REFRESH_PATTERN.test(originalRequest.url || "")
+    ) {
       originalRequest._retry = true;
 
-      // Clear token and redirect to login
-      localStorage.removeItem("token");
-      localStorage.removeItem("user");
-
-      // Only redirect if not already on login page
-      if (window.location.pathname !== "/login") {
-        window.location.href = "/login";
-      }
+      return refreshAccessToken()
+        .then((token) => {
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return api(originalRequest);
+        })
+        .catch((refreshError) => {
+          // Session is gone (expired, revoked or reused): back to login
+          if (refreshError.response?.status === 401) {
+            localStorage.removeItem("token");
+            localStorage.removeItem("user");
+
+            // Only redirect if not already on login page
+            if (window.location.pathname !== "/login") {
+              window.location.href = "/login";
+            }
+          }
+
+          return Promise.reject(error);
+        });
+    }
 
-      return Promise.reject(error);
+    // Resend a dropped request that carries an Idempotency-Key. If the
+    // first attempt did reach the server, it replays that response.
+    if (
+      !error.response &&
+      !axios.isCancel(error) &&
+      originalRequest?.headers?.["Idempotency-Key"] &&
+      (originalRequest._idempotentRetries || 0) < MAX_IDEMPOTENT_RETRIES
+    ) {
+      originalRequest._idempotentRetries =
+        (originalRequest._idempotentRetries || 0) + 1;
+
+      return new Promise((resolve) =>
+        setTimeout(resolve, 1000 * originalRequest._idempotentRetries)
+      ).then(() => api(originalRequest));
     }
 
     // Handle network errors
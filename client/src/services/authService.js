@@ -338,6 +338,128 @@ class AuthService {
     }
   }
 
+  // Confirm an email address with the token from the verification email
+  async verifyEmail(token) {
+    try {
+      const response = await api.get(AUTH_ENDPOINTS.VERIFY_EMAIL(token));
+
+      if (response.data.success) {
+        const { user } = response.data;
+
+        // The link may be opened while signed in as that same user
+        if (this.currentUser && user && this.currentUser._id === user._id) {
+          this.currentUser = user;
+          storage.set("user", user);
+          this.notifyAuthListeners(user, true);
+        }
+
+        return {
+          success: true,
+          message: response.data.message,
+        };
+      }
+
+      throw new Error(response.data.message || "Email verification failed");
+    } catch (error) {
+      console.error("Verify email error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Send another verification email to the current user
+  async resendVerification() {
+    try {
+      if (!this.isAuthenticated()) {
+        throw new Error("Not authenticated");
+      }
+
+      const response = await api.post(AUTH_ENDPOINTS.RESEND_VERIFICATION);
+
+      if (response.data.success) {
+        return {
+          success: true,
+          message: response.data.message,
+        };
+      }
+
+      throw new Error(
+        response.data.message || "Failed to resend verification email"
+      );
+    } catch (error) {
+      console.error("Resend verification error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Request a password reset email
+  async forgotPassword(email) {
+    try {
+      if (!email) {
+        throw new Error("Email is required");
+      }
+
+      const response = await api.post(AUTH_ENDPOINTS.FORGOT_PASSWORD, {
+        email,
+      });
+
+      if (response.data.success) {
+        return {
+          success: true,
+          message: response.data.message,
+        };
+      }
+
+      throw new Error(response.data.message || "Password reset request failed");
+    } catch (error) {
+      console.error("Forgot password error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Set a new password with the token from the reset email
+  async resetPassword(token, password) {
+    try {
+      if (!token || !password) {
+        throw new Error("Reset token and new password are required");
+      }
+
+      const response = await api.post(AUTH_ENDPOINTS.RESET_PASSWORD(token), {
+        password,
+      });
+
+      if (response.data.success) {
+        // Every session was revoked server-side, including this browser's
+        this.clearAuth();
+
+        return {
+          success: true,
+          message: response.data.message,
+        };
+      }
+
+      throw new Error(response.data.message || "Password reset failed");
+    } catch (error) {
+      console.error("Reset password error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
   // Verify token
   async verifyToken() {
     try {
@@ -421,6 +543,92 @@ class AuthService {
     }
   }
 
+  // Get active sessions (signed-in devices)
+  async getSessions() {
+    try {
+      const response = await api.get(AUTH_ENDPOINTS.GET_SESSIONS);
+
+      if (response.data.success) {
+        return {
+          success: true,
+          sessions: response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to fetch sessions");
+    } catch (error) {
+      console.error("Get sessions error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+        sessions: [],
+      };
+    }
+  }
+
+  // Sign out a single session
+  async revokeSession(sessionId) {
+    try {
+      if (!sessionId) {
+        throw new Error("Session ID is required");
+      }
+
+      const response = await api.delete(
+        AUTH_ENDPOINTS.REVOKE_SESSION(sessionId)
+      );
+
+      if (response.data.success) {
+        // Signing out this device ends the local session too
+        if (response.data.data?.isCurrent) {
+          this.clearAuth();
+        }
+
+        return {
+          success: true,
+          message: response.data.message,
+          isCurrent: response.data.data?.isCurrent,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to sign out session");
+    } catch (error) {
+      console.error("Revoke session error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Log out from every device, including this one
+  async logoutEverywhere() {
+    try {
+      const response = await api.delete(AUTH_ENDPOINTS.LOGOUT_EVERYWHERE);
+
+      if (response.data.success) {
+        this.clearAuth();
+
+        return {
+          success: true,
+          message: response.data.message,
+        };
+      }
+
+      throw new Error(
+        response.data.message || "Failed to log out from all devices"
+      );
+    } catch (error) {
+      console.error("Logout everywhere error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
   // Upload avatar
   async uploadAvatar(file) {
     try {
@@ -29,6 +29,7 @@ class BidService {
         deliverables,
         experience,
         portfolio,
+        milestones,
       } = bidData;
 
       // Validate required fields
@@ -70,6 +71,7 @@ class BidService {
         deliverables: processedDeliverables,
         experience: experience ? experience.trim() : undefined,
         portfolio: processedPortfolio,
+        milestones: milestones?.length ? milestones : undefined,
       });
 
       if (response.data.success) {
@@ -352,6 +354,106 @@ class BidService {
     }
   }
 
+  // Counter a bid or answer a counter-offer ({ amount, proposedTimeline, message })
+  async counterBid(bidId, offer) {
+    try {
+      if (!bidId) {
+        throw new Error("Bid ID is required");
+      }
+
+      const response = await api.post(BID_ENDPOINTS.COUNTER_BID(bidId), offer);
+
+      if (response.data.success) {
+        // Clear relevant caches
+        this.clearBidCache(bidId);
+        this.clearBidsCache();
+
+        return {
+          success: true,
+          message: response.data.message,
+          bid: response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to send counter-offer");
+    } catch (error) {
+      console.error("Counter bid error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Accept the poster's counter-offer
+  async acceptCounterOffer(bidId) {
+    try {
+      if (!bidId) {
+        throw new Error("Bid ID is required");
+      }
+
+      const response = await api.post(
+        BID_ENDPOINTS.ACCEPT_COUNTER_OFFER(bidId)
+      );
+
+      if (response.data.success) {
+        // Clear relevant caches
+        this.clearBidCache(bidId);
+        this.clearBidsCache();
+
+        return {
+          success: true,
+          message: response.data.message,
+          bid: response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to accept counter-offer");
+    } catch (error) {
+      console.error("Accept counter-offer error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Decline the latest counter-offer
+  async declineCounterOffer(bidId) {
+    try {
+      if (!bidId) {
+        throw new Error("Bid ID is required");
+      }
+
+      const response = await api.post(
+        BID_ENDPOINTS.DECLINE_COUNTER_OFFER(bidId)
+      );
+
+      if (response.data.success) {
+        // Clear relevant caches
+        this.clearBidCache(bidId);
+        this.clearBidsCache();
+
+        return {
+          success: true,
+          message: response.data.message,
+          bid: response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to decline counter-offer");
+    } catch (error) {
+      console.error("Decline counter-offer error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
   // Get bid statistics for a task
   async getBidStats(taskId) {
     try {
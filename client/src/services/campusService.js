@@ -0,0 +1,43 @@
+// client/src/services/campusService.js
+import api, { apiUtils } from "./api";
+import { CAMPUS_ENDPOINTS } from "../constants/apiEndpoints";
+
+class CampusService {
+  constructor() {
+    this.campuses = null;
+  }
+
+  // Get active campuses (cached; the list rarely changes)
+  async getCampuses() {
+    try {
+      if (this.campuses) {
+        return { success: true, campuses: this.campuses };
+      }
+
+      const response = await api.get(CAMPUS_ENDPOINTS.GET_CAMPUSES);
+
+      if (response.data.success) {
+        this.campuses = response.data.data;
+        return {
+          success: true,
+          campuses: this.campuses,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to fetch campuses");
+    } catch (error) {
+      console.error("Get campuses error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+        campuses: [],
+      };
+    }
+  }
+}
+
+// Create and export singleton instance
+const campusService = new CampusService();
+
+export default campusService;
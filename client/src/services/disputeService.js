@@ -0,0 +1,121 @@
+// client/src/services/disputeService.js
+import api, { apiUtils } from "./api";
+import { DISPUTE_ENDPOINTS } from "../constants/apiEndpoints";
+
+const MAX_EVIDENCE_FILES = 3;
+
+// Build the multipart body shared by opening a dispute and adding to it
+const buildStatementForm = (fields, evidence) => {
+  if (evidence.length > MAX_EVIDENCE_FILES) {
+    throw new Error(`You can attach up to ${MAX_EVIDENCE_FILES} files`);
+  }
+
+  const formData = new FormData();
+  Object.entries(fields).forEach(([key, value]) => {
+    formData.append(key, value);
+  });
+
+  evidence.forEach((file) => {
+    if (file.size > 10 * 1024 * 1024) {
+      throw new Error(`${file.name} is larger than 10MB`);
+    }
+    formData.append("evidence", file);
+  });
+
+  return formData;
+};
+
+class DisputeService {
+  // Latest dispute on a task, or null if there has never been one
+  async getTaskDispute(taskId) {
+    try {
+      const response = await api.get(DISPUTE_ENDPOINTS.TASK_DISPUTE(taskId));
+
+      if (response.data.success) {
+        return {
+          success: true,
+          dispute: response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to fetch dispute");
+    } catch (error) {
+      console.error("Get dispute error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+        dispute: null,
+      };
+    }
+  }
+
+  // Open a dispute; the task is frozen until a moderator decides
+  async openDispute({ taskId, reason, statement, evidence = [] }) {
+    try {
+      const formData = buildStatementForm(
+        { reason, statement: statement.trim() },
+        evidence
+      );
+
+      const response = await apiUtils.uploadFile(
+        DISPUTE_ENDPOINTS.TASK_DISPUTE(taskId),
+        formData
+      );
+
+      if (response.data.success) {
+        return {
+          success: true,
+          message: response.data.message,
+          dispute: response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to open dispute");
+    } catch (error) {
+      console.error("Open dispute error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Add a statement to the open dispute on a task
+  async addStatement({ taskId, statement, evidence = [] }) {
+    try {
+      const formData = buildStatementForm(
+        { statement: statement.trim() },
+        evidence
+      );
+
+      const response = await apiUtils.uploadFile(
+        DISPUTE_ENDPOINTS.ADD_STATEMENT(taskId),
+        formData
+      );
+
+      if (response.data.success) {
+        return {
+          success: true,
+          message: response.data.message,
+          dispute: response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to add statement");
+    } catch (error) {
+      console.error("Add dispute statement error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+}
+
+// Create and export singleton instance
+const disputeService = new DisputeService();
+
+export default disputeService;
@@ -0,0 +1,159 @@
+// client/src/services/notificationService.js
+import api, { apiUtils } from "./api";
+import { NOTIFICATION_ENDPOINTS } from "../constants/apiEndpoints";
+
+class NotificationService {
+  // Get notifications inbox
+  async getNotifications(filters = {}) {
+    try {
+      const queryString = apiUtils.buildQueryString(filters);
+      const url = queryString
+        ? `${NOTIFICATION_ENDPOINTS.GET_NOTIFICATIONS}?${queryString}`
+        : NOTIFICATION_ENDPOINTS.GET_NOTIFICATIONS;
+
+      const response = await api.get(url);
+
+      if (response.data.success) {
+        return {
+          success: true,
+          notifications: response.data.data,
+          unreadCount: response.data.unreadCount,
+          pagination: response.data.pagination,
+        };
+      }
+
+      throw new Error(
+        response.data.message || "Failed to fetch notifications"
+      );
+    } catch (error) {
+      console.error("Get notifications error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+        notifications: [],
+        unreadCount: 0,
+      };
+    }
+  }
+
+  // Get unread notification count
+  async getUnreadCount() {
+    try {
+      const response = await api.get(NOTIFICATION_ENDPOINTS.GET_UNREAD_COUNT);
+
+      if (response.data.success) {
+        return {
+          success: true,
+          unreadCount: response.data.data.unreadCount,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to fetch unread count");
+    } catch (error) {
+      console.error("Get notification count error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+        unreadCount: 0,
+      };
+    }
+  }
+
+  // Mark a single notification as read
+  async markAsRead(notificationId) {
+    try {
+      if (!notificationId) {
+        throw new Error("Notification ID is required");
+      }
+
+      const response = await api.post(
+        NOTIFICATION_ENDPOINTS.MARK_AS_READ(notificationId)
+      );
+
+      if (response.data.success) {
+        return {
+          success: true,
+          notification: response.data.data,
+        };
+      }
+
+      throw new Error(
+        response.data.message || "Failed to mark notification as read"
+      );
+    } catch (error) {
+      console.error("Mark notification read error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Mark every notification as read
+  async markAllAsRead() {
+    try {
+      const response = await api.post(NOTIFICATION_ENDPOINTS.MARK_ALL_AS_READ);
+
+      if (response.data.success) {
+        return {
+          success: true,
+          modifiedCount: response.data.data.modifiedCount,
+        };
+      }
+
+      throw new Error(
+        response.data.message || "Failed to mark notifications as read"
+      );
+    } catch (error) {
+      console.error("Mark all notifications read error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Delete a notification
+  async deleteNotification(notificationId) {
+    try {
+      const response = await api.delete(
+        NOTIFICATION_ENDPOINTS.DELETE_NOTIFICATION(notificationId)
+      );
+
+      if (response.data.success) {
+        return { success: true };
+      }
+
+      throw new Error(response.data.message || "Failed to delete notification");
+    } catch (error) {
+      console.error("Delete notification error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Build the in-app link for a notification
+  getNotificationLink(notification) {
+    const taskId = notification.task?._id || notification.task;
+
+    if (!taskId) return null;
+
+    if (notification.type === "new_message") {
+      return `/chat/${taskId}`;
+    }
+
+    return `/tasks/${taskId}`;
+  }
+}
+
+// Create and export singleton instance
+const notificationService = new NotificationService();
+
+export default notificationService;
@@ -0,0 +1,81 @@
+// client/src/services/reportService.js
+import api, { apiUtils } from "./api";
+import { REPORT_ENDPOINTS } from "../constants/apiEndpoints";
+
+class ReportService {
+  // Report a task, bid, message or user, with up to 3 evidence files
+  async createReport({ targetType, targetId, reason, details, evidence = [] }) {
+    try {
+      if (evidence.length > 3) {
+        throw new Error("You can attach up to 3 files");
+      }
+
+      const formData = new FormData();
+      formData.append("targetType", targetType);
+      formData.append("targetId", targetId);
+      formData.append("reason", reason);
+
+      if (details && details.trim()) {
+        formData.append("details", details.trim());
+      }
+
+      evidence.forEach((file) => {
+        if (file.size > 5 * 1024 * 1024) {
+          throw new Error(`${file.name} is larger than 5MB`);
+        }
+        formData.append("evidence", file);
+      });
+
+      const response = await apiUtils.uploadFile(
+        REPORT_ENDPOINTS.CREATE_REPORT,
+        formData
+      );
+
+      if (response.data.success) {
+        return {
+          success: true,
+          message: response.data.message,
+          data: response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to submit report");
+    } catch (error) {
+      console.error("Create report error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Reports filed by the current user
+  async getMyReports() {
+    try {
+      const response = await api.get(REPORT_ENDPOINTS.GET_MY_REPORTS);
+
+      if (response.data.success) {
+        return {
+          success: true,
+          reports: response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to fetch reports");
+    } catch (error) {
+      console.error("Get my reports error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+        reports: [],
+      };
+    }
+  }
+}
+
+// Create and export singleton instance
+const reportService = new ReportService();
+
+export default reportService;
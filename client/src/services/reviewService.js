@@ -0,0 +1,145 @@
+// client/src/services/reviewService.js
+import api, { apiUtils } from "./api";
+import {
+  REVIEW_ENDPOINTS,
+  USER_ENDPOINTS,
+} from "../constants/apiEndpoints";
+
+class ReviewService {
+  // Your review and, once revealed, the other side's review of a task
+  async getTaskReviews(taskId) {
+    try {
+      const response = await api.get(REVIEW_ENDPOINTS.TASK_REVIEWS(taskId));
+
+      if (response.data.success) {
+        return {
+          success: true,
+          ...response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to fetch reviews");
+    } catch (error) {
+      console.error("Get task reviews error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Review the other party on a completed task
+  async createReview(taskId, { scores, comment = "" }) {
+    try {
+      const response = await api.post(REVIEW_ENDPOINTS.TASK_REVIEWS(taskId), {
+        ...scores,
+        comment: comment.trim(),
+      });
+
+      if (response.data.success) {
+        return {
+          success: true,
+          message: response.data.message,
+          review: response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to submit review");
+    } catch (error) {
+      console.error("Create review error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Change your review while it is still hidden
+  async updateReview(reviewId, { scores, comment = "" }) {
+    try {
+      const response = await api.put(REVIEW_ENDPOINTS.UPDATE_REVIEW(reviewId), {
+        ...scores,
+        comment: comment.trim(),
+      });
+
+      if (response.data.success) {
+        return {
+          success: true,
+          message: response.data.message,
+          review: response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to update review");
+    } catch (error) {
+      console.error("Update review error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Reply once to a revealed review about you
+  async respondToReview(reviewId, comment) {
+    try {
+      const response = await api.post(
+        REVIEW_ENDPOINTS.RESPOND_TO_REVIEW(reviewId),
+        { comment: comment.trim() }
+      );
+
+      if (response.data.success) {
+        return {
+          success: true,
+          message: response.data.message,
+          review: response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to add response");
+    } catch (error) {
+      console.error("Respond to review error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Revealed reviews about a user with their per-dimension summary
+  async getUserReviews(userId, params = {}) {
+    try {
+      const response = await api.get(USER_ENDPOINTS.GET_USER_REVIEWS(userId), {
+        params,
+      });
+
+      if (response.data.success) {
+        return {
+          success: true,
+          reviews: response.data.data,
+          summary: response.data.summary,
+          pagination: response.data.pagination,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to fetch reviews");
+    } catch (error) {
+      console.error("Get user reviews error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+        reviews: [],
+      };
+    }
+  }
+}
+
+// Create and export singleton instance
+const reviewService = new ReviewService();
+
+export default reviewService;
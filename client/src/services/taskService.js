@@ -112,8 +112,20 @@ class TaskService {
   // Create new task
   async createTask(taskData, files = {}) {
     try {
-      const { title, description, category, budget, deadline, location, tags } =
-        taskData;
+      const {
+        title,
+        description,
+        category,
+        budget,
+        deadline,
+        location,
+        tags,
+        milestones,
+        auctionType,
+        auctionEndsAt,
+        reservePrice,
+        instantPrice,
+      } = taskData;
 
       // Validate required fields
       if (!title || !description || !category || !budget || !deadline) {
@@ -149,6 +161,22 @@ class TaskService {
         formData.append("tags", Array.isArray(tags) ? tags.join(",") : tags);
       }
 
+      if (milestones && milestones.length > 0) {
+        formData.append("milestones", JSON.stringify(milestones));
+      }
+
+      if (auctionType && auctionType !== "open") {
+        formData.append("auctionType", auctionType);
+        formData.append("auctionEndsAt", new Date(auctionEndsAt).toISOString());
+        if (reservePrice) {
+          formData.append("reservePrice", reservePrice.toString());
+        }
+      }
+
+      if (instantPrice) {
+        formData.append("instantPrice", instantPrice.toString());
+      }
+
       // Add files
       if (files.images && files.images.length > 0) {
         files.images.forEach((image, index) => {
@@ -220,13 +248,15 @@ class TaskService {
               formData.append("budget[min]", value.min.toString());
             if (value.max !== undefined)
               formData.append("budget[max]", value.max.toString());
-          } else if (key === "deadline") {
+          } else if (key === "deadline" || key === "auctionEndsAt") {
             formData.append(key, new Date(value).toISOString());
           } else if (key === "tags") {
             formData.append(
               key,
               Array.isArray(value) ? value.join(",") : value
             );
+          } else if (key === "milestones") {
+            formData.append(key, JSON.stringify(value));
           } else {
             formData.append(
               key,
@@ -378,6 +408,39 @@ class TaskService {
     }
   }
 
+  // Take a task at its instant price
+  async takeTask(taskId, data = {}) {
+    try {
+      if (!taskId) {
+        throw new Error("Task ID is required");
+      }
+
+      const response = await api.post(TASK_ENDPOINTS.TAKE_TASK(taskId), data);
+
+      if (response.data.success) {
+        // Clear relevant caches
+        this.clearTaskCache(taskId);
+        this.clearTasksCache();
+
+        return {
+          success: true,
+          message: response.data.message,
+          task: response.data.data.task,
+          acceptedBid: response.data.data.acceptedBid,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to take task");
+    } catch (error) {
+      console.error("Take task error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
   // Start task
   async startTask(taskId) {
     try {
@@ -411,23 +474,13 @@ class TaskService {
   }
 
   // Complete task
-  async completeTask(taskId, completionData = {}) {
+  async completeTask(taskId) {
     try {
       if (!taskId) {
         throw new Error("Task ID is required");
       }
 
-      const { rating, review } = completionData;
-
-      // Validate rating if provided
-      if (rating && (rating < 1 || rating > 5)) {
-        throw new Error("Rating must be between 1 and 5");
-      }
-
-      const response = await api.post(TASK_ENDPOINTS.COMPLETE_TASK(taskId), {
-        rating,
-        review: review ? review.trim() : undefined,
-      });
+      const response = await api.post(TASK_ENDPOINTS.COMPLETE_TASK(taskId));
 
       if (response.data.success) {
         // Clear relevant caches
@@ -452,6 +505,169 @@ class TaskService {
     }
   }
 
+  // Submission history, promised deliverables and revision allowance
+  async getSubmissions(taskId) {
+    try {
+      const response = await api.get(TASK_ENDPOINTS.GET_SUBMISSIONS(taskId));
+
+      if (response.data.success) {
+        return {
+          success: true,
+          ...response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to fetch submissions");
+    } catch (error) {
+      console.error("Get submissions error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+        submissions: [],
+      };
+    }
+  }
+
+  // Hand in deliverables for the poster to review
+  async submitWork(taskId, { notes, checklist = [], files = [] }) {
+    try {
+      if (!taskId) {
+        throw new Error("Task ID is required");
+      }
+
+      if (files.length > 5) {
+        throw new Error("You can attach up to 5 files");
+      }
+
+      const formData = new FormData();
+      formData.append("notes", notes.trim());
+      formData.append("checklist", JSON.stringify(checklist));
+      files.forEach((file) => {
+        if (file.size > 10 * 1024 * 1024) {
+          throw new Error(`${file.name} is larger than 10MB`);
+        }
+        formData.append("files", file);
+      });
+
+      const response = await apiUtils.uploadFile(
+        TASK_ENDPOINTS.SUBMIT_WORK(taskId),
+        formData
+      );
+
+      if (response.data.success) {
+        this.clearTaskCache(taskId);
+        this.clearTasksCache();
+
+        return {
+          success: true,
+          message: response.data.message,
+          submission: response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to submit work");
+    } catch (error) {
+      console.error("Submit work error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Send submitted work back to the assignee with comments
+  async requestRevision(taskId, comments) {
+    try {
+      if (!taskId) {
+        throw new Error("Task ID is required");
+      }
+
+      const response = await api.post(
+        TASK_ENDPOINTS.REQUEST_REVISION(taskId),
+        { comments: comments.trim() }
+      );
+
+      if (response.data.success) {
+        this.clearTaskCache(taskId);
+        this.clearTasksCache();
+
+        return {
+          success: true,
+          message: response.data.message,
+          ...response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to request revision");
+    } catch (error) {
+      console.error("Request revision error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Mark one milestone as delivered
+  async submitMilestone(taskId, milestoneId, note = "") {
+    try {
+      const response = await api.post(
+        TASK_ENDPOINTS.SUBMIT_MILESTONE(taskId, milestoneId),
+        { note: note.trim() || undefined }
+      );
+
+      if (response.data.success) {
+        this.clearTaskCache(taskId);
+
+        return {
+          success: true,
+          message: response.data.message,
+          ...response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to submit milestone");
+    } catch (error) {
+      console.error("Submit milestone error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Approve a submitted milestone, paying it out of escrow
+  async approveMilestone(taskId, milestoneId) {
+    try {
+      const response = await api.post(
+        TASK_ENDPOINTS.APPROVE_MILESTONE(taskId, milestoneId)
+      );
+
+      if (response.data.success) {
+        this.clearTaskCache(taskId);
+
+        return {
+          success: true,
+          message: response.data.message,
+          ...response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to approve milestone");
+    } catch (error) {
+      console.error("Approve milestone error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
   // Close task
   async closeTask(taskId) {
     try {
@@ -0,0 +1,117 @@
+// client/src/services/userService.js
+import api, { apiUtils } from "./api";
+import { USER_ENDPOINTS } from "../constants/apiEndpoints";
+
+class UserService {
+  // Block a user; pending bids between the two of you are withdrawn
+  async blockUser(userId) {
+    try {
+      if (!userId) {
+        throw new Error("User ID is required");
+      }
+
+      const response = await api.post(USER_ENDPOINTS.BLOCK_USER(userId));
+
+      if (response.data.success) {
+        return {
+          success: true,
+          message: response.data.message,
+          data: response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to block user");
+    } catch (error) {
+      console.error("Block user error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Unblock a user
+  async unblockUser(userId) {
+    try {
+      if (!userId) {
+        throw new Error("User ID is required");
+      }
+
+      const response = await api.delete(USER_ENDPOINTS.BLOCK_USER(userId));
+
+      if (response.data.success) {
+        return {
+          success: true,
+          message: response.data.message,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to unblock user");
+    } catch (error) {
+      console.error("Unblock user error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Users the current user has blocked
+  async getBlockedUsers() {
+    try {
+      const response = await api.get(USER_ENDPOINTS.GET_BLOCKED_USERS);
+
+      if (response.data.success) {
+        return {
+          success: true,
+          users: response.data.data,
+        };
+      }
+
+      throw new Error(
+        response.data.message || "Failed to fetch blocked users"
+      );
+    } catch (error) {
+      console.error("Get blocked users error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+        users: [],
+      };
+    }
+  }
+
+  // Online state and last-seen time for a list of users
+  async getPresence(userIds) {
+    try {
+      const response = await api.get(USER_ENDPOINTS.GET_PRESENCE, {
+        params: { ids: userIds.join(",") },
+      });
+
+      if (response.data.success) {
+        return {
+          success: true,
+          presence: response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to fetch presence");
+    } catch (error) {
+      console.error("Get presence error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+        presence: [],
+      };
+    }
+  }
+}
+
+// Create and export singleton instance
+const userService = new UserService();
+
+export default userService;
@@ -0,0 +1,124 @@
+// client/src/services/walletService.js
+import api, { apiUtils } from "./api";
+import { WALLET_ENDPOINTS } from "../constants/apiEndpoints";
+
+class WalletService {
+  // Balance and escrow totals
+  async getWallet() {
+    try {
+      const response = await api.get(WALLET_ENDPOINTS.GET_WALLET);
+
+      if (response.data.success) {
+        return {
+          success: true,
+          wallet: response.data.data,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to fetch wallet");
+    } catch (error) {
+      console.error("Get wallet error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Wallet transactions, newest first
+  async getTransactions(filters = {}) {
+    try {
+      const queryString = apiUtils.buildQueryString(filters);
+      const url = queryString
+        ? `${WALLET_ENDPOINTS.GET_TRANSACTIONS}?${queryString}`
+        : WALLET_ENDPOINTS.GET_TRANSACTIONS;
+
+      const response = await api.get(url);
+
+      if (response.data.success) {
+        return {
+          success: true,
+          transactions: response.data.data,
+          pagination: response.data.pagination,
+        };
+      }
+
+      throw new Error(
+        response.data.message || "Failed to fetch transactions"
+      );
+    } catch (error) {
+      console.error("Get wallet transactions error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+        transactions: [],
+      };
+    }
+  }
+
+  // Add funds through the payment provider
+  async deposit(amount, source) {
+    try {
+      if (!amount || amount <= 0) {
+        throw new Error("Enter an amount to add");
+      }
+
+      const response = await api.post(WALLET_ENDPOINTS.DEPOSIT, {
+        amount,
+        source,
+      });
+
+      if (response.data.success) {
+        return {
+          success: true,
+          message: response.data.message,
+          balance: response.data.data.balance,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to add funds");
+    } catch (error) {
+      console.error("Deposit error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+
+  // Withdraw funds to the user's payout account
+  async withdraw(amount) {
+    try {
+      if (!amount || amount <= 0) {
+        throw new Error("Enter an amount to withdraw");
+      }
+
+      const response = await api.post(WALLET_ENDPOINTS.WITHDRAW, { amount });
+
+      if (response.data.success) {
+        return {
+          success: true,
+          message: response.data.message,
+          balance: response.data.data.balance,
+        };
+      }
+
+      throw new Error(response.data.message || "Failed to withdraw funds");
+    } catch (error) {
+      console.error("Withdraw error:", error);
+
+      return {
+        success: false,
+        message: apiUtils.formatErrorMessage(error),
+      };
+    }
+  }
+}
+
+// Create and export singleton instance
+const walletService = new WalletService();
+
+export default walletService;
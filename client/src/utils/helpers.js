@@ -194,6 +194,31 @@ export const formatBudgetRange = (min, max) => {
   return `${formatCurrency(min)} - ${formatCurrency(max)}`;
 };
 
+// Milestone utilities
+export const getMilestoneTotal = (milestones = []) =>
+  milestones.reduce(
+    (sum, milestone) => sum + (parseFloat(milestone.amount) || 0),
+    0
+  );
+
+// API milestones as editable form rows (dates as yyyy-mm-dd)
+export const toEditableMilestones = (milestones = []) =>
+  milestones.map((milestone) => ({
+    title: milestone.title,
+    amount: milestone.amount.toString(),
+    dueDate: new Date(milestone.dueDate).toISOString().slice(0, 10),
+  }));
+
+// Form rows as API milestones, dropping rows left half-filled
+export const toMilestonePayload = (milestones = []) =>
+  milestones
+    .filter((milestone) => milestone.title.trim() && milestone.amount)
+    .map((milestone) => ({
+      title: milestone.title.trim(),
+      amount: parseFloat(milestone.amount),
+      dueDate: new Date(milestone.dueDate).toISOString(),
+    }));
+
 // String utilities
 export const truncateText = (text, maxLength = 100, suffix = "...") => {
   if (!text || typeof text !== "string") return "";
@@ -474,6 +499,9 @@ export default {
   getTimeRemaining,
   formatCurrency,
   formatBudgetRange,
+  getMilestoneTotal,
+  toEditableMilestones,
+  toMilestonePayload,
   truncateText,
   capitalizeFirst,
   capitalizeWords,
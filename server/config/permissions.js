@@ -0,0 +1,60 @@
+// server/config/permissions.js
+
+// Roles in ascending order of privilege
+const ROLES = ["user", "moderator", "admin"];
+
+// Everything a staff member can do from the admin API
+const PERMISSIONS = {
+  VIEW_ADMIN: "admin:view",
+  READ_USERS: "users:read",
+  SUSPEND_USERS: "users:suspend",
+  MANAGE_ROLES: "users:manage_roles",
+  MODERATE_TASKS: "tasks:moderate",
+  MODERATE_BIDS: "bids:moderate",
+  MODERATE_MESSAGES: "messages:moderate",
+  REVIEW_REPORTS: "reports:review",
+  RESOLVE_DISPUTES: "disputes:resolve",
+  MANAGE_CAMPUSES: "campuses:manage",
+};
+
+const MODERATOR_PERMISSIONS = [
+  PERMISSIONS.VIEW_ADMIN,
+  PERMISSIONS.READ_USERS,
+  PERMISSIONS.SUSPEND_USERS,
+  PERMISSIONS.MODERATE_TASKS,
+  PERMISSIONS.MODERATE_BIDS,
+  PERMISSIONS.MODERATE_MESSAGES,
+  PERMISSIONS.REVIEW_REPORTS,
+  PERMISSIONS.RESOLVE_DISPUTES,
+];
+
+// Permission matrix: role -> granted permissions
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: MODERATOR_PERMISSIONS,
+  admin: Object.values(PERMISSIONS),
+};
+
+// Check whether a role has been granted a permission
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+// Get every permission granted to a role
+const getPermissions = (role) => {
+  return [...(ROLE_PERMISSIONS[role] || [])];
+};
+
+// Check whether one role ranks above another (staff can't act on peers)
+const outranks = (role, otherRole) => {
+  return ROLES.indexOf(role) > ROLES.indexOf(otherRole);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  getPermissions,
+  outranks,
+};
@@ -0,0 +1,1140 @@
+// server/controllers/adminController.js
+const { validationResult } = require("express-validator");
+const User = require("../models/User");
+const Task = require("../models/Task");
+const Bid = require("../models/Bid");
+const Campus = require("../models/Campus");
+const Message = require("../models/Message");
+const Session = require("../models/Session");
+const Report = require("../models/Report");
+const Dispute = require("../models/Dispute");
+const { getPermissions, outranks } = require("../config/permissions");
+const { notify, notifyMany } = require("../services/notificationService");
+const { disconnectSessionSockets } = require("../services/sessionService");
+const { reviewReports } = require("../services/reportService");
+const { refundEscrow } = require("../services/walletService");
+const {
+  DISPUTE_ERROR_STATUS,
+  resolveDispute: settleDispute,
+} = require("../services/disputeService");
+const { withTransaction } = require("../services/transactionService");
+const { emitToTask } = require("../sockets/events");
+
+// Escape user input before building a search regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Build pagination info (same shape as the public listings)
+const paginate = (page, limit, total, key) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  [key]: total,
+  hasNext: page < Math.ceil(total / limit),
+  hasPrev: page > 1,
+});
+
+// @desc    Get the current staff member's role and permissions
+// @route   GET /api/admin/me
+// @access  Private (moderator, admin)
+const getAdminProfile = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      role: req.user.role,
+      permissions: getPermissions(req.user.role),
+    },
+  });
+};
+
+// @desc    Search users
+// @route   GET /api/admin/users
+// @access  Private (users:read)
+const getUsers = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const query = {};
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), "i");
+      query.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern },
+        { college: pattern },
+      ];
+    }
+    if (req.query.role) {
+      query.role = req.query.role;
+    }
+    if (req.query.status) {
+      query.isActive = req.query.status === "active";
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select(
+          "firstName lastName email avatar college campus role isActive isVerified stats rating createdAt lastLogin"
+        )
+        .populate("campus", "name slug")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      pagination: paginate(page, limit, total, "totalUsers"),
+      data: users,
+    });
+  } catch (error) {
+    console.error("Admin get users error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching users",
+    });
+  }
+};
+
+// @desc    Get a user with their marketplace activity
+// @route   GET /api/admin/users/:id
+// @access  Private (users:read)
+const getUser = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.params.id).populate(
+      "campus",
+      "name slug"
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const [tasksPosted, bidsPlaced, recentTasks] = await Promise.all([
+      Task.countDocuments({ poster: user._id }),
+      Bid.countDocuments({ bidder: user._id }),
+      Task.find({ poster: user._id })
+        .select("title status createdAt")
+        .sort({ createdAt: -1 })
+        .limit(10),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: user.getPublicProfile(),
+        activity: { tasksPosted, bidsPlaced, recentTasks },
+      },
+    });
+  } catch (error) {
+    console.error("Admin get user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching user",
+    });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PATCH /api/admin/users/:id/role
+// @access  Private (users:manage_roles)
+const updateUserRole = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { role } = req.body;
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot change your own role",
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Staff can only manage accounts ranked below them, up to their own role
+    if (!outranks(req.user.role, user.role) || outranks(role, req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot change the role of this account",
+      });
+    }
+
+    const oldRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    console.log(
+      `🛡️ ${req.user.id} changed role of ${user._id}: ${oldRole} -> ${role}`
+    );
+
+    await notify(req.app.get("io"), {
+      recipient: user._id,
+      actor: req.user.id,
+      type: "system",
+      message: `Your account role was changed to ${role}`,
+      data: { oldRole, newRole: role },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Role updated to ${role}`,
+      data: user.getPublicProfile(),
+    });
+  } catch (error) {
+    console.error("Admin update role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error updating role",
+    });
+  }
+};
+
+// @desc    Suspend or reactivate a user
+// @route   PATCH /api/admin/users/:id/status
+// @access  Private (users:suspend)
+const updateUserStatus = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { isActive, reason } = req.body;
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot change the status of your own account",
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Moderators can't suspend other staff
+    if (!outranks(req.user.role, user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot change the status of this account",
+      });
+    }
+
+    if (user.isActive === isActive) {
+      return res.status(400).json({
+        success: false,
+        message: isActive
+          ? "User is already active"
+          : "User is already suspended",
+      });
+    }
+
+    user.isActive = isActive;
+    user.suspension = isActive
+      ? { reason: null, suspendedBy: null, suspendedAt: null }
+      : { reason, suspendedBy: req.user._id, suspendedAt: new Date() };
+    await user.save({ validateBeforeSave: false });
+
+    const io = req.app.get("io");
+
+    if (!isActive) {
+      // Sign the user out everywhere right away
+      await Session.revokeAllForUser(user._id, "account_deactivated");
+      await disconnectSessionSockets(io, user._id);
+    } else {
+      await notify(io, {
+        recipient: user._id,
+        actor: req.user.id,
+        type: "system",
+        message: "Your account has been reactivated",
+      });
+    }
+
+    console.log(
+      `🛡️ ${req.user.id} ${isActive ? "reactivated" : "suspended"} user ${user._id}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: isActive ? "User reactivated" : "User suspended",
+      data: user.getPublicProfile(),
+    });
+  } catch (error) {
+    console.error("Admin update user status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error updating user status",
+    });
+  }
+};
+
+// @desc    Search tasks across all statuses and campuses
+// @route   GET /api/admin/tasks
+// @access  Private (tasks:moderate)
+const getTasks = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const query = {};
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), "i");
+      query.$or = [{ title: pattern }, { description: pattern }];
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.poster) {
+      query.poster = req.query.poster;
+    }
+
+    const [tasks, total] = await Promise.all([
+      Task.find(query)
+        .select(
+          "title category status visibility campus poster assignedTo bidCount deadline moderation createdAt"
+        )
+        .populate("poster", "firstName lastName email")
+        .populate("campus", "name slug")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Task.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      pagination: paginate(page, limit, total, "totalTasks"),
+      data: tasks,
+    });
+  } catch (error) {
+    console.error("Admin get tasks error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching tasks",
+    });
+  }
+};
+
+// @desc    Force-close a task
+// @route   POST /api/admin/tasks/:id/close
+// @access  Private (tasks:moderate)
+const forceCloseTask = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    if (["Completed", "Closed"].includes(task.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Task is already ${task.status.toLowerCase()}`,
+      });
+    }
+
+    if (task.status === "Disputed") {
+      return res.status(400).json({
+        success: false,
+        message: "Resolve the dispute on this task instead",
+      });
+    }
+
+    const { reason } = req.body;
+    const oldStatus = task.status;
+
+    // Close, refund and reject the bids together, and only from the status
+    // that was read: a bid accepted or work completed meanwhile wins
+    const closed = await withTransaction(async () => {
+      const closedTask = await task.forceClose(req.user._id, reason);
+
+      if (!closedTask) return null;
+
+      // Escrowed payment goes back to the poster
+      const refunded = await refundEscrow(closedTask);
+
+      // Reject bids that were still pending on the task
+      const pendingBidders = await Bid.find({
+        task: task._id,
+        status: "Pending",
+      }).distinct("bidder");
+
+      await Bid.updateMany(
+        { task: task._id, status: "Pending" },
+        { status: "Rejected", rejectedAt: new Date() }
+      );
+      await Bid.updateTaskBidCount(task._id);
+
+      return { task: closedTask, refunded, pendingBidders };
+    });
+
+    if (!closed) {
+      return res.status(409).json({
+        success: false,
+        message: "This task has changed, please refresh and try again",
+      });
+    }
+
+    const { refunded, pendingBidders } = closed;
+
+    const io = req.app.get("io");
+    emitToTask(io, task._id, "task_status_changed", {
+      oldStatus,
+      newStatus: "Closed",
+      reason: "moderation",
+    });
+
+    await notify(io, {
+      recipient: task.poster,
+      actor: req.user.id,
+      type: "task_status_changed",
+      task: task._id,
+      message: `Your task "${task.title}" was closed by a moderator: ${reason}`,
+      data: { oldStatus, newStatus: "Closed", refunded },
+    });
+
+    const others = task.assignedTo
+      ? [...pendingBidders, task.assignedTo]
+      : pendingBidders;
+    await notifyMany(io, others, {
+      type: "task_status_changed",
+      task: task._id,
+      message: `"${task.title}" was closed by a moderator`,
+      data: { oldStatus, newStatus: "Closed" },
+    });
+
+    console.log(`🛡️ ${req.user.id} force-closed task ${task._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Task closed",
+      data: closed.task,
+    });
+  } catch (error) {
+    console.error("Admin force close task error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error closing task",
+    });
+  }
+};
+
+// @desc    Search bids
+// @route   GET /api/admin/bids
+// @access  Private (bids:moderate)
+const getBids = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const query = {};
+    if (req.query.search) {
+      query.message = new RegExp(escapeRegex(req.query.search), "i");
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.task) {
+      query.task = req.query.task;
+    }
+    if (req.query.bidder) {
+      query.bidder = req.query.bidder;
+    }
+
+    const [bids, total] = await Promise.all([
+      Bid.find(query)
+        .select("task bidder amount message status moderation createdAt")
+        .populate("task", "title status")
+        .populate("bidder", "firstName lastName email")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Bid.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: bids.length,
+      pagination: paginate(page, limit, total, "totalBids"),
+      data: bids,
+    });
+  } catch (error) {
+    console.error("Admin get bids error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching bids",
+    });
+  }
+};
+
+// @desc    Remove a bid (spam, abuse)
+// @route   POST /api/admin/bids/:id/remove
+// @access  Private (bids:moderate)
+const removeBid = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const bid = await Bid.findById(req.params.id).populate("task", "title");
+
+    if (!bid) {
+      return res.status(404).json({
+        success: false,
+        message: "Bid not found",
+      });
+    }
+
+    if (bid.status === "Accepted") {
+      return res.status(400).json({
+        success: false,
+        message: "Accepted bids can't be removed; close the task instead",
+      });
+    }
+
+    if (bid.status === "Removed") {
+      return res.status(400).json({
+        success: false,
+        message: "Bid has already been removed",
+      });
+    }
+
+    const { reason } = req.body;
+    await bid.removeByModerator(req.user._id, reason);
+    await Bid.updateTaskBidCount(bid.task._id);
+
+    const io = req.app.get("io");
+    emitToTask(io, bid.task._id, "bid_withdrawn", {
+      bidId: bid._id,
+      reason: "moderation",
+    });
+
+    await notify(io, {
+      recipient: bid.bidder,
+      actor: req.user.id,
+      type: "system",
+      task: bid.task._id,
+      message: `Your bid on "${bid.task.title}" was removed by a moderator: ${reason}`,
+      data: { bidId: bid._id },
+    });
+
+    console.log(`🛡️ ${req.user.id} removed bid ${bid._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Bid removed",
+      data: bid,
+    });
+  } catch (error) {
+    console.error("Admin remove bid error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error removing bid",
+    });
+  }
+};
+
+// @desc    Search chat messages
+// @route   GET /api/admin/messages
+// @access  Private (messages:moderate)
+const getMessages = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const query = {};
+    if (req.query.search) {
+      query.content = new RegExp(escapeRegex(req.query.search), "i");
+    }
+    if (req.query.task) {
+      query.task = req.query.task;
+    }
+    if (req.query.sender) {
+      query.sender = req.query.sender;
+    }
+    if (req.query.hidden) {
+      query.isDeleted = req.query.hidden === "true";
+    }
+
+    const [messages, total] = await Promise.all([
+      Message.find(query)
+        .select(
+          "task sender receiver content type isDeleted deletedAt deletedBy moderationReason createdAt"
+        )
+        .populate("task", "title")
+        .populate("sender", "firstName lastName email")
+        .populate("deletedBy", "firstName lastName role")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Message.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      pagination: paginate(page, limit, total, "totalMessages"),
+      data: messages,
+    });
+  } catch (error) {
+    console.error("Admin get messages error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching messages",
+    });
+  }
+};
+
+// @desc    Hide a chat message
+// @route   POST /api/admin/messages/:id/hide
+// @access  Private (messages:moderate)
+const hideMessage = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const message = await Message.findById(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found",
+      });
+    }
+
+    if (message.isDeleted) {
+      return res.status(400).json({
+        success: false,
+        message: "Message is already hidden",
+      });
+    }
+
+    const { reason } = req.body;
+    await message.softDelete(req.user._id, reason);
+
+    const io = req.app.get("io");
+    emitToTask(io, message.task, "message_deleted", {
+      messageId: message._id,
+    });
+
+    await notify(io, {
+      recipient: message.sender,
+      actor: req.user.id,
+      type: "system",
+      task: message.task,
+      message: `A message you sent was hidden by a moderator: ${reason}`,
+      data: { messageId: message._id },
+    });
+
+    console.log(`🛡️ ${req.user.id} hid message ${message._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Message hidden",
+      data: message,
+    });
+  } catch (error) {
+    console.error("Admin hide message error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error hiding message",
+    });
+  }
+};
+
+// @desc    Review queue of reports, with open report counts per target
+// @route   GET /api/admin/reports
+// @access  Private (reports:review)
+const getReports = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const query = { status: req.query.status || "pending" };
+    if (req.query.targetType) {
+      query.targetType = req.query.targetType;
+    }
+    if (req.query.reason) {
+      query.reason = req.query.reason;
+    }
+
+    const [reports, total] = await Promise.all([
+      Report.find(query)
+        .populate("reporter", "firstName lastName email")
+        .populate("targetOwner", "firstName lastName email")
+        .populate(
+          "target",
+          "title content message amount firstName lastName status isHidden isDeleted"
+        )
+        .populate("review.moderator", "firstName lastName role")
+        // Oldest first so nothing waits at the bottom of the queue
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Report.countDocuments(query),
+    ]);
+
+    // How many users currently have open reports against each target
+    const openCounts = await Report.aggregate([
+      {
+        $match: {
+          target: {
+            $in: reports
+              .filter((report) => report.target)
+              .map((report) => report.target._id),
+          },
+          status: "pending",
+        },
+      },
+      { $group: { _id: "$target", count: { $sum: 1 } } },
+    ]);
+    const countByTarget = new Map(
+      openCounts.map((item) => [item._id.toString(), item.count])
+    );
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      pagination: paginate(page, limit, total, "totalReports"),
+      data: reports.map((report) => ({
+        ...report.toObject(),
+        openReports: report.target
+          ? countByTarget.get(report.target._id.toString()) || 0
+          : 0,
+      })),
+    });
+  } catch (error) {
+    console.error("Admin get reports error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching reports",
+    });
+  }
+};
+
+// @desc    Resolve or dismiss a report (and every open report on its target)
+// @route   PATCH /api/admin/reports/:id
+// @access  Private (reports:review)
+const reviewReport = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found",
+      });
+    }
+
+    if (report.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Report has already been ${report.status}`,
+      });
+    }
+
+    const { outcome, note } = req.body;
+    const closed = await reviewReports(req.app.get("io"), report, {
+      outcome,
+      note,
+      moderatorId: req.user._id,
+    });
+
+    console.log(
+      `🛡️ ${req.user.id} ${outcome} ${closed} report(s) on ${report.targetType} ${report.target}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${closed} report${closed === 1 ? "" : "s"} ${outcome}`,
+      data: { outcome, closed },
+    });
+  } catch (error) {
+    console.error("Admin review report error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error reviewing report",
+    });
+  }
+};
+
+// @desc    Dispute queue
+// @route   GET /api/admin/disputes
+// @access  Private (disputes:resolve)
+const getDisputes = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const query = { status: req.query.status || "open" };
+    if (req.query.reason) {
+      query.reason = req.query.reason;
+    }
+
+    const [disputes, total] = await Promise.all([
+      Dispute.find(query)
+        .populate("task", "title status poster assignedTo acceptedBid")
+        .populate("openedBy", "firstName lastName email")
+        .populate("against", "firstName lastName email")
+        .populate("statements.author", "firstName lastName role")
+        .populate("resolution.moderator", "firstName lastName role")
+        // Oldest first so nothing waits at the bottom of the queue
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Dispute.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: disputes.length,
+      pagination: paginate(page, limit, total, "totalDisputes"),
+      data: disputes,
+    });
+  } catch (error) {
+    console.error("Admin get disputes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching disputes",
+    });
+  }
+};
+
+// @desc    Decide a dispute and settle the task's escrow
+// @route   POST /api/admin/disputes/:id/resolve
+// @access  Private (disputes:resolve)
+const resolveDispute = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: "Dispute not found",
+      });
+    }
+
+    if (dispute.status !== "open") {
+      return res.status(400).json({
+        success: false,
+        message: "Dispute has already been resolved",
+      });
+    }
+
+    const { outcome, assigneeShare, note } = req.body;
+    const resolved = await settleDispute(req.app.get("io"), dispute, {
+      outcome,
+      assigneeShare,
+      note,
+      moderatorId: req.user._id,
+    });
+
+    console.log(
+      `🛡️ ${req.user.id} resolved dispute ${dispute._id} (${outcome}) on task ${resolved.task._id}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Dispute resolved",
+      data: resolved.dispute,
+    });
+  } catch (error) {
+    // Another moderator resolved it, or the task changed, first
+    if (DISPUTE_ERROR_STATUS[error.code]) {
+      return res.status(DISPUTE_ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Admin resolve dispute error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error resolving dispute",
+    });
+  }
+};
+
+// @desc    List all campuses, including inactive ones
+// @route   GET /api/admin/campuses
+// @access  Private (campuses:manage)
+const getCampuses = async (req, res) => {
+  try {
+    const campuses = await Campus.find().sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: campuses.length,
+      data: campuses,
+    });
+  } catch (error) {
+    console.error("Admin get campuses error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching campuses",
+    });
+  }
+};
+
+// @desc    Create a campus
+// @route   POST /api/admin/campuses
+// @access  Private (campuses:manage)
+const createCampus = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { name, slug, domains, city } = req.body;
+    const campus = await Campus.create({ name, slug, domains, city });
+
+    res.status(201).json({
+      success: true,
+      message: "Campus created successfully",
+      data: campus,
+    });
+  } catch (error) {
+    console.error("Admin create campus error:", error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A campus with that slug or email domain already exists",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error creating campus",
+    });
+  }
+};
+
+// @desc    Update a campus
+// @route   PUT /api/admin/campuses/:id
+// @access  Private (campuses:manage)
+const updateCampus = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const updates = {};
+    ["name", "domains", "city", "isActive"].forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const campus = await Campus.findByIdAndUpdate(req.params.id, updates, {
+      new: true,
+      runValidators: true,
+    });
+
+    if (!campus) {
+      return res.status(404).json({
+        success: false,
+        message: "Campus not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Campus updated successfully",
+      data: campus,
+    });
+  } catch (error) {
+    console.error("Admin update campus error:", error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "That email domain already belongs to another campus",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error updating campus",
+    });
+  }
+};
+
+module.exports = {
+  getAdminProfile,
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  getTasks,
+  forceCloseTask,
+  getBids,
+  removeBid,
+  getMessages,
+  hideMessage,
+  getReports,
+  reviewReport,
+  getDisputes,
+  resolveDispute,
+  getCampuses,
+  createCampus,
+  updateCampus,
+};
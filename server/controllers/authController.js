@@ -2,35 +2,93 @@
 const jwt = require("jsonwebtoken");
 const { validationResult } = require("express-validator");
 const User = require("../models/User");
-
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "7d",
+const Session = require("../models/Session");
+const Campus = require("../models/Campus");
+const { validationHelpers } = require("../utils/helpers");
+const {
+  createSession,
+  rotateSession,
+  renewSession,
+  verifyAccessToken,
+  revokeSession,
+  disconnectSessionSockets,
+  formatSession,
+} = require("../services/sessionService");
+const { queueEmail } = require("../mail/mailer");
+const { emitToUsers } = require("../sockets/events");
+const {
+  welcomeEmail,
+  emailVerificationEmail,
+  passwordResetEmail,
+} = require("../utils/emailTemplates");
+
+const REFRESH_COOKIE = "refreshToken";
+const RESET_EMAIL_COOLDOWN = 60 * 1000; // At most one reset email per minute per account
+const VERIFICATION_EMAIL_COOLDOWN = 60 * 1000; // Resend at most once per minute
+
+const clientUrl = () => process.env.CLIENT_URL || "http://localhost:5173";
+
+// Issue a fresh verification token and queue the email that carries it
+const queueVerificationEmail = async (user, isWelcome = false) => {
+  const verificationToken = user.createVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verificationLink = `${clientUrl()}/verify-email/${verificationToken}`;
+
+  return queueEmail({
+    to: user.email,
+    user: user._id,
+    subject: isWelcome
+      ? "Welcome to TaskAuction - verify your email"
+      : "Verify your email - TaskAuction",
+    html: isWelcome
+      ? welcomeEmail(user.firstName, verificationLink)
+      : emailVerificationEmail(user.firstName, verificationLink),
+    template: isWelcome ? "welcome" : "emailVerification",
   });
 };
 
-// Send token response
-const sendTokenResponse = (user, statusCode, res) => {
-  const token = generateToken(user._id);
-
-  const options = {
-    expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-    sameSite: "strict",
-  };
-
-  res
-    .status(statusCode)
-    .cookie("token", token, options)
-    .json({
-      success: true,
-      message:
-        statusCode === 201 ? "Registration successful" : "Login successful",
-      token,
-      user: user.getPublicProfile(),
-    });
+const cookieOptions = (expires, path = "/") => ({
+  expires,
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "strict",
+  path,
+});
+
+// Set access and refresh cookies (refresh cookie only goes to /api/auth)
+const setAuthCookies = (res, accessToken, refreshToken, session) => {
+  const { exp } = jwt.decode(accessToken);
+  res.cookie("token", accessToken, cookieOptions(new Date(exp * 1000)));
+
+  if (refreshToken) {
+    res.cookie(
+      REFRESH_COOKIE,
+      refreshToken,
+      cookieOptions(session.expiresAt, "/api/auth")
+    );
+  }
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie("token", cookieOptions(undefined));
+  res.clearCookie(REFRESH_COOKIE, cookieOptions(undefined, "/api/auth"));
+};
+
+// Start a session (unless tokens were already issued) and send token response
+const sendTokenResponse = async (user, statusCode, req, res, issued = null) => {
+  const { session, accessToken, refreshToken } =
+    issued || (await createSession(user, req));
+
+  setAuthCookies(res, accessToken, refreshToken, session);
+
+  res.status(statusCode).json({
+    success: true,
+    message:
+      statusCode === 201 ? "Registration successful" : "Login successful",
+    token: accessToken,
+    user: user.getPublicProfile(),
+  });
 };
 
 // @desc    Register user
@@ -59,20 +117,11 @@ const register = async (req, res) => {
       });
     }
 
-    // Validate college email domain (basic validation)
-    const emailDomain = email.split("@")[1];
-    const commonCollegeDomains = [
-      ".edu",
-      ".ac.",
-      "university",
-      "college",
-      "institute",
-    ];
-    const isValidCollegeEmail = commonCollegeDomains.some(
-      (domain) => emailDomain.includes(domain) || emailDomain.endsWith(".edu")
-    );
+    // Known campus domains place the user in that campus marketplace;
+    // otherwise fall back to the generic college-domain check
+    const campus = await Campus.findByEmail(email);
 
-    if (!isValidCollegeEmail) {
+    if (!campus && !validationHelpers.isCollegeEmail(email)) {
       return res.status(400).json({
         success: false,
         message: "Please use a valid college/university email address",
@@ -85,11 +134,19 @@ const register = async (req, res) => {
       lastName,
       email: email.toLowerCase(),
       password,
-      college,
+      college: campus ? campus.name : college,
+      campus: campus ? campus._id : null,
       phone,
     });
 
-    sendTokenResponse(user, 201, res);
+    // Signing up still works if the mail queue is unavailable; users can resend
+    try {
+      await queueVerificationEmail(user, true);
+    } catch (mailError) {
+      console.error("Verification email error:", mailError);
+    }
+
+    await sendTokenResponse(user, 201, req, res);
   } catch (error) {
     console.error("Registration error:", error);
 
@@ -151,7 +208,9 @@ const login = async (req, res) => {
     if (!user.isActive) {
       return res.status(401).json({
         success: false,
-        message: "Your account has been deactivated. Please contact support.",
+        message: user.suspension?.suspendedAt
+          ? "Your account has been suspended by a moderator. Please contact support."
+          : "Your account has been deactivated. Please contact support.",
       });
     }
 
@@ -165,7 +224,7 @@ const login = async (req, res) => {
       });
     }
 
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     console.error("Login error:", error);
     res.status(500).json({
@@ -175,15 +234,69 @@ const login = async (req, res) => {
   }
 };
 
-// @desc    Logout user / clear cookie
+// @desc    Refresh access token (rotates the refresh token)
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token cookie)
+const refreshToken = async (req, res) => {
+  try {
+    const token =
+      (req.cookies && req.cookies[REFRESH_COOKIE]) || req.body.refreshToken;
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: "No refresh token provided",
+      });
+    }
+
+    const result = await rotateSession(token, req);
+
+    if (result.status === "invalid" || result.status === "reused") {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message:
+          result.status === "reused"
+            ? "Session revoked for security reasons. Please log in again."
+            : "Invalid or expired refresh token",
+      });
+    }
+
+    const user = await User.findById(result.session.user);
+
+    if (!user || !user.isActive) {
+      await revokeSession(result.session._id, "account_deactivated");
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: "User account is deactivated",
+      });
+    }
+
+    setAuthCookies(res, result.accessToken, result.refreshToken, result.session);
+
+    res.status(200).json({
+      success: true,
+      message: "Token refreshed successfully",
+      token: result.accessToken,
+      user: user.getPublicProfile(),
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error refreshing token",
+    });
+  }
+};
+
+// @desc    Logout user / revoke session and clear cookies
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = async (req, res) => {
   try {
-    res.cookie("token", "none", {
-      expires: new Date(Date.now() + 10 * 1000),
-      httpOnly: true,
-    });
+    await revokeSession(req.sessionId, "logout");
+    clearAuthCookies(res);
 
     res.status(200).json({
       success: true,
@@ -198,6 +311,118 @@ const logout = async (req, res) => {
   }
 };
 
+// @desc    Get active sessions (devices) for current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => formatSession(session, req.sessionId)),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching sessions",
+    });
+  }
+};
+
+// @desc    Sign out a single session remotely
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeUserSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    const isCurrent = session._id.toString() === req.sessionId;
+
+    await session.revoke(isCurrent ? "logout" : "signed_out_remotely");
+    await disconnectSessionSockets(
+      req.app.get("io"),
+      req.user.id,
+      session._id
+    );
+
+    if (isCurrent) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Session signed out successfully",
+      data: { isCurrent },
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error signing out session",
+    });
+  }
+};
+
+// @desc    Log out everywhere (all sessions and live sockets)
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const logoutEverywhere = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(
+      req.user.id,
+      "signed_out_remotely"
+    );
+    const disconnected = await disconnectSessionSockets(
+      req.app.get("io"),
+      req.user.id
+    );
+
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out from all devices",
+      data: {
+        revokedSessions: result.modifiedCount,
+        disconnectedSockets: disconnected,
+      },
+    });
+  } catch (error) {
+    console.error("Logout everywhere error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error logging out from all devices",
+    });
+  }
+};
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -342,7 +567,20 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    sendTokenResponse(user, 200, res);
+    // Sign out every other device and close its live sockets. This device
+    // keeps its session, so its sockets stay valid, but gets new tokens.
+    await Session.revokeAllForUser(
+      user._id,
+      "password_changed",
+      req.sessionId
+    );
+    await disconnectSessionSockets(req.app.get("io"), user._id, null, {
+      except: req.sessionId,
+    });
+
+    const renewed =
+      req.sessionId && (await renewSession(user, req.sessionId, req));
+    await sendTokenResponse(user, 200, req, res, renewed);
   } catch (error) {
     console.error("Change password error:", error);
 
@@ -364,6 +602,234 @@ const changePassword = async (req, res) => {
   }
 };
 
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    // Claim the token atomically so it can only ever be used once
+    const user = await User.findOneAndUpdate(
+      {
+        verificationToken: User.hashToken(req.params.token),
+        verificationExpires: { $gt: new Date() },
+      },
+      {
+        $set: { isVerified: true },
+        $unset: { verificationToken: 1, verificationExpires: 1 },
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification link is invalid or has expired",
+      });
+    }
+
+    // Pick up campuses registered after this user signed up
+    if (!user.campus) {
+      const campus = await Campus.findByEmail(user.email);
+      if (campus) {
+        user.campus = campus._id;
+        await user.save({ validateBeforeSave: false });
+      }
+    }
+
+    // Let any open tabs unlock verified-only features right away
+    emitToUsers(req.app.get("io"), user._id, "email_verified", {
+      userId: user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Email verified successfully",
+      user: user.getPublicProfile(),
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error verifying email",
+    });
+  }
+};
+
+// @desc    Resend verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("+verificationSentAt");
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already verified",
+      });
+    }
+
+    if (user.verificationSentAt) {
+      const elapsed = Date.now() - user.verificationSentAt.getTime();
+      if (elapsed < VERIFICATION_EMAIL_COOLDOWN) {
+        return res.status(429).json({
+          success: false,
+          message: "Please wait before requesting another verification email",
+          retryAfter: Math.ceil((VERIFICATION_EMAIL_COOLDOWN - elapsed) / 1000),
+        });
+      }
+    }
+
+    await queueVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${user.email}`,
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error sending verification email",
+    });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    // Same response whether or not the account exists
+    const genericResponse = {
+      success: true,
+      message:
+        "If an account exists for that email, a password reset link has been sent",
+    };
+
+    const user = await User.findOne({
+      email: req.body.email.toLowerCase(),
+      isActive: true,
+    }).select("+passwordResetRequestedAt");
+
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Don't resend while a link issued moments ago is still fresh
+    if (user.passwordResetRequestedAt) {
+      const elapsed = Date.now() - user.passwordResetRequestedAt.getTime();
+      if (elapsed < RESET_EMAIL_COOLDOWN) {
+        return res.status(200).json(genericResponse);
+      }
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    await queueEmail({
+      to: user.email,
+      user: user._id,
+      subject: "Reset your password - TaskAuction",
+      html: passwordResetEmail(
+        user.firstName,
+        `${clientUrl()}/reset-password/${resetToken}`
+      ),
+      template: "passwordReset",
+    });
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error requesting password reset",
+    });
+  }
+};
+
+// @desc    Set a new password using a reset token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const hashedToken = User.hashToken(req.params.token);
+
+    // Claim the token atomically so it can only ever be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashedToken,
+        passwordResetExpires: { $gt: new Date() },
+        isActive: true,
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    ).select("+password");
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Password reset link is invalid or has expired",
+      });
+    }
+
+    user.password = req.body.password;
+    await user.save();
+
+    // Whoever held the old password loses every session
+    await Session.revokeAllForUser(user._id, "password_changed");
+    await disconnectSessionSockets(req.app.get("io"), user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Password has been reset. Please log in with your new password",
+    });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error resetting password",
+    });
+  }
+};
+
 // @desc    Verify token
 // @route   GET /api/auth/verify
 // @access  Public
@@ -388,7 +854,7 @@ const verifyToken = async (req, res) => {
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = await verifyAccessToken(token);
       const user = await User.findById(decoded.id);
 
       if (!user || !user.isActive) {
@@ -458,7 +924,9 @@ const deleteAccount = async (req, res) => {
 
     const activeTasks = await Task.countDocuments({
       poster: user._id,
-      status: { $in: ["Open", "Assigned", "In-Progress"] },
+      status: {
+        $in: ["Open", "Assigned", "In-Progress", "Submitted", "Disputed"],
+      },
     });
 
     const activeBids = await Bid.countDocuments({
@@ -479,6 +947,9 @@ const deleteAccount = async (req, res) => {
     user.email = `deleted_${Date.now()}_${user.email}`;
     await user.save();
 
+    await Session.revokeAllForUser(user._id, "account_deactivated");
+    clearAuthCookies(res);
+
     res.status(200).json({
       success: true,
       message: "Account deactivated successfully",
@@ -496,9 +967,17 @@ module.exports = {
   register,
   login,
   logout,
+  refreshToken,
+  getSessions,
+  revokeUserSession,
+  logoutEverywhere,
   getMe,
   updateProfile,
   changePassword,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   verifyToken,
   deleteAccount,
 };
@@ -3,6 +3,24 @@ const { validationResult } = require("express-validator");
 const Bid = require("../models/Bid");
 const Task = require("../models/Task");
 const User = require("../models/User");
+const Block = require("../models/Block");
+const activityEmails = require("../mail/activityEmails");
+const { notify } = require("../services/notificationService");
+const { withTransaction } = require("../services/transactionService");
+const { emitToTask } = require("../sockets/events");
+const {
+  MAX_NEGOTIATION_ROUNDS,
+  makeOffer,
+  acceptOffer,
+  declineOffer,
+} = require("../services/negotiationService");
+
+// A milestone schedule has to add up to exactly the bid amount
+const milestonesMatchAmount = (milestones, amount) =>
+  Math.round(
+    milestones.reduce((sum, milestone) => sum + Number(milestone.amount), 0) *
+      100
+  ) === Math.round(Number(amount) * 100);
 
 // @desc    Create new bid
 // @route   POST /api/bids
@@ -27,6 +45,7 @@ const createBid = async (req, res) => {
       deliverables,
       experience,
       portfolio,
+      milestones,
     } = req.body;
 
     // Get the task
@@ -39,6 +58,21 @@ const createBid = async (req, res) => {
       });
     }
 
+    if (task.isHidden) {
+      return res.status(403).json({
+        success: false,
+        message: "This task is hidden while moderators review reports about it",
+      });
+    }
+
+    // Campus-only tasks take bids from that campus only
+    if (!task.isVisibleTo(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "This task is only open to students of its campus",
+      });
+    }
+
     // Check if task can receive bids
     if (!task.canReceiveBids()) {
       return res.status(400).json({
@@ -55,6 +89,14 @@ const createBid = async (req, res) => {
       });
     }
 
+    // Blocked users can't bid on each other's tasks
+    if (await Block.isBlockedBetween(req.user.id, task.poster)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can't bid on this task",
+      });
+    }
+
     // Check if user already has a bid on this task
     const existingBid = await Bid.findOne({
       task: taskId,
@@ -77,6 +119,13 @@ const createBid = async (req, res) => {
       });
     }
 
+    if (milestones?.length && !milestonesMatchAmount(milestones, amount)) {
+      return res.status(400).json({
+        success: false,
+        message: "Milestone amounts must add up to the bid amount",
+      });
+    }
+
     // Process deliverables and portfolio
     const processedDeliverables = deliverables
       ? Array.isArray(deliverables)
@@ -100,12 +149,28 @@ const createBid = async (req, res) => {
       deliverables: processedDeliverables,
       experience,
       portfolio: processedPortfolio,
+      milestones: milestones || [],
     });
 
     // Populate bidder info
     await bid.populate("bidder", "firstName lastName avatar rating stats");
     await bid.populate("task", "title budget deadline");
 
+    const io = req.app.get("io");
+    emitToTask(io, task._id, "bid_placed", { bidId: bid._id });
+
+    await notify(io, {
+      recipient: task.poster,
+      actor: req.user.id,
+      type: "bid_received",
+      task: task._id,
+      message: `${bid.bidder.firstName} bid ₹${bid.amount} on "${task.title}"`,
+      data: { bidId: bid._id, amount: bid.amount },
+    });
+
+    // Email the task poster in the background
+    activityEmails.dispatch(activityEmails.sendBidReceived(bid), "bid received");
+
     res.status(201).json({
       success: true,
       message: "Bid placed successfully",
@@ -153,6 +218,8 @@ const getBids = async (req, res) => {
         "_id"
       );
       query.task = { $in: userTasks };
+      // Bids hidden by reports stay out of the poster's inbox until reviewed
+      query.isHidden = { $ne: true };
     }
 
     // Filter by task
@@ -160,6 +227,17 @@ const getBids = async (req, res) => {
       query.task = req.query.taskId;
     }
 
+    // Sealed auctions only show other bidders' bids once bidding closes
+    if (req.query.type !== "my-bids") {
+      const sealedTaskIds = await Task.getSealedTaskIds(req.user.id);
+      if (sealedTaskIds.length > 0) {
+        query.$or = [
+          { task: { $nin: sealedTaskIds } },
+          { bidder: req.user.id },
+        ];
+      }
+    }
+
     // Filter by status
     if (req.query.status) {
       query.status = req.query.status;
@@ -315,11 +393,28 @@ const updateBid = async (req, res) => {
       deliverables,
       experience,
       portfolio,
+      milestones,
     } = req.body;
 
     // Get task to validate amount
     const task = await Task.findById(bid.task);
 
+    // Bids are locked once a sealed or reverse auction stops bidding
+    if (task.hasAuctionEnded()) {
+      return res.status(400).json({
+        success: false,
+        message: "Bids cannot be changed after the auction has ended",
+      });
+    }
+
+    // Open counter-offers are answered through the negotiation instead
+    if (bid.negotiation.status === "open") {
+      return res.status(400).json({
+        success: false,
+        message: "Answer the open counter-offer instead of editing your bid",
+      });
+    }
+
     // Validate bid amount if provided
     if (amount) {
       if (amount < task.budget.min || amount > task.budget.max) {
@@ -347,6 +442,33 @@ const updateBid = async (req, res) => {
       updateFields.portfolio = Array.isArray(portfolio) ? portfolio : [];
     }
 
+    // Keep the milestone schedule in step with the amount
+    const newAmount = amount ? parseFloat(amount) : bid.amount;
+    if (milestones !== undefined) {
+      if (milestones.length && !milestonesMatchAmount(milestones, newAmount)) {
+        return res.status(400).json({
+          success: false,
+          message: "Milestone amounts must add up to the bid amount",
+        });
+      }
+      updateFields.milestones =
+        milestones.length || task.milestones.length === 0
+          ? milestones
+          : Bid.scaleMilestones(task.milestones, newAmount);
+    } else if (amount && bid.milestones.length) {
+      if (task.milestones.length) {
+        updateFields.milestones = Bid.scaleMilestones(
+          task.milestones,
+          newAmount
+        );
+      } else if (!milestonesMatchAmount(bid.milestones, newAmount)) {
+        return res.status(400).json({
+          success: false,
+          message: "Update your milestones so they add up to the new amount",
+        });
+      }
+    }
+
     const updatedBid = await Bid.findByIdAndUpdate(
       req.params.id,
       updateFields,
@@ -414,13 +536,26 @@ const withdrawBid = async (req, res) => {
       });
     }
 
-    // Withdraw the bid
-    await bid.withdraw();
+    // Withdraw the bid and recount the task's bids together. If the poster
+    // accepted it meanwhile, the acceptance stands.
+    const withdrawn = await withTransaction(() => bid.withdraw());
+
+    if (!withdrawn) {
+      return res.status(409).json({
+        success: false,
+        message: "This bid has changed, please refresh and try again",
+      });
+    }
+
+    emitToTask(req.app.get("io"), withdrawn.task, "bid_withdrawn", {
+      bidId: withdrawn._id,
+      reason: "withdrawn",
+    });
 
     res.status(200).json({
       success: true,
       message: "Bid withdrawn successfully",
-      data: bid,
+      data: withdrawn,
     });
   } catch (error) {
     console.error("Withdraw bid error:", error);
@@ -504,7 +639,7 @@ const getBidStats = async (req, res) => {
       {
         $match: {
           task: task._id,
-          status: { $ne: "Withdrawn" },
+          status: { $nin: ["Withdrawn", "Removed"] },
         },
       },
       {
@@ -532,7 +667,7 @@ const getBidStats = async (req, res) => {
       {
         $match: {
           task: task._id,
-          status: { $ne: "Withdrawn" },
+          status: { $nin: ["Withdrawn", "Removed"] },
         },
       },
       {
@@ -610,7 +745,7 @@ const getBidStats = async (req, res) => {
       {
         $match: {
           task: task._id,
-          status: { $ne: "Withdrawn" },
+          status: { $nin: ["Withdrawn", "Removed"] },
         },
       },
       {
@@ -640,6 +775,12 @@ const getBidStats = async (req, res) => {
       },
       ratingDistribution,
       timelineDistribution,
+      auction: {
+        type: task.auctionType,
+        endsAt: task.auctionEndsAt,
+        closedAt: task.auctionClosedAt,
+        reservePrice: task.reservePrice,
+      },
     };
 
     res.status(200).json({
@@ -705,6 +846,228 @@ const highlightBid = async (req, res) => {
   }
 };
 
+// Load a bid for negotiation with the caller's side of it, or the status
+// and message to reject the request with
+const findNegotiation = async (bidId, userId) => {
+  const bid = await Bid.findById(bidId);
+  if (!bid) {
+    return { status: 404, message: "Bid not found" };
+  }
+
+  const task = await Task.findById(bid.task);
+  if (!task) {
+    return { status: 404, message: "Task not found" };
+  }
+
+  let role = null;
+  if (task.poster.toString() === userId) role = "poster";
+  else if (bid.bidder.toString() === userId) role = "bidder";
+
+  if (!role) {
+    return { status: 403, message: "Not authorized to negotiate this bid" };
+  }
+
+  if (bid.status !== "Pending" || task.status !== "Open") {
+    return {
+      status: 400,
+      message: "Only pending bids on open tasks can be negotiated",
+    };
+  }
+
+  if (bid.hasOfferExpired()) {
+    return { status: 400, message: "This offer has expired" };
+  }
+
+  return { bid, task, role };
+};
+
+// @desc    Counter a bid (poster) or a counter-offer (bidder)
+// @route   POST /api/bids/:id/counter
+// @access  Private (Task Owner or Bidder)
+const counterBid = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { bid, task, role, status, message } = await findNegotiation(
+      req.params.id,
+      req.user.id
+    );
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (bid.getNegotiationTurn() !== role) {
+      return res.status(400).json({
+        success: false,
+        message:
+          role === "poster"
+            ? "Wait for the bidder to answer your offer"
+            : "There is no counter-offer to answer",
+      });
+    }
+
+    if (
+      role === "poster" &&
+      bid.getNegotiationRounds() >= MAX_NEGOTIATION_ROUNDS
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `A bid can be countered at most ${MAX_NEGOTIATION_ROUNDS} times`,
+      });
+    }
+
+    const amount = parseFloat(req.body.amount);
+    if (amount < task.budget.min || amount > task.budget.max) {
+      return res.status(400).json({
+        success: false,
+        message: `Offer amount must be between ₹${task.budget.min} and ₹${task.budget.max}`,
+      });
+    }
+
+    const updatedBid = await makeOffer(req.app.get("io"), bid, task, {
+      from: role,
+      amount,
+      proposedTimeline: req.body.proposedTimeline,
+      message: req.body.message,
+    });
+
+    if (!updatedBid) {
+      return res.status(409).json({
+        success: false,
+        message: "The negotiation changed, please refresh and try again",
+      });
+    }
+
+    await updatedBid.populate(
+      "bidder",
+      "firstName lastName avatar rating stats"
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Counter-offer sent",
+      data: updatedBid,
+    });
+  } catch (error) {
+    console.error("Counter bid error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error sending counter-offer",
+    });
+  }
+};
+
+// @desc    Accept the poster's counter-offer
+// @route   POST /api/bids/:id/counter/accept
+// @access  Private (Bidder)
+const acceptCounterOffer = async (req, res) => {
+  try {
+    const { bid, task, role, status, message } = await findNegotiation(
+      req.params.id,
+      req.user.id
+    );
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    // The poster agrees to a bidder's counter by accepting the bid itself
+    if (role !== "bidder" || bid.getNegotiationTurn() !== "bidder") {
+      return res.status(400).json({
+        success: false,
+        message:
+          role === "poster"
+            ? "Accept the bid to agree to the bidder's terms"
+            : "There is no counter-offer to accept",
+      });
+    }
+
+    const updatedBid = await acceptOffer(req.app.get("io"), bid, task);
+
+    if (!updatedBid) {
+      return res.status(409).json({
+        success: false,
+        message: "The negotiation changed, please refresh and try again",
+      });
+    }
+
+    await updatedBid.populate(
+      "bidder",
+      "firstName lastName avatar rating stats"
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Counter-offer accepted",
+      data: updatedBid,
+    });
+  } catch (error) {
+    console.error("Accept counter-offer error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error accepting counter-offer",
+    });
+  }
+};
+
+// @desc    Decline the latest counter-offer
+// @route   POST /api/bids/:id/counter/decline
+// @access  Private (Task Owner or Bidder)
+const declineCounterOffer = async (req, res) => {
+  try {
+    const { bid, task, role, status, message } = await findNegotiation(
+      req.params.id,
+      req.user.id
+    );
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (
+      bid.negotiation.status !== "open" ||
+      bid.getNegotiationTurn() !== role
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "There is no counter-offer to decline",
+      });
+    }
+
+    const updatedBid = await declineOffer(req.app.get("io"), bid, task, role);
+
+    if (!updatedBid) {
+      return res.status(409).json({
+        success: false,
+        message: "The negotiation changed, please refresh and try again",
+      });
+    }
+
+    await updatedBid.populate(
+      "bidder",
+      "firstName lastName avatar rating stats"
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Counter-offer declined",
+      data: updatedBid,
+    });
+  } catch (error) {
+    console.error("Decline counter-offer error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error declining counter-offer",
+    });
+  }
+};
+
 // @desc    Get recommended bids for a user
 // @route   GET /api/bids/recommendations
 // @access  Private
@@ -745,11 +1108,15 @@ const getRecommendedBids = async (req, res) => {
 
     const preferredCategories = userCategories.map((cat) => cat._id);
 
+    // Tasks from blocked users never show up
+    const blockedIds = await Block.getBlockedIds(user._id);
+
     // Build recommendation query
     const query = {
       status: "Open",
       deadline: { $gt: new Date() },
-      poster: { $ne: user._id }, // Exclude user's own tasks
+      poster: { $nin: [user._id, ...blockedIds] }, // Exclude own and blocked
+      isHidden: { $ne: true }, // Exclude tasks hidden by reports
     };
 
     // Add category filter if user has history
@@ -978,6 +1345,9 @@ module.exports = {
   deleteBid,
   getBidStats,
   highlightBid,
+  counterBid,
+  acceptCounterOffer,
+  declineCounterOffer,
   getRecommendedBids,
   getBidAnalytics,
 };
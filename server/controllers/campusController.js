@@ -0,0 +1,29 @@
+// server/controllers/campusController.js
+const Campus = require("../models/Campus");
+
+// @desc    List active campuses (for the campus switcher)
+// @route   GET /api/campuses
+// @access  Public
+const getCampuses = async (req, res) => {
+  try {
+    const campuses = await Campus.find({ isActive: true })
+      .select("name slug city")
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: campuses.length,
+      data: campuses,
+    });
+  } catch (error) {
+    console.error("Get campuses error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching campuses",
+    });
+  }
+};
+
+module.exports = {
+  getCampuses,
+};
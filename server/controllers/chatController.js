@@ -3,6 +3,10 @@ const { validationResult } = require("express-validator");
 const Message = require("../models/Message");
 const Task = require("../models/Task");
 const User = require("../models/User");
+const Block = require("../models/Block");
+const activityEmails = require("../mail/activityEmails");
+const { notify } = require("../services/notificationService");
+const { emitToTask } = require("../sockets/events");
 const { deleteFile } = require("../middleware/upload");
 
 // @desc    Get conversation messages
@@ -56,6 +60,7 @@ const getConversation = async (req, res) => {
     const total = await Message.countDocuments({
       task: taskId,
       isDeleted: false,
+      isHidden: { $ne: true },
     });
 
     // Pagination info
@@ -137,6 +142,13 @@ const sendMessage = async (req, res) => {
       receiverId = task.poster;
     }
 
+    if (await Block.isBlockedBetween(req.user.id, receiverId)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can't message this user",
+      });
+    }
+
     // Process attachments if any
     const attachments = [];
     if (req.fileInfo) {
@@ -175,23 +187,23 @@ const sendMessage = async (req, res) => {
 
     // Emit real-time event via Socket.IO
     const io = req.app.get("io");
-    if (io) {
-      // Emit to task room
-      io.to(`task_${taskId}`).emit("new_message", {
-        taskId,
-        message,
-      });
-
-      // Emit to receiver specifically for notifications
-      io.to(`user_${receiverId}`).emit("notification", {
-        type: "new_message",
-        taskId,
-        message: `New message from ${message.sender.firstName}`,
-        data: message,
-      });
-
-      console.log(`📨 Message sent via Socket.IO to task_${taskId}`);
-    }
+    emitToTask(io, taskId, "new_message", { message });
+
+    // Store in the receiver's inbox and push to their sockets
+    await notify(io, {
+      recipient: receiverId,
+      actor: req.user.id,
+      type: "new_message",
+      task: task._id,
+      message: `New message from ${message.sender.firstName}`,
+      data: { messageId: message._id },
+    });
+
+    // Email the receiver if they are offline (throttled per conversation)
+    activityEmails.dispatch(
+      activityEmails.sendNewMessage(message, task, io),
+      "new message"
+    );
 
     res.status(201).json({
       success: true,
@@ -286,16 +298,10 @@ const editMessage = async (req, res) => {
     ]);
 
     // Emit real-time event via Socket.IO
-    const io = req.app.get("io");
-    if (io) {
-      io.to(`task_${message.task.toString()}`).emit("message_edited", {
-        taskId: message.task.toString(),
-        messageId: message._id,
-        message,
-      });
-
-      console.log(`✏️ Message edited via Socket.IO for task_${message.task}`);
-    }
+    emitToTask(req.app.get("io"), message.task, "message_edited", {
+      messageId: message._id,
+      message,
+    });
 
     res.status(200).json({
       success: true,
@@ -346,15 +352,9 @@ const deleteMessage = async (req, res) => {
     }
 
     // Emit real-time event via Socket.IO
-    const io = req.app.get("io");
-    if (io) {
-      io.to(`task_${message.task.toString()}`).emit("message_deleted", {
-        taskId: message.task.toString(),
-        messageId: message._id,
-      });
-
-      console.log(`🗑️ Message deleted via Socket.IO for task_${message.task}`);
-    }
+    emitToTask(req.app.get("io"), message.task, "message_deleted", {
+      messageId: message._id,
+    });
 
     res.status(200).json({
       success: true,
@@ -411,18 +411,12 @@ const addReaction = async (req, res) => {
     await message.addReaction(req.user.id, emoji);
 
     // Emit real-time event via Socket.IO
-    const io = req.app.get("io");
-    if (io) {
-      io.to(`task_${message.task.toString()}`).emit("reaction_added", {
-        taskId: message.task.toString(),
-        messageId: message._id,
-        emoji,
-        userId: req.user.id,
-        reactions: message.reactions,
-      });
-
-      console.log(`😀 Reaction added via Socket.IO for task_${message.task}`);
-    }
+    emitToTask(req.app.get("io"), message.task, "reaction_added", {
+      messageId: message._id,
+      emoji,
+      userId: req.user.id,
+      reactions: message.reactions,
+    });
 
     res.status(200).json({
       success: true,
@@ -469,17 +463,11 @@ const removeReaction = async (req, res) => {
     await message.removeReaction(req.user.id);
 
     // Emit real-time event via Socket.IO
-    const io = req.app.get("io");
-    if (io) {
-      io.to(`task_${message.task.toString()}`).emit("reaction_removed", {
-        taskId: message.task.toString(),
-        messageId: message._id,
-        userId: req.user.id,
-        reactions: message.reactions,
-      });
-
-      console.log(`😐 Reaction removed via Socket.IO for task_${message.task}`);
-    }
+    emitToTask(req.app.get("io"), message.task, "reaction_removed", {
+      messageId: message._id,
+      userId: req.user.id,
+      reactions: message.reactions,
+    });
 
     res.status(200).json({
       success: true,
@@ -591,18 +579,10 @@ const markConversationAsRead = async (req, res) => {
     );
 
     // Emit read status update via Socket.IO
-    const io = req.app.get("io");
-    if (io) {
-      io.to(`task_${taskId}`).emit("conversation_read", {
-        taskId,
-        userId: req.user.id,
-        markedCount: result.modifiedCount,
-      });
-
-      console.log(
-        `📖 Conversation marked as read via Socket.IO for task_${taskId}`
-      );
-    }
+    emitToTask(req.app.get("io"), taskId, "conversation_read", {
+      userId: req.user.id,
+      markedCount: result.modifiedCount,
+    });
 
     res.status(200).json({
       success: true,
@@ -958,236 +938,6 @@ const downloadFile = async (req, res) => {
   }
 };
 
-// Socket.IO event handlers for real-time chat
-const handleSocketEvents = (io) => {
-  console.log("🔌 Setting up Socket.IO chat event handlers");
-
-  io.on("connection", (socket) => {
-    console.log(`👤 User connected: ${socket.id}`);
-
-    // Handle user authentication
-    socket.on("authenticate", (data) => {
-      try {
-        const { token, userId } = data;
-
-        // Verify token here (you might want to use your auth middleware logic)
-        if (token && userId) {
-          socket.userId = userId;
-          socket.join(`user_${userId}`);
-
-          // Emit user online status
-          socket.broadcast.emit("user_online", { userId });
-
-          console.log(
-            `✅ User ${userId} authenticated and joined personal room`
-          );
-        }
-      } catch (error) {
-        console.error("Authentication error:", error);
-        socket.emit("auth_error", { message: "Authentication failed" });
-      }
-    });
-
-    // Handle joining task rooms
-    socket.on("join_room", (data) => {
-      try {
-        const { room } = data;
-        socket.join(room);
-        console.log(`🏠 Socket ${socket.id} joined room: ${room}`);
-
-        // Notify others in the room
-        socket.to(room).emit("user_joined_room", {
-          userId: socket.userId,
-          room,
-        });
-      } catch (error) {
-        console.error("Join room error:", error);
-      }
-    });
-
-    // Handle leaving task rooms
-    socket.on("leave_room", (data) => {
-      try {
-        const { room } = data;
-        socket.leave(room);
-        console.log(`🚪 Socket ${socket.id} left room: ${room}`);
-
-        // Notify others in the room
-        socket.to(room).emit("user_left_room", {
-          userId: socket.userId,
-          room,
-        });
-      } catch (error) {
-        console.error("Leave room error:", error);
-      }
-    });
-
-    // Handle typing indicators
-    socket.on("user_typing", (data) => {
-      try {
-        const { taskId } = data;
-        if (taskId && socket.userId) {
-          socket.to(`task_${taskId}`).emit("user_typing", {
-            taskId,
-            userId: socket.userId,
-          });
-        }
-      } catch (error) {
-        console.error("Typing indicator error:", error);
-      }
-    });
-
-    socket.on("user_stopped_typing", (data) => {
-      try {
-        const { taskId } = data;
-        if (taskId && socket.userId) {
-          socket.to(`task_${taskId}`).emit("user_stopped_typing", {
-            taskId,
-            userId: socket.userId,
-          });
-        }
-      } catch (error) {
-        console.error("Stop typing indicator error:", error);
-      }
-    });
-
-    // Handle message sent acknowledgments
-    socket.on("message_sent", (data) => {
-      try {
-        const { taskId, message } = data;
-
-        // Broadcast to others in the task room (exclude sender)
-        socket.to(`task_${taskId}`).emit("new_message", {
-          taskId,
-          message,
-        });
-
-        console.log(
-          `📨 Message broadcast to task_${taskId} from ${socket.userId}`
-        );
-      } catch (error) {
-        console.error("Message sent broadcast error:", error);
-      }
-    });
-
-    // Handle message edited acknowledgments
-    socket.on("message_edited", (data) => {
-      try {
-        const { taskId, messageId, message } = data;
-
-        socket.to(`task_${taskId}`).emit("message_edited", {
-          taskId,
-          messageId,
-          message,
-        });
-
-        console.log(`✏️ Message edit broadcast to task_${taskId}`);
-      } catch (error) {
-        console.error("Message edit broadcast error:", error);
-      }
-    });
-
-    // Handle message deleted acknowledgments
-    socket.on("message_deleted", (data) => {
-      try {
-        const { taskId, messageId } = data;
-
-        socket.to(`task_${taskId}`).emit("message_deleted", {
-          taskId,
-          messageId,
-        });
-
-        console.log(`🗑️ Message delete broadcast to task_${taskId}`);
-      } catch (error) {
-        console.error("Message delete broadcast error:", error);
-      }
-    });
-
-    // Handle reaction acknowledgments
-    socket.on("reaction_added", (data) => {
-      try {
-        const { taskId, messageId, emoji, reactions } = data;
-
-        socket.to(`task_${taskId}`).emit("reaction_added", {
-          taskId,
-          messageId,
-          emoji,
-          reactions,
-        });
-
-        console.log(`😀 Reaction added broadcast to task_${taskId}`);
-      } catch (error) {
-        console.error("Reaction added broadcast error:", error);
-      }
-    });
-
-    socket.on("reaction_removed", (data) => {
-      try {
-        const { taskId, messageId, reactions } = data;
-
-        socket.to(`task_${taskId}`).emit("reaction_removed", {
-          taskId,
-          messageId,
-          reactions,
-        });
-
-        console.log(`😐 Reaction removed broadcast to task_${taskId}`);
-      } catch (error) {
-        console.error("Reaction removed broadcast error:", error);
-      }
-    });
-
-    // Handle notification acknowledgments
-    socket.on("mark_notification_read", (data) => {
-      try {
-        const { notificationId } = data;
-
-        if (socket.userId) {
-          // You can add logic here to update notification status in database
-          console.log(
-            `📖 Notification ${notificationId} marked as read by ${socket.userId}`
-          );
-        }
-      } catch (error) {
-        console.error("Mark notification read error:", error);
-      }
-    });
-
-    socket.on("mark_all_notifications_read", () => {
-      try {
-        if (socket.userId) {
-          // You can add logic here to mark all notifications as read in database
-          console.log(
-            `📖 All notifications marked as read by ${socket.userId}`
-          );
-        }
-      } catch (error) {
-        console.error("Mark all notifications read error:", error);
-      }
-    });
-
-    // Handle disconnect
-    socket.on("disconnect", (reason) => {
-      console.log(`👋 User disconnected: ${socket.id}, reason: ${reason}`);
-
-      if (socket.userId) {
-        // Emit user offline status
-        socket.broadcast.emit("user_offline", {
-          userId: socket.userId,
-          lastSeen: new Date().toISOString(),
-        });
-
-        console.log(`📴 User ${socket.userId} marked as offline`);
-      }
-    });
-
-    // Handle connection errors
-    socket.on("error", (error) => {
-      console.error(`Socket error for ${socket.id}:`, error);
-    });
-  });
-};
-
 module.exports = {
   getConversation,
   sendMessage,
@@ -1202,5 +952,4 @@ module.exports = {
   getMessage,
   getChatStats,
   downloadFile,
-  handleSocketEvents, // Export socket event handler
 };
@@ -0,0 +1,164 @@
+// server/controllers/disputeController.js
+const { validationResult } = require("express-validator");
+const Dispute = require("../models/Dispute");
+const { cleanupFiles } = require("../middleware/upload");
+const {
+  DISPUTABLE_STATUSES,
+  openDispute: startDispute,
+  addStatement: appendStatement,
+} = require("../services/disputeService");
+
+// Fields shown for everyone in a dispute thread
+const populateDispute = (query) =>
+  query
+    .populate("openedBy", "firstName lastName avatar")
+    .populate("against", "firstName lastName avatar")
+    .populate("statements.author", "firstName lastName avatar")
+    .populate("resolution.moderator", "firstName lastName");
+
+// @desc    Get the latest dispute on a task
+// @route   GET /api/disputes/task/:taskId
+// @access  Private (Task Poster or Assigned Bidder)
+const getTaskDispute = async (req, res) => {
+  try {
+    const dispute = await populateDispute(
+      Dispute.findOne({ task: req.task._id }).sort({ createdAt: -1 })
+    );
+
+    res.status(200).json({
+      success: true,
+      data: dispute,
+    });
+  } catch (error) {
+    console.error("Get task dispute error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching dispute",
+    });
+  }
+};
+
+// @desc    Open a dispute on an assigned or in-progress task
+// @route   POST /api/disputes/task/:taskId
+// @access  Private (Task Poster or Assigned Bidder)
+const openDispute = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      cleanupFiles(req);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const task = req.task;
+
+    if (!DISPUTABLE_STATUSES.includes(task.status)) {
+      cleanupFiles(req);
+      return res.status(400).json({
+        success: false,
+        message: "Disputes can only be opened on tasks that are underway",
+      });
+    }
+
+    const { reason, statement } = req.body;
+    const dispute = await startDispute(req.app.get("io"), task, {
+      user: req.user,
+      role: req.userRole,
+      reason,
+      message: statement,
+      evidence: req.filesInfo?.files || [],
+    });
+
+    if (!dispute) {
+      cleanupFiles(req);
+      return res.status(409).json({
+        success: false,
+        message: "The task changed status, please refresh and try again",
+      });
+    }
+
+    console.log(`⚖️ ${req.user.id} opened a dispute on task ${task._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Dispute opened. A moderator will review it.",
+      data: await populateDispute(Dispute.findById(dispute._id)),
+    });
+  } catch (error) {
+    cleanupFiles(req);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "This task already has an open dispute",
+      });
+    }
+
+    console.error("Open dispute error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error opening dispute",
+    });
+  }
+};
+
+// @desc    Add a statement to an open dispute
+// @route   POST /api/disputes/task/:taskId/statements
+// @access  Private (Task Poster or Assigned Bidder)
+const addStatement = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      cleanupFiles(req);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const dispute = await Dispute.findOne({
+      task: req.task._id,
+      status: "open",
+    });
+
+    if (!dispute) {
+      cleanupFiles(req);
+      return res.status(404).json({
+        success: false,
+        message: "No open dispute on this task",
+      });
+    }
+
+    await appendStatement(req.app.get("io"), dispute, req.task, {
+      user: req.user,
+      role: req.userRole,
+      message: req.body.statement,
+      evidence: req.filesInfo?.files || [],
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Statement added",
+      data: await populateDispute(Dispute.findById(dispute._id)),
+    });
+  } catch (error) {
+    cleanupFiles(req);
+    console.error("Add dispute statement error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error adding statement",
+    });
+  }
+};
+
+module.exports = {
+  getTaskDispute,
+  openDispute,
+  addStatement,
+};
@@ -0,0 +1,202 @@
+// server/controllers/milestoneController.js
+const { validationResult } = require("express-validator");
+const Task = require("../models/Task");
+const { notify } = require("../services/notificationService");
+const walletService = require("../services/walletService");
+const { withTransaction } = require("../services/transactionService");
+const { emitToTask } = require("../sockets/events");
+
+// Milestones only move while the assignee is working on the task
+const ACTIVE_STATUSES = ["In-Progress", "Submitted"];
+
+const emitMilestoneUpdate = (io, task, milestone) => {
+  emitToTask(io, task._id, "milestone_updated", {
+    milestone,
+    progress: task.milestoneProgress,
+  });
+};
+
+// @desc    Mark a milestone as delivered
+// @route   POST /api/tasks/:id/milestones/:milestoneId/submit
+// @access  Private (Assigned Bidder)
+const submitMilestone = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    if (req.userRole !== "bidder") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the assigned bidder can submit milestones",
+      });
+    }
+
+    const { milestoneId } = req.params;
+
+    // Only a pending milestone on a task that's underway can be submitted
+    const task = await Task.findOneAndUpdate(
+      {
+        _id: req.task._id,
+        status: "In-Progress",
+        milestones: { $elemMatch: { _id: milestoneId, status: "pending" } },
+      },
+      {
+        $set: {
+          "milestones.$.status": "submitted",
+          "milestones.$.note": req.body.note || null,
+          "milestones.$.submittedAt": new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    if (!task) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Only pending milestones on in-progress tasks can be submitted",
+      });
+    }
+
+    const milestone = task.milestones.id(milestoneId);
+    const io = req.app.get("io");
+
+    emitMilestoneUpdate(io, task, milestone);
+
+    await notify(io, {
+      recipient: task.poster,
+      actor: req.user.id,
+      type: "milestone_submitted",
+      task: task._id,
+      message: `Milestone "${milestone.title}" on "${task.title}" is ready for review`,
+      data: { milestoneId: milestone._id, amount: milestone.amount },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Milestone submitted for approval",
+      data: {
+        milestones: task.milestones,
+        progress: task.milestoneProgress,
+      },
+    });
+  } catch (error) {
+    console.error("Submit milestone error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error submitting milestone",
+    });
+  }
+};
+
+// @desc    Approve a submitted milestone and pay it from escrow
+// @route   POST /api/tasks/:id/milestones/:milestoneId/approve
+// @access  Private (Task Owner)
+const approveMilestone = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { milestoneId } = req.params;
+
+    // Approve and pay together, so a completion running at the same time
+    // can't pay the same escrow twice. If escrow can't cover the milestone
+    // nothing is approved.
+    const approved = await withTransaction(async () => {
+      const now = new Date();
+      const approvedTask = await Task.findOneAndUpdate(
+        {
+          _id: req.task._id,
+          status: { $in: ACTIVE_STATUSES },
+          milestones: {
+            $elemMatch: { _id: milestoneId, status: "submitted" },
+          },
+        },
+        {
+          $set: {
+            "milestones.$.status": "paid",
+            "milestones.$.approvedAt": now,
+            "milestones.$.paidAt": now,
+          },
+        },
+        { new: true }
+      );
+
+      if (!approvedTask) return null;
+
+      const milestone = approvedTask.milestones.id(milestoneId);
+      const released = await walletService.releaseMilestone(
+        approvedTask,
+        milestone
+      );
+
+      return { task: approvedTask, milestone, released };
+    });
+
+    if (!approved) {
+      return res.status(400).json({
+        success: false,
+        message: "Only submitted milestones on active tasks can be approved",
+      });
+    }
+
+    const { task, milestone, released } = approved;
+    console.log(
+      `💰 Released ₹${released} for milestone ${milestone._id} on task ${task._id}`
+    );
+
+    const io = req.app.get("io");
+
+    emitMilestoneUpdate(io, task, milestone);
+
+    await notify(io, {
+      recipient: task.assignedTo,
+      actor: req.user.id,
+      type: "milestone_approved",
+      task: task._id,
+      message: `Milestone "${milestone.title}" was approved and ₹${released} was released to your wallet`,
+      data: { milestoneId: milestone._id, released },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Milestone approved and ₹${released} paid to the assignee`,
+      data: {
+        milestones: task.milestones,
+        progress: task.milestoneProgress,
+      },
+    });
+  } catch (error) {
+    if (walletService.PAYMENT_ERROR_STATUS[error.code]) {
+      return res.status(walletService.PAYMENT_ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Approve milestone error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error approving milestone",
+    });
+  }
+};
+
+module.exports = {
+  submitMilestone,
+  approveMilestone,
+};
@@ -0,0 +1,212 @@
+// server/controllers/notificationController.js
+const { validationResult } = require("express-validator");
+const Notification = require("../models/Notification");
+const { emitUnreadCount } = require("../services/notificationService");
+const { emitToUsers } = require("../sockets/events");
+
+// @desc    Get notifications for current user
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { recipient: req.user.id };
+    if (req.query.unread === "true") {
+      query.isRead = false;
+    }
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .populate("actor", "firstName lastName avatar")
+        .populate("task", "title status")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(query),
+      Notification.getUnreadCount(req.user.id),
+    ]);
+
+    // Pagination info
+    const pagination = {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalNotifications: total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    };
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      unreadCount,
+      pagination,
+      data: notifications,
+    });
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching notifications",
+    });
+  }
+};
+
+// @desc    Get unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.getUnreadCount(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { unreadCount },
+    });
+  } catch (error) {
+    console.error("Get notification count error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching unread count",
+    });
+  }
+};
+
+// @desc    Mark notification as read
+// @route   POST /api/notifications/:id/read
+// @access  Private (Recipient only)
+const markAsRead = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user.id,
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    await notification.markAsRead();
+
+    // Keep the user's other tabs in sync
+    const io = req.app.get("io");
+    emitToUsers(io, req.user.id, "notification_read", {
+      notificationId: notification._id,
+    });
+    await emitUnreadCount(io, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Notification marked as read",
+      data: notification,
+    });
+  } catch (error) {
+    console.error("Mark notification read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error marking notification as read",
+    });
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   POST /api/notifications/read-all
+// @access  Private
+const markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.markAllAsRead(req.user.id);
+
+    const io = req.app.get("io");
+    emitToUsers(io, req.user.id, "notifications_read_all");
+    emitToUsers(io, req.user.id, "unread_count", { count: 0 });
+
+    res.status(200).json({
+      success: true,
+      message: "All notifications marked as read",
+      data: { modifiedCount: result.modifiedCount },
+    });
+  } catch (error) {
+    console.error("Mark all notifications read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error marking notifications as read",
+    });
+  }
+};
+
+// @desc    Delete notification
+// @route   DELETE /api/notifications/:id
+// @access  Private (Recipient only)
+const deleteNotification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      recipient: req.user.id,
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    if (!notification.isRead) {
+      await emitUnreadCount(req.app.get("io"), req.user.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Notification deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete notification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error deleting notification",
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+};
@@ -0,0 +1,110 @@
+// server/controllers/reportController.js
+const { validationResult } = require("express-validator");
+const Report = require("../models/Report");
+const { cleanupFiles } = require("../middleware/upload");
+const {
+  loadTarget,
+  getTargetOwner,
+  getReportBlocker,
+  applyReportThreshold,
+} = require("../services/reportService");
+
+// @desc    Report a task, bid, message or user
+// @route   POST /api/reports
+// @access  Private
+const createReport = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      cleanupFiles(req);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { targetType, targetId, reason, details } = req.body;
+
+    const target = await loadTarget(targetType, targetId);
+    const blocker = target
+      ? getReportBlocker(req.user, targetType, target)
+      : "Report target not found";
+
+    if (blocker) {
+      cleanupFiles(req);
+      return res.status(target ? 403 : 404).json({
+        success: false,
+        message: blocker,
+      });
+    }
+
+    const evidence = req.filesInfo?.files || [];
+
+    const report = await Report.create({
+      reporter: req.user.id,
+      targetType,
+      target: target._id,
+      targetModel: Report.TARGETS[targetType],
+      targetOwner: getTargetOwner(targetType, target),
+      reason,
+      details,
+      evidence,
+    });
+
+    console.log(`🚩 ${req.user.id} reported ${targetType} ${target._id}`);
+
+    await applyReportThreshold(req.app.get("io"), report);
+
+    res.status(201).json({
+      success: true,
+      message: "Thanks, our moderators will review your report",
+      data: report,
+    });
+  } catch (error) {
+    cleanupFiles(req);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already reported this",
+      });
+    }
+
+    console.error("Create report error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error creating report",
+    });
+  }
+};
+
+// @desc    Get reports filed by the current user
+// @route   GET /api/reports/mine
+// @access  Private
+const getMyReports = async (req, res) => {
+  try {
+    const reports = await Report.find({ reporter: req.user.id })
+      .select("targetType target reason status review.reviewedAt createdAt")
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      data: reports,
+    });
+  } catch (error) {
+    console.error("Get my reports error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching reports",
+    });
+  }
+};
+
+module.exports = {
+  createReport,
+  getMyReports,
+};
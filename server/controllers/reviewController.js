@@ -0,0 +1,310 @@
+// server/controllers/reviewController.js
+const { validationResult } = require("express-validator");
+const Review = require("../models/Review");
+const User = require("../models/User");
+const reviewService = require("../services/reviewService");
+
+// Fields shown alongside a review
+const populateReview = (query) =>
+  query
+    .populate("reviewer", "firstName lastName avatar")
+    .populate("reviewee", "firstName lastName avatar")
+    .populate("task", "title category");
+
+// @desc    Get both reviews on a task, hiding the other side's until revealed
+// @route   GET /api/reviews/task/:taskId
+// @access  Private (Task Poster or Assigned Bidder)
+const getTaskReviews = async (req, res) => {
+  try {
+    const task = req.task;
+    const reviews = await populateReview(Review.find({ task: task._id }));
+
+    const mine = reviews.find(
+      (review) => review.reviewer._id.toString() === req.user.id
+    );
+    const theirs = reviews.find(
+      (review) => review.reviewer._id.toString() !== req.user.id
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        mine: mine || null,
+        theirs: theirs && theirs.isRevealed ? theirs : null,
+        theirsSubmitted: !!theirs,
+        canReview: !mine && reviewService.isReviewWindowOpen(task),
+        reviewDeadline:
+          task.status === "Completed"
+            ? reviewService.getReviewDeadline(task)
+            : null,
+      },
+    });
+  } catch (error) {
+    console.error("Get task reviews error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching reviews",
+    });
+  }
+};
+
+// @desc    Review the other party on a completed task
+// @route   POST /api/reviews/task/:taskId
+// @access  Private (Task Poster or Assigned Bidder)
+const createReview = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const task = req.task;
+
+    if (task.status !== "Completed") {
+      return res.status(400).json({
+        success: false,
+        message: "Only completed tasks can be reviewed",
+      });
+    }
+
+    if (!reviewService.isReviewWindowOpen(task)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reviews close ${reviewService.REVIEW_WINDOW_DAYS} days after completion`,
+      });
+    }
+
+    const { quality, communication, timeliness, comment } = req.body;
+    const review = await reviewService.submitReview(req.app.get("io"), task, {
+      reviewer: req.user,
+      role: req.userRole,
+      scores: { quality, communication, timeliness },
+      comment,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: review.isRevealed
+        ? "Review submitted. Both reviews are now visible."
+        : "Review submitted. It stays hidden until the other side reviews or the window closes.",
+      data: await populateReview(Review.findById(review._id)),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already reviewed this task",
+      });
+    }
+
+    console.error("Create review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error creating review",
+    });
+  }
+};
+
+// @desc    Edit your review while it is still hidden
+// @route   PUT /api/reviews/:id
+// @access  Private (Reviewer)
+const updateReview = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    if (review.reviewer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to edit this review",
+      });
+    }
+
+    if (!review.canBeEdited()) {
+      return res.status(400).json({
+        success: false,
+        message: "Reviews cannot be edited once they are visible",
+      });
+    }
+
+    Review.DIMENSIONS.forEach((dimension) => {
+      if (req.body[dimension] !== undefined) {
+        review.scores[dimension] = req.body[dimension];
+      }
+    });
+    if (req.body.comment !== undefined) {
+      review.comment = req.body.comment;
+    }
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Review updated successfully",
+      data: await populateReview(Review.findById(review._id)),
+    });
+  } catch (error) {
+    console.error("Update review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error updating review",
+    });
+  }
+};
+
+// @desc    Respond publicly to a review about you
+// @route   POST /api/reviews/:id/response
+// @access  Private (Reviewee)
+const respondToReview = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    if (review.reviewee.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the reviewed user can respond",
+      });
+    }
+
+    if (!review.canBeRespondedTo()) {
+      return res.status(400).json({
+        success: false,
+        message: review.isRevealed
+          ? "You have already responded to this review"
+          : "You can respond once the review is visible",
+      });
+    }
+
+    review.response = {
+      comment: req.body.comment,
+      respondedAt: new Date(),
+    };
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Response added",
+      data: await populateReview(Review.findById(review._id)),
+    });
+  } catch (error) {
+    console.error("Respond to review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error responding to review",
+    });
+  }
+};
+
+// @desc    Get revealed reviews about a user with a rating breakdown
+// @route   GET /api/users/:id/reviews
+// @access  Public
+const getUserReviews = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.params.id).select("isActive");
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+
+    // role=bidder: reviews written by posters about the user's work
+    const query = { reviewee: user._id, isRevealed: true };
+    if (req.query.role) {
+      query.reviewerRole = req.query.role === "bidder" ? "poster" : "bidder";
+    }
+
+    const [reviews, total, summary] = await Promise.all([
+      populateReview(Review.find(query))
+        .select("-reviewee")
+        .sort({ revealedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Review.countDocuments(query),
+      Review.getRatingSummary(user._id, req.query.role),
+    ]);
+
+    // Pagination info
+    const pagination = {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalReviews: total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    };
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      pagination,
+      summary,
+      data: reviews,
+    });
+  } catch (error) {
+    console.error("Get user reviews error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching reviews",
+    });
+  }
+};
+
+module.exports = {
+  getTaskReviews,
+  createReview,
+  updateReview,
+  respondToReview,
+  getUserReviews,
+};
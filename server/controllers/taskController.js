@@ -1,9 +1,91 @@
 // server/controllers/taskController.js
+const mongoose = require("mongoose");
 const { validationResult } = require("express-validator");
 const Task = require("../models/Task");
 const Bid = require("../models/Bid");
 const User = require("../models/User");
-const { deleteFile } = require("../middleware/upload");
+const Block = require("../models/Block");
+const Submission = require("../models/Submission");
+const activityEmails = require("../mail/activityEmails");
+const { notify, notifyMany } = require("../services/notificationService");
+const walletService = require("../services/walletService");
+const { withTransaction } = require("../services/transactionService");
+const { emitToTask } = require("../sockets/events");
+const {
+  awardBid,
+  AWARD_ERROR_STATUS,
+} = require("../services/auctionService");
+const { deleteFile, cleanupFiles } = require("../middleware/upload");
+
+// How many times a poster can send work back before they must approve it
+// or take it to a dispute
+const MAX_REVISION_ROUNDS = parseInt(process.env.MAX_REVISION_ROUNDS, 10) || 3;
+
+// A poster can close a task and get the escrow back only before work
+// starts; after that a disagreement goes through a dispute
+const POSTER_CLOSABLE_STATUSES = ["Open", "Assigned"];
+
+// Keep only the fields a poster sets on a milestone plan
+const toMilestonePlan = (milestones = []) =>
+  milestones.map(({ title, amount, dueDate }) => ({
+    title,
+    amount: parseFloat(amount),
+    dueDate: new Date(dueDate),
+  }));
+
+// Check a milestone plan adds up to something within the budget range
+const milestonesFitBudget = (milestones, budget) => {
+  const total = milestones.reduce((sum, milestone) => sum + milestone.amount, 0);
+  return total >= parseFloat(budget.min) && total <= parseFloat(budget.max);
+};
+
+// Check an instant price sits within the budget range
+const instantPriceFitsBudget = (price, budget) =>
+  price >= parseFloat(budget.min) && price <= parseFloat(budget.max);
+
+// Read auction settings from a request, falling back to the task's own.
+// End times only apply to sealed and reverse auctions, reserves to reverse.
+const toAuctionSettings = (body, current = {}) => {
+  const auctionType = body.auctionType || current.auctionType || "open";
+  const endsAt =
+    body.auctionEndsAt !== undefined
+      ? body.auctionEndsAt
+      : current.auctionEndsAt;
+  const reservePrice =
+    body.reservePrice !== undefined ? body.reservePrice : current.reservePrice;
+
+  return {
+    auctionType,
+    auctionEndsAt: auctionType !== "open" && endsAt ? new Date(endsAt) : null,
+    reservePrice:
+      auctionType === "reverse" && reservePrice
+        ? parseFloat(reservePrice)
+        : null,
+  };
+};
+
+// Check auction settings against the task's budget and deadline
+const getAuctionSettingsError = (auction, budget, deadline) => {
+  if (auction.auctionType === "open") return null;
+
+  if (!auction.auctionEndsAt) {
+    return "Sealed and reverse auctions need an end time";
+  }
+  if (auction.auctionEndsAt <= new Date()) {
+    return "The auction must end in the future";
+  }
+  if (auction.auctionEndsAt > new Date(deadline)) {
+    return "The auction must end before the task deadline";
+  }
+  if (
+    auction.reservePrice !== null &&
+    (auction.reservePrice < parseFloat(budget.min) ||
+      auction.reservePrice > parseFloat(budget.max))
+  ) {
+    return `Reserve price must be between ₹${budget.min} and ₹${budget.max}`;
+  }
+  return null;
+};
 
 // @desc    Get all tasks with filters and pagination
 // @route   GET /api/tasks
@@ -84,14 +166,40 @@ const getTasks = async (req, res) => {
       query.location = new RegExp(req.query.location, "i");
     }
 
-    // Filter by college (if user is authenticated)
-    if (req.query.sameCollege && req.user) {
-      const poster = await User.findById(req.user.id);
-      if (poster) {
-        query["poster.college"] = poster.college;
+    // Campus-only tasks are hidden from anyone outside that campus
+    const visibilityConditions = [
+      Task.visibilityFilter(req.user),
+      { isHidden: { $ne: true } }, // Hidden by reports until reviewed
+    ];
+
+    // Tasks from users on either side of a block are left out
+    if (req.user) {
+      const blockedIds = await Block.getBlockedIds(req.user._id);
+      if (blockedIds.length > 0) {
+        visibilityConditions.push({ poster: { $nin: blockedIds } });
+      }
+    }
+
+    // Campus switcher: "mine", a campus id, or "all" (sameCollege is the old flag)
+    const campusScope =
+      req.query.campus || (req.query.sameCollege === "true" ? "mine" : "all");
+
+    if (campusScope === "mine") {
+      const campusId = req.user ? req.user.getVerifiedCampusId() : null;
+      if (!campusId) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Verify your college email to browse your campus marketplace",
+        });
       }
+      visibilityConditions.push({ campus: campusId });
+    } else if (campusScope !== "all" && mongoose.isValidObjectId(campusScope)) {
+      visibilityConditions.push({ campus: campusScope });
     }
 
+    query.$and = [...(query.$and || []), ...visibilityConditions];
+
     // Sort options
     let sort = {};
     switch (req.query.sort) {
@@ -124,6 +232,7 @@ const getTasks = async (req, res) => {
     const tasks = await Task.find(query)
       .populate("poster", "firstName lastName avatar rating college")
       .populate("assignedTo", "firstName lastName avatar rating")
+      .populate("campus", "name slug")
       .sort(sort)
       .limit(limit * 1)
       .skip(startIndex);
@@ -177,6 +286,7 @@ const getTask = async (req, res) => {
     const task = await Task.findById(req.params.id)
       .populate("poster", "firstName lastName avatar rating college phone")
       .populate("assignedTo", "firstName lastName avatar rating")
+      .populate("campus", "name slug")
       .populate("acceptedBid");
 
     if (!task) {
@@ -186,6 +296,20 @@ const getTask = async (req, res) => {
       });
     }
 
+    if (task.isHiddenFrom(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "This task is hidden while moderators review reports about it",
+      });
+    }
+
+    if (!task.isVisibleTo(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "This task is only visible to students of its campus",
+      });
+    }
+
     // Check access permissions
     if (!req.user) {
       // Non-authenticated users can only see open tasks
@@ -244,6 +368,16 @@ const getTask = async (req, res) => {
       totalBids: 0,
     };
 
+    // Sealed auctions show competitors how many bids there are, not amounts
+    if (task.hidesBidsFrom(req.user?.id)) {
+      task._doc.bidStatistics = {
+        avgAmount: null,
+        minAmount: null,
+        maxAmount: null,
+        totalBids: task._doc.bidStatistics.totalBids,
+      };
+    }
+
     res.status(200).json({
       success: true,
       data: task,
@@ -272,8 +406,16 @@ const createTask = async (req, res) => {
       });
     }
 
-    const { title, description, category, budget, deadline, location, tags } =
-      req.body;
+    const {
+      title,
+      description,
+      category,
+      budget,
+      deadline,
+      location,
+      tags,
+      visibility = "public",
+    } = req.body;
 
     // Validate budget range
     if (budget.min > budget.max) {
@@ -283,6 +425,43 @@ const createTask = async (req, res) => {
       });
     }
 
+    const milestones = toMilestonePlan(req.body.milestones);
+    if (milestones.length && !milestonesFitBudget(milestones, budget)) {
+      return res.status(400).json({
+        success: false,
+        message: `Milestone amounts must add up to between ₹${budget.min} and ₹${budget.max}`,
+      });
+    }
+
+    const auction = toAuctionSettings(req.body);
+    const auctionError = getAuctionSettingsError(auction, budget, deadline);
+    if (auctionError) {
+      return res.status(400).json({
+        success: false,
+        message: auctionError,
+      });
+    }
+
+    const instantPrice = req.body.instantPrice
+      ? parseFloat(req.body.instantPrice)
+      : null;
+    if (instantPrice !== null && !instantPriceFitsBudget(instantPrice, budget)) {
+      return res.status(400).json({
+        success: false,
+        message: `Instant price must be between ₹${budget.min} and ₹${budget.max}`,
+      });
+    }
+
+    // Campus-only tasks need a campus the poster has proven membership of
+    const campusId = req.user.getVerifiedCampusId();
+    if (visibility === "campus" && !campusId) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Only students with a verified campus email can post campus-only tasks",
+      });
+    }
+
     // Process uploaded files
     const images = [];
     const attachments = [];
@@ -310,7 +489,12 @@ const createTask = async (req, res) => {
       images,
       attachments,
       poster: req.user.id,
+      campus: campusId,
+      visibility,
       tags: tags ? tags.split(",").map((tag) => tag.trim()) : [],
+      milestones,
+      ...auction,
+      instantPrice,
     });
 
     // Populate poster info
@@ -385,8 +569,16 @@ const updateTask = async (req, res) => {
       });
     }
 
-    const { title, description, category, budget, deadline, location, tags } =
-      req.body;
+    const {
+      title,
+      description,
+      category,
+      budget,
+      deadline,
+      location,
+      tags,
+      visibility,
+    } = req.body;
 
     // Validate budget range if provided
     if (budget && budget.min > budget.max) {
@@ -409,10 +601,81 @@ const updateTask = async (req, res) => {
     }
     if (deadline) updateFields.deadline = new Date(deadline);
     if (location !== undefined) updateFields.location = location;
+    if (visibility) {
+      if (visibility === "campus" && !task.campus) {
+        return res.status(400).json({
+          success: false,
+          message: "This task was not posted from a verified campus",
+        });
+      }
+      updateFields.visibility = visibility;
+    }
     if (tags !== undefined) {
       updateFields.tags = tags ? tags.split(",").map((tag) => tag.trim()) : [];
     }
 
+    // The milestone plan has to keep fitting the (possibly new) budget
+    const milestones =
+      req.body.milestones !== undefined
+        ? toMilestonePlan(req.body.milestones)
+        : task.milestones;
+    if (
+      milestones.length &&
+      !milestonesFitBudget(milestones, updateFields.budget || task.budget)
+    ) {
+      const { min, max } = updateFields.budget || task.budget;
+      return res.status(400).json({
+        success: false,
+        message: `Milestone amounts must add up to between ₹${min} and ₹${max}`,
+      });
+    }
+    if (req.body.milestones !== undefined) {
+      updateFields.milestones = milestones;
+    }
+
+    // Auction settings have to keep fitting the (possibly new) budget and
+    // deadline; changing them reopens an auction that ended without bids
+    const auctionChanged = ["auctionType", "auctionEndsAt", "reservePrice"].some(
+      (field) => req.body[field] !== undefined
+    );
+    if (auctionChanged || budget || deadline) {
+      const auction = toAuctionSettings(req.body, task);
+      const auctionError = getAuctionSettingsError(
+        auction,
+        updateFields.budget || task.budget,
+        updateFields.deadline || task.deadline
+      );
+      if (auctionError) {
+        return res.status(400).json({
+          success: false,
+          message: auctionError,
+        });
+      }
+      if (auctionChanged) {
+        Object.assign(updateFields, auction, { auctionClosedAt: null });
+      }
+    }
+
+    // The instant price has to stay within the (possibly new) budget;
+    // an empty value removes it
+    const instantPrice =
+      req.body.instantPrice !== undefined
+        ? parseFloat(req.body.instantPrice) || null
+        : task.instantPrice;
+    if (
+      instantPrice !== null &&
+      !instantPriceFitsBudget(instantPrice, updateFields.budget || task.budget)
+    ) {
+      const { min, max } = updateFields.budget || task.budget;
+      return res.status(400).json({
+        success: false,
+        message: `Instant price must be between ₹${min} and ₹${max}`,
+      });
+    }
+    if (req.body.instantPrice !== undefined) {
+      updateFields.instantPrice = instantPrice;
+    }
+
     // Process new uploaded files if any
     if (req.filesInfo) {
       if (req.filesInfo.images) {
@@ -539,14 +802,15 @@ const getTaskBids = async (req, res) => {
     const limit = parseInt(req.query.limit, 10) || 10;
     const startIndex = (page - 1) * limit;
 
-    // Build query
-    const query = { task: req.params.id };
+    // Build query (bids hidden by reports stay out until reviewed)
+    const query = { task: req.params.id, isHidden: { $ne: true } };
 
     // Filter by status
     if (req.query.status) {
       query.status = req.query.status;
     } else {
-      query.status = { $ne: "Withdrawn" }; // Exclude withdrawn bids by default
+      // Exclude withdrawn and moderator-removed bids by default
+      query.status = { $nin: ["Withdrawn", "Removed"] };
     }
 
     // Sort options
@@ -615,11 +879,14 @@ const acceptBid = async (req, res) => {
       });
     }
 
-    // Check if task can receive bids
-    if (!task.canReceiveBids()) {
+    // Sealed and reverse auctions are decided once bidding closes
+    if (!task.canAcceptBids()) {
       return res.status(400).json({
         success: false,
-        message: "This task is no longer accepting bids",
+        message:
+          task.status === "Open" && task.auctionType !== "open"
+            ? "Bids can be accepted once the auction closes"
+            : "This task is no longer accepting bids",
       });
     }
 
@@ -639,45 +906,201 @@ const acceptBid = async (req, res) => {
       });
     }
 
-    // Accept the bid
-    await bid.accept();
+    // Hold escrow, assign the task and reject the other bids
+    const awarded = await awardBid(req.app.get("io"), task, bid, {
+      actorId: req.user.id,
+    });
 
-    // Update task
-    task.status = "Assigned";
-    task.assignedTo = bid.bidder;
-    task.acceptedBid = bid._id;
-    await task.save();
+    // Populate the response
+    await awarded.bid.populate("bidder", "firstName lastName avatar rating");
+    await awarded.task.populate(
+      "assignedTo",
+      "firstName lastName avatar rating"
+    );
 
-    // Reject all other pending bids
-    await Bid.updateMany(
-      {
-        task: task._id,
-        status: "Pending",
-        _id: { $ne: bid._id },
+    res.status(200).json({
+      success: true,
+      message: "Bid accepted successfully",
+      data: {
+        task: awarded.task,
+        acceptedBid: awarded.bid,
       },
-      {
-        status: "Rejected",
-        rejectedAt: new Date(),
+    });
+  } catch (error) {
+    const errorStatus =
+      walletService.PAYMENT_ERROR_STATUS[error.code] ||
+      AWARD_ERROR_STATUS[error.code];
+    if (errorStatus) {
+      return res.status(errorStatus).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Accept bid error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error accepting bid",
+    });
+  }
+};
+
+// @desc    Take a task at its instant price
+// @route   POST /api/tasks/:id/take
+// @access  Private
+const takeTask = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    if (task.isHidden || !task.isVisibleTo(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can't take this task",
+      });
+    }
+
+    if (!task.canBeTakenNow()) {
+      return res.status(400).json({
+        success: false,
+        message:
+          task.instantPrice === null
+            ? "This task doesn't have an instant price"
+            : "This task is no longer accepting bids",
+      });
+    }
+
+    if (task.poster.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot take your own task",
+      });
+    }
+
+    // Blocked users can't bid on each other's tasks
+    if (await Block.isBlockedBetween(req.user.id, task.poster)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can't take this task",
+      });
+    }
+
+    // A pending bid moves to the instant price; otherwise place one at it
+    let bid = await Bid.findOne({
+      task: task._id,
+      bidder: req.user.id,
+      status: { $ne: "Withdrawn" },
+    });
+
+    if (bid && bid.status !== "Pending") {
+      return res.status(400).json({
+        success: false,
+        message: "You have already placed a bid on this task",
+      });
+    }
+
+    if (bid) {
+      if (bid.amount !== task.instantPrice) {
+        bid.amount = task.instantPrice;
+        bid.milestones = Bid.scaleMilestones(bid.milestones, task.instantPrice);
+        await bid.save();
+      }
+    } else {
+      bid = await Bid.create({
+        task: task._id,
+        bidder: req.user.id,
+        amount: task.instantPrice,
+        proposedTimeline: req.body.proposedTimeline || "By the task deadline",
+        message: req.body.message,
+      });
+    }
+
+    const io = req.app.get("io");
+    let awarded;
+
+    try {
+      awarded = await awardBid(io, task, bid, {
+        actorId: req.user.id,
+        reason: "instant_take",
+      });
+    } catch (error) {
+      // Another bidder or the poster got there first
+      if (error.code === "task_taken") {
+        await Bid.updateOne(
+          { _id: bid._id, status: "Pending" },
+          { status: "Rejected", rejectedAt: new Date() }
+        );
+        return res.status(AWARD_ERROR_STATUS[error.code]).json({
+          success: false,
+          message: "Someone else took this task first",
+        });
+      }
+
+      // The bid was withdrawn or edited from another tab meanwhile
+      if (AWARD_ERROR_STATUS[error.code]) {
+        return res.status(AWARD_ERROR_STATUS[error.code]).json({
+          success: false,
+          message: error.message,
+        });
       }
-    );
+
+      // The poster can't fund their own instant price; the bid stays open
+      const paymentStatus = walletService.PAYMENT_ERROR_STATUS[error.code];
+      if (paymentStatus) {
+        await notify(io, {
+          recipient: task.poster,
+          actor: req.user.id,
+          type: "bid_received",
+          task: task._id,
+          message: `Someone tried to take "${task.title}" at your instant price. ${error.message}.`,
+          data: { bidId: bid._id, amount: bid.amount },
+        });
+        return res.status(paymentStatus).json({
+          success: false,
+          message:
+            "The poster can't fund this task right now. Your bid at the instant price stays open for them to accept.",
+        });
+      }
+
+      throw error;
+    }
 
     // Populate the response
-    await bid.populate("bidder", "firstName lastName avatar rating");
-    await task.populate("assignedTo", "firstName lastName avatar rating");
+    await awarded.bid.populate("bidder", "firstName lastName avatar rating");
+    await awarded.task.populate(
+      "assignedTo",
+      "firstName lastName avatar rating"
+    );
 
     res.status(200).json({
       success: true,
-      message: "Bid accepted successfully",
+      message: "The task is yours",
       data: {
-        task,
-        acceptedBid: bid,
+        task: awarded.task,
+        acceptedBid: awarded.bid,
       },
     });
   } catch (error) {
-    console.error("Accept bid error:", error);
+    console.error("Take task error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error accepting bid",
+      message: "Server error taking task",
     });
   }
 };
@@ -687,8 +1110,6 @@ const acceptBid = async (req, res) => {
 // @access  Private (Task Owner)
 const completeTask = async (req, res) => {
   try {
-    const { rating, review } = req.body;
-
     const task = await Task.findById(req.params.id).populate(
       "assignedTo",
       "firstName lastName avatar rating"
@@ -701,54 +1122,108 @@ const completeTask = async (req, res) => {
       });
     }
 
-    if (task.status !== "In-Progress") {
+    if (task.status !== "Submitted") {
       return res.status(400).json({
         success: false,
-        message: "Only in-progress tasks can be marked as completed",
+        message: "Only tasks with submitted work can be marked as completed",
       });
     }
 
-    // Validate rating
-    if (rating && (rating < 1 || rating > 5)) {
-      return res.status(400).json({
-        success: false,
-        message: "Rating must be between 1 and 5",
+    // Complete, approve and pay out together; a second click or a dispute
+    // opened meanwhile finds the task no longer Submitted
+    const completed = await withTransaction(async () => {
+      // Both sides review it afterwards via /api/reviews
+      const completedTask = await Task.findOneAndUpdate(
+        { _id: task._id, status: "Submitted" },
+        { status: "Completed", completionDate: new Date() },
+        { new: true }
+      ).populate("assignedTo", "firstName lastName avatar rating");
+
+      if (!completedTask) return null;
+
+      // Approving completion accepts the latest submission
+      await Submission.updateOne(
+        { task: task._id, status: "pending" },
+        { status: "approved", "review.reviewedAt": new Date() }
+      );
+
+      // Update bidder's stats
+      await User.findByIdAndUpdate(completedTask.assignedTo._id, {
+        $inc: { "stats.tasksCompleted": 1 },
       });
-    }
 
-    // Update task
-    task.status = "Completed";
-    task.completionDate = new Date();
-    if (rating) {
-      task.rating.bidderRating = rating;
-      task.rating.review = review || "";
-    }
-    await task.save();
+      // Update accepted bid amount to user earnings
+      const acceptedBid = await Bid.findById(completedTask.acceptedBid);
+      if (acceptedBid) {
+        await User.findByIdAndUpdate(completedTask.assignedTo._id, {
+          $inc: { "stats.totalEarnings": acceptedBid.amount },
+        });
 
-    // Update bidder's rating and stats
-    if (rating && task.assignedTo) {
-      const bidder = await User.findById(task.assignedTo._id);
-      bidder.updateRating(rating);
-      bidder.stats.tasksCompleted += 1;
-      await bidder.save();
-    }
+        await User.findByIdAndUpdate(completedTask.poster, {
+          $inc: { "stats.totalSpent": acceptedBid.amount },
+        });
+      }
 
-    // Update accepted bid amount to user earnings
-    const acceptedBid = await Bid.findById(task.acceptedBid);
-    if (acceptedBid) {
-      await User.findByIdAndUpdate(task.assignedTo._id, {
-        $inc: { "stats.totalEarnings": acceptedBid.amount },
-      });
+      // Pay the assignee out of escrow
+      const released = await walletService.releaseEscrow(completedTask);
 
-      await User.findByIdAndUpdate(task.poster, {
-        $inc: { "stats.totalSpent": acceptedBid.amount },
+      // The final release settles any milestones not yet paid
+      const unpaid = completedTask.milestones.filter(
+        (milestone) => milestone.status !== "paid"
+      );
+      if (unpaid.length > 0) {
+        const paidAt = new Date();
+        unpaid.forEach((milestone) => {
+          milestone.status = "paid";
+          milestone.paidAt = paidAt;
+        });
+        await completedTask.save();
+      }
+
+      return { task: completedTask, released };
+    });
+
+    if (!completed) {
+      return res.status(409).json({
+        success: false,
+        message: "This task has changed, please refresh and try again",
       });
     }
 
+    const { released } = completed;
+
+    const io = req.app.get("io");
+    emitToTask(io, task._id, "task_status_changed", {
+      oldStatus: "Submitted",
+      newStatus: "Completed",
+      reason: "work_approved",
+    });
+
+    await notify(io, {
+      recipient: task.assignedTo._id,
+      actor: req.user.id,
+      type: "task_status_changed",
+      task: task._id,
+      message: released
+        ? `"${task.title}" was marked as completed and ₹${released} was released to your wallet`
+        : `"${task.title}" was marked as completed`,
+      data: {
+        oldStatus: "Submitted",
+        newStatus: "Completed",
+        released,
+      },
+    });
+
+    // Email completion receipts in the background
+    activityEmails.dispatch(
+      activityEmails.sendTaskCompleted(task),
+      "task completed"
+    );
+
     res.status(200).json({
       success: true,
       message: "Task marked as completed successfully",
-      data: task,
+      data: completed.task,
     });
   } catch (error) {
     console.error("Complete task error:", error);
@@ -791,6 +1266,22 @@ const startTask = async (req, res) => {
     task.status = "In-Progress";
     await task.save();
 
+    const io = req.app.get("io");
+    emitToTask(io, task._id, "task_status_changed", {
+      oldStatus: "Assigned",
+      newStatus: "In-Progress",
+      reason: "work_started",
+    });
+
+    await notify(io, {
+      recipient: task.poster,
+      actor: req.user.id,
+      type: "task_status_changed",
+      task: task._id,
+      message: `Work has started on "${task.title}"`,
+      data: { oldStatus: "Assigned", newStatus: "In-Progress" },
+    });
+
     res.status(200).json({
       success: true,
       message: "Task started successfully",
@@ -805,6 +1296,265 @@ const startTask = async (req, res) => {
   }
 };
 
+// @desc    Get the submission history of a task
+// @route   GET /api/tasks/:id/submissions
+// @access  Private (Task Poster or Assigned Bidder)
+const getSubmissions = async (req, res) => {
+  try {
+    const task = req.task;
+
+    const [submissions, acceptedBid] = await Promise.all([
+      Submission.find({ task: task._id })
+        .populate("bidder", "firstName lastName avatar")
+        .sort({ round: 1 }),
+      Bid.findById(task.acceptedBid).select("deliverables"),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        submissions,
+        deliverables: acceptedBid?.deliverables || [],
+        revisionsUsed: submissions.filter(
+          (submission) => submission.status === "revision_requested"
+        ).length,
+        maxRevisions: MAX_REVISION_ROUNDS,
+      },
+    });
+  } catch (error) {
+    console.error("Get submissions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching submissions",
+    });
+  }
+};
+
+// @desc    Submit deliverables for the poster to review
+// @route   POST /api/tasks/:id/submit
+// @access  Private (Assigned Bidder)
+const submitWork = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      cleanupFiles(req);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const task = req.task;
+
+    if (req.userRole !== "bidder") {
+      cleanupFiles(req);
+      return res.status(403).json({
+        success: false,
+        message: "Only the assigned bidder can submit work",
+      });
+    }
+
+    if (task.status !== "In-Progress") {
+      cleanupFiles(req);
+      return res.status(400).json({
+        success: false,
+        message: "Work can only be submitted on in-progress tasks",
+      });
+    }
+
+    // Tick off the deliverables promised in the accepted bid
+    const acceptedBid = await Bid.findById(task.acceptedBid).select(
+      "deliverables"
+    );
+    const delivered = req.body.checklist ? JSON.parse(req.body.checklist) : [];
+    const checklist = (acceptedBid?.deliverables || []).map(
+      (deliverable) => ({
+        deliverable,
+        done: delivered.includes(deliverable),
+      })
+    );
+
+    const round = (await Submission.countDocuments({ task: task._id })) + 1;
+
+    // Only move the task forward if nobody changed it in the meantime
+    const updated = await Task.findOneAndUpdate(
+      { _id: task._id, status: "In-Progress" },
+      { status: "Submitted" },
+      { new: true }
+    );
+
+    if (!updated) {
+      cleanupFiles(req);
+      return res.status(409).json({
+        success: false,
+        message: "The task changed status, please refresh and try again",
+      });
+    }
+
+    let submission;
+    try {
+      submission = await Submission.create({
+        task: task._id,
+        bidder: req.user.id,
+        bid: task.acceptedBid,
+        round,
+        notes: req.body.notes,
+        files: req.filesInfo?.files || [],
+        checklist,
+      });
+    } catch (error) {
+      // Put the task back so the bidder can try again
+      await Task.updateOne(
+        { _id: task._id, status: "Submitted" },
+        { status: "In-Progress" }
+      );
+      throw error;
+    }
+
+    await submission.populate("bidder", "firstName lastName avatar");
+
+    const io = req.app.get("io");
+    emitToTask(io, task._id, "task_status_changed", {
+      oldStatus: "In-Progress",
+      newStatus: "Submitted",
+      reason: "work_submitted",
+    });
+
+    await notify(io, {
+      recipient: task.poster,
+      actor: req.user.id,
+      type: "work_submitted",
+      task: task._id,
+      message:
+        round > 1
+          ? `Revised work (round ${round}) was submitted for "${task.title}"`
+          : `Work was submitted for "${task.title}" and is ready for review`,
+      data: { submissionId: submission._id, round },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Work submitted for review",
+      data: submission,
+    });
+  } catch (error) {
+    cleanupFiles(req);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "This round was already submitted, please refresh",
+      });
+    }
+
+    console.error("Submit work error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error submitting work",
+    });
+  }
+};
+
+// @desc    Send submitted work back to the bidder for changes
+// @route   POST /api/tasks/:id/request-revision
+// @access  Private (Task Owner)
+const requestRevision = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const task = req.task;
+
+    if (task.status !== "Submitted") {
+      return res.status(400).json({
+        success: false,
+        message: "Revisions can only be requested on submitted work",
+      });
+    }
+
+    const revisionsUsed = await Submission.countRevisions(task._id);
+    if (revisionsUsed >= MAX_REVISION_ROUNDS) {
+      return res.status(400).json({
+        success: false,
+        message: `All ${MAX_REVISION_ROUNDS} revision rounds have been used. Please approve the work or open a dispute.`,
+      });
+    }
+
+    const submission = await Submission.findOne({
+      task: task._id,
+      status: "pending",
+    }).sort({ round: -1 });
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: "No submission is waiting for review",
+      });
+    }
+
+    const updated = await Task.findOneAndUpdate(
+      { _id: task._id, status: "Submitted" },
+      { status: "In-Progress" },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: "The task changed status, please refresh and try again",
+      });
+    }
+
+    submission.status = "revision_requested";
+    submission.review = {
+      comments: req.body.comments,
+      reviewedAt: new Date(),
+    };
+    await submission.save();
+
+    const io = req.app.get("io");
+    emitToTask(io, task._id, "task_status_changed", {
+      oldStatus: "Submitted",
+      newStatus: "In-Progress",
+      reason: "revision_requested",
+    });
+
+    await notify(io, {
+      recipient: task.assignedTo,
+      actor: req.user.id,
+      type: "revision_requested",
+      task: task._id,
+      message: `The poster asked for changes to your work on "${task.title}"`,
+      data: { submissionId: submission._id, round: submission.round },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Revision requested",
+      data: {
+        submission,
+        revisionsUsed: revisionsUsed + 1,
+        maxRevisions: MAX_REVISION_ROUNDS,
+      },
+    });
+  } catch (error) {
+    console.error("Request revision error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error requesting revision",
+    });
+  }
+};
+
 // @desc    Close task
 // @route   POST /api/tasks/:id/close
 // @access  Private (Task Owner)
@@ -826,26 +1576,98 @@ const closeTask = async (req, res) => {
       });
     }
 
-    // Update task status
-    task.status = "Closed";
-    await task.save();
+    // Disputed tasks stay frozen until a moderator decides
+    if (task.status === "Disputed") {
+      return res.status(400).json({
+        success: false,
+        message: "Task is under dispute and can't be closed",
+      });
+    }
 
-    // If task had pending bids, reject them
-    await Bid.updateMany(
-      {
+    if (task.status === "Completed") {
+      return res.status(400).json({
+        success: false,
+        message: "Completed tasks can't be closed",
+      });
+    }
+
+    if (!POSTER_CLOSABLE_STATUSES.includes(task.status)) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Work has already started on this task. Open a dispute if you can't settle it with the assignee",
+      });
+    }
+
+    // Close, refund and reject the bids together, and only from the status
+    // that was read: a bid accepted or work approved meanwhile wins
+    const oldStatus = task.status;
+    const closed = await withTransaction(async () => {
+      const closedTask = await Task.findOneAndUpdate(
+        { _id: task._id, status: oldStatus },
+        { status: "Closed" },
+        { new: true }
+      );
+
+      if (!closedTask) return null;
+
+      // Anything held in escrow goes back to the poster
+      const refunded = await walletService.refundEscrow(closedTask);
+
+      // Everyone with a live bid or the assignment hears about the closure
+      const pendingBidders = await Bid.find({
         task: task._id,
         status: "Pending",
-      },
-      {
-        status: "Rejected",
-        rejectedAt: new Date(),
-      }
-    );
+      }).distinct("bidder");
+
+      // If task had pending bids, reject them
+      await Bid.updateMany(
+        {
+          task: task._id,
+          status: "Pending",
+        },
+        {
+          status: "Rejected",
+          rejectedAt: new Date(),
+        }
+      );
+
+      return { task: closedTask, refunded, pendingBidders };
+    });
+
+    if (!closed) {
+      return res.status(409).json({
+        success: false,
+        message: "This task has changed, please refresh and try again",
+      });
+    }
+
+    const { refunded, pendingBidders } = closed;
+    const recipients = closed.task.assignedTo
+      ? [...pendingBidders, closed.task.assignedTo]
+      : pendingBidders;
+
+    const io = req.app.get("io");
+    emitToTask(io, task._id, "task_status_changed", {
+      oldStatus,
+      newStatus: "Closed",
+      reason: "closed_by_poster",
+    });
+
+    await notifyMany(io, recipients, {
+      actor: req.user.id,
+      type: "task_status_changed",
+      task: task._id,
+      message: `"${task.title}" was closed by the poster`,
+      data: { oldStatus, newStatus: "Closed" },
+    });
 
     res.status(200).json({
       success: true,
-      message: "Task closed successfully",
-      data: task,
+      message: refunded
+        ? `Task closed and ₹${refunded} refunded to your wallet`
+        : "Task closed successfully",
+      data: closed.task,
     });
   } catch (error) {
     console.error("Close task error:", error);
@@ -943,8 +1765,12 @@ module.exports = {
   deleteTask,
   getTaskBids,
   acceptBid,
+  takeTask,
   completeTask,
   startTask,
+  getSubmissions,
+  submitWork,
+  requestRevision,
   closeTask,
   removeTaskFile,
 };
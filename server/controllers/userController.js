@@ -3,7 +3,10 @@ const { validationResult } = require("express-validator");
 const User = require("../models/User");
 const Task = require("../models/Task");
 const Bid = require("../models/Bid");
+const Block = require("../models/Block");
+const { PERMISSIONS } = require("../config/permissions");
 const { deleteFile, getFileUrl } = require("../middleware/upload");
+const presence = require("../services/presenceService");
 
 // @desc    Get all users with pagination and filters
 // @route   GET /api/users
@@ -15,7 +18,7 @@ const getUsers = async (req, res) => {
     const startIndex = (page - 1) * limit;
 
     // Build query
-    const query = { isActive: true };
+    const query = { isActive: true, isHidden: { $ne: true } };
 
     // Search by name or college
     if (req.query.search) {
@@ -112,6 +115,19 @@ const getUserProfile = async (req, res) => {
       });
     }
 
+    // Profiles hidden by reports are only shown to their owner and moderators
+    const isOwnProfile = req.user && req.user.id === user.id;
+    if (
+      user.isHidden &&
+      !isOwnProfile &&
+      !(req.user && req.user.can(PERMISSIONS.READ_USERS))
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
     // Get user statistics
     const [completedTasks, postedTasks, activeBids] = await Promise.all([
       Task.countDocuments({
@@ -147,8 +163,13 @@ const getUserProfile = async (req, res) => {
         ? Math.round((completedTasks / totalAssignedTasks) * 100)
         : 0;
 
+    const isBlockedByMe =
+      !!req.user &&
+      !!(await Block.exists({ blocker: req.user.id, blocked: user._id }));
+
     const profileData = {
       ...user.toObject(),
+      isBlockedByMe,
       statistics: {
         completedTasks,
         postedTasks,
@@ -286,7 +307,9 @@ const getDashboard = async (req, res) => {
       // Active tasks posted by user
       Task.countDocuments({
         poster: userId,
-        status: { $in: ["Open", "Assigned", "In-Progress"] },
+        status: {
+          $in: ["Open", "Assigned", "In-Progress", "Submitted", "Disputed"],
+        },
       }),
       // Completed tasks assigned to user
       Task.countDocuments({
@@ -637,6 +660,181 @@ const getUserAnalytics = async (req, res) => {
   }
 };
 
+// @desc    Block a user
+// @route   POST /api/users/:id/block
+// @access  Private
+const blockUser = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot block yourself",
+      });
+    }
+
+    const target = await User.findById(req.params.id).select("_id");
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const block = await Block.findOneAndUpdate(
+      { blocker: req.user.id, blocked: target._id },
+      {},
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    // Pending bids between the two users can no longer be accepted
+    const [myTasks, theirTasks] = await Promise.all([
+      Task.find({ poster: req.user.id }).distinct("_id"),
+      Task.find({ poster: target._id }).distinct("_id"),
+    ]);
+    const pendingBids = await Bid.find({
+      status: "Pending",
+      $or: [
+        { bidder: target._id, task: { $in: myTasks } },
+        { bidder: req.user.id, task: { $in: theirTasks } },
+      ],
+    });
+    await Promise.all(pendingBids.map((bid) => bid.withdraw()));
+
+    res.status(200).json({
+      success: true,
+      message: "User blocked",
+      data: {
+        blocked: target._id,
+        blockedAt: block.createdAt,
+        withdrawnBids: pendingBids.length,
+      },
+    });
+  } catch (error) {
+    console.error("Block user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error blocking user",
+    });
+  }
+};
+
+// @desc    Unblock a user
+// @route   DELETE /api/users/:id/block
+// @access  Private
+const unblockUser = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const result = await Block.deleteOne({
+      blocker: req.user.id,
+      blocked: req.params.id,
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "You haven't blocked this user",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "User unblocked",
+    });
+  } catch (error) {
+    console.error("Unblock user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error unblocking user",
+    });
+  }
+};
+
+// @desc    Get users blocked by the current user
+// @route   GET /api/users/me/blocked
+// @access  Private
+const getBlockedUsers = async (req, res) => {
+  try {
+    const blocks = await Block.find({ blocker: req.user.id })
+      .populate("blocked", "firstName lastName avatar college")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: blocks.length,
+      data: blocks
+        .filter((block) => block.blocked)
+        .map((block) => ({
+          ...block.blocked.toObject(),
+          blockedAt: block.createdAt,
+        })),
+    });
+  } catch (error) {
+    console.error("Get blocked users error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching blocked users",
+    });
+  }
+};
+
+// @desc    Get online state and last-seen time for users
+// @route   GET /api/users/presence?ids=
+// @access  Private
+const getPresence = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    // Only contacts (shared assigned task or conversation, no block
+    // either way) can see each other's presence
+    const contactIds = await presence.getContactIds(req.user.id);
+    const ids = [...new Set(req.query.ids.split(","))].filter((id) =>
+      contactIds.includes(id)
+    );
+
+    const users = await presence.getPresence(req.app.get("io"), ids);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users,
+    });
+  } catch (error) {
+    console.error("Get presence error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching presence",
+    });
+  }
+};
+
 module.exports = {
   getUsers,
   getUserProfile,
@@ -646,4 +844,8 @@ module.exports = {
   getUserTasks,
   getUserBids,
   getUserAnalytics,
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  getPresence,
 };
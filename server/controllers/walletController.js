@@ -0,0 +1,183 @@
+// server/controllers/walletController.js
+const { validationResult } = require("express-validator");
+const Wallet = require("../models/Wallet");
+const LedgerEntry = require("../models/LedgerEntry");
+const walletService = require("../services/walletService");
+
+const { PAYMENT_ERROR_STATUS } = walletService;
+
+// @desc    Get wallet balance and escrow totals
+// @route   GET /api/wallet
+// @access  Private
+const getWallet = async (req, res) => {
+  try {
+    const { currency, balance, escrow } =
+      await walletService.getWalletSummary(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { currency, balance, escrow },
+    });
+  } catch (error) {
+    console.error("Get wallet error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching wallet",
+    });
+  }
+};
+
+// @desc    Get wallet transactions
+// @route   GET /api/wallet/transactions
+// @access  Private
+const getTransactions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const wallet = await Wallet.forUser(req.user.id);
+    const query = { account: "wallet", wallet: wallet._id };
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(query)
+        .populate("task", "title status")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      LedgerEntry.countDocuments(query),
+    ]);
+
+    // Credits add to the wallet and debits take from it
+    const transactions = entries.map((entry) => ({
+      _id: entry._id,
+      journal: entry.journal,
+      type: entry.type,
+      direction: entry.direction,
+      amount: walletService.toRupees(
+        entry.direction === "credit" ? entry.amount : -entry.amount
+      ),
+      description: entry.description,
+      task: entry.task,
+      createdAt: entry.createdAt,
+    }));
+
+    // Pagination info
+    const pagination = {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalTransactions: total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    };
+
+    res.status(200).json({
+      success: true,
+      count: transactions.length,
+      pagination,
+      data: transactions,
+    });
+  } catch (error) {
+    console.error("Get wallet transactions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching transactions",
+    });
+  }
+};
+
+// @desc    Add funds to wallet
+// @route   POST /api/wallet/deposit
+// @access  Private
+const depositFunds = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { amount, source } = req.body;
+    const balance = await walletService.deposit(req.user.id, amount, source);
+
+    console.log(`💰 ${req.user.id} added ₹${amount} to their wallet`);
+
+    res.status(200).json({
+      success: true,
+      message: "Funds added to your wallet",
+      data: { balance },
+    });
+  } catch (error) {
+    if (PAYMENT_ERROR_STATUS[error.code]) {
+      return res.status(PAYMENT_ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Deposit funds error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error adding funds",
+    });
+  }
+};
+
+// @desc    Withdraw funds from wallet
+// @route   POST /api/wallet/withdraw
+// @access  Private
+const withdrawFunds = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { amount } = req.body;
+    const balance = await walletService.withdraw(req.user.id, amount);
+
+    console.log(`💰 ${req.user.id} withdrew ₹${amount} from their wallet`);
+
+    res.status(200).json({
+      success: true,
+      message: "Withdrawal on its way",
+      data: { balance },
+    });
+  } catch (error) {
+    if (PAYMENT_ERROR_STATUS[error.code]) {
+      return res.status(PAYMENT_ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Withdraw funds error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error withdrawing funds",
+    });
+  }
+};
+
+module.exports = {
+  getWallet,
+  getTransactions,
+  depositFunds,
+  withdrawFunds,
+};
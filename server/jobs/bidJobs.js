@@ -0,0 +1,88 @@
+// server/jobs/bidJobs.js
+const Bid = require("../models/Bid");
+const Task = require("../models/Task");
+const { notify } = require("../services/notificationService");
+const { expireOffer } = require("../services/negotiationService");
+const { emitToTask } = require("../sockets/events");
+
+const BATCH_SIZE = 100;
+
+// Withdraw pending bids whose autoWithdrawAt has passed
+const expireBids = async (job, { io }) => {
+  const bids = await Bid.find({
+    status: "Pending",
+    autoWithdrawAt: { $lte: new Date() },
+  })
+    .sort({ autoWithdrawAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let withdrawnCount = 0;
+
+  for (const bid of bids) {
+    try {
+      // Accepted or rejected since the query ran
+      if (!(await bid.withdraw())) continue;
+      withdrawnCount++;
+
+      const task = await Task.findById(bid.task).select("title poster");
+
+      if (!task) continue;
+
+      await notify(io, {
+        recipient: bid.bidder,
+        type: "bid_auto_withdrawn",
+        task: task._id,
+        message: `Your bid on "${task.title}" expired and was withdrawn`,
+        data: { bidId: bid._id, amount: bid.amount },
+      });
+
+      emitToTask(io, task._id, "bid_withdrawn", {
+        bidId: bid._id,
+        reason: "expired",
+      });
+    } catch (error) {
+      // Keep going with the rest of the batch
+      console.error(`Failed to auto-withdraw bid ${bid._id}:`, error.message);
+    }
+  }
+
+  if (withdrawnCount > 0) {
+    console.log(`⏰ Auto-withdrew ${withdrawnCount} expired bid(s)`);
+  }
+
+  return withdrawnCount;
+};
+
+// Lapse counter-offers nobody answered in time
+const expireCounterOffers = async (job, { io }) => {
+  const bids = await Bid.find({
+    status: "Pending",
+    "negotiation.status": "open",
+    "negotiation.expiresAt": { $lte: new Date() },
+  })
+    .sort({ "negotiation.expiresAt": 1 })
+    .limit(BATCH_SIZE);
+
+  let expiredCount = 0;
+
+  for (const bid of bids) {
+    const task = await Task.findById(bid.task).select("title poster");
+    if (!task) continue;
+
+    // Null when the offer was answered since the query ran
+    if (await expireOffer(io, bid, task)) {
+      expiredCount++;
+    }
+  }
+
+  if (expiredCount > 0) {
+    console.log(`⏰ Expired ${expiredCount} unanswered counter-offer(s)`);
+  }
+
+  return expiredCount;
+};
+
+module.exports = {
+  expireBids,
+  expireCounterOffers,
+};
@@ -0,0 +1,43 @@
+// server/jobs/index.js
+const scheduler = require("./scheduler");
+const { expireBids, expireCounterOffers } = require("./bidJobs");
+const { closeExpiredTasks, closeEndedAuctions } = require("./taskJobs");
+const { deliverEmails } = require("./mailJobs");
+const { revealExpiredReviews } = require("./reviewJobs");
+const { settleWithdrawal } = require("./walletJobs");
+
+// Job handlers
+scheduler
+  .register("expire-bids", expireBids)
+  .register("expire-counter-offers", expireCounterOffers)
+  .register("close-expired-tasks", closeExpiredTasks)
+  .register("close-ended-auctions", closeEndedAuctions)
+  .register("deliver-emails", deliverEmails)
+  .register("reveal-expired-reviews", revealExpiredReviews)
+  .register("settle-withdrawal", settleWithdrawal);
+
+// Recurring sweeps
+scheduler
+  .every("expire-bids", 60 * 1000) // Every minute
+  .every("expire-counter-offers", 60 * 1000) // Every minute
+  .every("close-expired-tasks", 60 * 1000) // Every minute
+  .every("close-ended-auctions", 60 * 1000) // Every minute
+  .every("deliver-emails", 30 * 1000) // Every 30 seconds
+  .every("reveal-expired-reviews", 5 * 60 * 1000); // Every 5 minutes
+
+// Start the scheduler unless disabled for this process
+const startJobs = (context) => {
+  if (process.env.JOBS_ENABLED === "false") {
+    console.log("⏰ Job scheduler disabled (JOBS_ENABLED=false)");
+    return Promise.resolve();
+  }
+  return scheduler.start(context);
+};
+
+const stopJobs = () => scheduler.stop();
+
+module.exports = {
+  scheduler,
+  startJobs,
+  stopJobs,
+};
@@ -0,0 +1,15 @@
+// server/jobs/mailJobs.js
+const { deliverQueuedEmails } = require("../mail/mailer");
+
+// Flush queued emails through the configured transport
+const deliverEmails = async () => {
+  const sentCount = await deliverQueuedEmails();
+
+  if (sentCount > 0) {
+    console.log(`📧 Delivered ${sentCount} queued email(s)`);
+  }
+};
+
+module.exports = {
+  deliverEmails,
+};
@@ -0,0 +1,36 @@
+// server/jobs/reviewJobs.js
+const Review = require("../models/Review");
+const { revealReviews } = require("../services/reviewService");
+
+const BATCH_SIZE = 100;
+
+// Reveal hidden reviews whose review window has closed
+const revealExpiredReviews = async (job, { io }) => {
+  const reviews = await Review.find({
+    isRevealed: false,
+    revealAt: { $lte: new Date() },
+  })
+    .select("task")
+    .sort({ revealAt: 1 })
+    .limit(BATCH_SIZE);
+
+  // Both reviews on a task are revealed together
+  const taskIds = [
+    ...new Set(reviews.map((review) => review.task.toString())),
+  ];
+  let revealedCount = 0;
+
+  for (const taskId of taskIds) {
+    revealedCount += await revealReviews(io, taskId);
+  }
+
+  if (revealedCount > 0) {
+    console.log(`⏰ Revealed ${revealedCount} review(s) past their window`);
+  }
+
+  return revealedCount;
+};
+
+module.exports = {
+  revealExpiredReviews,
+};
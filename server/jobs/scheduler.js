@@ -0,0 +1,114 @@
+// server/jobs/scheduler.js
+const os = require("os");
+const crypto = require("crypto");
+const Job = require("../models/Job");
+
+const DEFAULT_POLL_INTERVAL = 15 * 1000; // 15 seconds
+const LOCK_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+const MAX_JOBS_PER_TICK = 20;
+
+class JobScheduler {
+  constructor() {
+    this.handlers = new Map(); // job name -> async handler(job, context)
+    this.recurring = new Map(); // job name -> interval in ms
+    this.context = {};
+    this.timer = null;
+    this.isTicking = false;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto
+      .randomBytes(4)
+      .toString("hex")}`;
+  }
+
+  // Register a handler for a job name
+  register(name, handler) {
+    this.handlers.set(name, handler);
+    return this;
+  }
+
+  // Declare a recurring job, shared by every server process
+  every(name, intervalMs) {
+    this.recurring.set(name, intervalMs);
+    return this;
+  }
+
+  // Enqueue a one-off job (idempotent when a key is given)
+  schedule(name, payload = {}, options = {}) {
+    if (!this.handlers.has(name)) {
+      throw new Error(`No job handler registered for "${name}"`);
+    }
+    return Job.schedule(name, payload, options);
+  }
+
+  // Start polling for due jobs
+  async start(context = {}) {
+    if (this.timer) return;
+
+    this.context = context;
+
+    // One document per recurring job, keyed by name so processes share it
+    for (const [name, interval] of this.recurring.entries()) {
+      await Job.schedule(name, {}, { key: name, interval });
+      await Job.updateOne({ key: name }, { $set: { interval } });
+    }
+
+    const pollInterval =
+      parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || DEFAULT_POLL_INTERVAL;
+
+    this.timer = setInterval(() => this.tick(), pollInterval);
+    this.timer.unref();
+
+    console.log(
+      `⏰ Job scheduler started (worker ${this.workerId}, polling every ${pollInterval}ms)`
+    );
+
+    this.tick();
+  }
+
+  // Stop polling; a job already running is allowed to finish
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log("⏰ Job scheduler stopped");
+    }
+  }
+
+  // Claim and run due jobs
+  async tick() {
+    if (this.isTicking) return;
+    this.isTicking = true;
+
+    try {
+      for (let i = 0; i < MAX_JOBS_PER_TICK; i++) {
+        const job = await Job.claimNext(this.workerId, LOCK_TIMEOUT);
+        if (!job) break;
+        await this.run(job);
+      }
+    } catch (error) {
+      console.error("Job scheduler tick error:", error);
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  // Run a single claimed job
+  async run(job) {
+    const handler = this.handlers.get(job.name);
+
+    if (!handler) {
+      await job.fail(new Error(`No job handler registered for "${job.name}"`));
+      return;
+    }
+
+    try {
+      await handler(job, this.context);
+      await job.complete();
+    } catch (error) {
+      console.error(`Job ${job.name} (${job.key}) failed:`, error);
+      await job.fail(error);
+    }
+  }
+}
+
+module.exports = new JobScheduler();
+module.exports.JobScheduler = JobScheduler;
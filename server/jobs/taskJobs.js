@@ -0,0 +1,116 @@
+// server/jobs/taskJobs.js
+const Task = require("../models/Task");
+const Bid = require("../models/Bid");
+const { notify, notifyMany } = require("../services/notificationService");
+const { closeAuction } = require("../services/auctionService");
+const { emitToTask } = require("../sockets/events");
+
+const BATCH_SIZE = 100;
+
+// Close open tasks that passed their deadline without an accepted bid
+const closeExpiredTasks = async (job, { io }) => {
+  const tasks = await Task.find({
+    status: "Open",
+    acceptedBid: null,
+    deadline: { $lte: new Date() },
+  })
+    .select("title poster")
+    .sort({ deadline: 1 })
+    .limit(BATCH_SIZE);
+
+  let closedCount = 0;
+
+  for (const task of tasks) {
+    // Conditional update so a concurrent accept or another worker wins cleanly
+    const result = await Task.updateOne(
+      { _id: task._id, status: "Open", acceptedBid: null },
+      { $set: { status: "Closed" } }
+    );
+
+    if (result.modifiedCount === 0) {
+      continue;
+    }
+
+    closedCount++;
+
+    // Reject bids that were still pending on the task
+    const bidders = await Bid.find({
+      task: task._id,
+      status: "Pending",
+    }).distinct("bidder");
+
+    await Bid.updateMany(
+      { task: task._id, status: "Pending" },
+      { status: "Rejected", rejectedAt: new Date() }
+    );
+
+    await Bid.updateTaskBidCount(task._id);
+
+    emitToTask(io, task._id, "task_status_changed", {
+      oldStatus: "Open",
+      newStatus: "Closed",
+      reason: "deadline_passed",
+    });
+
+    await notify(io, {
+      recipient: task.poster,
+      type: "task_expired",
+      task: task._id,
+      message: `Your task "${task.title}" passed its deadline and was closed`,
+    });
+
+    await notifyMany(io, bidders, {
+      type: "bid_rejected",
+      task: task._id,
+      message: `"${task.title}" closed at its deadline without accepting your bid`,
+    });
+  }
+
+  if (closedCount > 0) {
+    console.log(`⏰ Closed ${closedCount} task(s) past their deadline`);
+  }
+
+  return closedCount;
+};
+
+// Stop bidding on sealed and reverse auctions whose end time has passed
+const closeEndedAuctions = async (job, { io }) => {
+  const tasks = await Task.find({
+    status: "Open",
+    auctionType: { $ne: "open" },
+    auctionClosedAt: null,
+    auctionEndsAt: { $lte: new Date() },
+  })
+    .select("title poster auctionType")
+    .sort({ auctionEndsAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let closedCount = 0;
+  let awardedCount = 0;
+
+  for (const task of tasks) {
+    const result = await closeAuction(io, task);
+
+    if (!result) {
+      continue;
+    }
+
+    closedCount++;
+    if (result.winningBid) {
+      awardedCount++;
+    }
+  }
+
+  if (closedCount > 0) {
+    console.log(
+      `⏰ Closed ${closedCount} auction(s), ${awardedCount} awarded automatically`
+    );
+  }
+
+  return closedCount;
+};
+
+module.exports = {
+  closeExpiredTasks,
+  closeEndedAuctions,
+};
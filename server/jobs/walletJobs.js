@@ -0,0 +1,17 @@
+// server/jobs/walletJobs.js
+const walletService = require("../services/walletService");
+
+// Pay out a withdrawal that wasn't settled right after it committed.
+// Failures are retried with backoff by the scheduler.
+const settleWithdrawal = async (job) => {
+  try {
+    await walletService.settleWithdrawal(job.payload.journal);
+  } catch (error) {
+    // Declined payouts have gone back to the wallet; nothing to retry
+    if (error.code !== "payment_declined") throw error;
+  }
+};
+
+module.exports = {
+  settleWithdrawal,
+};
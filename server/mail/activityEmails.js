@@ -0,0 +1,202 @@
+// server/mail/activityEmails.js
+const Task = require("../models/Task");
+const User = require("../models/User");
+const EmailOutbox = require("../models/EmailOutbox");
+const { queueEmail } = require("./mailer");
+const {
+  bidReceivedEmail,
+  bidAcceptedEmail,
+  taskCompletedEmail,
+  paymentReceivedEmail,
+  ratingReceivedEmail,
+  newMessageEmail,
+} = require("../utils/emailTemplates");
+
+const MESSAGE_EMAIL_COOLDOWN = 15 * 60 * 1000; // One chat digest per task every 15 minutes
+
+// Queue an email for a user if the account can receive mail
+const queueForUser = (user, template, subject, html, meta = {}) => {
+  if (!user || !user.email || !user.isActive) {
+    return null;
+  }
+
+  return queueEmail({
+    to: user.email,
+    user: user._id,
+    subject,
+    html,
+    template,
+    meta,
+  });
+};
+
+// Check whether a user has a live socket in their personal room
+const isUserConnected = async (io, userId) => {
+  if (!io) return false;
+  const sockets = await io.in(`user_${userId}`).fetchSockets();
+  return sockets.length > 0;
+};
+
+// Notify the task poster about a new bid
+const sendBidReceived = async (bid) => {
+  const task = await Task.findById(bid.task._id || bid.task).populate(
+    "poster",
+    "firstName lastName email isActive"
+  );
+  const bidder = await User.findById(bid.bidder._id || bid.bidder).select(
+    "firstName lastName rating"
+  );
+
+  if (!task || !bidder) return null;
+
+  const bidData = { ...bid.toObject(), bidder };
+
+  return queueForUser(
+    task.poster,
+    "bidReceived",
+    `New bid on "${task.title}" - TaskAuction`,
+    bidReceivedEmail(task.poster.firstName, bidData, task),
+    { taskId: task._id, bidId: bid._id }
+  );
+};
+
+// Notify the winning bidder that their bid was accepted
+const sendBidAccepted = async (task, bid) => {
+  const fullTask = await Task.findById(task._id).populate(
+    "poster",
+    "firstName lastName"
+  );
+  const bidder = await User.findById(bid.bidder._id || bid.bidder).select(
+    "firstName email isActive"
+  );
+
+  if (!fullTask || !bidder) return null;
+
+  return queueForUser(
+    bidder,
+    "bidAccepted",
+    `Your bid on "${fullTask.title}" was accepted - TaskAuction`,
+    bidAcceptedEmail(bidder.firstName, fullTask, bid),
+    { taskId: fullTask._id, bidId: bid._id }
+  );
+};
+
+// Send completion receipts to the poster and the bidder
+const sendTaskCompleted = async (task) => {
+  const fullTask = await Task.findById(task._id)
+    .populate("poster", "firstName lastName email isActive")
+    .populate("assignedTo", "firstName lastName email isActive")
+    .populate("acceptedBid", "amount");
+
+  if (!fullTask || !fullTask.assignedTo) return [];
+
+  const meta = { taskId: fullTask._id };
+  const queued = [
+    queueForUser(
+      fullTask.poster,
+      "taskCompleted",
+      `"${fullTask.title}" is complete - TaskAuction`,
+      taskCompletedEmail(fullTask.poster.firstName, fullTask),
+      meta
+    ),
+  ];
+
+  if (fullTask.acceptedBid) {
+    queued.push(
+      queueForUser(
+        fullTask.assignedTo,
+        "paymentReceived",
+        `Payment for "${fullTask.title}" - TaskAuction`,
+        paymentReceivedEmail(
+          fullTask.assignedTo.firstName,
+          fullTask.acceptedBid.amount,
+          fullTask
+        ),
+        meta
+      )
+    );
+  }
+
+  return Promise.all(queued);
+};
+
+// Tell a user that a review about them is now visible
+const sendReviewRevealed = async (review) => {
+  const [task, reviewee, reviewer] = await Promise.all([
+    Task.findById(review.task).select("title"),
+    User.findById(review.reviewee).select("firstName email isActive"),
+    User.findById(review.reviewer).select("firstName lastName"),
+  ]);
+
+  if (!task || !reviewee || !reviewer) return null;
+
+  return queueForUser(
+    reviewee,
+    "ratingReceived",
+    `You received a ${review.overall}-star review - TaskAuction`,
+    ratingReceivedEmail(
+      reviewee.firstName,
+      review.overall,
+      review.comment,
+      task,
+      reviewer
+    ),
+    { taskId: task._id, reviewId: review._id }
+  );
+};
+
+// Email the receiver of a chat message when they are offline
+const sendNewMessage = async (message, task, io) => {
+  const receiverId = message.receiver._id || message.receiver;
+
+  if (await isUserConnected(io, receiverId)) {
+    return null;
+  }
+
+  // Avoid one email per message in an active conversation
+  const recentEmail = await EmailOutbox.exists({
+    user: receiverId,
+    template: "newMessage",
+    "meta.taskId": task._id,
+    createdAt: { $gte: new Date(Date.now() - MESSAGE_EMAIL_COOLDOWN) },
+  });
+
+  if (recentEmail) return null;
+
+  const [receiver, sender] = await Promise.all([
+    User.findById(receiverId).select("firstName email isActive"),
+    User.findById(message.sender._id || message.sender).select(
+      "firstName lastName"
+    ),
+  ]);
+
+  if (!receiver || !sender) return null;
+
+  const preview =
+    message.content ||
+    (message.attachments.length > 0 ? "Sent an attachment" : "");
+
+  return queueForUser(
+    receiver,
+    "newMessage",
+    `New message from ${sender.firstName} - TaskAuction`,
+    newMessageEmail(receiver.firstName, sender, task, preview),
+    { taskId: task._id, messageId: message._id }
+  );
+};
+
+// Fire-and-forget wrapper so email problems never fail a request
+const dispatch = (promise, context) => {
+  Promise.resolve(promise).catch((error) => {
+    console.error(`📧 Failed to queue ${context} email:`, error);
+  });
+};
+
+module.exports = {
+  sendBidReceived,
+  sendBidAccepted,
+  sendTaskCompleted,
+  sendReviewRevealed,
+  sendNewMessage,
+  dispatch,
+};
@@ -0,0 +1,76 @@
+// server/mail/mailer.js
+const EmailOutbox = require("../models/EmailOutbox");
+const createSmtpTransport = require("./transports/smtpTransport");
+const createFileTransport = require("./transports/fileTransport");
+
+const LOCK_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+const DELIVERY_BATCH_SIZE = 50;
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+};
+
+let activeTransport = null;
+
+// Resolve the configured transport (SMTP in production, file otherwise)
+const getTransport = () => {
+  if (!activeTransport) {
+    const name =
+      process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === "production" ? "smtp" : "file");
+
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+
+    activeTransport = transports[name]();
+  }
+  return activeTransport;
+};
+
+// Replace the transport (used by tests and custom integrations)
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+// Persist an email to the outbox; delivery happens in the background
+const queueEmail = ({ to, subject, html, template, user = null, meta = {} }) => {
+  return EmailOutbox.create({ to, subject, html, template, user, meta });
+};
+
+// Deliver due emails from the outbox
+const deliverQueuedEmails = async (limit = DELIVERY_BATCH_SIZE) => {
+  const transport = getTransport();
+  const from =
+    process.env.MAIL_FROM || "TaskAuction <no-reply@taskauction.app>";
+  let sentCount = 0;
+
+  for (let i = 0; i < limit; i++) {
+    const email = await EmailOutbox.claimNext(LOCK_TIMEOUT);
+    if (!email) break;
+
+    try {
+      const { messageId } = await transport.send({
+        from,
+        to: email.to,
+        subject: email.subject,
+        html: email.html,
+      });
+      await email.markSent(transport.name, messageId);
+      sentCount++;
+    } catch (error) {
+      console.error(`📧 Failed to deliver email ${email._id}:`, error.message);
+      await email.markFailed(error);
+    }
+  }
+
+  return sentCount;
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  queueEmail,
+  deliverQueuedEmails,
+};
@@ -0,0 +1,30 @@
+// server/mail/transports/fileTransport.js
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+// File transport for development and tests - writes each email to disk
+const createFileTransport = () => {
+  const directory = process.env.MAIL_OUTBOX_DIR || "./outbox";
+
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.mkdir(directory, { recursive: true });
+
+      const messageId = `${Date.now()}-${crypto
+        .randomBytes(6)
+        .toString("hex")}@taskauction.local`;
+      const filename = `${messageId.split("@")[0]}.json`;
+
+      await fs.writeFile(
+        path.join(directory, filename),
+        JSON.stringify({ messageId, ...message }, null, 2)
+      );
+
+      return { messageId };
+    },
+  };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,33 @@
+// server/mail/transports/smtpTransport.js
+const nodemailer = require("nodemailer");
+
+// SMTP transport for production delivery
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error("SMTP_HOST is not defined in environment variables");
+  }
+
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE === "true" || port === 465,
+    auth: process.env.SMTP_USER
+      ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+        }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -1,6 +1,7 @@
 // server/middleware/auth.js
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { verifyAccessToken } = require("../services/sessionService");
+const { cleanupFiles } = require("./upload");
 
 // Protect routes - authenticate user
 const protect = async (req, res, next) => {
@@ -28,8 +29,8 @@ const protect = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Verify token and its session
+      const decoded = await verifyAccessToken(token);
 
       // Get user from token
       const user = await User.findById(decoded.id).select("-password");
@@ -54,6 +55,7 @@ const protect = async (req, res, next) => {
       await user.save({ validateBeforeSave: false });
 
       req.user = user;
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -82,12 +84,30 @@ const authorize = (...roles) => {
   };
 };
 
+// Check permissions from the role matrix (see config/permissions.js)
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(
+      (permission) => !req.user.can(permission)
+    );
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to perform this action",
+      });
+    }
+    next();
+  };
+};
+
 // Check if user is verified
 const requireVerification = (req, res, next) => {
   if (!req.user.isVerified) {
     return res.status(403).json({
       success: false,
       message: "Please verify your email address to access this feature",
+      code: "EMAIL_NOT_VERIFIED",
     });
   }
   next();
@@ -157,7 +177,7 @@ const checkBidOwnership = async (req, res, next) => {
 const checkTaskInvolvement = async (req, res, next) => {
   try {
     const Task = require("../models/Task");
-    const task = await Task.findById(req.params.taskId);
+    const task = await Task.findById(req.params.taskId || req.params.id);
 
     if (!task) {
       return res.status(404).json({
@@ -188,28 +208,35 @@ const checkTaskInvolvement = async (req, res, next) => {
   }
 };
 
-// Rate limiting for specific actions
-const createRateLimit = (windowMs, max, message) => {
+// Rate limiting for specific actions (keyed by user unless told otherwise)
+const createRateLimit = (
+  windowMs,
+  max,
+  message,
+  keyGenerator = (req) => req.user._id.toString()
+) => {
   const requests = new Map();
 
   return (req, res, next) => {
-    const userId = req.user._id.toString();
+    const key = keyGenerator(req);
     const now = Date.now();
     const windowStart = now - windowMs;
 
     // Clean old requests
-    if (requests.has(userId)) {
+    if (requests.has(key)) {
       const userRequests = requests
-        .get(userId)
+        .get(key)
         .filter((time) => time > windowStart);
-      requests.set(userId, userRequests);
+      requests.set(key, userRequests);
     } else {
-      requests.set(userId, []);
+      requests.set(key, []);
     }
 
-    const userRequests = requests.get(userId);
+    const userRequests = requests.get(key);
 
     if (userRequests.length >= max) {
+      // Drop files an upload earlier in the route already saved
+      cleanupFiles(req);
       return res.status(429).json({
         success: false,
         message: message || "Too many requests, please try again later",
@@ -240,6 +267,20 @@ const messageLimit = createRateLimit(
   "You can only send 30 messages per minute"
 );
 
+const reportLimit = createRateLimit(
+  60 * 60 * 1000, // 1 hour
+  10, // 10 reports per hour
+  "You can only file 10 reports per hour"
+);
+
+// Same answer for known and unknown emails, so this leaks nothing
+const passwordResetLimit = createRateLimit(
+  60 * 60 * 1000, // 1 hour
+  3, // 3 reset emails per address per hour
+  "Too many password reset requests for this email. Please try again later.",
+  (req) => String(req.body.email || "").toLowerCase().trim()
+);
+
 // Optional authentication (for public routes that can benefit from user context)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -256,11 +297,12 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = await verifyAccessToken(token);
         const user = await User.findById(decoded.id).select("-password");
 
         if (user && user.isActive) {
           req.user = user;
+          req.sessionId = decoded.sid;
         }
       } catch (error) {
         // Invalid token, but continue without user
@@ -311,6 +353,13 @@ const checkTaskAccess = async (req, res, next) => {
       }
     }
 
+    if (!task.isVisibleTo(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "This task is only visible to students of its campus",
+      });
+    }
+
     req.task = task;
     next();
   } catch (error) {
@@ -324,6 +373,7 @@ const checkTaskAccess = async (req, res, next) => {
 module.exports = {
   protect,
   authorize,
+  requirePermission,
   requireVerification,
   checkTaskOwnership,
   checkBidOwnership,
@@ -332,5 +382,7 @@ module.exports = {
   taskCreationLimit,
   bidCreationLimit,
   messageLimit,
+  reportLimit,
+  passwordResetLimit,
   optionalAuth,
 };
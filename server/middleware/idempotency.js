@@ -0,0 +1,121 @@
+// server/middleware/idempotency.js
+const IdempotencyKey = require("../models/IdempotencyKey");
+const { cleanupFiles } = require("./upload");
+
+// How long a key's response is kept for replay
+const IDEMPOTENCY_KEY_HOURS =
+  parseInt(process.env.IDEMPOTENCY_KEY_HOURS, 10) || 24;
+
+// Make a POST safe to retry. The first request with an Idempotency-Key
+// runs as usual and its response is stored; repeats with the same key
+// get that response back instead of running again; reusing a key with a
+// different body or files is refused. Keys belong to the user, so this
+// goes after protect. It also goes after any upload parsing, so files are
+// part of the comparison, and before the rate limit, so replays aren't
+// counted. Requests without a key are untouched.
+const idempotent = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    cleanupFiles(req);
+    return res.status(400).json({
+      success: false,
+      message: "Idempotency-Key cannot exceed 255 characters",
+    });
+  }
+
+  try {
+    let record;
+
+    try {
+      record = await IdempotencyKey.create({
+        user: req.user._id,
+        key,
+        method: req.method,
+        path: req.originalUrl,
+        bodyHash: IdempotencyKey.hashRequest(req),
+        expiresAt: new Date(
+          Date.now() + IDEMPOTENCY_KEY_HOURS * 60 * 60 * 1000
+        ),
+      });
+    } catch (error) {
+      // Anything but a repeat of a key we already hold is a real failure
+      if (error.code !== 11000) throw error;
+
+      // The handler won't run, so nothing keeps the files just uploaded
+      cleanupFiles(req);
+
+      const existing = await IdempotencyKey.findOne({
+        user: req.user._id,
+        key,
+      });
+
+      if (existing && !existing.matches(req)) {
+        return res.status(422).json({
+          success: false,
+          message:
+            "This Idempotency-Key was already used for a different request",
+        });
+      }
+
+      if (!existing || !existing.completedAt) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "A request with this Idempotency-Key is still being processed",
+        });
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res
+        .status(existing.responseStatus)
+        .json(JSON.parse(existing.responseBody));
+    }
+
+    // Store whatever JSON the handler answers with
+    let answered = false;
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      answered = true;
+
+      // Server errors aren't kept, so a retry gets a fresh attempt
+      const save =
+        res.statusCode >= 500
+          ? record.deleteOne()
+          : record.complete(res.statusCode, body);
+      save.catch((error) => {
+        console.error("Idempotency key save error:", error);
+      });
+
+      return json(body);
+    };
+
+    // Nothing to replay if the handler never answered with JSON
+    res.on("close", () => {
+      if (!answered) {
+        record.deleteOne().catch((error) => {
+          console.error("Idempotency key release error:", error);
+        });
+      }
+    });
+
+    next();
+  } catch (error) {
+    cleanupFiles(req);
+    console.error("Idempotency key error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error checking idempotency key",
+    });
+  }
+};
+
+module.exports = {
+  IDEMPOTENCY_KEY_HOURS,
+  idempotent,
+};
@@ -10,6 +10,9 @@ const createUploadDirs = () => {
     "./uploads/tasks",
     "./uploads/avatars",
     "./uploads/chat",
+    "./uploads/reports",
+    "./uploads/disputes",
+    "./uploads/deliverables",
     "./uploads/temp",
   ];
 
@@ -94,6 +97,21 @@ const uploadTaskDocuments = createUpload(
 );
 const uploadAvatar = createUpload("./uploads/avatars", fileLimits.avatar, 1);
 const uploadChatFiles = createUpload("./uploads/chat", fileLimits.document, 1);
+const uploadReportEvidence = createUpload(
+  "./uploads/reports",
+  fileLimits.image,
+  3
+);
+const uploadDisputeEvidence = createUpload(
+  "./uploads/disputes",
+  fileLimits.document,
+  3
+);
+const uploadDeliverables = createUpload(
+  "./uploads/deliverables",
+  fileLimits.document,
+  5
+);
 
 // Mixed upload for tasks (images and documents)
 const uploadTaskFiles = multer({
@@ -328,6 +346,9 @@ module.exports = {
   uploadTaskFiles,
   uploadAvatar,
   uploadChatFiles,
+  uploadReportEvidence,
+  uploadDisputeEvidence,
+  uploadDeliverables,
   handleUploadError,
   validateFiles,
   processUploadedFiles,
@@ -1,6 +1,37 @@
 // server/models/Bid.js
 const mongoose = require("mongoose");
 
+const NEGOTIATION_STATUSES = ["open", "agreed", "declined", "expired"];
+
+// One offer in a counter-offer thread, from the poster or the bidder
+const offerSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: ["poster", "bidder"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: [true, "Offer amount is required"],
+      min: [1, "Offer amount must be at least ₹1"],
+    },
+    proposedTimeline: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Timeline cannot exceed 200 characters"],
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Message cannot exceed 500 characters"],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
 const bidSchema = new mongoose.Schema(
   {
     task: {
@@ -33,9 +64,9 @@ const bidSchema = new mongoose.Schema(
     status: {
       type: String,
       enum: {
-        values: ["Pending", "Accepted", "Rejected", "Withdrawn"],
+        values: ["Pending", "Accepted", "Rejected", "Withdrawn", "Removed"],
         message:
-          "Status must be one of: Pending, Accepted, Rejected, Withdrawn",
+          "Status must be one of: Pending, Accepted, Rejected, Withdrawn, Removed",
       },
       default: "Pending",
     },
@@ -46,6 +77,27 @@ const bidSchema = new mongoose.Schema(
         maxlength: [100, "Deliverable cannot exceed 100 characters"],
       },
     ],
+    // Proposed payment schedule; amounts add up to the bid amount
+    milestones: [
+      {
+        title: {
+          type: String,
+          required: [true, "Milestone title is required"],
+          trim: true,
+          maxlength: [100, "Milestone title cannot exceed 100 characters"],
+        },
+        amount: {
+          type: Number,
+          required: [true, "Milestone amount is required"],
+          min: [1, "Milestone amount must be at least ₹1"],
+        },
+        dueDate: {
+          type: Date,
+          required: [true, "Milestone due date is required"],
+        },
+        _id: false,
+      },
+    ],
     experience: {
       type: String,
       trim: true,
@@ -88,6 +140,47 @@ const bidSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Set once enough users report this bid; cleared if the reports are dismissed
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    // Set when a moderator acts on this bid
+    moderation: {
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Moderation reason cannot exceed 500 characters"],
+        default: null,
+      },
+      moderator: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      moderatedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Counter-offers between the poster and the bidder. The bid's own
+    // amount and timeline always hold the bidder's standing offer.
+    negotiation: {
+      status: {
+        type: String,
+        enum: {
+          values: NEGOTIATION_STATUSES,
+          message: "Invalid negotiation status",
+        },
+        default: null,
+      },
+      offers: [offerSchema],
+      // The latest offer lapses here if it isn't answered
+      expiresAt: {
+        type: Date,
+        default: null,
+      },
+    },
     autoWithdrawAt: {
       type: Date,
       default: function () {
@@ -124,12 +217,37 @@ bidSchema.index({ task: 1, createdAt: -1 });
 bidSchema.index({ bidder: 1, createdAt: -1 });
 bidSchema.index({ task: 1, bidder: 1 }, { unique: true }); // One bid per task per bidder
 bidSchema.index({ status: 1, createdAt: -1 });
+bidSchema.index({ "negotiation.status": 1, "negotiation.expiresAt": 1 });
 bidSchema.index({ amount: 1 });
 bidSchema.index({ autoWithdrawAt: 1 });
 
+// Split a task's milestone plan across a bid amount, keeping the proportions
+const scaleMilestones = (plan, amount) => {
+  const planTotal = plan.reduce((sum, milestone) => sum + milestone.amount, 0);
+  let remaining = amount;
+
+  return plan.map((milestone, index) => {
+    const share =
+      index === plan.length - 1
+        ? remaining
+        : Math.round((milestone.amount / planTotal) * amount);
+    remaining -= share;
+
+    return {
+      title: milestone.title,
+      amount: share,
+      dueDate: milestone.dueDate,
+    };
+  });
+};
+
 // Pre-save middleware to validate bid amount against task budget
 bidSchema.pre("save", async function (next) {
-  if (this.isNew || this.isModified("amount")) {
+  if (
+    this.isNew ||
+    this.isModified("amount") ||
+    this.isModified("milestones")
+  ) {
     try {
       const Task = mongoose.model("Task");
       const task = await Task.findById(this.task);
@@ -151,6 +269,28 @@ bidSchema.pre("save", async function (next) {
         return next(new Error("This task is no longer accepting bids"));
       }
 
+      // Without a schedule of its own the bid follows the poster's plan
+      const toPaise = (value) => Math.round(value * 100);
+      const milestoneTotal = this.milestones.reduce(
+        (sum, milestone) => sum + milestone.amount,
+        0
+      );
+
+      if (this.milestones.length === 0 && task.milestones.length > 0) {
+        this.milestones = scaleMilestones(task.milestones, this.amount);
+      } else if (
+        this.milestones.length > 0 &&
+        toPaise(milestoneTotal) !== toPaise(this.amount)
+      ) {
+        if (!this.isModified("milestones") && task.milestones.length > 0) {
+          this.milestones = scaleMilestones(task.milestones, this.amount);
+        } else {
+          return next(
+            new Error("Milestone amounts must add up to the bid amount")
+          );
+        }
+      }
+
       next();
     } catch (error) {
       next(error);
@@ -186,13 +326,7 @@ bidSchema.pre("save", async function (next) {
 // Post-save middleware to update task bid count
 bidSchema.post("save", async function (doc) {
   try {
-    const Task = mongoose.model("Task");
-    const bidCount = await this.constructor.countDocuments({
-      task: doc.task,
-      status: { $in: ["Pending", "Accepted"] },
-    });
-
-    await Task.findByIdAndUpdate(doc.task, { bidCount });
+    await this.constructor.updateTaskBidCount(doc.task);
   } catch (error) {
     console.error("Error updating task bid count:", error);
   }
@@ -201,18 +335,24 @@ bidSchema.post("save", async function (doc) {
 // Post-remove middleware to update task bid count
 bidSchema.post("remove", async function (doc) {
   try {
-    const Task = mongoose.model("Task");
-    const bidCount = await this.constructor.countDocuments({
-      task: doc.task,
-      status: { $in: ["Pending", "Accepted"] },
-    });
-
-    await Task.findByIdAndUpdate(doc.task, { bidCount });
+    await this.constructor.updateTaskBidCount(doc.task);
   } catch (error) {
     console.error("Error updating task bid count:", error);
   }
 });
 
+// Static to recompute a task's active bid count
+bidSchema.statics.updateTaskBidCount = async function (taskId) {
+  const Task = mongoose.model("Task");
+  const bidCount = await this.countDocuments({
+    task: taskId,
+    status: { $in: ["Pending", "Accepted"] },
+  });
+
+  await Task.findByIdAndUpdate(taskId, { bidCount });
+  return bidCount;
+};
+
 // Method to check if bid can be edited
 bidSchema.methods.canBeEdited = function () {
   return this.status === "Pending" && this.autoWithdrawAt > new Date();
@@ -223,6 +363,32 @@ bidSchema.methods.canBeWithdrawn = function () {
   return this.status === "Pending";
 };
 
+// Method to get whose move it is in the negotiation: the poster can open
+// or reopen one, the other side answers an open offer
+bidSchema.methods.getNegotiationTurn = function () {
+  const { status, offers } = this.negotiation;
+
+  if (this.status !== "Pending" || status === "agreed") return null;
+  if (status !== "open") return "poster";
+
+  return offers[offers.length - 1].from === "poster" ? "bidder" : "poster";
+};
+
+// Method to count negotiation rounds (each poster offer starts one)
+bidSchema.methods.getNegotiationRounds = function () {
+  return this.negotiation.offers.filter((offer) => offer.from === "poster")
+    .length;
+};
+
+// Method to check if the open offer has lapsed
+bidSchema.methods.hasOfferExpired = function () {
+  return (
+    this.negotiation.status === "open" &&
+    !!this.negotiation.expiresAt &&
+    this.negotiation.expiresAt <= new Date()
+  );
+};
+
 // Method to accept bid
 bidSchema.methods.accept = function () {
   if (this.status !== "Pending") {
@@ -245,15 +411,35 @@ bidSchema.methods.reject = function () {
   return this.save();
 };
 
-// Method to withdraw bid
-bidSchema.methods.withdraw = function () {
+// Method to withdraw bid. The update only applies while the bid is still
+// pending, so it can't undo an acceptance that landed first; returns null
+// if it lost that race.
+bidSchema.methods.withdraw = async function () {
   if (this.status !== "Pending") {
     throw new Error("Only pending bids can be withdrawn");
   }
 
-  this.status = "Withdrawn";
-  this.withdrawnAt = new Date();
-  return this.save();
+  const withdrawn = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: "Pending" },
+    { status: "Withdrawn", withdrawnAt: new Date() },
+    { new: true }
+  );
+
+  if (withdrawn) {
+    await this.constructor.updateTaskBidCount(withdrawn.task);
+  }
+  return withdrawn;
+};
+
+// Method to remove a bid on moderation grounds
+bidSchema.methods.removeByModerator = function (moderatorId, reason) {
+  this.status = "Removed";
+  this.moderation = {
+    reason,
+    moderator: moderatorId,
+    moderatedAt: new Date(),
+  };
+  return this.save({ validateBeforeSave: false });
 };
 
 // Method to get bid summary
@@ -268,4 +454,7 @@ bidSchema.methods.getSummary = function () {
   };
 };
 
+bidSchema.statics.scaleMilestones = scaleMilestones;
+bidSchema.statics.NEGOTIATION_STATUSES = NEGOTIATION_STATUSES;
+
 module.exports = mongoose.model("Bid", bidSchema);
@@ -0,0 +1,57 @@
+// server/models/Block.js
+const mongoose = require("mongoose");
+
+// A block cuts both ways: neither user can bid on the other's tasks,
+// message them, or see their tasks in listings
+const blockSchema = new mongoose.Schema(
+  {
+    blocker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Blocker is required"],
+    },
+    blocked: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Blocked user is required"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance (one block per pair and direction)
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1 });
+
+// Static to check whether either user has blocked the other
+blockSchema.statics.isBlockedBetween = async function (userId, otherUserId) {
+  if (!userId || !otherUserId) return false;
+
+  const block = await this.exists({
+    $or: [
+      { blocker: userId, blocked: otherUserId },
+      { blocker: otherUserId, blocked: userId },
+    ],
+  });
+
+  return !!block;
+};
+
+// Static to get everyone a user has blocked or been blocked by
+blockSchema.statics.getBlockedIds = async function (userId) {
+  if (!userId) return [];
+
+  const blocks = await this.find({
+    $or: [{ blocker: userId }, { blocked: userId }],
+  }).select("blocker blocked");
+
+  return blocks.map((block) =>
+    block.blocker.toString() === userId.toString()
+      ? block.blocked
+      : block.blocker
+  );
+};
+
+module.exports = mongoose.model("Block", blockSchema);
@@ -0,0 +1,73 @@
+// server/models/Campus.js
+const mongoose = require("mongoose");
+
+const campusSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Campus name is required"],
+      trim: true,
+      maxlength: [100, "Campus name cannot exceed 100 characters"],
+    },
+    slug: {
+      type: String,
+      required: [true, "Campus slug is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9-]+$/, "Slug can only contain letters, numbers and dashes"],
+    },
+    // Email domains owned by the institution, e.g. "iitb.ac.in"
+    domains: {
+      type: [
+        {
+          type: String,
+          lowercase: true,
+          trim: true,
+        },
+      ],
+      validate: {
+        validator: (value) => Array.isArray(value) && value.length > 0,
+        message: "At least one email domain is required",
+      },
+    },
+    city: {
+      type: String,
+      trim: true,
+      maxlength: [100, "City cannot exceed 100 characters"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance (a domain can only belong to one campus)
+campusSchema.index({ domains: 1 }, { unique: true });
+campusSchema.index({ isActive: 1, name: 1 });
+
+// Static to find the campus that owns an email address
+// Subdomains match their parent, so "cs.iitb.ac.in" belongs to "iitb.ac.in"
+campusSchema.statics.findByEmail = function (email) {
+  const domain = String(email || "")
+    .split("@")[1]
+    ?.toLowerCase()
+    .trim();
+
+  if (!domain) {
+    return Promise.resolve(null);
+  }
+
+  const labels = domain.split(".");
+  const candidates = labels
+    .slice(0, -1)
+    .map((_, index) => labels.slice(index).join("."));
+
+  return this.findOne({ domains: { $in: candidates }, isActive: true });
+};
+
+module.exports = mongoose.model("Campus", campusSchema);
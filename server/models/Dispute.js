@@ -0,0 +1,169 @@
+// server/models/Dispute.js
+const mongoose = require("mongoose");
+
+const DISPUTE_REASONS = [
+  "not_delivered",
+  "poor_quality",
+  "not_as_described",
+  "unresponsive",
+  "payment_refused",
+  "other",
+];
+
+// How a moderator settles the escrow held for the task
+const DISPUTE_OUTCOMES = ["refund", "release", "split"];
+
+const evidenceSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    filename: {
+      type: String,
+      required: true,
+    },
+    originalName: {
+      type: String,
+      required: true,
+    },
+    fileSize: {
+      type: Number,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// One entry in the dispute thread, from either party or a moderator
+const statementSchema = new mongoose.Schema(
+  {
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["poster", "bidder", "moderator"],
+      required: true,
+    },
+    message: {
+      type: String,
+      required: [true, "Statement is required"],
+      trim: true,
+      maxlength: [2000, "Statement cannot exceed 2000 characters"],
+    },
+    evidence: [evidenceSchema],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+const disputeSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: [true, "Task is required"],
+    },
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Dispute opener is required"],
+    },
+    // The other party to the task
+    against: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: {
+        values: DISPUTE_REASONS,
+        message: "Invalid dispute reason",
+      },
+      required: [true, "Dispute reason is required"],
+    },
+    // Task status when the dispute was opened
+    taskStatus: {
+      type: String,
+      enum: ["Assigned", "In-Progress", "Submitted"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ["open", "resolved"],
+        message: "Invalid dispute status",
+      },
+      default: "open",
+    },
+    statements: [statementSchema],
+    resolution: {
+      outcome: {
+        type: String,
+        enum: [...DISPUTE_OUTCOMES, null],
+        default: null,
+      },
+      // Percentage of the escrow paid to the assignee on a split
+      assigneeShare: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: null,
+      },
+      note: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Resolution note cannot exceed 1000 characters"],
+        default: null,
+      },
+      released: {
+        type: Number,
+        default: 0,
+      },
+      refunded: {
+        type: Number,
+        default: 0,
+      },
+      moderator: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      resolvedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance (at most one open dispute per task)
+disputeSchema.index(
+  { task: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+disputeSchema.index({ status: 1, createdAt: 1 });
+
+// Method to check whether a user is one of the two parties
+disputeSchema.methods.isParty = function (userId) {
+  return [this.openedBy, this.against].some(
+    (party) => (party._id || party).toString() === userId.toString()
+  );
+};
+
+disputeSchema.statics.REASONS = DISPUTE_REASONS;
+disputeSchema.statics.OUTCOMES = DISPUTE_OUTCOMES;
+
+module.exports = mongoose.model("Dispute", disputeSchema);
@@ -0,0 +1,142 @@
+// server/models/EmailOutbox.js
+const mongoose = require("mongoose");
+
+const emailOutboxSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: [true, "Recipient address is required"],
+      lowercase: true,
+      trim: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+      trim: true,
+      maxlength: [200, "Subject cannot exceed 200 characters"],
+    },
+    html: {
+      type: String,
+      required: [true, "Email body is required"],
+    },
+    template: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+    },
+    meta: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ["queued", "sending", "sent", "failed"],
+        message: "Status must be one of: queued, sending, sent, failed",
+      },
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    transport: {
+      type: String,
+      default: null,
+    },
+    messageId: {
+      type: String,
+      default: null,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ status: 1, lockedAt: 1 });
+emailOutboxSchema.index({ user: 1, template: 1, createdAt: -1 });
+emailOutboxSchema.index(
+  { sentAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 } // Keep delivered mail for 30 days
+);
+
+// Static to atomically claim the next email due for delivery
+emailOutboxSchema.statics.claimNext = function (lockTimeoutMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", nextAttemptAt: { $lte: now } },
+        // Reclaim emails stuck in sending after a crash
+        {
+          status: "sending",
+          lockedAt: { $lte: new Date(now.getTime() - lockTimeoutMs) },
+        },
+      ],
+    },
+    {
+      $set: { status: "sending", lockedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+// Method to mark email as delivered
+emailOutboxSchema.methods.markSent = function (transport, messageId) {
+  this.status = "sent";
+  this.transport = transport;
+  this.messageId = messageId || null;
+  this.sentAt = new Date();
+  this.lockedAt = null;
+  this.lastError = null;
+  return this.save();
+};
+
+// Method to record a failed delivery with exponential backoff
+emailOutboxSchema.methods.markFailed = function (error) {
+  const message = error && error.message ? error.message : String(error);
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = "failed";
+  } else {
+    const backoff = Math.pow(2, this.attempts) * 60 * 1000; // 2, 4, 8... minutes
+    this.status = "queued";
+    this.nextAttemptAt = new Date(Date.now() + backoff);
+  }
+
+  this.lockedAt = null;
+  this.lastError = message.substring(0, 1000);
+  return this.save();
+};
+
+module.exports = mongoose.model("EmailOutbox", emailOutboxSchema);
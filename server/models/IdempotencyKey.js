@@ -0,0 +1,94 @@
+// server/models/IdempotencyKey.js
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// One document per Idempotency-Key a user sends. It holds the first
+// response so a retried request gets the same answer instead of running
+// twice.
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Key owner is required"],
+    },
+    key: {
+      type: String,
+      required: [true, "Idempotency key is required"],
+      maxlength: [255, "Idempotency key cannot exceed 255 characters"],
+    },
+    method: {
+      type: String,
+      required: [true, "Request method is required"],
+    },
+    path: {
+      type: String,
+      required: [true, "Request path is required"],
+    },
+    // SHA-256 of the body and uploaded files, so a key can't be reused
+    // with other data
+    bodyHash: {
+      type: String,
+      required: [true, "Request body hash is required"],
+    },
+    // Filled in once the first request has answered
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    responseBody: {
+      type: String,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Key expiry is required"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static to hash a request's body fields and uploaded files (by field,
+// name and size)
+idempotencyKeySchema.statics.hashRequest = function (req) {
+  const uploads = Array.isArray(req.files)
+    ? req.files
+    : Object.values(req.files || {}).flat();
+  const files = [req.file, ...uploads]
+    .filter(Boolean)
+    .map((file) => [file.fieldname, file.originalname, file.size]);
+
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ body: req.body || {}, files }))
+    .digest("hex");
+};
+
+// Method to check if a request is the one this key was first used for
+idempotencyKeySchema.methods.matches = function (req) {
+  return (
+    this.method === req.method &&
+    this.path === req.originalUrl &&
+    this.bodyHash === this.constructor.hashRequest(req)
+  );
+};
+
+// Method to store the response the first request sent
+idempotencyKeySchema.methods.complete = function (status, body) {
+  this.responseStatus = status;
+  this.responseBody = JSON.stringify(body);
+  this.completedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,194 @@
+// server/models/Job.js
+const mongoose = require("mongoose");
+
+const jobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Job name is required"],
+      trim: true,
+    },
+    key: {
+      type: String,
+      required: [true, "Job key is required"],
+      trim: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ["pending", "running", "completed", "failed"],
+        message: "Status must be one of: pending, running, completed, failed",
+      },
+      default: "pending",
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    interval: {
+      type: Number,
+      default: null, // Milliseconds between runs for recurring jobs
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+jobSchema.index({ key: 1 }, { unique: true }); // One job per key across all processes
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+jobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 } // Purge finished jobs after 7 days
+);
+
+// Static to enqueue a job (idempotent per key)
+jobSchema.statics.schedule = async function (name, payload = {}, options = {}) {
+  const key = options.key || `${name}:${new mongoose.Types.ObjectId()}`;
+
+  try {
+    await this.updateOne(
+      { key },
+      {
+        $setOnInsert: {
+          name,
+          key,
+          payload,
+          runAt: options.runAt || new Date(),
+          interval: options.interval || null,
+          maxAttempts: options.maxAttempts || 5,
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another process inserted the same key first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return this.findOne({ key });
+};
+
+// Static to atomically claim the next due job for a worker
+jobSchema.statics.claimNext = function (workerId, lockTimeoutMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", runAt: { $lte: now } },
+        // Reclaim jobs whose worker died while holding the lock
+        {
+          status: "running",
+          lockedAt: { $lte: new Date(now.getTime() - lockTimeoutMs) },
+        },
+      ],
+    },
+    {
+      $set: {
+        status: "running",
+        lockedBy: workerId,
+        lockedAt: now,
+        lastRunAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Method to mark job as done (recurring jobs are rescheduled)
+jobSchema.methods.complete = function () {
+  const now = new Date();
+  const update = this.interval
+    ? {
+        status: "pending",
+        runAt: new Date(now.getTime() + this.interval),
+        attempts: 0,
+        lastError: null,
+        lockedBy: null,
+        lockedAt: null,
+      }
+    : {
+        status: "completed",
+        completedAt: now,
+        lockedBy: null,
+        lockedAt: null,
+      };
+
+  // Only the worker holding the lock may release it
+  return this.constructor.updateOne(
+    { _id: this._id, lockedBy: this.lockedBy },
+    { $set: update }
+  );
+};
+
+// Method to record a failed run with exponential backoff
+jobSchema.methods.fail = function (error) {
+  const now = new Date();
+  const message = error && error.message ? error.message : String(error);
+  let update;
+
+  if (this.interval) {
+    update = {
+      status: "pending",
+      runAt: new Date(now.getTime() + this.interval),
+      attempts: 0,
+    };
+  } else if (this.attempts >= this.maxAttempts) {
+    update = { status: "failed", completedAt: now };
+  } else {
+    const backoff = Math.pow(2, this.attempts) * 30 * 1000;
+    update = { status: "pending", runAt: new Date(now.getTime() + backoff) };
+  }
+
+  return this.constructor.updateOne(
+    { _id: this._id, lockedBy: this.lockedBy },
+    {
+      $set: {
+        ...update,
+        lastError: message.substring(0, 1000),
+        lockedBy: null,
+        lockedAt: null,
+      },
+    }
+  );
+};
+
+module.exports = mongoose.model("Job", jobSchema);
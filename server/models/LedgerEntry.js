@@ -0,0 +1,134 @@
+// server/models/LedgerEntry.js
+const mongoose = require("mongoose");
+
+// Accounts money can sit in: a user's wallet, a task's escrow, a wallet's
+// withdrawals waiting to be paid out, or the outside world (the payment
+// provider) for deposits and payouts
+const LEDGER_ACCOUNTS = ["wallet", "escrow", "payout", "external"];
+
+const LEDGER_TYPES = [
+  "deposit",
+  "withdrawal",
+  "withdrawal_payout",
+  "withdrawal_reversal",
+  "escrow_hold",
+  "escrow_release",
+  "escrow_refund",
+];
+
+// Every movement of money is a journal of one debit and one matching
+// credit. Entries are append-only; balances are always summed from them.
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    journal: {
+      type: String,
+      required: [true, "Journal ID is required"],
+    },
+    type: {
+      type: String,
+      enum: {
+        values: LEDGER_TYPES,
+        message: "Invalid ledger entry type",
+      },
+      required: [true, "Ledger entry type is required"],
+    },
+    account: {
+      type: String,
+      enum: {
+        values: LEDGER_ACCOUNTS,
+        message: "Invalid ledger account",
+      },
+      required: [true, "Ledger account is required"],
+    },
+    wallet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Wallet",
+      default: null,
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+    },
+    direction: {
+      type: String,
+      enum: ["debit", "credit"],
+      required: [true, "Entry direction is required"],
+    },
+    // Minor currency units (paise) so sums never pick up rounding errors
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [1, "Amount must be positive"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Amount must be a whole number of paise",
+      },
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+      default: "",
+    },
+    // Charge or payout reference from the payment provider
+    providerRef: {
+      type: String,
+      default: null,
+    },
+    // Journal of the pending withdrawal this one pays out or returns
+    settles: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for performance
+ledgerEntrySchema.index({ journal: 1 });
+ledgerEntrySchema.index({ account: 1, wallet: 1, createdAt: -1 });
+ledgerEntrySchema.index({ account: 1, task: 1 });
+// A pending withdrawal is settled once, however often it is retried
+ledgerEntrySchema.index(
+  { settles: 1, direction: 1 },
+  { unique: true, partialFilterExpression: { settles: { $type: "string" } } }
+);
+
+// Ledger entries are never edited; corrections are new journals
+ledgerEntrySchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  function (next) {
+    next(new Error("Ledger entries are append-only"));
+  }
+);
+
+// Static to sum an account's balance (credits minus debits) in paise
+ledgerEntrySchema.statics.getBalance = async function (filter) {
+  const [result] = await this.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ["$direction", "credit"] },
+              "$amount",
+              { $multiply: ["$amount", -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return result ? result.balance : 0;
+};
+
+ledgerEntrySchema.statics.ACCOUNTS = LEDGER_ACCOUNTS;
+ledgerEntrySchema.statics.TYPES = LEDGER_TYPES;
+
+module.exports = mongoose.model("LedgerEntry", ledgerEntrySchema);
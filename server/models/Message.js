@@ -89,6 +89,18 @@ const messageSchema = new mongoose.Schema(
       ref: "User",
       default: null,
     },
+    // Filled in when a moderator hides the message
+    moderationReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Moderation reason cannot exceed 500 characters"],
+      default: null,
+    },
+    // Set once enough users report this message; cleared if the reports are dismissed
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
     replyTo: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Message",
@@ -227,11 +239,12 @@ messageSchema.methods.markAsRead = function () {
   return Promise.resolve(this);
 };
 
-// Method to soft delete
-messageSchema.methods.softDelete = function (deletedBy) {
+// Method to soft delete (moderators pass a reason)
+messageSchema.methods.softDelete = function (deletedBy, reason = null) {
   this.isDeleted = true;
   this.deletedAt = new Date();
   this.deletedBy = deletedBy;
+  this.moderationReason = reason;
   return this.save();
 };
 
@@ -269,6 +282,7 @@ messageSchema.statics.getConversation = function (
   return this.find({
     task: taskId,
     isDeleted: false,
+    isHidden: { $ne: true },
   })
     .populate("sender", "firstName lastName avatar")
     .populate("receiver", "firstName lastName avatar")
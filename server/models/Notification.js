@@ -0,0 +1,114 @@
+// server/models/Notification.js
+const mongoose = require("mongoose");
+
+const NOTIFICATION_TYPES = [
+  "bid_received",
+  "bid_accepted",
+  "bid_rejected",
+  "bid_auto_withdrawn",
+  "task_taken",
+  "counter_offer",
+  "counter_offer_accepted",
+  "counter_offer_declined",
+  "counter_offer_expired",
+  "new_message",
+  "task_status_changed",
+  "task_expired",
+  "work_submitted",
+  "revision_requested",
+  "milestone_submitted",
+  "milestone_approved",
+  "review_received",
+  "review_revealed",
+  "auction_closed",
+  "report_reviewed",
+  "dispute_opened",
+  "dispute_updated",
+  "dispute_resolved",
+  "system",
+];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Notification recipient is required"],
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: {
+        values: NOTIFICATION_TYPES,
+        message: "Invalid notification type",
+      },
+      required: [true, "Notification type is required"],
+    },
+    message: {
+      type: String,
+      required: [true, "Notification message is required"],
+      trim: true,
+      maxlength: [300, "Notification message cannot exceed 300 characters"],
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+notificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 } // Keep the inbox to 90 days
+);
+
+// Method to mark notification as read
+notificationSchema.methods.markAsRead = function () {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+// Static to get unread count for a user
+notificationSchema.statics.getUnreadCount = function (userId) {
+  return this.countDocuments({ recipient: userId, isRead: false });
+};
+
+// Static to mark every unread notification as read for a user
+notificationSchema.statics.markAllAsRead = function (userId) {
+  return this.updateMany(
+    { recipient: userId, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+};
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,135 @@
+// server/models/Report.js
+const mongoose = require("mongoose");
+
+// What can be reported, and the model each target type points at
+const REPORT_TARGETS = {
+  task: "Task",
+  bid: "Bid",
+  message: "Message",
+  user: "User",
+};
+
+const REPORT_REASONS = [
+  "spam",
+  "scam",
+  "harassment",
+  "inappropriate",
+  "academic_dishonesty",
+  "other",
+];
+
+const reportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Reporter is required"],
+    },
+    targetType: {
+      type: String,
+      enum: {
+        values: Object.keys(REPORT_TARGETS),
+        message: "Invalid report target type",
+      },
+      required: [true, "Target type is required"],
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetModel",
+      required: [true, "Report target is required"],
+    },
+    targetModel: {
+      type: String,
+      enum: Object.values(REPORT_TARGETS),
+      required: true,
+    },
+    // Author of the reported content, so moderators can spot repeat offenders
+    targetOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reason: {
+      type: String,
+      enum: {
+        values: REPORT_REASONS,
+        message: "Invalid report reason",
+      },
+      required: [true, "Report reason is required"],
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Details cannot exceed 1000 characters"],
+      default: "",
+    },
+    evidence: [
+      {
+        url: {
+          type: String,
+          required: true,
+        },
+        filename: {
+          type: String,
+          required: true,
+        },
+        originalName: {
+          type: String,
+          required: true,
+        },
+        fileSize: {
+          type: Number,
+          required: true,
+        },
+        mimeType: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: {
+        values: ["pending", "resolved", "dismissed"],
+        message: "Invalid report status",
+      },
+      default: "pending",
+    },
+    // Filled in when a moderator reviews the report
+    review: {
+      note: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Review note cannot exceed 500 characters"],
+        default: null,
+      },
+      moderator: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      reviewedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance (one report per user per target)
+reportSchema.index({ reporter: 1, targetType: 1, target: 1 }, { unique: true });
+reportSchema.index({ targetType: 1, target: 1, status: 1 });
+reportSchema.index({ status: 1, createdAt: -1 });
+
+// Static to count the distinct users with open reports against a target
+reportSchema.statics.countPending = function (targetType, target) {
+  return this.countDocuments({ targetType, target, status: "pending" });
+};
+
+reportSchema.statics.TARGETS = REPORT_TARGETS;
+reportSchema.statics.REASONS = REPORT_REASONS;
+
+module.exports = mongoose.model("Report", reportSchema);
@@ -0,0 +1,157 @@
+// server/models/Review.js
+const mongoose = require("mongoose");
+
+// What each side of a task is scored on
+const REVIEW_DIMENSIONS = ["quality", "communication", "timeliness"];
+
+const scoreField = (label) => ({
+  type: Number,
+  required: [true, `${label} score is required`],
+  min: [1, `${label} score must be between 1 and 5`],
+  max: [5, `${label} score must be between 1 and 5`],
+});
+
+// One review per party per completed task. Reviews stay hidden until both
+// sides have reviewed or the review window closes, so neither can retaliate.
+const reviewSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: [true, "Task is required"],
+    },
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Reviewer is required"],
+    },
+    reviewee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Reviewee is required"],
+    },
+    // The reviewer's side of the task
+    reviewerRole: {
+      type: String,
+      enum: {
+        values: ["poster", "bidder"],
+        message: "Reviewer role must be poster or bidder",
+      },
+      required: true,
+    },
+    scores: {
+      quality: scoreField("Quality"),
+      communication: scoreField("Communication"),
+      timeliness: scoreField("Timeliness"),
+    },
+    overall: {
+      type: Number,
+      min: 1,
+      max: 5,
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Review cannot exceed 1000 characters"],
+      default: "",
+    },
+    isRevealed: {
+      type: Boolean,
+      default: false,
+    },
+    // When the review window closes and the review is shown regardless
+    revealAt: {
+      type: Date,
+      required: true,
+    },
+    revealedAt: {
+      type: Date,
+      default: null,
+    },
+    // The reviewee may answer once, after the review is revealed
+    response: {
+      comment: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Response cannot exceed 500 characters"],
+        default: null,
+      },
+      respondedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance (one review per reviewer per task)
+reviewSchema.index({ task: 1, reviewer: 1 }, { unique: true });
+reviewSchema.index({ reviewee: 1, isRevealed: 1, createdAt: -1 });
+reviewSchema.index({ isRevealed: 1, revealAt: 1 });
+
+// Pre-save middleware to keep the overall score in step with the dimensions
+reviewSchema.pre("save", function (next) {
+  if (this.isModified("scores")) {
+    const total = REVIEW_DIMENSIONS.reduce(
+      (sum, dimension) => sum + this.scores[dimension],
+      0
+    );
+    this.overall = Math.round((total / REVIEW_DIMENSIONS.length) * 10) / 10;
+  }
+  next();
+});
+
+// Method to check whether the reviewer can still change this review
+reviewSchema.methods.canBeEdited = function () {
+  return !this.isRevealed;
+};
+
+// Method to check whether the reviewee can still respond
+reviewSchema.methods.canBeRespondedTo = function () {
+  return this.isRevealed && !this.response?.respondedAt;
+};
+
+// Static to average a user's revealed reviews, overall and per dimension
+reviewSchema.statics.getRatingSummary = async function (userId, role) {
+  const match = {
+    reviewee: new mongoose.Types.ObjectId(userId),
+    isRevealed: true,
+  };
+  // Reviews a user got as a bidder are written by posters, and vice versa
+  if (role) {
+    match.reviewerRole = role === "bidder" ? "poster" : "bidder";
+  }
+
+  const [summary] = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        average: { $avg: "$overall" },
+        quality: { $avg: "$scores.quality" },
+        communication: { $avg: "$scores.communication" },
+        timeliness: { $avg: "$scores.timeliness" },
+      },
+    },
+  ]);
+
+  const round = (value) => Math.round((value || 0) * 10) / 10;
+
+  return {
+    count: summary?.count || 0,
+    average: round(summary?.average),
+    breakdown: {
+      quality: round(summary?.quality),
+      communication: round(summary?.communication),
+      timeliness: round(summary?.timeliness),
+    },
+  };
+};
+
+reviewSchema.statics.DIMENSIONS = REVIEW_DIMENSIONS;
+
+module.exports = mongoose.model("Review", reviewSchema);
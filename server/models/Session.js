@@ -0,0 +1,125 @@
+// server/models/Session.js
+const mongoose = require("mongoose");
+
+// One document per login. Every refresh token rotated from that login
+// belongs to the same session, so revoking it ends the whole token family.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Session user is required"],
+    },
+    tokenHash: {
+      type: String,
+      required: [true, "Refresh token hash is required"],
+      select: false,
+    },
+    previousTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    rotationCount: {
+      type: Number,
+      default: 0,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+      maxlength: [500, "User agent cannot exceed 500 characters"],
+    },
+    ipAddress: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Session expiry is required"],
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: {
+        values: [
+          "logout",
+          "token_reuse",
+          "password_changed",
+          "signed_out_remotely",
+          "account_deactivated",
+        ],
+        message: "Invalid revocation reason",
+      },
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 } // Keep a week of history after expiry
+);
+
+// Method to check if session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to revoke session (and with it every token in the family)
+sessionSchema.methods.revoke = function (reason) {
+  if (this.revokedAt) {
+    return Promise.resolve(this);
+  }
+
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static to check a session id from an access token
+sessionSchema.statics.isActiveSession = function (sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return Promise.resolve(false);
+  }
+
+  return this.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).then(Boolean);
+};
+
+// Static to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function (
+  userId,
+  reason,
+  exceptSessionId = null
+) {
+  const query = { user: userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
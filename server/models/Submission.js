@@ -0,0 +1,109 @@
+// server/models/Submission.js
+const mongoose = require("mongoose");
+
+// One round of work handed over by the assigned bidder
+const submissionSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: [true, "Task is required"],
+    },
+    bidder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Bidder is required"],
+    },
+    bid: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bid",
+      default: null,
+    },
+    round: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    notes: {
+      type: String,
+      required: [true, "Submission notes are required"],
+      trim: true,
+      maxlength: [2000, "Notes cannot exceed 2000 characters"],
+    },
+    files: [
+      {
+        url: {
+          type: String,
+          required: true,
+        },
+        filename: {
+          type: String,
+          required: true,
+        },
+        originalName: {
+          type: String,
+          required: true,
+        },
+        fileSize: {
+          type: Number,
+          required: true,
+        },
+        mimeType: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+    // The deliverables promised in the accepted bid, ticked off by the bidder
+    checklist: [
+      {
+        deliverable: {
+          type: String,
+          required: true,
+        },
+        done: {
+          type: Boolean,
+          default: false,
+        },
+        _id: false,
+      },
+    ],
+    status: {
+      type: String,
+      enum: {
+        values: ["pending", "approved", "revision_requested"],
+        message: "Invalid submission status",
+      },
+      default: "pending",
+    },
+    // The poster's response to this round
+    review: {
+      comments: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Comments cannot exceed 1000 characters"],
+        default: null,
+      },
+      reviewedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance (one submission per round)
+submissionSchema.index({ task: 1, round: 1 }, { unique: true });
+
+// Static to count how many times the poster has sent work back
+submissionSchema.statics.countRevisions = function (taskId) {
+  return this.countDocuments({
+    task: taskId,
+    status: "revision_requested",
+  });
+};
+
+module.exports = mongoose.model("Submission", submissionSchema);
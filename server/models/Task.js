@@ -1,5 +1,8 @@
 // TaskAuction/server/models/Task.js
 const mongoose = require("mongoose");
+const { PERMISSIONS } = require("../config/permissions");
+
+const AUCTION_TYPES = ["open", "sealed", "reverse"];
 
 const taskSchema = new mongoose.Schema(
   {
@@ -91,12 +94,34 @@ const taskSchema = new mongoose.Schema(
       ref: "User",
       default: null,
     },
+    // Poster's campus at posting time
+    campus: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campus",
+      default: null,
+    },
+    visibility: {
+      type: String,
+      enum: {
+        values: ["public", "campus"],
+        message: "Visibility must be one of: public, campus",
+      },
+      default: "public",
+    },
     status: {
       type: String,
       enum: {
-        values: ["Open", "Assigned", "In-Progress", "Completed", "Closed"],
+        values: [
+          "Open",
+          "Assigned",
+          "In-Progress",
+          "Submitted",
+          "Disputed",
+          "Completed",
+          "Closed",
+        ],
         message:
-          "Status must be one of: Open, Assigned, In-Progress, Completed, Closed",
+          "Status must be one of: Open, Assigned, In-Progress, Submitted, Disputed, Completed, Closed",
       },
       default: "Open",
     },
@@ -112,6 +137,37 @@ const taskSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // How the winning bid is picked: open board, sealed bids, or lowest
+    // qualifying bid wins automatically (reverse)
+    auctionType: {
+      type: String,
+      enum: {
+        values: AUCTION_TYPES,
+        message: "Auction type must be one of: open, sealed, reverse",
+      },
+      default: "open",
+    },
+    // Bidding closes here for sealed and reverse auctions
+    auctionEndsAt: {
+      type: Date,
+      default: null,
+    },
+    // Highest amount a reverse auction will award automatically
+    reservePrice: {
+      type: Number,
+      min: [1, "Reserve price must be at least ₹1"],
+      default: null,
+    },
+    auctionClosedAt: {
+      type: Date,
+      default: null,
+    },
+    // Fixed price a bidder can take the task at straight away
+    instantPrice: {
+      type: Number,
+      min: [1, "Instant price must be at least ₹1"],
+      default: null,
+    },
     acceptedBid: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Bid",
@@ -121,6 +177,76 @@ const taskSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Staged delivery: the poster's plan, replaced by the accepted bid's
+    milestones: [
+      {
+        title: {
+          type: String,
+          required: [true, "Milestone title is required"],
+          trim: true,
+          maxlength: [100, "Milestone title cannot exceed 100 characters"],
+        },
+        amount: {
+          type: Number,
+          required: [true, "Milestone amount is required"],
+          min: [1, "Milestone amount must be at least ₹1"],
+        },
+        dueDate: {
+          type: Date,
+          required: [true, "Milestone due date is required"],
+        },
+        status: {
+          type: String,
+          enum: {
+            values: ["pending", "submitted", "approved", "paid"],
+            message: "Invalid milestone status",
+          },
+          default: "pending",
+        },
+        // What the assignee says they delivered for this milestone
+        note: {
+          type: String,
+          trim: true,
+          maxlength: [500, "Milestone note cannot exceed 500 characters"],
+          default: null,
+        },
+        submittedAt: {
+          type: Date,
+          default: null,
+        },
+        approvedAt: {
+          type: Date,
+          default: null,
+        },
+        paidAt: {
+          type: Date,
+          default: null,
+        },
+      },
+    ],
+    // Set once enough users report this task; cleared if the reports are dismissed
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    // Set when a moderator acts on this task
+    moderation: {
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Moderation reason cannot exceed 500 characters"],
+        default: null,
+      },
+      moderator: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      moderatedAt: {
+        type: Date,
+        default: null,
+      },
+    },
     rating: {
       taskRating: {
         type: Number,
@@ -174,6 +300,28 @@ taskSchema.virtual("budgetRange").get(function () {
   return `₹${this.budget.min} - ₹${this.budget.max}`;
 });
 
+// Virtual for progress across milestones, weighted by amount
+taskSchema.virtual("milestoneProgress").get(function () {
+  if (!this.milestones || this.milestones.length === 0) return null;
+
+  const count = (status) =>
+    this.milestones.filter((milestone) => milestone.status === status).length;
+  const totalAmount = this.getMilestoneTotal();
+  const paidAmount = this.milestones
+    .filter((milestone) => milestone.status === "paid")
+    .reduce((sum, milestone) => sum + milestone.amount, 0);
+
+  return {
+    total: this.milestones.length,
+    submitted: count("submitted"),
+    approved: count("approved"),
+    paid: count("paid"),
+    totalAmount,
+    paidAmount,
+    percent: totalAmount ? Math.round((paidAmount / totalAmount) * 100) : 0,
+  };
+});
+
 // Indexes for search and performance
 taskSchema.index({ poster: 1, createdAt: -1 });
 taskSchema.index({ assignedTo: 1, status: 1 });
@@ -182,6 +330,8 @@ taskSchema.index({ category: 1, createdAt: -1 });
 taskSchema.index({ "budget.min": 1, "budget.max": 1 });
 taskSchema.index({ deadline: 1 });
 taskSchema.index({ tags: 1 });
+taskSchema.index({ campus: 1, visibility: 1, status: 1 });
+taskSchema.index({ auctionType: 1, auctionClosedAt: 1, auctionEndsAt: 1 });
 
 // Text index for search
 taskSchema.index({
@@ -190,29 +340,215 @@ taskSchema.index({
   tags: "text",
 });
 
+// Run a save check only when the document holds every path it reads and
+// one of them changed, so documents loaded with select() skip it
+const needsCheck = (doc, paths) =>
+  paths.every((path) => doc.isSelected(path)) &&
+  (doc.isNew || paths.some((path) => doc.isModified(path)));
+
 // Pre-save middleware to validate budget range
 taskSchema.pre("save", function (next) {
-  if (this.budget.min > this.budget.max) {
-    next(new Error("Minimum budget cannot be greater than maximum budget"));
+  if (needsCheck(this, ["budget"]) && this.budget.min > this.budget.max) {
+    return next(
+      new Error("Minimum budget cannot be greater than maximum budget")
+    );
+  }
+
+  // Milestones have to add up to something the poster is willing to pay
+  if (
+    needsCheck(this, ["milestones", "budget"]) &&
+    this.milestones.length > 0
+  ) {
+    const total = this.getMilestoneTotal();
+    if (total < this.budget.min || total > this.budget.max) {
+      return next(
+        new Error(
+          `Milestone amounts must add up to between ₹${this.budget.min} and ₹${this.budget.max}`
+        )
+      );
+    }
+  }
+
+  // Sealed and reverse auctions close before the work is due
+  if (
+    needsCheck(this, ["auctionType", "auctionEndsAt", "deadline"]) &&
+    this.auctionType !== "open"
+  ) {
+    if (!this.auctionEndsAt) {
+      return next(new Error("Sealed and reverse auctions need an end time"));
+    }
+    if (this.auctionEndsAt > this.deadline) {
+      return next(new Error("The auction must end before the task deadline"));
+    }
+  }
+
+  if (
+    needsCheck(this, ["reservePrice", "auctionType", "budget"]) &&
+    this.reservePrice !== null &&
+    (this.auctionType !== "reverse" ||
+      this.reservePrice < this.budget.min ||
+      this.reservePrice > this.budget.max)
+  ) {
+    return next(
+      new Error(
+        `A reserve price only applies to reverse auctions and must be between ₹${this.budget.min} and ₹${this.budget.max}`
+      )
+    );
+  }
+
+  if (
+    needsCheck(this, ["instantPrice", "budget"]) &&
+    this.instantPrice !== null &&
+    (this.instantPrice < this.budget.min || this.instantPrice > this.budget.max)
+  ) {
+    return next(
+      new Error(
+        `Instant price must be between ₹${this.budget.min} and ₹${this.budget.max}`
+      )
+    );
   }
 
   // Set urgent flag based on deadline
-  const now = new Date();
-  const deadline = new Date(this.deadline);
-  const hoursRemaining = (deadline - now) / (1000 * 60 * 60);
-  this.isUrgent = hoursRemaining <= 24 && hoursRemaining > 0;
+  if (this.isSelected("deadline")) {
+    const now = new Date();
+    const deadline = new Date(this.deadline);
+    const hoursRemaining = (deadline - now) / (1000 * 60 * 60);
+    this.isUrgent = hoursRemaining <= 24 && hoursRemaining > 0;
+  }
 
   next();
 });
 
+// Method to sum the amounts of all milestones
+taskSchema.methods.getMilestoneTotal = function () {
+  return (this.milestones || []).reduce(
+    (sum, milestone) => sum + milestone.amount,
+    0
+  );
+};
+
 // Method to check if task can be edited
 taskSchema.methods.canBeEdited = function () {
   return this.status === "Open" && this.bidCount === 0;
 };
 
+// Method to check campus visibility (campus-only tasks need a verified member)
+taskSchema.methods.isVisibleTo = function (user) {
+  if (this.visibility !== "campus") return true;
+  if (!user) return false;
+
+  const userId = user._id.toString();
+  const posterId = (this.poster._id || this.poster).toString();
+  const assignedId = this.assignedTo
+    ? (this.assignedTo._id || this.assignedTo).toString()
+    : null;
+
+  if (posterId === userId || assignedId === userId) return true;
+
+  const campusId = user.getVerifiedCampusId();
+  return (
+    !!campusId &&
+    !!this.campus &&
+    (this.campus._id || this.campus).toString() === campusId.toString()
+  );
+};
+
+// Method to check if reports have hidden this task from a user
+// The poster, the assignee and moderators can still open it
+taskSchema.methods.isHiddenFrom = function (user) {
+  if (!this.isHidden) return false;
+  if (!user) return true;
+  if (user.can(PERMISSIONS.MODERATE_TASKS)) return false;
+
+  const userId = user._id.toString();
+  const posterId = (this.poster._id || this.poster).toString();
+  const assignedId = this.assignedTo
+    ? (this.assignedTo._id || this.assignedTo).toString()
+    : null;
+
+  return posterId !== userId && assignedId !== userId;
+};
+
+// Static to get sealed auctions, still running, whose bids a user can't see
+taskSchema.statics.getSealedTaskIds = function (userId) {
+  return this.find({
+    auctionType: "sealed",
+    auctionClosedAt: null,
+    poster: { $ne: userId },
+  }).distinct("_id");
+};
+
+// Static to build the visibility filter for task listings
+taskSchema.statics.visibilityFilter = function (user) {
+  const campusId = user ? user.getVerifiedCampusId() : null;
+
+  if (!campusId) {
+    return { visibility: { $ne: "campus" } };
+  }
+
+  return {
+    $or: [
+      { visibility: { $ne: "campus" } },
+      { campus: campusId },
+      { poster: user._id },
+      { assignedTo: user._id },
+    ],
+  };
+};
+
+// Method to force-close a task on moderation grounds. Only applies to the
+// status that was read; returns null if the task changed in the meantime.
+taskSchema.methods.forceClose = function (moderatorId, reason) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: this.status },
+    {
+      status: "Closed",
+      moderation: {
+        reason,
+        moderator: moderatorId,
+        moderatedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+};
+
 // Method to check if task can receive bids
 taskSchema.methods.canReceiveBids = function () {
-  return this.status === "Open" && this.deadline > new Date();
+  return (
+    this.status === "Open" &&
+    this.deadline > new Date() &&
+    !this.hasAuctionEnded()
+  );
+};
+
+// Method to check whether a sealed or reverse auction has stopped bidding
+taskSchema.methods.hasAuctionEnded = function () {
+  if (this.auctionType === "open") return false;
+  return !!this.auctionClosedAt || this.auctionEndsAt <= new Date();
+};
+
+// Method to check if other bidders' amounts are hidden from a user
+taskSchema.methods.hidesBidsFrom = function (userId) {
+  if (this.auctionType !== "sealed" || this.auctionClosedAt) return false;
+
+  const posterId = (this.poster._id || this.poster).toString();
+  return !userId || posterId !== userId.toString();
+};
+
+// Method to check if the poster can pick a winner by hand
+// Sealed and reverse auctions wait for the auction to close
+taskSchema.methods.canAcceptBids = function () {
+  return (
+    this.status === "Open" &&
+    this.deadline > new Date() &&
+    (this.auctionType === "open" || !!this.auctionClosedAt)
+  );
+};
+
+// Method to check if a bidder can take the task at its instant price
+taskSchema.methods.canBeTakenNow = function () {
+  return this.instantPrice !== null && this.canReceiveBids();
 };
 
 // Method to get task summary
@@ -229,4 +565,6 @@ taskSchema.methods.getSummary = function () {
   };
 };
 
+taskSchema.statics.AUCTION_TYPES = AUCTION_TYPES;
+
 module.exports = mongoose.model("Task", taskSchema);
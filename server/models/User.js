@@ -1,6 +1,9 @@
 // TaskAuction/server/models/User.js
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const { securityHelpers } = require("../utils/helpers");
+const { ROLES, hasPermission } = require("../config/permissions");
 
 const userSchema = new mongoose.Schema(
   {
@@ -39,6 +42,12 @@ const userSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, "College name cannot exceed 100 characters"],
     },
+    // Set from the email domain at registration; trusted once the email is verified
+    campus: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campus",
+      default: null,
+    },
     phone: {
       type: String,
       required: [true, "Phone number is required"],
@@ -65,6 +74,14 @@ const userSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, "Location cannot exceed 100 characters"],
     },
+    role: {
+      type: String,
+      enum: {
+        values: ROLES,
+        message: `Role must be one of: ${ROLES.join(", ")}`,
+      },
+      default: "user",
+    },
     isVerified: {
       type: Boolean,
       default: false,
@@ -73,6 +90,30 @@ const userSchema = new mongoose.Schema(
       type: String,
       select: false,
     },
+    verificationExpires: {
+      type: Date,
+      select: false,
+    },
+    verificationSentAt: {
+      type: Date,
+      select: false,
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    passwordResetRequestedAt: {
+      type: Date,
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
     rating: {
       average: {
         type: Number,
@@ -84,6 +125,21 @@ const userSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Per-dimension averages from revealed reviews
+      breakdown: {
+        quality: {
+          type: Number,
+          default: 0,
+        },
+        communication: {
+          type: Number,
+          default: 0,
+        },
+        timeliness: {
+          type: Number,
+          default: 0,
+        },
+      },
     },
     stats: {
       tasksPosted: {
@@ -107,10 +163,45 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Set once enough users report this profile; cleared if the reports are dismissed
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    // Set when a moderator suspends the account (cleared on reactivation)
+    suspension: {
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Suspension reason cannot exceed 500 characters"],
+        default: null,
+      },
+      suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      suspendedAt: {
+        type: Date,
+        default: null,
+      },
+    },
     lastLogin: {
       type: Date,
       default: Date.now,
     },
+    // When the user's last open socket disconnected
+    lastSeen: {
+      type: Date,
+      default: null,
+    },
+    // Whether contacts were last told this user is online (see
+    // presenceService); sockets are the source of truth for presence
+    isOnline: {
+      type: Boolean,
+      default: false,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -127,6 +218,8 @@ userSchema.virtual("fullName").get(function () {
 // Index for search optimization
 userSchema.index({ email: 1 });
 userSchema.index({ college: 1 });
+userSchema.index({ campus: 1 });
+userSchema.index({ role: 1 });
 userSchema.index({ "rating.average": -1 });
 userSchema.index({ createdAt: -1 });
 
@@ -139,6 +232,9 @@ userSchema.pre("save", async function (next) {
       parseInt(process.env.BCRYPT_ROUNDS) || 12
     );
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -154,11 +250,51 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   }
 };
 
-// Method to update rating
-userSchema.methods.updateRating = function (newRating) {
-  const totalRating = this.rating.average * this.rating.count + newRating;
-  this.rating.count += 1;
-  this.rating.average = Math.round((totalRating / this.rating.count) * 10) / 10;
+// Method to issue a password reset token (only its hash is stored)
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = securityHelpers.generateVerificationToken();
+
+  this.passwordResetToken = this.constructor.hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+  this.passwordResetRequestedAt = new Date();
+
+  return resetToken;
+};
+
+// Method to issue an email verification token (only its hash is stored)
+userSchema.methods.createVerificationToken = function () {
+  const verificationToken = securityHelpers.generateVerificationToken();
+
+  this.verificationToken = this.constructor.hashToken(verificationToken);
+  this.verificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  this.verificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Static to hash emailed tokens before storing or looking them up
+userSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Method to get the campus this user has proven membership of (or null)
+userSchema.methods.getVerifiedCampusId = function () {
+  if (!this.isVerified || !this.campus) {
+    return null;
+  }
+  return this.campus._id || this.campus;
+};
+
+// Method to check a permission from the role matrix
+userSchema.methods.can = function (permission) {
+  return hasPermission(this.role, permission);
+};
+
+// Method to replace the cached rating with a fresh review summary
+userSchema.methods.applyRatingSummary = function ({ average, count, breakdown }) {
+  this.rating.average = average;
+  this.rating.count = count;
+  this.rating.breakdown = breakdown;
 };
 
 // Method to get public profile
@@ -166,6 +302,11 @@ userSchema.methods.getPublicProfile = function () {
   const user = this.toObject();
   delete user.password;
   delete user.verificationToken;
+  delete user.verificationExpires;
+  delete user.verificationSentAt;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.passwordResetRequestedAt;
   delete user.__v;
   return user;
 };
@@ -0,0 +1,60 @@
+// server/models/Wallet.js
+const mongoose = require("mongoose");
+
+// A wallet only identifies an account; its balance lives in the ledger
+const walletSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Wallet owner is required"],
+      unique: true,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    // Customer reference at the payment provider, once one is created
+    providerCustomerId: {
+      type: String,
+      default: null,
+    },
+    // Bumped whenever money is spent from the wallet (see lockForUser)
+    version: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static to get a user's wallet, opening one on first use
+walletSchema.statics.forUser = function (userId) {
+  return this.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static to open a user's wallet for spending inside a transaction.
+// Bumping the version writes to the wallet, so two transactions spending
+// from it conflict and one retries against the new balance.
+walletSchema.statics.lockForUser = function (userId) {
+  return this.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId }, $inc: { version: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Method to get the wallet balance in paise
+walletSchema.methods.getBalance = function () {
+  return mongoose
+    .model("LedgerEntry")
+    .getBalance({ account: "wallet", wallet: this._id });
+};
+
+module.exports = mongoose.model("Wallet", walletSchema);
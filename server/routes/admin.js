@@ -0,0 +1,390 @@
+// server/routes/admin.js
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const {
+  getAdminProfile,
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  getTasks,
+  forceCloseTask,
+  getBids,
+  removeBid,
+  getMessages,
+  hideMessage,
+  getReports,
+  reviewReport,
+  getDisputes,
+  resolveDispute,
+  getCampuses,
+  createCampus,
+  updateCampus,
+} = require("../controllers/adminController");
+const {
+  protect,
+  authorize,
+  requirePermission,
+} = require("../middleware/auth");
+const { ROLES, PERMISSIONS } = require("../config/permissions");
+const Report = require("../models/Report");
+const Dispute = require("../models/Dispute");
+
+const router = express.Router();
+
+// Validation rules
+const paginationValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const searchValidation = query("search")
+  .optional()
+  .trim()
+  .isLength({ max: 100 })
+  .withMessage("Search cannot exceed 100 characters");
+
+const getUsersValidation = [
+  ...paginationValidation,
+  searchValidation,
+
+  query("role")
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+
+  query("status")
+    .optional()
+    .isIn(["active", "suspended"])
+    .withMessage("Status must be one of: active, suspended"),
+];
+
+const idValidation = [
+  param("id").isMongoId().withMessage("ID must be a valid MongoDB ObjectId"),
+];
+
+const updateRoleValidation = [
+  ...idValidation,
+
+  body("role")
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+];
+
+const reasonValidation = body("reason")
+  .trim()
+  .isLength({ min: 5, max: 500 })
+  .withMessage("A reason between 5 and 500 characters is required");
+
+const updateStatusValidation = [
+  ...idValidation,
+
+  body("isActive")
+    .isBoolean()
+    .withMessage("isActive must be true or false")
+    .toBoolean(),
+
+  body("reason")
+    .if(body("isActive").equals("false"))
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage("A reason between 5 and 500 characters is required"),
+];
+
+const getTasksValidation = [
+  ...paginationValidation,
+  searchValidation,
+
+  query("status")
+    .optional()
+    .isIn([
+      "Open",
+      "Assigned",
+      "In-Progress",
+      "Submitted",
+      "Disputed",
+      "Completed",
+      "Closed",
+    ])
+    .withMessage(
+      "Status must be one of: Open, Assigned, In-Progress, Submitted, Disputed, Completed, Closed"
+    ),
+
+  query("poster")
+    .optional()
+    .isMongoId()
+    .withMessage("Poster must be a valid MongoDB ObjectId"),
+];
+
+const getBidsValidation = [
+  ...paginationValidation,
+  searchValidation,
+
+  query("status")
+    .optional()
+    .isIn(["Pending", "Accepted", "Rejected", "Withdrawn", "Removed"])
+    .withMessage(
+      "Status must be one of: Pending, Accepted, Rejected, Withdrawn, Removed"
+    ),
+
+  query(["task", "bidder"])
+    .optional()
+    .isMongoId()
+    .withMessage("Task and bidder must be valid MongoDB ObjectIds"),
+];
+
+const getMessagesValidation = [
+  ...paginationValidation,
+  searchValidation,
+
+  query(["task", "sender"])
+    .optional()
+    .isMongoId()
+    .withMessage("Task and sender must be valid MongoDB ObjectIds"),
+
+  query("hidden")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Hidden must be true or false"),
+];
+
+const moderationValidation = [...idValidation, reasonValidation];
+
+const getReportsValidation = [
+  ...paginationValidation,
+
+  query("status")
+    .optional()
+    .isIn(["pending", "resolved", "dismissed"])
+    .withMessage("Status must be one of: pending, resolved, dismissed"),
+
+  query("targetType")
+    .optional()
+    .isIn(Object.keys(Report.TARGETS))
+    .withMessage("Invalid report target type"),
+
+  query("reason")
+    .optional()
+    .isIn(Report.REASONS)
+    .withMessage("Invalid report reason"),
+];
+
+const reviewReportValidation = [
+  ...idValidation,
+
+  body("outcome")
+    .isIn(["resolved", "dismissed"])
+    .withMessage("Outcome must be one of: resolved, dismissed"),
+
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note cannot exceed 500 characters"),
+];
+
+const getDisputesValidation = [
+  ...paginationValidation,
+
+  query("status")
+    .optional()
+    .isIn(["open", "resolved"])
+    .withMessage("Status must be one of: open, resolved"),
+
+  query("reason")
+    .optional()
+    .isIn(Dispute.REASONS)
+    .withMessage("Invalid dispute reason"),
+];
+
+const resolveDisputeValidation = [
+  ...idValidation,
+
+  body("outcome")
+    .isIn(Dispute.OUTCOMES)
+    .withMessage(`Outcome must be one of: ${Dispute.OUTCOMES.join(", ")}`),
+
+  body("assigneeShare")
+    .if(body("outcome").equals("split"))
+    .isInt({ min: 1, max: 99 })
+    .withMessage("Assignee share must be between 1 and 99 percent")
+    .toInt(),
+
+  body("note")
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage("Explain the decision in 10 to 1000 characters"),
+];
+
+const campusValidation = (isUpdate = false) => {
+  const optional = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    optional(body("name"))
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Campus name must be between 2 and 100 characters"),
+
+    ...(isUpdate
+      ? []
+      : [
+          body("slug")
+            .trim()
+            .matches(/^[a-z0-9-]+$/)
+            .withMessage(
+              "Slug can only contain lowercase letters, numbers and dashes"
+            ),
+        ]),
+
+    optional(body("domains"))
+      .isArray({ min: 1, max: 20 })
+      .withMessage("Domains must be a list of 1-20 email domains"),
+
+    body("domains.*")
+      .trim()
+      .toLowerCase()
+      .isFQDN()
+      .withMessage("Each domain must be a valid email domain"),
+
+    body("city")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("City cannot exceed 100 characters"),
+
+    body("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be true or false"),
+  ];
+};
+
+// Staff only - regular users never get past this point
+router.use(protect, authorize("moderator", "admin"));
+
+router.get("/me", getAdminProfile);
+
+// User management
+router.get(
+  "/users",
+  requirePermission(PERMISSIONS.READ_USERS),
+  getUsersValidation,
+  getUsers
+);
+router.get(
+  "/users/:id",
+  requirePermission(PERMISSIONS.READ_USERS),
+  idValidation,
+  getUser
+);
+router.patch(
+  "/users/:id/status",
+  requirePermission(PERMISSIONS.SUSPEND_USERS),
+  updateStatusValidation,
+  updateUserStatus
+);
+router.patch(
+  "/users/:id/role",
+  requirePermission(PERMISSIONS.MANAGE_ROLES),
+  updateRoleValidation,
+  updateUserRole
+);
+
+// Task moderation
+router.get(
+  "/tasks",
+  requirePermission(PERMISSIONS.MODERATE_TASKS),
+  getTasksValidation,
+  getTasks
+);
+router.post(
+  "/tasks/:id/close",
+  requirePermission(PERMISSIONS.MODERATE_TASKS),
+  moderationValidation,
+  forceCloseTask
+);
+
+// Bid moderation
+router.get(
+  "/bids",
+  requirePermission(PERMISSIONS.MODERATE_BIDS),
+  getBidsValidation,
+  getBids
+);
+router.post(
+  "/bids/:id/remove",
+  requirePermission(PERMISSIONS.MODERATE_BIDS),
+  moderationValidation,
+  removeBid
+);
+
+// Chat moderation
+router.get(
+  "/messages",
+  requirePermission(PERMISSIONS.MODERATE_MESSAGES),
+  getMessagesValidation,
+  getMessages
+);
+router.post(
+  "/messages/:id/hide",
+  requirePermission(PERMISSIONS.MODERATE_MESSAGES),
+  moderationValidation,
+  hideMessage
+);
+
+// Report review queue
+router.get(
+  "/reports",
+  requirePermission(PERMISSIONS.REVIEW_REPORTS),
+  getReportsValidation,
+  getReports
+);
+router.patch(
+  "/reports/:id",
+  requirePermission(PERMISSIONS.REVIEW_REPORTS),
+  reviewReportValidation,
+  reviewReport
+);
+
+// Dispute resolution
+router.get(
+  "/disputes",
+  requirePermission(PERMISSIONS.RESOLVE_DISPUTES),
+  getDisputesValidation,
+  getDisputes
+);
+router.post(
+  "/disputes/:id/resolve",
+  requirePermission(PERMISSIONS.RESOLVE_DISPUTES),
+  resolveDisputeValidation,
+  resolveDispute
+);
+
+// Campus management
+router.get(
+  "/campuses",
+  requirePermission(PERMISSIONS.MANAGE_CAMPUSES),
+  getCampuses
+);
+router.post(
+  "/campuses",
+  requirePermission(PERMISSIONS.MANAGE_CAMPUSES),
+  campusValidation(),
+  createCampus
+);
+router.put(
+  "/campuses/:id",
+  requirePermission(PERMISSIONS.MANAGE_CAMPUSES),
+  idValidation,
+  campusValidation(true),
+  updateCampus
+);
+
+module.exports = router;
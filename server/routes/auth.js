@@ -1,17 +1,25 @@
 // server/routes/auth.js
 const express = require("express");
-const { body } = require("express-validator");
+const { body, param } = require("express-validator");
 const {
   register,
   login,
   logout,
+  refreshToken,
+  getSessions,
+  revokeUserSession,
+  logoutEverywhere,
   getMe,
   updateProfile,
   changePassword,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   verifyToken,
   deleteAccount,
 } = require("../controllers/authController");
-const { protect } = require("../middleware/auth");
+const { protect, passwordResetLimit } = require("../middleware/auth");
 const {
   uploadAvatar,
   handleUploadError,
@@ -147,18 +155,73 @@ const changePasswordValidation = [
     ),
 ];
 
+const forgotPasswordValidation = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email address"),
+];
+
+const emailTokenValidation = [
+  param("token")
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid verification token"),
+];
+
+const resetPasswordValidation = [
+  param("token")
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid password reset token"),
+
+  body("password")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long")
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage(
+      "Password must contain at least one uppercase letter, one lowercase letter, and one number"
+    ),
+];
+
+const sessionIdValidation = [
+  param("id")
+    .isMongoId()
+    .withMessage("Session ID must be a valid MongoDB ObjectId"),
+];
+
 // Public routes
 router.post("/register", registerValidation, register);
 router.post("/login", loginValidation, login);
+router.post("/refresh", refreshToken);
+router.get("/verify-email/:token", emailTokenValidation, verifyEmail);
+router.post(
+  "/forgot-password",
+  passwordResetLimit,
+  forgotPasswordValidation,
+  forgotPassword
+);
+router.post("/reset-password/:token", resetPasswordValidation, resetPassword);
 router.get("/verify", verifyToken);
 
 // Protected routes
 router.post("/logout", protect, logout);
 router.get("/me", protect, getMe);
+router.post("/resend-verification", protect, resendVerification);
 router.put("/profile", protect, updateProfileValidation, updateProfile);
 router.put("/password", protect, changePasswordValidation, changePassword);
 router.delete("/account", protect, deleteAccount);
 
+// Session (device) management
+router.get("/sessions", protect, getSessions);
+router.delete("/sessions", protect, logoutEverywhere);
+router.delete(
+  "/sessions/:id",
+  protect,
+  sessionIdValidation,
+  revokeUserSession
+);
+
 // Avatar upload route
 router.post(
   "/avatar",
@@ -10,18 +10,43 @@ const {
   deleteBid,
   getBidStats,
   highlightBid,
+  counterBid,
+  acceptCounterOffer,
+  declineCounterOffer,
   getRecommendedBids,
   getBidAnalytics,
 } = require("../controllers/bidController");
 const {
   protect,
+  requireVerification,
   checkBidOwnership,
   bidCreationLimit,
 } = require("../middleware/auth");
+const { idempotent } = require("../middleware/idempotency");
 
 const router = express.Router();
 
 // Validation rules
+const milestoneValidation = [
+  body("milestones")
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage("Cannot have more than 10 milestones"),
+
+  body("milestones.*.title")
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage("Milestone title must be between 3 and 100 characters"),
+
+  body("milestones.*.amount")
+    .isFloat({ min: 1 })
+    .withMessage("Milestone amount must be at least ₹1"),
+
+  body("milestones.*.dueDate")
+    .isISO8601()
+    .withMessage("Milestone due date must be a valid date"),
+];
+
 const createBidValidation = [
   body("taskId")
     .isMongoId()
@@ -88,6 +113,8 @@ const createBidValidation = [
     .trim()
     .isLength({ max: 200 })
     .withMessage("Portfolio description cannot exceed 200 characters"),
+
+  ...milestoneValidation,
 ];
 
 const updateBidValidation = [
@@ -137,6 +164,8 @@ const updateBidValidation = [
     .optional()
     .isArray({ max: 5 })
     .withMessage("Portfolio cannot have more than 5 items"),
+
+  ...milestoneValidation,
 ];
 
 const getBidsValidation = [
@@ -162,9 +191,9 @@ const getBidsValidation = [
 
   query("status")
     .optional()
-    .isIn(["Pending", "Accepted", "Rejected", "Withdrawn"])
+    .isIn(["Pending", "Accepted", "Rejected", "Withdrawn", "Removed"])
     .withMessage(
-      "Status must be one of: Pending, Accepted, Rejected, Withdrawn"
+      "Status must be one of: Pending, Accepted, Rejected, Withdrawn, Removed"
     ),
 
   query("minAmount")
@@ -198,6 +227,24 @@ const getRecommendationsValidation = [
     .withMessage("Limit must be between 1 and 20"),
 ];
 
+const counterOfferValidation = [
+  body("amount")
+    .isFloat({ min: 50, max: 2000 })
+    .withMessage("Offer amount must be between ₹50 and ₹2000"),
+
+  body("proposedTimeline")
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage("Proposed timeline must be between 5 and 200 characters"),
+
+  body("message")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Message cannot exceed 500 characters"),
+];
+
 const getAnalyticsValidation = [
   query("days")
     .optional()
@@ -209,7 +256,14 @@ const getAnalyticsValidation = [
 router.use(protect);
 
 // Main bid routes
-router.post("/", bidCreationLimit, createBidValidation, createBid);
+router.post(
+  "/",
+  requireVerification,
+  idempotent,
+  bidCreationLimit,
+  createBidValidation,
+  createBid
+);
 router.get("/", getBidsValidation, getBids);
 router.get(
   "/recommendations",
@@ -227,6 +281,11 @@ router.delete("/:id", checkBidOwnership, deleteBid);
 router.post("/:id/withdraw", checkBidOwnership, withdrawBid);
 router.post("/:id/highlight", checkBidOwnership, highlightBid);
 
+// Counter-offers between the task owner and the bidder
+router.post("/:id/counter", counterOfferValidation, counterBid);
+router.post("/:id/counter/accept", acceptCounterOffer);
+router.post("/:id/counter/decline", declineCounterOffer);
+
 // Bid statistics for task owners
 router.get("/task/:taskId/stats", getBidStatsValidation, getBidStats);
 
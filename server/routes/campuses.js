@@ -0,0 +1,10 @@
+// server/routes/campuses.js
+const express = require("express");
+const { getCampuses } = require("../controllers/campusController");
+
+const router = express.Router();
+
+// Public routes
+router.get("/", getCampuses);
+
+module.exports = router;
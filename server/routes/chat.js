@@ -21,6 +21,7 @@ const {
   checkTaskInvolvement,
   messageLimit,
 } = require("../middleware/auth");
+const { idempotent } = require("../middleware/idempotency");
 const {
   uploadChatFiles,
   handleUploadError,
@@ -148,10 +149,11 @@ router.get(
 router.post(
   "/task/:taskId",
   checkTaskInvolvement,
-  messageLimit,
   uploadChatFiles.single("file"),
   handleUploadError,
   processUploadedFiles,
+  idempotent,
+  messageLimit,
   sendMessageValidation,
   sendMessage
 );
@@ -0,0 +1,60 @@
+// server/routes/disputes.js
+const express = require("express");
+const { body } = require("express-validator");
+const {
+  getTaskDispute,
+  openDispute,
+  addStatement,
+} = require("../controllers/disputeController");
+const { protect, checkTaskInvolvement } = require("../middleware/auth");
+const {
+  uploadDisputeEvidence,
+  handleUploadError,
+  validateFiles,
+  processUploadedFiles,
+} = require("../middleware/upload");
+const Dispute = require("../models/Dispute");
+
+const router = express.Router();
+
+// Validation rules
+const statementValidation = [
+  body("statement")
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage("Statement must be between 10 and 2000 characters"),
+];
+
+const openDisputeValidation = [
+  body("reason")
+    .isIn(Dispute.REASONS)
+    .withMessage(`Reason must be one of: ${Dispute.REASONS.join(", ")}`),
+
+  ...statementValidation,
+];
+
+const evidenceUpload = [
+  uploadDisputeEvidence.array("evidence", 3),
+  handleUploadError,
+  validateFiles,
+  processUploadedFiles,
+];
+
+// Only the poster and the assigned bidder take part in a dispute
+router.use("/task/:taskId", protect, checkTaskInvolvement);
+
+router.get("/task/:taskId", getTaskDispute);
+router.post(
+  "/task/:taskId",
+  evidenceUpload,
+  openDisputeValidation,
+  openDispute
+);
+router.post(
+  "/task/:taskId/statements",
+  evidenceUpload,
+  statementValidation,
+  addStatement
+);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// server/routes/notifications.js
+const express = require("express");
+const { query, param } = require("express-validator");
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+} = require("../controllers/notificationController");
+const { protect } = require("../middleware/auth");
+const Notification = require("../models/Notification");
+
+const router = express.Router();
+
+// Validation rules
+const getNotificationsValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+
+  query("unread")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Unread must be true or false"),
+
+  query("type")
+    .optional()
+    .isIn(Notification.TYPES)
+    .withMessage("Invalid notification type"),
+];
+
+const notificationIdValidation = [
+  param("id")
+    .isMongoId()
+    .withMessage("Notification ID must be a valid MongoDB ObjectId"),
+];
+
+// All notification routes require authentication
+router.use(protect);
+
+router.get("/", getNotificationsValidation, getNotifications);
+router.get("/unread-count", getUnreadCount);
+router.post("/read-all", markAllAsRead);
+router.post("/:id/read", notificationIdValidation, markAsRead);
+router.delete("/:id", notificationIdValidation, deleteNotification);
+
+module.exports = router;
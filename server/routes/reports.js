@@ -0,0 +1,57 @@
+// server/routes/reports.js
+const express = require("express");
+const { body } = require("express-validator");
+const {
+  createReport,
+  getMyReports,
+} = require("../controllers/reportController");
+const { protect, reportLimit } = require("../middleware/auth");
+const {
+  uploadReportEvidence,
+  handleUploadError,
+  validateFiles,
+  processUploadedFiles,
+} = require("../middleware/upload");
+const Report = require("../models/Report");
+
+const router = express.Router();
+
+const TARGET_TYPES = Object.keys(Report.TARGETS);
+
+// Validation rules
+const createReportValidation = [
+  body("targetType")
+    .isIn(TARGET_TYPES)
+    .withMessage(`Target type must be one of: ${TARGET_TYPES.join(", ")}`),
+
+  body("targetId")
+    .isMongoId()
+    .withMessage("Target ID must be a valid MongoDB ObjectId"),
+
+  body("reason")
+    .isIn(Report.REASONS)
+    .withMessage(`Reason must be one of: ${Report.REASONS.join(", ")}`),
+
+  body("details")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Details cannot exceed 1000 characters"),
+];
+
+// All routes require authentication
+router.use(protect);
+
+router.get("/mine", getMyReports);
+router.post(
+  "/",
+  reportLimit,
+  uploadReportEvidence.array("evidence", 3),
+  handleUploadError,
+  validateFiles,
+  processUploadedFiles,
+  createReportValidation,
+  createReport
+);
+
+module.exports = router;
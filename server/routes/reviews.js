@@ -0,0 +1,61 @@
+// server/routes/reviews.js
+const express = require("express");
+const { body, param } = require("express-validator");
+const {
+  getTaskReviews,
+  createReview,
+  updateReview,
+  respondToReview,
+} = require("../controllers/reviewController");
+const { protect, checkTaskInvolvement } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Validation rules
+const scoreValidation = (field, label, optional) => {
+  const chain = body(field);
+  return (optional ? chain.optional() : chain)
+    .isInt({ min: 1, max: 5 })
+    .withMessage(`${label} score must be a whole number from 1 to 5`)
+    .toInt();
+};
+
+const commentValidation = body("comment")
+  .optional()
+  .trim()
+  .isLength({ max: 1000 })
+  .withMessage("Review cannot exceed 1000 characters");
+
+const createReviewValidation = [
+  scoreValidation("quality", "Quality"),
+  scoreValidation("communication", "Communication"),
+  scoreValidation("timeliness", "Timeliness"),
+  commentValidation,
+];
+
+const updateReviewValidation = [
+  param("id").isMongoId().withMessage("Invalid review ID"),
+  scoreValidation("quality", "Quality", true),
+  scoreValidation("communication", "Communication", true),
+  scoreValidation("timeliness", "Timeliness", true),
+  commentValidation,
+];
+
+const responseValidation = [
+  param("id").isMongoId().withMessage("Invalid review ID"),
+  body("comment")
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("Response must be between 1 and 500 characters"),
+];
+
+// Only the poster and the assigned bidder review each other
+router.use("/task/:taskId", protect, checkTaskInvolvement);
+
+router.get("/task/:taskId", getTaskReviews);
+router.post("/task/:taskId", createReviewValidation, createReview);
+
+router.put("/:id", protect, updateReviewValidation, updateReview);
+router.post("/:id/response", protect, responseValidation, respondToReview);
+
+module.exports = router;
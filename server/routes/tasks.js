@@ -9,14 +9,23 @@ const {
   deleteTask,
   getTaskBids,
   acceptBid,
+  takeTask,
   completeTask,
   startTask,
+  getSubmissions,
+  submitWork,
+  requestRevision,
   closeTask,
   removeTaskFile,
 } = require("../controllers/taskController");
+const {
+  submitMilestone,
+  approveMilestone,
+} = require("../controllers/milestoneController");
 const {
   protect,
   optionalAuth,
+  requireVerification,
   checkTaskOwnership,
   checkTaskInvolvement,
   checkTaskAccess,
@@ -24,13 +33,69 @@ const {
 } = require("../middleware/auth");
 const {
   uploadTaskFiles,
+  uploadDeliverables,
   handleUploadError,
+  validateFiles,
   processUploadedFiles,
 } = require("../middleware/upload");
+const { idempotent } = require("../middleware/idempotency");
+const Task = require("../models/Task");
 
 const router = express.Router();
 
 // Validation rules
+// Multipart forms send the milestone plan as a JSON string
+const milestoneValidation = [
+  body("milestones")
+    .optional()
+    .customSanitizer((value) => {
+      if (typeof value !== "string") return value;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    })
+    .isArray({ max: 10 })
+    .withMessage("Milestones must be a list of at most 10 items"),
+
+  body("milestones.*.title")
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage("Milestone title must be between 3 and 100 characters"),
+
+  body("milestones.*.amount")
+    .isFloat({ min: 1 })
+    .withMessage("Milestone amount must be at least ₹1"),
+
+  body("milestones.*.dueDate")
+    .isISO8601()
+    .withMessage("Milestone due date must be a valid date"),
+];
+
+// Sealed and reverse auctions close at auctionEndsAt; reserves are reverse-only
+const auctionValidation = [
+  body("auctionType")
+    .optional()
+    .isIn(Task.AUCTION_TYPES)
+    .withMessage(`Auction type must be one of: ${Task.AUCTION_TYPES.join(", ")}`),
+
+  body("auctionEndsAt")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("Auction end must be a valid date"),
+
+  body("reservePrice")
+    .optional({ values: "falsy" })
+    .isFloat({ min: 1 })
+    .withMessage("Reserve price must be at least ₹1"),
+
+  body("instantPrice")
+    .optional({ values: "falsy" })
+    .isFloat({ min: 1 })
+    .withMessage("Instant price must be at least ₹1"),
+];
+
 const getTasksValidation = [
   query("page")
     .optional()
@@ -57,9 +122,17 @@ const getTasksValidation = [
 
   query("status")
     .optional()
-    .isIn(["Open", "Assigned", "In-Progress", "Completed", "Closed"])
+    .isIn([
+      "Open",
+      "Assigned",
+      "In-Progress",
+      "Submitted",
+      "Disputed",
+      "Completed",
+      "Closed",
+    ])
     .withMessage(
-      "Status must be one of: Open, Assigned, In-Progress, Completed, Closed"
+      "Status must be one of: Open, Assigned, In-Progress, Submitted, Disputed, Completed, Closed"
     ),
 
   query("minBudget")
@@ -77,6 +150,14 @@ const getTasksValidation = [
     .isIn(["today", "week", "month", "urgent"])
     .withMessage("Deadline filter must be one of: today, week, month, urgent"),
 
+  query("campus")
+    .optional()
+    .custom(
+      (value) =>
+        value === "all" || value === "mine" || /^[0-9a-fA-F]{24}$/.test(value)
+    )
+    .withMessage("Campus must be 'all', 'mine' or a valid campus ID"),
+
   query("sort")
     .optional()
     .isIn([
@@ -151,6 +232,11 @@ const createTaskValidation = [
     .isLength({ max: 100 })
     .withMessage("Location cannot exceed 100 characters"),
 
+  body("visibility")
+    .optional()
+    .isIn(["public", "campus"])
+    .withMessage("Visibility must be one of: public, campus"),
+
   body("tags")
     .optional()
     .custom((value) => {
@@ -167,6 +253,9 @@ const createTaskValidation = [
       }
       return true;
     }),
+
+  ...milestoneValidation,
+  ...auctionValidation,
 ];
 
 const updateTaskValidation = [
@@ -220,6 +309,14 @@ const updateTaskValidation = [
     .trim()
     .isLength({ max: 100 })
     .withMessage("Location cannot exceed 100 characters"),
+
+  body("visibility")
+    .optional()
+    .isIn(["public", "campus"])
+    .withMessage("Visibility must be one of: public, campus"),
+
+  ...milestoneValidation,
+  ...auctionValidation,
 ];
 
 const getTaskBidsValidation = [
@@ -235,9 +332,9 @@ const getTaskBidsValidation = [
 
   query("status")
     .optional()
-    .isIn(["Pending", "Accepted", "Rejected", "Withdrawn"])
+    .isIn(["Pending", "Accepted", "Rejected", "Withdrawn", "Removed"])
     .withMessage(
-      "Status must be one of: Pending, Accepted, Rejected, Withdrawn"
+      "Status must be one of: Pending, Accepted, Rejected, Withdrawn, Removed"
     ),
 
   query("sort")
@@ -248,17 +345,59 @@ const getTaskBidsValidation = [
     ),
 ];
 
-const completeTaskValidation = [
-  body("rating")
+const submitWorkValidation = [
+  body("notes")
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage("Notes must be between 10 and 2000 characters"),
+
+  body("checklist")
     .optional()
-    .isFloat({ min: 1, max: 5 })
-    .withMessage("Rating must be between 1 and 5"),
+    .custom((value) => {
+      const items = JSON.parse(value);
+      if (!Array.isArray(items)) {
+        throw new Error("Checklist must be a list of deliverables");
+      }
+      return true;
+    })
+    .withMessage("Checklist must be a JSON list of deliverables"),
+];
+
+const takeTaskValidation = [
+  body("proposedTimeline")
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage("Proposed timeline must be between 5 and 200 characters"),
+
+  body("message")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Message cannot exceed 1000 characters"),
+];
+
+const requestRevisionValidation = [
+  body("comments")
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage("Comments must be between 10 and 1000 characters"),
+];
+
+const milestoneIdValidation = [
+  param("milestoneId")
+    .isMongoId()
+    .withMessage("Milestone ID must be a valid MongoDB ObjectId"),
+];
+
+const submitMilestoneValidation = [
+  ...milestoneIdValidation,
 
-  body("review")
+  body("note")
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage("Review cannot exceed 500 characters"),
+    .withMessage("Note cannot exceed 500 characters"),
 ];
 
 const removeFileValidation = [
@@ -279,10 +418,12 @@ router.get("/:id", optionalAuth, checkTaskAccess, getTask);
 router.post(
   "/",
   protect,
-  taskCreationLimit,
+  requireVerification,
   uploadTaskFiles,
   handleUploadError,
   processUploadedFiles,
+  idempotent,
+  taskCreationLimit,
   createTaskValidation,
   createTask
 );
@@ -308,18 +449,82 @@ router.get(
   getTaskBidsValidation,
   getTaskBids
 );
-router.post("/:id/bids/:bidId/accept", protect, checkTaskOwnership, acceptBid);
+router.post(
+  "/:id/bids/:bidId/accept",
+  protect,
+  checkTaskOwnership,
+  idempotent,
+  acceptBid
+);
+router.post(
+  "/:id/take",
+  protect,
+  requireVerification,
+  idempotent,
+  takeTaskValidation,
+  takeTask
+);
 
 // Task status management routes
-router.post("/:id/start", protect, checkTaskInvolvement, startTask);
+router.post(
+  "/:id/start",
+  protect,
+  checkTaskInvolvement,
+  idempotent,
+  startTask
+);
 router.post(
   "/:id/complete",
   protect,
   checkTaskOwnership,
-  completeTaskValidation,
+  idempotent,
   completeTask
 );
-router.post("/:id/close", protect, checkTaskOwnership, closeTask);
+router.post("/:id/close", protect, checkTaskOwnership, idempotent, closeTask);
+
+// Deliverable submission and review routes
+router.get(
+  "/:id/submissions",
+  protect,
+  checkTaskInvolvement,
+  getSubmissions
+);
+router.post(
+  "/:id/submit",
+  protect,
+  checkTaskInvolvement,
+  uploadDeliverables.array("files", 5),
+  handleUploadError,
+  validateFiles,
+  processUploadedFiles,
+  idempotent,
+  submitWorkValidation,
+  submitWork
+);
+router.post(
+  "/:id/request-revision",
+  protect,
+  checkTaskOwnership,
+  idempotent,
+  requestRevisionValidation,
+  requestRevision
+);
+
+// Milestone routes
+router.post(
+  "/:id/milestones/:milestoneId/submit",
+  protect,
+  checkTaskInvolvement,
+  submitMilestoneValidation,
+  submitMilestone
+);
+router.post(
+  "/:id/milestones/:milestoneId/approve",
+  protect,
+  checkTaskOwnership,
+  milestoneIdValidation,
+  approveMilestone
+);
 
 // File management routes
 router.delete(
@@ -1,6 +1,6 @@
 // server/routes/users.js
 const express = require("express");
-const { body, query } = require("express-validator");
+const { body, query, param } = require("express-validator");
 const {
   getUsers,
   getUserProfile,
@@ -10,7 +10,12 @@ const {
   getUserTasks,
   getUserBids,
   getUserAnalytics,
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  getPresence,
 } = require("../controllers/userController");
+const { getUserReviews } = require("../controllers/reviewController");
 const { protect, optionalAuth } = require("../middleware/auth");
 const {
   uploadAvatar: upload,
@@ -74,9 +79,17 @@ const getUserTasksValidation = [
 
   query("status")
     .optional()
-    .isIn(["Open", "Assigned", "In-Progress", "Completed", "Closed"])
+    .isIn([
+      "Open",
+      "Assigned",
+      "In-Progress",
+      "Submitted",
+      "Disputed",
+      "Completed",
+      "Closed",
+    ])
     .withMessage(
-      "Status must be one of: Open, Assigned, In-Progress, Completed, Closed"
+      "Status must be one of: Open, Assigned, In-Progress, Submitted, Disputed, Completed, Closed"
     ),
 
   query("sort")
@@ -109,6 +122,47 @@ const getUserBidsValidation = [
     .withMessage("Sort must be one of: newest, amount"),
 ];
 
+const userIdValidation = [
+  param("id")
+    .isMongoId()
+    .withMessage("User ID must be a valid MongoDB ObjectId"),
+];
+
+const presenceValidation = [
+  query("ids")
+    .isString()
+    .withMessage("User IDs are required")
+    .custom((value) => {
+      const ids = value.split(",");
+      if (ids.length > 50) {
+        throw new Error("Cannot request more than 50 users at once");
+      }
+      if (ids.some((id) => !/^[a-f0-9]{24}$/i.test(id))) {
+        throw new Error("Each user ID must be a valid MongoDB ObjectId");
+      }
+      return true;
+    }),
+];
+
+const getUserReviewsValidation = [
+  ...userIdValidation,
+
+  query("role")
+    .optional()
+    .isIn(["poster", "bidder"])
+    .withMessage("Role must be poster or bidder"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+];
+
 const getAnalyticsValidation = [
   query("days")
     .optional()
@@ -116,15 +170,24 @@ const getAnalyticsValidation = [
     .withMessage("Days must be between 1 and 365"),
 ];
 
+// Presence comes first so "presence" isn't taken for a user ID
+router.get("/presence", protect, presenceValidation, getPresence);
+
 // Public routes
 router.get("/", optionalAuth, getUsersValidation, getUsers);
 router.get("/:id", optionalAuth, getUserProfile);
+router.get("/:id/reviews", getUserReviewsValidation, getUserReviews);
 
 // Protected routes
 router.get("/me/dashboard", protect, getDashboard);
 router.get("/me/tasks", protect, getUserTasksValidation, getUserTasks);
 router.get("/me/bids", protect, getUserBidsValidation, getUserBids);
 router.get("/me/analytics", protect, getAnalyticsValidation, getUserAnalytics);
+router.get("/me/blocked", protect, getBlockedUsers);
+
+// Blocking
+router.post("/:id/block", protect, userIdValidation, blockUser);
+router.delete("/:id/block", protect, userIdValidation, unblockUser);
 
 // Avatar upload routes
 router.post(
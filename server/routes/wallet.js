@@ -0,0 +1,52 @@
+// server/routes/wallet.js
+const express = require("express");
+const { body, query } = require("express-validator");
+const {
+  getWallet,
+  getTransactions,
+  depositFunds,
+  withdrawFunds,
+} = require("../controllers/walletController");
+const { protect } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Validation rules
+const amountValidation = [
+  body("amount")
+    .isFloat({ min: 1, max: 100000 })
+    .withMessage("Amount must be between ₹1 and ₹100000")
+    .toFloat(),
+];
+
+const depositValidation = [
+  ...amountValidation,
+
+  body("source")
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("Payment source must be a string"),
+];
+
+const getTransactionsValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+];
+
+// All wallet routes require authentication
+router.use(protect);
+
+router.get("/", getWallet);
+router.get("/transactions", getTransactionsValidation, getTransactions);
+router.post("/deposit", depositValidation, depositFunds);
+router.post("/withdraw", amountValidation, withdrawFunds);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// server/scripts/addCampus.js
+// Usage: node scripts/addCampus.js <slug> "<name>" <domain> [more domains...]
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const Campus = require("../models/Campus");
+
+const run = async () => {
+  const [slug, name, ...domains] = process.argv.slice(2);
+
+  if (!slug || !name || domains.length === 0) {
+    console.error(
+      'Usage: node scripts/addCampus.js <slug> "<name>" <domain> [more domains...]'
+    );
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Re-running with the same slug updates the campus instead of failing
+  const campus = await Campus.findOneAndUpdate(
+    { slug: slug.toLowerCase() },
+    { name, domains: domains.map((domain) => domain.toLowerCase()) },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  console.log(`🏫 ${campus.name} (${campus.slug}): ${campus.domains.join(", ")}`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("❌ Failed to save campus:", error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+// server/scripts/setRole.js
+// Usage: node scripts/setRole.js <email> [user|moderator|admin]
+// Bootstraps the first admin; after that, admins can manage roles from /api/admin
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const User = require("../models/User");
+const { ROLES } = require("../config/permissions");
+
+const run = async () => {
+  const [email, role = "admin"] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(
+      `Usage: node scripts/setRole.js <email> [${ROLES.join("|")}]`
+    );
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase().trim() },
+    { role },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new Error(`No user registered with ${email}`);
+  }
+
+  console.log(`🛡️ ${user.email} is now ${user.role}`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("❌ Failed to set role:", error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -6,7 +6,7 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
-const jwt = require("jsonwebtoken");
+const cookieParser = require("cookie-parser");
 const path = require("path");
 require("dotenv").config();
 
@@ -48,13 +48,14 @@ const corsOptions = {
   origin: process.env.CLIENT_URL || "http://localhost:5173",
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
 };
 app.use(cors(corsOptions));
 
 // Body parsing middleware
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+app.use(cookieParser());
 
 // Static files
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
@@ -63,244 +64,18 @@ app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 const connectDB = require("./config/database");
 connectDB();
 
-// Socket.IO authentication middleware
-io.use(async (socket, next) => {
-  try {
-    const token = socket.handshake.auth.token;
-
-    if (!token) {
-      console.log("❌ Socket connection rejected: No token provided");
-      return next(new Error("Authentication error: No token provided"));
-    }
-
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Store user info in socket
-    socket.userId = decoded.id;
-    socket.user = decoded;
-
-    console.log(`🔐 Socket authenticated for user: ${decoded.id}`);
-    next();
-  } catch (error) {
-    console.error("❌ Socket authentication error:", error.message);
-    next(new Error("Authentication error: Invalid token"));
-  }
-});
-
-// Socket.IO event handlers
-io.on("connection", (socket) => {
-  console.log(
-    `🔌 New Socket.IO connection: ${socket.id} for user: ${socket.userId}`
-  );
-
-  // Auto-join user to their personal room
-  if (socket.userId) {
-    socket.join(`user_${socket.userId}`);
-    console.log(`👤 User ${socket.userId} joined personal room`);
-
-    // Emit user online status to all connected users
-    socket.broadcast.emit("user_online", {
-      userId: socket.userId,
-      socketId: socket.id,
-    });
-  }
-
-  // Handle joining task rooms
-  socket.on("join_room", (data) => {
-    try {
-      const { room } = data;
-      socket.join(room);
-      console.log(`🏠 Socket ${socket.id} joined room: ${room}`);
-
-      // Notify others in the room
-      socket.to(room).emit("user_joined_room", {
-        userId: socket.userId,
-        room,
-      });
-    } catch (error) {
-      console.error("Join room error:", error);
-    }
-  });
-
-  // Handle leaving task rooms
-  socket.on("leave_room", (data) => {
-    try {
-      const { room } = data;
-      socket.leave(room);
-      console.log(`🚪 Socket ${socket.id} left room: ${room}`);
-
-      // Notify others in the room
-      socket.to(room).emit("user_left_room", {
-        userId: socket.userId,
-        room,
-      });
-    } catch (error) {
-      console.error("Leave room error:", error);
-    }
-  });
-
-  // Handle typing indicators
-  socket.on("user_typing", (data) => {
-    try {
-      const { taskId } = data;
-      if (taskId && socket.userId) {
-        socket.to(`task_${taskId}`).emit("user_typing", {
-          taskId,
-          userId: socket.userId,
-        });
-      }
-    } catch (error) {
-      console.error("Typing indicator error:", error);
-    }
-  });
-
-  socket.on("user_stopped_typing", (data) => {
-    try {
-      const { taskId } = data;
-      if (taskId && socket.userId) {
-        socket.to(`task_${taskId}`).emit("user_stopped_typing", {
-          taskId,
-          userId: socket.userId,
-        });
-      }
-    } catch (error) {
-      console.error("Stop typing indicator error:", error);
-    }
-  });
-
-  // Handle message sent acknowledgments
-  socket.on("message_sent", (data) => {
-    try {
-      const { taskId, message } = data;
-
-      // Broadcast to others in the task room (exclude sender)
-      socket.to(`task_${taskId}`).emit("new_message", {
-        taskId,
-        message,
-      });
-
-      console.log(
-        `📨 Message broadcast to task_${taskId} from ${socket.userId}`
-      );
-    } catch (error) {
-      console.error("Message sent broadcast error:", error);
-    }
-  });
-
-  // Handle message edited acknowledgments
-  socket.on("message_edited", (data) => {
-    try {
-      const { taskId, messageId, message } = data;
-
-      socket.to(`task_${taskId}`).emit("message_edited", {
-        taskId,
-        messageId,
-        message,
-      });
-
-      console.log(`✏️ Message edit broadcast to task_${taskId}`);
-    } catch (error) {
-      console.error("Message edit broadcast error:", error);
-    }
-  });
-
-  // Handle message deleted acknowledgments
-  socket.on("message_deleted", (data) => {
-    try {
-      const { taskId, messageId } = data;
-
-      socket.to(`task_${taskId}`).emit("message_deleted", {
-        taskId,
-        messageId,
-      });
-
-      console.log(`🗑️ Message delete broadcast to task_${taskId}`);
-    } catch (error) {
-      console.error("Message delete broadcast error:", error);
-    }
-  });
-
-  // Handle reaction acknowledgments
-  socket.on("reaction_added", (data) => {
-    try {
-      const { taskId, messageId, emoji, reactions } = data;
-
-      socket.to(`task_${taskId}`).emit("reaction_added", {
-        taskId,
-        messageId,
-        emoji,
-        reactions,
-      });
-
-      console.log(`😀 Reaction added broadcast to task_${taskId}`);
-    } catch (error) {
-      console.error("Reaction added broadcast error:", error);
-    }
-  });
-
-  socket.on("reaction_removed", (data) => {
-    try {
-      const { taskId, messageId, reactions } = data;
-
-      socket.to(`task_${taskId}`).emit("reaction_removed", {
-        taskId,
-        messageId,
-        reactions,
-      });
-
-      console.log(`😐 Reaction removed broadcast to task_${taskId}`);
-    } catch (error) {
-      console.error("Reaction removed broadcast error:", error);
-    }
-  });
-
-  // Handle notification acknowledgments
-  socket.on("mark_notification_read", (data) => {
-    try {
-      const { notificationId } = data;
-
-      if (socket.userId) {
-        console.log(
-          `📖 Notification ${notificationId} marked as read by ${socket.userId}`
-        );
-      }
-    } catch (error) {
-      console.error("Mark notification read error:", error);
-    }
-  });
-
-  socket.on("mark_all_notifications_read", () => {
-    try {
-      if (socket.userId) {
-        console.log(`📖 All notifications marked as read by ${socket.userId}`);
-      }
-    } catch (error) {
-      console.error("Mark all notifications read error:", error);
-    }
-  });
-
-  // Handle disconnect
-  socket.on("disconnect", (reason) => {
-    console.log(`👋 User disconnected: ${socket.id}, reason: ${reason}`);
-
-    if (socket.userId) {
-      // Emit user offline status
-      socket.broadcast.emit("user_offline", {
-        userId: socket.userId,
-        lastSeen: new Date().toISOString(),
-      });
-
-      console.log(`📴 User ${socket.userId} marked as offline`);
-    }
-  });
-
-  // Handle connection errors
-  socket.on("error", (error) => {
-    console.error(`❌ Socket error for ${socket.id}:`, error);
+// Background jobs (bid expiry, task deadlines)
+const { startJobs, stopJobs } = require("./jobs");
+mongoose.connection.once("open", () => {
+  startJobs({ io }).catch((error) => {
+    console.error("❌ Failed to start job scheduler:", error);
   });
 });
 
+// Socket.IO authentication, room access and client events
+const { registerSocketHandlers } = require("./sockets/handlers");
+registerSocketHandlers(io);
+
 // Health check route
 app.get("/api/health", (req, res) => {
   res.status(200).json({
@@ -312,12 +87,19 @@ app.get("/api/health", (req, res) => {
   });
 });
 
-// Routes will be added here
-// app.use('/api/auth', require('./routes/auth'));
-// app.use('/api/users', require('./routes/users'));
-// app.use('/api/tasks', require('./routes/tasks'));
-// app.use('/api/bids', require('./routes/bids'));
-// app.use('/api/chat', require('./routes/chat'));
+// API routes
+app.use("/api/auth", require("./routes/auth"));
+app.use("/api/users", require("./routes/users"));
+app.use("/api/tasks", require("./routes/tasks"));
+app.use("/api/bids", require("./routes/bids"));
+app.use("/api/chat", require("./routes/chat"));
+app.use("/api/notifications", require("./routes/notifications"));
+app.use("/api/campuses", require("./routes/campuses"));
+app.use("/api/reports", require("./routes/reports"));
+app.use("/api/wallet", require("./routes/wallet"));
+app.use("/api/disputes", require("./routes/disputes"));
+app.use("/api/reviews", require("./routes/reviews"));
+app.use("/api/admin", require("./routes/admin"));
 
 // Global error handler
 app.use((err, req, res, next) => {
@@ -356,6 +138,9 @@ server.listen(PORT, () => {
 process.on("SIGTERM", () => {
   console.log("SIGTERM received. Shutting down gracefully...");
 
+  // Stop picking up background jobs
+  stopJobs();
+
   // Close Socket.IO connections
   io.close(() => {
     console.log("🔌 Socket.IO connections closed");
@@ -374,6 +159,9 @@ process.on("SIGTERM", () => {
 process.on("SIGINT", () => {
   console.log("SIGINT received. Shutting down gracefully...");
 
+  // Stop picking up background jobs
+  stopJobs();
+
   // Close Socket.IO connections
   io.close(() => {
     console.log("🔌 Socket.IO connections closed");
@@ -0,0 +1,250 @@
+// server/services/auctionService.js
+const Task = require("../models/Task");
+const Bid = require("../models/Bid");
+const activityEmails = require("../mail/activityEmails");
+const { notify, notifyMany } = require("./notificationService");
+const { holdEscrow, PAYMENT_ERROR_STATUS } = require("./walletService");
+const { withTransaction } = require("./transactionService");
+const { emitToTask } = require("../sockets/events");
+const { removeTaskRoomOutsiders } = require("../sockets/handlers");
+
+// HTTP status for each way an award can lose a race
+const AWARD_ERROR_STATUS = {
+  task_taken: 409,
+  bid_changed: 409,
+};
+
+const awardError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// What the winner and the other bidders are told, by how the task was won
+const AWARD_MESSAGES = {
+  bid_accepted: {
+    winner: (title) => `Your bid on "${title}" was accepted`,
+    others: (title) => `Another bid was accepted for "${title}"`,
+  },
+  auction_won: {
+    winner: (title) => `Your bid won the auction for "${title}"`,
+    others: (title) => `Another bid won the auction for "${title}"`,
+  },
+  instant_take: {
+    others: (title) => `"${title}" was taken at its instant price`,
+  },
+};
+
+// Assign a task to a bid: hold escrow, accept it and reject the rest, all
+// in one transaction. reason is bid_accepted when the poster picks by
+// hand, auction_won for an automatic award and instant_take when the
+// bidder takes the instant price. Returns the updated task and bid.
+const awardBid = async (
+  io,
+  task,
+  bid,
+  { actorId = null, reason = "bid_accepted" } = {}
+) => {
+  const { rejectedBidders, ...awarded } = await withTransaction(async () => {
+    // Accept the bid only as it was read; an edit, counter-offer or
+    // withdrawal since then moves updatedAt on
+    const acceptedBid = await Bid.findOneAndUpdate(
+      {
+        _id: bid._id,
+        task: task._id,
+        status: "Pending",
+        updatedAt: bid.updatedAt,
+      },
+      {
+        $set: {
+          status: "Accepted",
+          acceptedAt: new Date(),
+          // Accepting a bid settles any counter-offer still on the table
+          ...(bid.negotiation.status === "open"
+            ? { "negotiation.status": "agreed", "negotiation.expiresAt": null }
+            : {}),
+        },
+      },
+      { new: true }
+    );
+
+    if (!acceptedBid) {
+      throw awardError(
+        "bid_changed",
+        "This bid has changed since you loaded it, please refresh and try again"
+      );
+    }
+
+    // Claim the task so two awards can never both go through. The
+    // accepted bid's schedule becomes the task's milestones.
+    const assignedTask = await Task.findOneAndUpdate(
+      { _id: task._id, status: "Open", acceptedBid: null },
+      {
+        $set: {
+          status: "Assigned",
+          assignedTo: acceptedBid.bidder,
+          acceptedBid: acceptedBid._id,
+          ...(acceptedBid.milestones.length > 0
+            ? {
+                milestones: acceptedBid.milestones.map(
+                  ({ title, amount, dueDate }) => ({ title, amount, dueDate })
+                ),
+              }
+            : {}),
+        },
+      },
+      { new: true }
+    );
+
+    if (!assignedTask) {
+      throw awardError("task_taken", "This task has already been assigned");
+    }
+
+    // Hold the bid amount in escrow until the task is completed or
+    // closed; a payment error rolls the award back
+    await holdEscrow(assignedTask, acceptedBid);
+
+    // Reject all other pending bids
+    const rejectedBidders = await Bid.find({
+      task: task._id,
+      status: "Pending",
+    }).distinct("bidder");
+
+    await Bid.updateMany(
+      { task: task._id, status: "Pending" },
+      { status: "Rejected", rejectedAt: new Date() }
+    );
+
+    return { task: assignedTask, bid: acceptedBid, rejectedBidders };
+  });
+
+  // Tell everyone only once the award is committed
+  emitToTask(io, task._id, "bid_accepted", { bidId: bid._id, reason });
+  emitToTask(io, task._id, "task_status_changed", {
+    oldStatus: "Open",
+    newStatus: "Assigned",
+    reason,
+  });
+
+  // The room becomes the chat between poster and assignee
+  await removeTaskRoomOutsiders(io, awarded.task);
+
+  // Notify the winner (or the poster, when the winner took it themselves)
+  // and the losing bidders
+  const messages = AWARD_MESSAGES[reason];
+  if (reason === "instant_take") {
+    await notify(io, {
+      recipient: task.poster,
+      actor: actorId,
+      type: "task_taken",
+      task: task._id,
+      message: `"${task.title}" was taken at your instant price of ₹${bid.amount}`,
+      data: { bidId: bid._id, amount: bid.amount },
+    });
+  } else {
+    await notify(io, {
+      recipient: bid.bidder._id || bid.bidder,
+      actor: actorId,
+      type: "bid_accepted",
+      task: task._id,
+      message: messages.winner(task.title),
+      data: { bidId: bid._id, amount: bid.amount },
+    });
+  }
+  await notifyMany(io, rejectedBidders, {
+    actor: actorId,
+    type: "bid_rejected",
+    task: task._id,
+    message: messages.others(task.title),
+  });
+
+  // Email the winning bidder in the background
+  activityEmails.dispatch(
+    activityEmails.sendBidAccepted(task, bid),
+    "bid accepted"
+  );
+
+  return awarded;
+};
+
+// Lowest pending bid at or under the reserve; ties go to the earliest bid
+const findWinningBid = (task) => {
+  const query = {
+    task: task._id,
+    status: "Pending",
+    isHidden: { $ne: true },
+  };
+  if (task.reservePrice !== null) {
+    query.amount = { $lte: task.reservePrice };
+  }
+
+  return Bid.findOne(query).sort({ amount: 1, createdAt: 1 });
+};
+
+// Stop bidding on a sealed or reverse auction. Sealed bids become visible
+// and the poster picks a winner; reverse auctions award the lowest
+// qualifying bid. Returns null if another worker closed it first.
+const closeAuction = async (io, task) => {
+  // Conditional update so only one worker closes each auction
+  const closed = await Task.findOneAndUpdate(
+    { _id: task._id, status: "Open", auctionClosedAt: null },
+    { auctionClosedAt: new Date() },
+    { new: true }
+  );
+
+  if (!closed) return null;
+
+  emitToTask(io, closed._id, "auction_closed", {
+    auctionType: closed.auctionType,
+  });
+
+  if (closed.auctionType === "reverse") {
+    const winningBid = await findWinningBid(closed);
+
+    if (winningBid) {
+      try {
+        await awardBid(io, closed, winningBid, { reason: "auction_won" });
+        return { task: closed, winningBid };
+      } catch (error) {
+        // Someone took the task at its instant price as the auction closed
+        if (error.code === "task_taken") {
+          return { task: closed, winningBid: null };
+        }
+
+        // The poster can't fund the winning bid; let them choose instead
+        if (PAYMENT_ERROR_STATUS[error.code]) {
+          await notify(io, {
+            recipient: closed.poster,
+            type: "auction_closed",
+            task: closed._id,
+            message: `"${closed.title}" ended but the winning bid couldn't be funded: ${error.message}. Add funds and accept a bid.`,
+            data: { bidId: winningBid._id, amount: winningBid.amount },
+          });
+          return { task: closed, winningBid: null };
+        }
+
+        // The winning bid was withdrawn or edited as the auction closed;
+        // fall through and let the poster pick by hand
+        if (error.code !== "bid_changed") throw error;
+      }
+    }
+  }
+
+  await notify(io, {
+    recipient: closed.poster,
+    type: "auction_closed",
+    task: closed._id,
+    message:
+      closed.auctionType === "sealed"
+        ? `Bidding on "${closed.title}" has closed. Review the sealed bids and pick a winner.`
+        : `"${closed.title}" ended without a qualifying bid. You can still accept a bid by hand.`,
+  });
+
+  return { task: closed, winningBid: null };
+};
+
+module.exports = {
+  AWARD_ERROR_STATUS,
+  awardBid,
+  closeAuction,
+};
@@ -0,0 +1,209 @@
+// server/services/disputeService.js
+const Dispute = require("../models/Dispute");
+const Task = require("../models/Task");
+const { notify, notifyMany } = require("./notificationService");
+const { splitEscrow } = require("./walletService");
+const { withTransaction } = require("./transactionService");
+const { emitToTask } = require("../sockets/events");
+
+// Task statuses a dispute can be opened from
+const DISPUTABLE_STATUSES = ["Assigned", "In-Progress", "Submitted"];
+
+// HTTP status for each way a resolution can lose a race
+const DISPUTE_ERROR_STATUS = {
+  dispute_resolved: 409,
+  task_changed: 409,
+};
+
+const disputeError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Share of the escrow the assignee receives for each outcome
+const ASSIGNEE_SHARE = {
+  refund: 0,
+  release: 100,
+};
+
+const emitStatusChange = (io, task, oldStatus, newStatus, reason) => {
+  emitToTask(io, task._id, "task_status_changed", {
+    oldStatus,
+    newStatus,
+    reason,
+  });
+};
+
+// Open a dispute and freeze the task until a moderator decides it.
+// Returns null if the task left a disputable status in the meantime.
+const openDispute = async (
+  io,
+  task,
+  { user, role, reason, message, evidence }
+) => {
+  const oldStatus = task.status;
+
+  // Conditional update so a concurrent completion or close wins cleanly
+  const frozen = await Task.findOneAndUpdate(
+    { _id: task._id, status: { $in: DISPUTABLE_STATUSES } },
+    { status: "Disputed" },
+    { new: true }
+  );
+
+  if (!frozen) {
+    return null;
+  }
+
+  const against = role === "poster" ? task.assignedTo : task.poster;
+
+  let dispute;
+  try {
+    dispute = await Dispute.create({
+      task: task._id,
+      openedBy: user._id,
+      against,
+      reason,
+      taskStatus: oldStatus,
+      statements: [{ author: user._id, role, message, evidence }],
+    });
+  } catch (error) {
+    // Put the task back if the dispute couldn't be recorded
+    await Task.updateOne(
+      { _id: task._id, status: "Disputed" },
+      { status: oldStatus }
+    );
+    throw error;
+  }
+
+  emitStatusChange(io, task, oldStatus, "Disputed", "dispute_opened");
+
+  await notify(io, {
+    recipient: against,
+    actor: user._id,
+    type: "dispute_opened",
+    task: task._id,
+    message: `A dispute was opened on "${task.title}". Add your side before a moderator decides.`,
+    data: { disputeId: dispute._id, reason },
+  });
+
+  return dispute;
+};
+
+// Add a statement to the thread and let the other side know
+const addStatement = async (
+  io,
+  dispute,
+  task,
+  { user, role, message, evidence }
+) => {
+  dispute.statements.push({ author: user._id, role, message, evidence });
+  await dispute.save();
+
+  const recipients = [dispute.openedBy, dispute.against].filter(
+    (party) => party.toString() !== user._id.toString()
+  );
+
+  await notifyMany(io, recipients, {
+    actor: user._id,
+    type: "dispute_updated",
+    task: task._id,
+    message: `New statement in the dispute on "${task.title}"`,
+    data: { disputeId: dispute._id },
+  });
+
+  return dispute;
+};
+
+// Settle the escrow as decided and close the dispute. Refunds close the
+// task; releases and splits count it as completed. The dispute, the task
+// and the escrow change together, so two moderators resolving at once
+// can't both pay out.
+const resolveDispute = async (
+  io,
+  dispute,
+  { outcome, assigneeShare, note, moderatorId }
+) => {
+  const share = ASSIGNEE_SHARE[outcome] ?? assigneeShare;
+  const newStatus = outcome === "refund" ? "Closed" : "Completed";
+
+  const resolved = await withTransaction(async () => {
+    // Claim the dispute; a second resolution finds it already resolved
+    const claimed = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: "open" },
+      { status: "resolved" },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw disputeError(
+        "dispute_resolved",
+        "Dispute has already been resolved"
+      );
+    }
+
+    const task = await Task.findOneAndUpdate(
+      { _id: claimed.task, status: "Disputed" },
+      newStatus === "Completed"
+        ? { status: newStatus, completionDate: new Date() }
+        : { status: newStatus },
+      { new: true }
+    );
+
+    if (!task) {
+      throw disputeError(
+        "task_changed",
+        "This task has changed, please refresh and try again"
+      );
+    }
+
+    const { released, refunded } = await splitEscrow(
+      task,
+      share,
+      `Dispute settlement for "${task.title}"`
+    );
+
+    claimed.resolution = {
+      outcome,
+      assigneeShare: share,
+      note: note || null,
+      released,
+      refunded,
+      moderator: moderatorId,
+      resolvedAt: new Date(),
+    };
+    if (note) {
+      claimed.statements.push({
+        author: moderatorId,
+        role: "moderator",
+        message: note,
+      });
+    }
+    await claimed.save();
+
+    return { dispute: claimed, task };
+  });
+
+  const { task } = resolved;
+  const { released, refunded } = resolved.dispute.resolution;
+
+  emitStatusChange(io, task, "Disputed", newStatus, "dispute_resolved");
+
+  await notifyMany(io, [task.poster, task.assignedTo], {
+    actor: moderatorId,
+    type: "dispute_resolved",
+    task: task._id,
+    message: `The dispute on "${task.title}" was resolved: ₹${released} to the assignee, ₹${refunded} refunded to the poster`,
+    data: { disputeId: dispute._id, outcome, released, refunded },
+  });
+
+  return resolved;
+};
+
+module.exports = {
+  DISPUTABLE_STATUSES,
+  DISPUTE_ERROR_STATUS,
+  openDispute,
+  addStatement,
+  resolveDispute,
+};
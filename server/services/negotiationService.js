@@ -0,0 +1,205 @@
+// server/services/negotiationService.js
+const Bid = require("../models/Bid");
+const { notify } = require("./notificationService");
+const { emitToUsers } = require("../sockets/events");
+
+// How many counter-offers a poster can make on one bid
+const MAX_NEGOTIATION_ROUNDS =
+  parseInt(process.env.MAX_NEGOTIATION_ROUNDS, 10) || 3;
+
+// How long the other side has to answer an offer
+const COUNTER_OFFER_HOURS = parseInt(process.env.COUNTER_OFFER_HOURS, 10) || 48;
+
+const getPartyId = (value) => value._id || value;
+
+// Send the new negotiation state to both parties. Only they hear about it,
+// so sealed bids stay hidden from the rest of the task room.
+const emitNegotiation = (io, bid, posterId) => {
+  emitToUsers(
+    io,
+    [posterId, getPartyId(bid.bidder)],
+    "bid_negotiation_updated",
+    {
+      taskId: getPartyId(bid.task),
+      bidId: bid._id,
+      amount: bid.amount,
+      proposedTimeline: bid.proposedTimeline,
+      negotiation: bid.negotiation,
+    }
+  );
+};
+
+// Only act on the thread as it was read; the offer count doubles as a
+// version so two answers to the same offer can't both land
+const threadFilter = (bid) => ({
+  _id: bid._id,
+  status: "Pending",
+  "negotiation.offers": { $size: bid.negotiation.offers.length },
+});
+
+// Terms that replace the bidder's standing offer
+const toBidTerms = (bid, offer) => ({
+  amount: offer.amount,
+  proposedTimeline: offer.proposedTimeline || bid.proposedTimeline,
+  milestones: Bid.scaleMilestones(bid.milestones, offer.amount),
+});
+
+// Post a counter-offer from the poster or the bidder. The first poster
+// offer records the original bid so the history is complete. Returns null
+// if the thread moved on since it was read.
+const makeOffer = async (io, bid, task, { from, ...terms }) => {
+  const offers = [];
+  if (from === "poster" && bid.negotiation.offers.length === 0) {
+    offers.push({
+      from: "bidder",
+      amount: bid.amount,
+      proposedTimeline: bid.proposedTimeline,
+      createdAt: bid.createdAt,
+    });
+  }
+  offers.push({ from, ...terms, createdAt: new Date() });
+
+  const update = {
+    $push: { "negotiation.offers": { $each: offers } },
+    $set: {
+      "negotiation.status": "open",
+      "negotiation.expiresAt": new Date(
+        Date.now() + COUNTER_OFFER_HOURS * 60 * 60 * 1000
+      ),
+      // A bidder's counter is their new standing offer
+      ...(from === "bidder" ? toBidTerms(bid, terms) : {}),
+      updatedAt: new Date(),
+    },
+  };
+
+  // Timestamps are set by hand so the original bid keeps its own date
+  const updated = await Bid.findOneAndUpdate(threadFilter(bid), update, {
+    new: true,
+    runValidators: true,
+    timestamps: false,
+  });
+
+  if (!updated) return null;
+
+  emitNegotiation(io, updated, task.poster);
+
+  await notify(io, {
+    recipient: from === "poster" ? updated.bidder : task.poster,
+    actor: from === "poster" ? task.poster : updated.bidder,
+    type: "counter_offer",
+    task: task._id,
+    message:
+      from === "poster"
+        ? `The poster of "${task.title}" countered your bid with ₹${terms.amount}`
+        : `Your counter-offer on "${task.title}" was answered with ₹${terms.amount}`,
+    data: { bidId: updated._id, amount: terms.amount },
+  });
+
+  return updated;
+};
+
+// Bidder agrees to the poster's latest offer; it becomes the bid's terms
+// and the poster can accept the bid as usual
+const acceptOffer = async (io, bid, task) => {
+  const offers = bid.negotiation.offers;
+  const offer = offers[offers.length - 1];
+
+  const updated = await Bid.findOneAndUpdate(
+    threadFilter(bid),
+    {
+      $set: {
+        ...toBidTerms(bid, offer),
+        "negotiation.status": "agreed",
+        "negotiation.expiresAt": null,
+      },
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) return null;
+
+  emitNegotiation(io, updated, task.poster);
+
+  await notify(io, {
+    recipient: task.poster,
+    actor: updated.bidder,
+    type: "counter_offer_accepted",
+    task: task._id,
+    message: `Your counter-offer of ₹${offer.amount} on "${task.title}" was accepted. Accept the bid to assign the task.`,
+    data: { bidId: updated._id, amount: offer.amount },
+  });
+
+  return updated;
+};
+
+// Turn down the latest offer; the bid keeps the bidder's standing terms
+const declineOffer = async (io, bid, task, role) => {
+  const updated = await Bid.findOneAndUpdate(
+    threadFilter(bid),
+    {
+      $set: {
+        "negotiation.status": "declined",
+        "negotiation.expiresAt": null,
+      },
+    },
+    { new: true }
+  );
+
+  if (!updated) return null;
+
+  emitNegotiation(io, updated, task.poster);
+
+  await notify(io, {
+    recipient: role === "bidder" ? task.poster : updated.bidder,
+    actor: role === "bidder" ? updated.bidder : task.poster,
+    type: "counter_offer_declined",
+    task: task._id,
+    message: `Your counter-offer on "${task.title}" was declined`,
+    data: { bidId: updated._id },
+  });
+
+  return updated;
+};
+
+// Let an unanswered offer lapse. Returns null if it was answered first.
+const expireOffer = async (io, bid, task) => {
+  const updated = await Bid.findOneAndUpdate(
+    {
+      ...threadFilter(bid),
+      "negotiation.status": "open",
+      "negotiation.expiresAt": { $lte: new Date() },
+    },
+    {
+      $set: {
+        "negotiation.status": "expired",
+        "negotiation.expiresAt": null,
+      },
+    },
+    { new: true }
+  );
+
+  if (!updated) return null;
+
+  emitNegotiation(io, updated, task.poster);
+
+  const offers = updated.negotiation.offers;
+  const lastOffer = offers[offers.length - 1];
+  await notify(io, {
+    recipient: lastOffer.from === "poster" ? task.poster : updated.bidder,
+    type: "counter_offer_expired",
+    task: task._id,
+    message: `Your counter-offer of ₹${lastOffer.amount} on "${task.title}" expired without an answer`,
+    data: { bidId: updated._id, amount: lastOffer.amount },
+  });
+
+  return updated;
+};
+
+module.exports = {
+  MAX_NEGOTIATION_ROUNDS,
+  COUNTER_OFFER_HOURS,
+  makeOffer,
+  acceptOffer,
+  declineOffer,
+  expireOffer,
+};
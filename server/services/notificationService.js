@@ -0,0 +1,51 @@
+// server/services/notificationService.js
+const Notification = require("../models/Notification");
+const { emitToUsers } = require("../sockets/events");
+
+// Push the latest unread count to every socket of a user
+const emitUnreadCount = async (io, userId) => {
+  if (!io) return;
+  const count = await Notification.getUnreadCount(userId);
+  emitToUsers(io, userId, "unread_count", { count });
+};
+
+// Persist a notification and deliver it to the recipient in real time.
+// Failures are logged, never thrown, so callers can fire and forget.
+const notify = async (
+  io,
+  { recipient, type, message, task = null, actor = null, data = {} }
+) => {
+  try {
+    const notification = await Notification.create({
+      recipient,
+      type,
+      message,
+      task,
+      actor,
+      data,
+    });
+
+    if (io) {
+      emitToUsers(io, recipient, "notification", { notification });
+      await emitUnreadCount(io, recipient);
+    }
+
+    return notification;
+  } catch (error) {
+    console.error(`🔔 Failed to create ${type} notification:`, error);
+    return null;
+  }
+};
+
+// Send the same notification to several recipients
+const notifyMany = (io, recipients, notification) => {
+  return Promise.all(
+    recipients.map((recipient) => notify(io, { ...notification, recipient }))
+  );
+};
+
+module.exports = {
+  notify,
+  notifyMany,
+  emitUnreadCount,
+};
@@ -0,0 +1,32 @@
+// server/services/payments/index.js
+const mockProvider = require("./mockProvider");
+
+// Payment gateways by name. Each exposes createCustomer, charge and payout,
+// with amounts in minor currency units. payout takes an idempotencyKey so
+// a repeated call pays out once.
+const PROVIDERS = {
+  mock: mockProvider,
+};
+
+// The gateway selected by PAYMENT_PROVIDER. Outside production it falls
+// back to the mock one; production has to name its gateway.
+const getPaymentProvider = () => {
+  const isProduction = process.env.NODE_ENV === "production";
+
+  if (!process.env.PAYMENT_PROVIDER && isProduction) {
+    throw new Error("PAYMENT_PROVIDER must be set in production");
+  }
+
+  const name = process.env.PAYMENT_PROVIDER || "mock";
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getPaymentProvider,
+};
@@ -0,0 +1,50 @@
+// server/services/payments/mockProvider.js
+const crypto = require("crypto");
+
+// Test source that is always declined, to exercise failure paths locally
+const DECLINED_SOURCE = "tok_declined";
+
+const reference = (prefix) =>
+  `mock_${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+
+// Payouts already made, by idempotency key
+const payouts = new Map();
+
+// Stand-in payment gateway for local development. Charges and payouts
+// settle instantly and nothing leaves the machine.
+const mockProvider = {
+  name: "mock",
+
+  async createCustomer({ userId }) {
+    return { id: reference(`cus_${userId}`) };
+  },
+
+  async charge({ amount, currency, source }) {
+    if (source === DECLINED_SOURCE) {
+      const error = new Error("Your payment method was declined");
+      error.code = "payment_declined";
+      throw error;
+    }
+
+    console.log(`💳 [mock] Charged ${amount} ${currency}`);
+    return { id: reference("ch"), status: "succeeded", amount, currency };
+  },
+
+  // A repeat with the same idempotency key returns the first payout, as
+  // real gateways do, instead of paying again
+  async payout({ amount, currency, idempotencyKey }) {
+    if (idempotencyKey && payouts.has(idempotencyKey)) {
+      return payouts.get(idempotencyKey);
+    }
+
+    console.log(`💳 [mock] Paid out ${amount} ${currency}`);
+    const payout = { id: reference("po"), status: "paid", amount, currency };
+
+    if (idempotencyKey) {
+      payouts.set(idempotencyKey, payout);
+    }
+    return payout;
+  },
+};
+
+module.exports = mockProvider;
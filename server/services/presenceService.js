@@ -0,0 +1,128 @@
+// server/services/presenceService.js
+const User = require("../models/User");
+const Task = require("../models/Task");
+const Message = require("../models/Message");
+const Block = require("../models/Block");
+const { emitToUsers } = require("../sockets/events");
+
+// Online means at least one socket (tab or device) in the user's personal
+// room. fetchSockets() asks every server through the Socket.IO adapter, so
+// this holds when the app runs on more than one process.
+const isOnline = async (io, userId) => {
+  if (!io) return false;
+  const sockets = await io.in(`user_${userId}`).fetchSockets();
+  return sockets.length > 0;
+};
+
+// Everyone a user shares an assigned task or a conversation with, minus
+// anyone either of them has blocked
+const getContactIds = async (userId) => {
+  const [tasks, receivers, senders, blockedIds] = await Promise.all([
+    Task.find({
+      $or: [
+        { poster: userId, assignedTo: { $ne: null } },
+        { assignedTo: userId },
+      ],
+    }).select("poster assignedTo"),
+    Message.distinct("receiver", { sender: userId }),
+    Message.distinct("sender", { receiver: userId }),
+    Block.getBlockedIds(userId),
+  ]);
+
+  const contactIds = new Set(
+    [
+      ...tasks.flatMap((task) => [task.poster, task.assignedTo]),
+      ...receivers,
+      ...senders,
+    ].map((id) => id.toString())
+  );
+
+  contactIds.delete(userId.toString());
+  blockedIds.forEach((id) => contactIds.delete(id.toString()));
+
+  return [...contactIds];
+};
+
+// Tell a user's contacts that they came online or went offline. Skipped
+// if that changed again while the contacts were looked up.
+const notifyContacts = async (io, userId, online, data = {}) => {
+  const contactIds = await getContactIds(userId);
+
+  if ((await isOnline(io, userId)) !== online || contactIds.length === 0) {
+    return;
+  }
+
+  const type = online ? "user_online" : "user_offline";
+  emitToUsers(io, contactIds, type, { userId, ...data });
+};
+
+// Called once a socket has joined the user's room. The stored flag flips
+// once however many tabs connect at the same time, so contacts are told
+// exactly once.
+const connect = async (io, userId) => {
+  try {
+    const { modifiedCount } = await User.updateOne(
+      { _id: userId, isOnline: { $ne: true } },
+      { $set: { isOnline: true } }
+    );
+
+    if (modifiedCount === 0) return;
+
+    await notifyContacts(io, userId, true);
+  } catch (error) {
+    console.error("Presence connect error:", error);
+  }
+};
+
+// Called once a socket has left; closing the last one records when the
+// user was last seen
+const disconnect = async (io, userId) => {
+  try {
+    if (await isOnline(io, userId)) return;
+
+    const lastSeen = new Date();
+    const before = await User.findOneAndUpdate(
+      { _id: userId },
+      { $set: { isOnline: false, lastSeen } }
+    ).select("+isOnline");
+
+    // A tab that connected while we cleared the flag keeps the user online
+    if (await isOnline(io, userId)) {
+      await User.updateOne({ _id: userId }, { $set: { isOnline: true } });
+      return;
+    }
+
+    if (!before || !before.isOnline) return;
+
+    // Nothing is sent if a quick reconnect (page reload) beat us here
+    await notifyContacts(io, userId, false, {
+      lastSeen: lastSeen.toISOString(),
+    });
+  } catch (error) {
+    console.error("Presence disconnect error:", error);
+  }
+};
+
+// Online state and last-seen time for a list of users
+const getPresence = async (io, userIds) => {
+  const users = await User.find({
+    _id: { $in: userIds },
+    isActive: true,
+  }).select("lastSeen");
+
+  return Promise.all(
+    users.map(async (user) => ({
+      userId: user._id,
+      isOnline: await isOnline(io, user._id),
+      lastSeen: user.lastSeen,
+    }))
+  );
+};
+
+module.exports = {
+  isOnline,
+  getContactIds,
+  connect,
+  disconnect,
+  getPresence,
+};
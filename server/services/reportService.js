@@ -0,0 +1,186 @@
+// server/services/reportService.js
+const Report = require("../models/Report");
+const Task = require("../models/Task");
+const Bid = require("../models/Bid");
+const Message = require("../models/Message");
+const User = require("../models/User");
+const { notify, notifyMany } = require("./notificationService");
+const { emitToTask } = require("../sockets/events");
+
+// Distinct reporters needed before a target is hidden pending review
+const REPORT_HIDE_THRESHOLD =
+  parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 3;
+
+const TARGET_MODELS = {
+  task: Task,
+  bid: Bid,
+  message: Message,
+  user: User,
+};
+
+// How each target type is described to users
+const TARGET_LABELS = {
+  task: "task",
+  bid: "bid",
+  message: "message",
+  user: "profile",
+};
+
+// Load a report target along with what's needed to check access to it
+const loadTarget = (targetType, targetId) => {
+  const query = TARGET_MODELS[targetType].findById(targetId);
+
+  if (targetType === "bid") {
+    query.populate("task");
+  }
+
+  return query;
+};
+
+// The user responsible for a target
+const getTargetOwner = (targetType, target) => {
+  switch (targetType) {
+    case "task":
+      return target.poster;
+    case "bid":
+      return target.bidder;
+    case "message":
+      return target.sender;
+    default:
+      return target._id;
+  }
+};
+
+// Explain why a user can't report a target, or return null if they can
+const getReportBlocker = (user, targetType, target) => {
+  const owner = getTargetOwner(targetType, target);
+
+  if (owner && owner.toString() === user.id) {
+    return `You can't report your own ${TARGET_LABELS[targetType]}`;
+  }
+
+  switch (targetType) {
+    case "task":
+      return target.isVisibleTo(user) ? null : "Task not found";
+    case "bid":
+      return target.task && target.task.isVisibleTo(user)
+        ? null
+        : "Bid not found";
+    case "message":
+      // Only the two people in a conversation ever see its messages
+      return target.receiver.toString() === user.id
+        ? null
+        : "Message not found";
+    default:
+      return target.isActive ? null : "User not found";
+  }
+};
+
+// Hide or restore a target; hidden messages leave open chats immediately
+const setTargetHidden = async (io, targetType, target, isHidden) => {
+  const updated = await TARGET_MODELS[targetType].findOneAndUpdate(
+    { _id: target, isHidden: { $ne: isHidden } },
+    { isHidden },
+    { new: true }
+  );
+
+  if (updated && isHidden && targetType === "message") {
+    emitToTask(io, updated.task, "message_deleted", {
+      messageId: updated._id,
+    });
+  }
+
+  return updated;
+};
+
+// Hide a target once enough users have reported it
+const applyReportThreshold = async (io, report) => {
+  const pending = await Report.countPending(report.targetType, report.target);
+
+  if (pending < REPORT_HIDE_THRESHOLD) {
+    return false;
+  }
+
+  const hidden = await setTargetHidden(
+    io,
+    report.targetType,
+    report.target,
+    true
+  );
+
+  if (hidden && report.targetOwner) {
+    console.log(
+      `🛡️ ${report.targetType} ${report.target} hidden after ${pending} reports`
+    );
+
+    await notify(io, {
+      recipient: report.targetOwner,
+      type: "system",
+      task: report.targetType === "task" ? report.target : null,
+      message: `Your ${TARGET_LABELS[report.targetType]} was hidden after several reports and is waiting for moderator review`,
+      data: { targetType: report.targetType, targetId: report.target },
+    });
+  }
+
+  return !!hidden;
+};
+
+// Close every open report on the same target with one outcome. Resolving
+// upholds the reports and keeps the target hidden; dismissing restores it.
+const reviewReports = async (io, report, { outcome, note, moderatorId }) => {
+  const openReports = await Report.find({
+    targetType: report.targetType,
+    target: report.target,
+    status: "pending",
+  }).select("reporter");
+
+  await Report.updateMany(
+    { _id: { $in: openReports.map((item) => item._id) } },
+    {
+      status: outcome,
+      review: {
+        note: note || null,
+        moderator: moderatorId,
+        reviewedAt: new Date(),
+      },
+    }
+  );
+
+  await setTargetHidden(
+    io,
+    report.targetType,
+    report.target,
+    outcome === "resolved"
+  );
+
+  const label = TARGET_LABELS[report.targetType];
+  await notifyMany(
+    io,
+    openReports.map((item) => item.reporter),
+    {
+      actor: moderatorId,
+      type: "report_reviewed",
+      message:
+        outcome === "resolved"
+          ? `Thanks for your report. A moderator reviewed the ${label} and took action.`
+          : `A moderator reviewed the ${label} you reported and found no violation.`,
+      data: {
+        targetType: report.targetType,
+        targetId: report.target,
+        outcome,
+      },
+    }
+  );
+
+  return openReports.length;
+};
+
+module.exports = {
+  REPORT_HIDE_THRESHOLD,
+  TARGET_LABELS,
+  loadTarget,
+  getTargetOwner,
+  getReportBlocker,
+  applyReportThreshold,
+  reviewReports,
+};
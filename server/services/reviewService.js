@@ -0,0 +1,126 @@
+// server/services/reviewService.js
+const Review = require("../models/Review");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const activityEmails = require("../mail/activityEmails");
+const { notify } = require("./notificationService");
+
+// How long both sides have to review after completion, before reveal
+const REVIEW_WINDOW_DAYS = parseInt(process.env.REVIEW_WINDOW_DAYS, 10) || 14;
+
+const getReviewDeadline = (task) =>
+  new Date(
+    new Date(task.completionDate || task.updatedAt).getTime() +
+      REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000
+  );
+
+// Whether a task can still be reviewed by its poster and assignee
+const isReviewWindowOpen = (task) =>
+  task.status === "Completed" && getReviewDeadline(task) > new Date();
+
+// Recompute a user's cached rating from their revealed reviews
+const refreshUserRating = async (userId) => {
+  const [user, summary] = await Promise.all([
+    User.findById(userId),
+    Review.getRatingSummary(userId),
+  ]);
+
+  if (!user) return null;
+
+  user.applyRatingSummary(summary);
+  await user.save({ validateBeforeSave: false });
+  return summary;
+};
+
+// Show every hidden review on a task and update both parties' ratings.
+// The reveal is one conditional update, so when two callers race only the
+// one that changed something sends the notifications.
+const revealReviews = async (io, taskId) => {
+  const revealedAt = new Date();
+  const { modifiedCount } = await Review.updateMany(
+    { task: taskId, isRevealed: false },
+    { isRevealed: true, revealedAt }
+  );
+
+  if (modifiedCount === 0) return 0;
+
+  const revealed = await Review.find({ task: taskId, revealedAt });
+  const task = await Task.findById(taskId).select("title");
+  const rating = {};
+
+  for (const review of revealed) {
+    await refreshUserRating(review.reviewee);
+
+    // Mirror the scores onto the task for older views of it
+    if (review.reviewerRole === "poster") {
+      rating["rating.bidderRating"] = Math.round(review.overall);
+      rating["rating.review"] = review.comment;
+    } else {
+      rating["rating.taskRating"] = Math.round(review.overall);
+    }
+
+    await notify(io, {
+      recipient: review.reviewee,
+      actor: review.reviewer,
+      type: "review_revealed",
+      task: taskId,
+      message: `Your review for "${task.title}" is now visible`,
+      data: { reviewId: review._id, overall: review.overall },
+    });
+
+    activityEmails.dispatch(
+      activityEmails.sendReviewRevealed(review),
+      "review revealed"
+    );
+  }
+
+  await Task.updateOne({ _id: taskId }, { $set: rating });
+
+  return modifiedCount;
+};
+
+// Record one side's review; the second review reveals both
+const submitReview = async (io, task, { reviewer, role, scores, comment }) => {
+  const reviewee = role === "poster" ? task.assignedTo : task.poster;
+
+  const review = await Review.create({
+    task: task._id,
+    reviewer: reviewer._id,
+    reviewee,
+    reviewerRole: role,
+    scores,
+    comment,
+    revealAt: getReviewDeadline(task),
+  });
+
+  // Each side saves its review before looking for the other's, so of two
+  // reviews submitted at once at least one sees the other and reveals
+  const otherReview = await Review.exists({
+    task: task._id,
+    reviewer: reviewee,
+  });
+
+  if (otherReview) {
+    await revealReviews(io, task._id);
+  } else {
+    await notify(io, {
+      recipient: reviewee,
+      actor: reviewer._id,
+      type: "review_received",
+      task: task._id,
+      message: `${reviewer.firstName} reviewed you on "${task.title}". Leave your review to see theirs.`,
+      data: { reviewId: review._id },
+    });
+  }
+
+  return Review.findById(review._id);
+};
+
+module.exports = {
+  REVIEW_WINDOW_DAYS,
+  getReviewDeadline,
+  isReviewWindowOpen,
+  refreshUserRating,
+  revealReviews,
+  submitReview,
+};
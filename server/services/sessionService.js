@@ -0,0 +1,295 @@
+// server/services/sessionService.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const { emitEvent } = require("../sockets/events");
+
+const DEFAULT_ACCESS_TOKEN_EXPIRE = "15m";
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+const REUSE_GRACE_PERIOD = 10 * 1000; // Parallel refreshes from two tabs
+
+const getRefreshSecret = () =>
+  process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+const getRefreshTokenLifetime = () =>
+  (parseInt(process.env.REFRESH_TOKEN_DAYS, 10) ||
+    DEFAULT_REFRESH_TOKEN_DAYS) *
+  24 *
+  60 *
+  60 *
+  1000;
+
+// Refresh tokens are stored hashed so a database leak cannot mint sessions
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Device details shown on the sessions page
+const getClientInfo = (req) => ({
+  userAgent: (req.get("user-agent") || "").substring(0, 500),
+  ipAddress: req.ip || "",
+});
+
+// Short-lived access token tied to a session
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || DEFAULT_ACCESS_TOKEN_EXPIRE,
+  });
+};
+
+// Single-use refresh token; the random jti makes every rotation unique
+const signRefreshToken = (userId, sessionId, expiresAt) => {
+  return jwt.sign(
+    {
+      id: userId,
+      sid: sessionId,
+      typ: "refresh",
+      jti: crypto.randomBytes(16).toString("hex"),
+    },
+    getRefreshSecret(),
+    { expiresIn: Math.floor((expiresAt.getTime() - Date.now()) / 1000) }
+  );
+};
+
+// Start a new session (token family) for a user
+const createSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const expiresAt = new Date(Date.now() + getRefreshTokenLifetime());
+  const refreshToken = signRefreshToken(user._id, sessionId, expiresAt);
+
+  const session = await Session.create({
+    _id: sessionId,
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt,
+    ...getClientInfo(req),
+  });
+
+  return {
+    session,
+    accessToken: signAccessToken(user._id, sessionId),
+    refreshToken,
+  };
+};
+
+// Exchange a refresh token for a new access/refresh pair.
+// Returns { status } of "rotated", "grace", "reused" or "invalid".
+const rotateSession = async (refreshToken, req) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(refreshToken, getRefreshSecret());
+  } catch (error) {
+    return { status: "invalid" };
+  }
+
+  if (decoded.typ !== "refresh" || !mongoose.isValidObjectId(decoded.sid)) {
+    return { status: "invalid" };
+  }
+
+  const now = new Date();
+  const tokenHash = hashToken(refreshToken);
+  const expiresAt = new Date(now.getTime() + getRefreshTokenLifetime());
+  const nextRefreshToken = signRefreshToken(decoded.id, decoded.sid, expiresAt);
+
+  // Conditional update: only the current token of an active session rotates
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: decoded.sid,
+      tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        tokenHash: hashToken(nextRefreshToken),
+        previousTokenHash: tokenHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt,
+        ...getClientInfo(req),
+      },
+      $inc: { rotationCount: 1 },
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return {
+      status: "rotated",
+      session,
+      accessToken: signAccessToken(session.user, session._id),
+      refreshToken: nextRefreshToken,
+    };
+  }
+
+  const existing = await Session.findById(decoded.sid).select(
+    "+previousTokenHash"
+  );
+
+  if (!existing || !existing.isActive()) {
+    return { status: "invalid" };
+  }
+
+  // The same token was rotated moments ago by a parallel request
+  if (
+    existing.previousTokenHash === tokenHash &&
+    existing.rotatedAt &&
+    now - existing.rotatedAt < REUSE_GRACE_PERIOD
+  ) {
+    return {
+      status: "grace",
+      session: existing,
+      accessToken: signAccessToken(existing.user, existing._id),
+    };
+  }
+
+  // An already-rotated token came back: assume it was stolen
+  await existing.revoke("token_reuse");
+  console.warn(
+    `🚨 Refresh token reuse detected for user ${existing.user}, session ${existing._id} revoked`
+  );
+
+  return { status: "reused", session: existing };
+};
+
+// Give an active session a new token pair, e.g. after a password change.
+// Unlike rotation the old refresh token gets no grace period, so replaying
+// it is treated as reuse. Returns null if the session is no longer active.
+const renewSession = async (user, sessionId, req) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + getRefreshTokenLifetime());
+  const refreshToken = signRefreshToken(user._id, sessionId, expiresAt);
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        tokenHash: hashToken(refreshToken),
+        previousTokenHash: null,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt,
+        ...getClientInfo(req),
+      },
+      $inc: { rotationCount: 1 },
+    },
+    { new: true }
+  );
+
+  if (!session) return null;
+
+  return {
+    session,
+    accessToken: signAccessToken(user._id, session._id),
+    refreshToken,
+  };
+};
+
+// Verify an access token and make sure its session is still live
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.typ === "refresh" || !decoded.sid) {
+    throw new Error("Invalid token type");
+  }
+
+  const isActive = await Session.isActiveSession(decoded.sid);
+  if (!isActive) {
+    throw new Error("Session has been revoked");
+  }
+
+  return decoded;
+};
+
+// Revoke a single session
+const revokeSession = (sessionId, reason) => {
+  return Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Disconnect live sockets of a user (optionally only those of one session,
+// or all but the sockets of the session passed as except)
+const disconnectSessionSockets = async (
+  io,
+  userId,
+  sessionId = null,
+  { except = null } = {}
+) => {
+  if (!io) return 0;
+
+  const sockets = await io.in(`user_${userId}`).fetchSockets();
+  const targets = sockets.filter(
+    (socket) =>
+      (!sessionId || socket.data.sessionId === String(sessionId)) &&
+      (!except || socket.data.sessionId !== String(except))
+  );
+
+  targets.forEach((socket) => {
+    emitEvent(socket, "session_revoked", {
+      sessionId: socket.data.sessionId,
+    });
+    socket.disconnect(true);
+  });
+
+  return targets.length;
+};
+
+// Human readable browser and OS from a user agent string
+const describeDevice = (userAgent = "") => {
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+  ];
+  const systems = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X|Macintosh/],
+    ["Linux", /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return "Unknown device";
+  }
+
+  return [browser && browser[0], system && system[0]]
+    .filter(Boolean)
+    .join(" on ");
+};
+
+// Shape a session for the sessions page
+const formatSession = (session, currentSessionId) => ({
+  _id: session._id,
+  device: describeDevice(session.userAgent),
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  lastUsedAt: session.lastUsedAt,
+  createdAt: session.createdAt,
+  expiresAt: session.expiresAt,
+  isCurrent: String(session._id) === String(currentSessionId),
+});
+
+module.exports = {
+  createSession,
+  rotateSession,
+  renewSession,
+  verifyAccessToken,
+  revokeSession,
+  disconnectSessionSockets,
+  formatSession,
+  hashToken,
+};
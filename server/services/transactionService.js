@@ -0,0 +1,16 @@
+// server/services/transactionService.js
+const mongoose = require("mongoose");
+
+// Queries run inside a transaction join its session on their own, so
+// services don't have to pass one around
+mongoose.set("transactionAsyncLocalStorage", true);
+
+// Run fn in a transaction and return its result. Everything fn writes is
+// committed together or not at all. If another transaction writes the
+// same documents first, fn is retried from the start so its preconditions
+// are checked again. Needs MongoDB running as a replica set.
+const withTransaction = (fn) => mongoose.connection.transaction(() => fn());
+
+module.exports = {
+  withTransaction,
+};
@@ -0,0 +1,357 @@
+// server/services/walletService.js
+const crypto = require("crypto");
+const Wallet = require("../models/Wallet");
+const LedgerEntry = require("../models/LedgerEntry");
+const Job = require("../models/Job");
+const Task = require("../models/Task");
+const { getPaymentProvider } = require("./payments");
+const { withTransaction } = require("./transactionService");
+
+// Amounts cross the API in rupees; the ledger stores paise
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+const toRupees = (paise) => paise / 100;
+
+const EXTERNAL_ACCOUNT = { account: "external" };
+const walletAccount = (wallet) => ({ account: "wallet", wallet: wallet._id });
+const escrowAccount = (taskId) => ({ account: "escrow", task: taskId });
+const payoutAccount = (wallet) => ({ account: "payout", wallet: wallet._id });
+
+// How long the scheduler waits before retrying a payout that wasn't settled
+// right after its withdrawal committed
+const PAYOUT_RETRY_DELAY = 60 * 1000;
+
+// Payment failures the client can act on, by error code
+const PAYMENT_ERROR_STATUS = {
+  insufficient_funds: 400,
+  insufficient_escrow: 400,
+  payment_declined: 402,
+};
+
+const walletError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Record a transfer as one balanced journal: a debit on `from` and an
+// equal credit on `to`
+const transfer = async ({
+  type,
+  from,
+  to,
+  amount,
+  task = null,
+  description = "",
+  providerRef = null,
+  settles = null,
+}) => {
+  const shared = {
+    journal: crypto.randomUUID(),
+    type,
+    amount,
+    description,
+    providerRef,
+    settles,
+  };
+
+  await LedgerEntry.insertMany([
+    { task, ...from, ...shared, direction: "debit" },
+    { task, ...to, ...shared, direction: "credit" },
+  ]);
+
+  return shared.journal;
+};
+
+// Wallet balance plus money held in escrow on either side of a task
+const getWalletSummary = async (userId) => {
+  const wallet = await Wallet.forUser(userId);
+
+  const [balance, postedTasks, assignedTasks] = await Promise.all([
+    wallet.getBalance(),
+    Task.find({ poster: userId }).distinct("_id"),
+    Task.find({ assignedTo: userId }).distinct("_id"),
+  ]);
+
+  const [heldForOthers, heldForMe] = await Promise.all([
+    LedgerEntry.getBalance({ account: "escrow", task: { $in: postedTasks } }),
+    LedgerEntry.getBalance({ account: "escrow", task: { $in: assignedTasks } }),
+  ]);
+
+  return {
+    wallet,
+    currency: wallet.currency,
+    balance: toRupees(balance),
+    escrow: {
+      held: toRupees(heldForOthers),
+      incoming: toRupees(heldForMe),
+    },
+  };
+};
+
+// Add funds to a wallet through the payment provider
+const deposit = async (userId, amount, source) => {
+  const provider = getPaymentProvider();
+  const wallet = await Wallet.forUser(userId);
+  const paise = toPaise(amount);
+
+  if (!wallet.providerCustomerId) {
+    const customer = await provider.createCustomer({ userId });
+    wallet.providerCustomerId = customer.id;
+    await wallet.save();
+  }
+
+  const charge = await provider.charge({
+    amount: paise,
+    currency: wallet.currency,
+    customer: wallet.providerCustomerId,
+    source,
+  });
+
+  await transfer({
+    type: "deposit",
+    from: EXTERNAL_ACCOUNT,
+    to: walletAccount(wallet),
+    amount: paise,
+    description: "Wallet top-up",
+    providerRef: charge.id,
+  });
+
+  return toRupees(await wallet.getBalance());
+};
+
+// Close a pending withdrawal by moving it out of the payout account.
+// A second settlement of the same withdrawal is ignored.
+const settle = async (journal, transferOptions) => {
+  try {
+    await transfer({ ...transferOptions, settles: journal });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Pay a pending withdrawal out through the payment provider. The journal
+// is the idempotency key, so a retry never pays twice. A declined payout
+// goes back to the wallet; any other failure leaves it pending for the
+// scheduled retry.
+const settleWithdrawal = async (journal) => {
+  const pending = await LedgerEntry.findOne({
+    journal,
+    account: "payout",
+    direction: "credit",
+  });
+
+  if (!pending || (await LedgerEntry.exists({ settles: journal }))) {
+    return null;
+  }
+
+  const wallet = await Wallet.findById(pending.wallet);
+
+  try {
+    const payout = await getPaymentProvider().payout({
+      amount: pending.amount,
+      currency: wallet.currency,
+      customer: wallet.providerCustomerId,
+      idempotencyKey: journal,
+    });
+
+    await settle(journal, {
+      type: "withdrawal_payout",
+      from: payoutAccount(wallet),
+      to: EXTERNAL_ACCOUNT,
+      amount: pending.amount,
+      description: "Withdrawal paid out",
+      providerRef: payout.id,
+    });
+
+    return payout;
+  } catch (error) {
+    if (error.code !== "payment_declined") throw error;
+
+    await settle(journal, {
+      type: "withdrawal_reversal",
+      from: payoutAccount(wallet),
+      to: walletAccount(wallet),
+      amount: pending.amount,
+      description: "Withdrawal returned",
+    });
+    throw error;
+  }
+};
+
+// Pay money out of a wallet. The amount leaves the wallet in a transaction
+// and the provider is only called once that has committed.
+const withdraw = async (userId, amount) => {
+  const paise = toPaise(amount);
+
+  const { wallet, journal } = await withTransaction(async () => {
+    const wallet = await Wallet.lockForUser(userId);
+
+    if ((await wallet.getBalance()) < paise) {
+      throw walletError("insufficient_funds", "Insufficient wallet balance");
+    }
+
+    const journal = await transfer({
+      type: "withdrawal",
+      from: walletAccount(wallet),
+      to: payoutAccount(wallet),
+      amount: paise,
+      description: "Withdrawal",
+    });
+
+    // Retries the payout if this process fails to settle it below
+    await Job.schedule(
+      "settle-withdrawal",
+      { journal },
+      {
+        key: `settle-withdrawal:${journal}`,
+        runAt: new Date(Date.now() + PAYOUT_RETRY_DELAY),
+      }
+    );
+
+    return { wallet, journal };
+  });
+
+  try {
+    await settleWithdrawal(journal);
+  } catch (error) {
+    if (error.code === "payment_declined") throw error;
+    console.error(
+      `Payout for withdrawal ${journal} failed, will retry:`,
+      error
+    );
+  }
+
+  return toRupees(await wallet.getBalance());
+};
+
+// Move the accepted bid amount from the poster's wallet into task escrow
+const holdEscrow = async (task, bid) => {
+  // Called inside a transaction; the lock makes two holds on one wallet
+  // conflict and retry instead of spending the same balance
+  const wallet = await Wallet.lockForUser(task.poster);
+  const paise = toPaise(bid.amount);
+  const balance = await wallet.getBalance();
+
+  if (balance < paise) {
+    throw walletError(
+      "insufficient_funds",
+      `Add ₹${toRupees(paise - balance)} to your wallet to accept this bid`
+    );
+  }
+
+  await transfer({
+    type: "escrow_hold",
+    from: walletAccount(wallet),
+    to: escrowAccount(task._id),
+    amount: paise,
+    task: task._id,
+    description: `Escrow for "${task.title}"`,
+  });
+
+  return toRupees(paise);
+};
+
+// Pay paise out of a task's escrow into a user's wallet; returns rupees
+const payFromEscrow = async (task, userId, amount, type, description) => {
+  if (amount <= 0) {
+    return 0;
+  }
+
+  const wallet = await Wallet.forUser(userId);
+
+  await transfer({
+    type,
+    from: escrowAccount(task._id),
+    to: walletAccount(wallet),
+    amount,
+    task: task._id,
+    description,
+  });
+
+  return toRupees(amount);
+};
+
+const getEscrowHeld = (task) =>
+  LedgerEntry.getBalance(escrowAccount(task._id));
+
+const getPartyId = (task, field) =>
+  task.populated(field) ? task[field]._id : task[field];
+
+// Pay the assignee once the poster marks the task completed
+const releaseEscrow = async (task) =>
+  payFromEscrow(
+    task,
+    getPartyId(task, "assignedTo"),
+    await getEscrowHeld(task),
+    "escrow_release",
+    `Payment for "${task.title}"`
+  );
+
+// Pay one approved milestone out of escrow
+const releaseMilestone = async (task, milestone) => {
+  const held = await getEscrowHeld(task);
+  const paise = toPaise(milestone.amount);
+
+  if (held < paise) {
+    throw walletError(
+      "insufficient_escrow",
+      `Only ₹${toRupees(held)} is left in escrow, not enough for this milestone. Complete the task to release it instead.`
+    );
+  }
+
+  return payFromEscrow(
+    task,
+    getPartyId(task, "assignedTo"),
+    paise,
+    "escrow_release",
+    `Milestone "${milestone.title}" for "${task.title}"`
+  );
+};
+
+// Return escrow to the poster when a task is closed before work starts,
+// or by a moderator
+const refundEscrow = async (task) =>
+  payFromEscrow(
+    task,
+    getPartyId(task, "poster"),
+    await getEscrowHeld(task),
+    "escrow_refund",
+    `Refund for "${task.title}"`
+  );
+
+// Divide escrow between the two parties, giving the assignee a percentage
+const splitEscrow = async (task, assigneeShare, description) => {
+  const held = await getEscrowHeld(task);
+  const toAssignee = Math.round((held * assigneeShare) / 100);
+
+  const released = await payFromEscrow(
+    task,
+    getPartyId(task, "assignedTo"),
+    toAssignee,
+    "escrow_release",
+    description
+  );
+  const refunded = await payFromEscrow(
+    task,
+    getPartyId(task, "poster"),
+    held - toAssignee,
+    "escrow_refund",
+    description
+  );
+
+  return { released, refunded };
+};
+
+module.exports = {
+  PAYMENT_ERROR_STATUS,
+  toRupees,
+  getWalletSummary,
+  deposit,
+  withdraw,
+  settleWithdrawal,
+  holdEscrow,
+  releaseEscrow,
+  releaseMilestone,
+  refundEscrow,
+  splitEscrow,
+};
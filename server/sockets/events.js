@@ -0,0 +1,221 @@
+// server/sockets/events.js
+const mongoose = require("mongoose");
+
+// Every event the server pushes to clients, with its payload version and
+// the fields it carries. Only the server emits these, after the write
+// they describe has succeeded. Bump an event's version when its fields
+// change in a way existing clients can't read; a trailing "?" marks a
+// field that may be left out or null.
+const EVENT_SCHEMAS = {
+  // Task rooms (task_<id>)
+  task_status_changed: {
+    version: 1,
+    fields: {
+      taskId: "id",
+      oldStatus: "string",
+      newStatus: "string",
+      reason: "string?",
+    },
+  },
+  auction_closed: {
+    version: 1,
+    fields: { taskId: "id", auctionType: "string" },
+  },
+  milestone_updated: {
+    version: 1,
+    fields: { taskId: "id", milestone: "object", progress: "object" },
+  },
+  // Amounts stay out of bid events so sealed bids remain sealed
+  bid_placed: {
+    version: 1,
+    fields: { taskId: "id", bidId: "id" },
+  },
+  bid_accepted: {
+    version: 1,
+    fields: { taskId: "id", bidId: "id", reason: "string" },
+  },
+  bid_withdrawn: {
+    version: 1,
+    fields: { taskId: "id", bidId: "id", reason: "string" },
+  },
+  new_message: {
+    version: 1,
+    fields: { taskId: "id", message: "object" },
+  },
+  message_edited: {
+    version: 1,
+    fields: { taskId: "id", messageId: "id", message: "object" },
+  },
+  message_deleted: {
+    version: 1,
+    fields: { taskId: "id", messageId: "id" },
+  },
+  reaction_added: {
+    version: 1,
+    fields: {
+      taskId: "id",
+      messageId: "id",
+      emoji: "string",
+      userId: "id",
+      reactions: "array",
+    },
+  },
+  reaction_removed: {
+    version: 1,
+    fields: {
+      taskId: "id",
+      messageId: "id",
+      userId: "id",
+      reactions: "array",
+    },
+  },
+  conversation_read: {
+    version: 1,
+    fields: { taskId: "id", userId: "id", markedCount: "number" },
+  },
+  user_typing: {
+    version: 1,
+    fields: { taskId: "id", userId: "id" },
+  },
+  user_stopped_typing: {
+    version: 1,
+    fields: { taskId: "id", userId: "id" },
+  },
+  user_joined_room: {
+    version: 1,
+    fields: { userId: "id", room: "string" },
+  },
+  user_left_room: {
+    version: 1,
+    fields: { userId: "id", room: "string" },
+  },
+
+  // User rooms (user_<id>) and single sockets
+  user_online: {
+    version: 1,
+    fields: { userId: "id" },
+  },
+  user_offline: {
+    version: 1,
+    fields: { userId: "id", lastSeen: "date" },
+  },
+  notification: {
+    version: 1,
+    fields: { notification: "object" },
+  },
+  unread_count: {
+    version: 1,
+    fields: { count: "number" },
+  },
+  notification_read: {
+    version: 1,
+    fields: { notificationId: "id" },
+  },
+  notifications_read_all: {
+    version: 1,
+    fields: {},
+  },
+  bid_negotiation_updated: {
+    version: 1,
+    fields: {
+      taskId: "id",
+      bidId: "id",
+      amount: "number",
+      proposedTimeline: "string",
+      negotiation: "object",
+    },
+  },
+  email_verified: {
+    version: 1,
+    fields: { userId: "id" },
+  },
+  session_revoked: {
+    version: 1,
+    fields: { sessionId: "id" },
+  },
+  error: {
+    version: 1,
+    fields: { message: "string" },
+  },
+};
+
+const TYPE_CHECKS = {
+  id: (value) => mongoose.isValidObjectId(value),
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && !Number.isNaN(value),
+  object: (value) => typeof value === "object" && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  date: (value) => !Number.isNaN(new Date(value).getTime()),
+};
+
+// Build the payload for an event: its type and version plus exactly the
+// fields its schema lists. Throws if a field is missing or the wrong type.
+const buildEvent = (type, data = {}) => {
+  const schema = EVENT_SCHEMAS[type];
+
+  if (!schema) {
+    throw new Error(`Unknown socket event "${type}"`);
+  }
+
+  const payload = {
+    type,
+    version: schema.version,
+    emittedAt: new Date().toISOString(),
+  };
+
+  Object.entries(schema.fields).forEach(([field, spec]) => {
+    const optional = spec.endsWith("?");
+    const kind = optional ? spec.slice(0, -1) : spec;
+    const value = data[field];
+
+    if (value === undefined || value === null) {
+      if (!optional) {
+        throw new Error(`Socket event "${type}" is missing "${field}"`);
+      }
+      return;
+    }
+
+    if (!TYPE_CHECKS[kind](value)) {
+      throw new Error(`Socket event "${type}" has an invalid "${field}"`);
+    }
+
+    payload[field] = value;
+  });
+
+  return payload;
+};
+
+// Emit an event through any Socket.IO target (a socket, a room or io).
+// A payload that doesn't match its schema is logged and not sent, so a
+// bad emit never fails the request that triggered it.
+const emitEvent = (target, type, data) => {
+  try {
+    target.emit(type, buildEvent(type, data));
+  } catch (error) {
+    console.error("Socket event error:", error.message);
+  }
+};
+
+// Emit an event to everyone following a task
+const emitToTask = (io, taskId, type, data = {}) => {
+  if (!io) return;
+  emitEvent(io.to(`task_${taskId}`), type, { taskId, ...data });
+};
+
+// Emit an event to every socket of one or more users
+const emitToUsers = (io, userIds, type, data = {}) => {
+  if (!io) return;
+
+  const rooms = [].concat(userIds).map((userId) => `user_${userId}`);
+  if (rooms.length > 0) {
+    emitEvent(io.to(rooms), type, data);
+  }
+};
+
+module.exports = {
+  EVENT_SCHEMAS,
+  buildEvent,
+  emitEvent,
+  emitToTask,
+  emitToUsers,
+};
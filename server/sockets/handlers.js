@@ -0,0 +1,278 @@
+// server/sockets/handlers.js
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Task = require("../models/Task");
+const Block = require("../models/Block");
+const Notification = require("../models/Notification");
+const { emitUnreadCount } = require("../services/notificationService");
+const { verifyAccessToken } = require("../services/sessionService");
+const presence = require("../services/presenceService");
+const { emitEvent, emitToUsers } = require("./events");
+
+// The only rooms a client may ask for: a task's room or its own user room
+const ROOM_PATTERN = /^(task|user)_([a-f0-9]{24})$/;
+
+// Split a room name into its kind and id, or null if it isn't one we know
+const parseRoom = (room) => {
+  const match = typeof room === "string" ? room.match(ROOM_PATTERN) : null;
+  return match ? { kind: match[1], id: match[2] } : null;
+};
+
+const getTaskParticipantIds = (task) =>
+  [task.poster, task.assignedTo]
+    .filter(Boolean)
+    .map((id) => (id._id || id).toString());
+
+// Check whether a user may join a room. Task rooms follow the same rules
+// as viewing the task: its poster and assignee can always join (unless
+// one has blocked the other), and anyone who can see it can follow it
+// while it is still open. Chat only starts once the task is assigned, and
+// outsiders are removed from the room then (see removeTaskRoomOutsiders).
+const canJoinRoom = async (userId, room) => {
+  const parsed = parseRoom(room);
+  if (!parsed) return false;
+
+  if (parsed.kind === "user") {
+    return parsed.id === userId;
+  }
+
+  const [task, user] = await Promise.all([
+    Task.findById(parsed.id).select(
+      "poster assignedTo status visibility campus isHidden"
+    ),
+    User.findById(userId),
+  ]);
+
+  if (!task || !user || !user.isActive) return false;
+  if (task.isHiddenFrom(user) || !task.isVisibleTo(user)) return false;
+
+  const participantIds = getTaskParticipantIds(task);
+
+  if (participantIds.includes(userId)) {
+    const otherUserId = participantIds.find((id) => id !== userId);
+    return !(await Block.isBlockedBetween(userId, otherUserId));
+  }
+
+  if (task.status !== "Open") return false;
+
+  return !(await Block.isBlockedBetween(userId, task.poster));
+};
+
+// Remove everyone but the poster and the assignee from a task's room, so
+// people who were following the open task don't receive the chat
+const removeTaskRoomOutsiders = async (io, task) => {
+  if (!io) return;
+
+  try {
+    const room = `task_${task._id}`;
+    const participantIds = getTaskParticipantIds(task);
+    const sockets = await io.in(room).fetchSockets();
+
+    sockets
+      .filter((socket) => !participantIds.includes(socket.data.userId))
+      .forEach((socket) => socket.leave(room));
+  } catch (error) {
+    console.error("Task room cleanup error:", error);
+  }
+};
+
+// Wire up authentication and every client event on the Socket.IO server
+const registerSocketHandlers = (io) => {
+  // Socket.IO authentication middleware
+  io.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth.token;
+
+      if (!token) {
+        console.log("❌ Socket connection rejected: No token provided");
+        return next(new Error("Authentication error: No token provided"));
+      }
+
+      // Verify JWT token and that its session has not been revoked
+      const decoded = await verifyAccessToken(token);
+
+      // Store user info in socket
+      socket.userId = decoded.id;
+      socket.sessionId = decoded.sid;
+      socket.user = decoded;
+
+      // Visible through fetchSockets() for remote sign-out
+      socket.data.userId = decoded.id;
+      socket.data.sessionId = decoded.sid;
+
+      console.log(`🔐 Socket authenticated for user: ${decoded.id}`);
+      next();
+    } catch (error) {
+      console.error("❌ Socket authentication error:", error.message);
+      next(new Error("Authentication error: Invalid token"));
+    }
+  });
+
+  io.on("connection", (socket) => {
+    console.log(
+      `🔌 New Socket.IO connection: ${socket.id} for user: ${socket.userId}`
+    );
+
+    // Auto-join user to their personal room
+    if (socket.userId) {
+      socket.join(`user_${socket.userId}`);
+      console.log(`👤 User ${socket.userId} joined personal room`);
+
+      // Sync the notification badge on connect
+      Notification.getUnreadCount(socket.userId)
+        .then((count) => emitEvent(socket, "unread_count", { count }))
+        .catch((error) => console.error("Unread count error:", error));
+
+      // Contacts hear about it if this is the user's first tab
+      presence.connect(io, socket.userId);
+    }
+
+    // Handle joining task rooms
+    socket.on("join_room", async (data) => {
+      try {
+        const { room } = data || {};
+
+        if (!(await canJoinRoom(socket.userId, room))) {
+          emitEvent(socket, "error", {
+            message: "Access denied to this room",
+          });
+          return;
+        }
+
+        if (socket.rooms.has(room)) return;
+
+        socket.join(room);
+        console.log(`🏠 Socket ${socket.id} joined room: ${room}`);
+
+        // Notify others in the room
+        emitEvent(socket.to(room), "user_joined_room", {
+          userId: socket.userId,
+          room,
+        });
+      } catch (error) {
+        console.error("Join room error:", error);
+        emitEvent(socket, "error", { message: "Failed to join room" });
+      }
+    });
+
+    // Handle leaving task rooms
+    socket.on("leave_room", (data) => {
+      try {
+        const { room } = data || {};
+
+        // Personal rooms stay joined for notifications
+        const parsed = parseRoom(room);
+        if (!parsed || parsed.kind !== "task" || !socket.rooms.has(room)) {
+          return;
+        }
+
+        socket.leave(room);
+        console.log(`🚪 Socket ${socket.id} left room: ${room}`);
+
+        // Notify others in the room
+        emitEvent(socket.to(room), "user_left_room", {
+          userId: socket.userId,
+          room,
+        });
+      } catch (error) {
+        console.error("Leave room error:", error);
+      }
+    });
+
+    // Handle typing indicators
+    socket.on("user_typing", (data) => {
+      try {
+        const { taskId } = data || {};
+        // Only into a task room this socket was allowed to join
+        if (taskId && socket.rooms.has(`task_${taskId}`)) {
+          emitEvent(socket.to(`task_${taskId}`), "user_typing", {
+            taskId,
+            userId: socket.userId,
+          });
+        }
+      } catch (error) {
+        console.error("Typing indicator error:", error);
+      }
+    });
+
+    socket.on("user_stopped_typing", (data) => {
+      try {
+        const { taskId } = data || {};
+        // Only into a task room this socket was allowed to join
+        if (taskId && socket.rooms.has(`task_${taskId}`)) {
+          emitEvent(socket.to(`task_${taskId}`), "user_stopped_typing", {
+            taskId,
+            userId: socket.userId,
+          });
+        }
+      } catch (error) {
+        console.error("Stop typing indicator error:", error);
+      }
+    });
+
+    // Handle notification acknowledgments
+    socket.on("mark_notification_read", async (data) => {
+      try {
+        const { notificationId } = data || {};
+
+        if (!socket.userId || !mongoose.isValidObjectId(notificationId)) {
+          return;
+        }
+
+        const result = await Notification.updateOne(
+          { _id: notificationId, recipient: socket.userId, isRead: false },
+          { $set: { isRead: true, readAt: new Date() } }
+        );
+
+        if (result.modifiedCount > 0) {
+          emitToUsers(io, socket.userId, "notification_read", {
+            notificationId,
+          });
+          await emitUnreadCount(io, socket.userId);
+        }
+
+        console.log(
+          `📖 Notification ${notificationId} marked as read by ${socket.userId}`
+        );
+      } catch (error) {
+        console.error("Mark notification read error:", error);
+      }
+    });
+
+    socket.on("mark_all_notifications_read", async () => {
+      try {
+        if (socket.userId) {
+          await Notification.markAllAsRead(socket.userId);
+          emitToUsers(io, socket.userId, "notifications_read_all");
+          emitToUsers(io, socket.userId, "unread_count", { count: 0 });
+          console.log(
+            `📖 All notifications marked as read by ${socket.userId}`
+          );
+        }
+      } catch (error) {
+        console.error("Mark all notifications read error:", error);
+      }
+    });
+
+    // Handle disconnect
+    socket.on("disconnect", (reason) => {
+      console.log(`👋 User disconnected: ${socket.id}, reason: ${reason}`);
+
+      if (socket.userId) {
+        // Offline once the user's last tab has gone
+        presence.disconnect(io, socket.userId);
+      }
+    });
+
+    // Handle connection errors
+    socket.on("error", (error) => {
+      console.error(`❌ Socket error for ${socket.id}:`, error);
+    });
+  });
+};
+
+module.exports = {
+  canJoinRoom,
+  removeTaskRoomOutsiders,
+  registerSocketHandlers,
+};
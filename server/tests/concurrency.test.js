@@ -0,0 +1,359 @@
+// server/tests/concurrency.test.js
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Task = require("../models/Task");
+const Bid = require("../models/Bid");
+const Wallet = require("../models/Wallet");
+const Dispute = require("../models/Dispute");
+const {
+  acceptBid,
+  takeTask,
+  completeTask,
+} = require("../controllers/taskController");
+const { withdrawBid } = require("../controllers/bidController");
+const { approveMilestone } = require("../controllers/milestoneController");
+const {
+  forceCloseTask,
+  resolveDispute,
+} = require("../controllers/adminController");
+const { openDispute } = require("../services/disputeService");
+const {
+  startDatabase,
+  stopDatabase,
+  callController,
+  holdTransactions,
+  createUser,
+  createTask,
+  createBid,
+  assignTask,
+  getWalletBalance,
+  getEscrowBalance,
+  summarize,
+} = require("./helpers");
+
+// Two requests that change the same task or bid at the same time must not
+// both win: one succeeds and the others get a 409 to refresh and retry
+describe("parallel task and bid changes", () => {
+  let releaseTransactions = () => {};
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  afterEach(() => {
+    releaseTransactions();
+  });
+
+  it("accepts only one of several bids accepted at once", async () => {
+    const poster = await createUser();
+    const bidders = await Promise.all([
+      createUser(),
+      createUser(),
+      createUser(),
+    ]);
+    const task = await createTask(poster);
+    const bids = await Promise.all(
+      bidders.map((bidder, index) => createBid(task, bidder, 200 + index * 50))
+    );
+
+    releaseTransactions = holdTransactions(bids.length);
+    const responses = await Promise.all(
+      bids.map((bid) =>
+        callController(acceptBid, {
+          user: poster,
+          params: { id: task._id.toString(), bidId: bid._id.toString() },
+        })
+      )
+    );
+
+    const { succeeded, failedStatuses } = summarize(responses);
+    assert.equal(succeeded.length, 1);
+    assert.deepEqual(failedStatuses, [409, 409]);
+
+    // The task went to the winner and only their amount left the wallet
+    const winningBidId = succeeded[0].body.data.acceptedBid._id.toString();
+    const winningBid = bids.find((bid) => bid._id.toString() === winningBidId);
+    const updated = await Task.findById(task._id);
+    assert.equal(updated.status, "Assigned");
+    assert.equal(updated.acceptedBid.toString(), winningBidId);
+
+    const wallet = await Wallet.forUser(poster._id);
+    assert.equal(await wallet.getBalance(), (2000 - winningBid.amount) * 100);
+    assert.equal(
+      await Bid.countDocuments({ task: task._id, status: "Accepted" }),
+      1
+    );
+  });
+
+  it("lets only one bidder take a task at its instant price", async () => {
+    const poster = await createUser();
+    const bidders = await Promise.all([
+      createUser(),
+      createUser(),
+      createUser(),
+    ]);
+    const task = await createTask(poster, { instantPrice: 300 });
+
+    releaseTransactions = holdTransactions(bidders.length);
+    const responses = await Promise.all(
+      bidders.map((bidder) =>
+        callController(takeTask, {
+          user: bidder,
+          params: { id: task._id.toString() },
+        })
+      )
+    );
+
+    const { succeeded, failedStatuses } = summarize(responses);
+    assert.equal(succeeded.length, 1);
+    assert.deepEqual(failedStatuses, [409, 409]);
+
+    const updated = await Task.findById(task._id);
+    assert.equal(updated.status, "Assigned");
+    assert.equal(
+      await Bid.countDocuments({ task: task._id, status: "Accepted" }),
+      1
+    );
+
+    const wallet = await Wallet.forUser(poster._id);
+    assert.equal(await wallet.getBalance(), (2000 - 300) * 100);
+  });
+
+  it("withdraws a bid once when withdrawn from several tabs", async () => {
+    const poster = await createUser();
+    const bidder = await createUser();
+    const task = await createTask(poster);
+    const bid = await createBid(task, bidder);
+
+    releaseTransactions = holdTransactions(3);
+    const responses = await Promise.all(
+      [1, 2, 3].map(() =>
+        callController(withdrawBid, {
+          user: bidder,
+          params: { id: bid._id.toString() },
+        })
+      )
+    );
+
+    const { succeeded, failedStatuses } = summarize(responses);
+    assert.equal(succeeded.length, 1);
+    assert.deepEqual(failedStatuses, [409, 409]);
+
+    const updated = await Task.findById(task._id);
+    assert.equal(updated.bidCount, 0);
+  });
+
+  it("doesn't accept a bid that is withdrawn at the same time", async () => {
+    const poster = await createUser();
+    const bidder = await createUser();
+    const task = await createTask(poster);
+    const bid = await createBid(task, bidder);
+
+    releaseTransactions = holdTransactions(2);
+    const [accepted, withdrawn] = await Promise.all([
+      callController(acceptBid, {
+        user: poster,
+        params: { id: task._id.toString(), bidId: bid._id.toString() },
+      }),
+      callController(withdrawBid, {
+        user: bidder,
+        params: { id: bid._id.toString() },
+      }),
+    ]);
+
+    const { succeeded, failedStatuses } = summarize([accepted, withdrawn]);
+    assert.equal(succeeded.length, 1);
+    assert.deepEqual(failedStatuses, [409]);
+
+    // Whichever won, the task and the bid agree with each other
+    const updatedBid = await Bid.findById(bid._id);
+    const updatedTask = await Task.findById(task._id);
+
+    if (accepted.statusCode === 200) {
+      assert.equal(updatedBid.status, "Accepted");
+      assert.equal(updatedTask.status, "Assigned");
+    } else {
+      assert.equal(updatedBid.status, "Withdrawn");
+      assert.equal(updatedTask.status, "Open");
+      assert.equal(updatedTask.acceptedBid, null);
+
+      // Nothing was held in escrow for the withdrawn bid
+      const wallet = await Wallet.forUser(poster._id);
+      assert.equal(await wallet.getBalance(), 2000 * 100);
+    }
+  });
+
+  it("resolves a dispute once when two moderators decide it", async () => {
+    const poster = await createUser();
+    const bidder = await createUser();
+    const moderators = await Promise.all([
+      createUser({ role: "moderator" }),
+      createUser({ role: "moderator" }),
+    ]);
+    const task = await createTask(poster);
+    const bid = await createBid(task, bidder);
+    const assigned = await assignTask(task, bid, { status: "Submitted" });
+    const dispute = await openDispute(null, assigned, {
+      user: poster,
+      role: "poster",
+      reason: "poor_quality",
+      message: "The delivered work doesn't match the brief",
+    });
+
+    releaseTransactions = holdTransactions(2);
+    const responses = await Promise.all(
+      [
+        { moderator: moderators[0], outcome: "release" },
+        { moderator: moderators[1], outcome: "refund" },
+      ].map(({ moderator, outcome }) =>
+        callController(resolveDispute, {
+          user: moderator,
+          params: { id: dispute._id.toString() },
+          body: { outcome },
+        })
+      )
+    );
+
+    const { succeeded, failedStatuses } = summarize(responses);
+    assert.equal(succeeded.length, 1);
+    assert.deepEqual(failedStatuses, [409]);
+
+    // Escrow was split once, the way the winning moderator decided
+    const resolved = await Dispute.findById(dispute._id);
+    const updatedTask = await Task.findById(task._id);
+    assert.equal(resolved.status, "resolved");
+    assert.equal(await getEscrowBalance(task), 0);
+
+    if (resolved.resolution.outcome === "release") {
+      assert.equal(updatedTask.status, "Completed");
+      assert.equal(await getWalletBalance(bidder._id), 200 * 100);
+      assert.equal(await getWalletBalance(poster._id), 1800 * 100);
+    } else {
+      assert.equal(updatedTask.status, "Closed");
+      assert.equal(await getWalletBalance(bidder._id), 0);
+      assert.equal(await getWalletBalance(poster._id), 2000 * 100);
+    }
+  });
+
+  it("doesn't force-close a task awarded at the same time", async () => {
+    const poster = await createUser();
+    const bidder = await createUser();
+    const moderator = await createUser({ role: "moderator" });
+    const task = await createTask(poster);
+    const bid = await createBid(task, bidder);
+
+    releaseTransactions = holdTransactions(2);
+    const [accepted, closed] = await Promise.all([
+      callController(acceptBid, {
+        user: poster,
+        params: { id: task._id.toString(), bidId: bid._id.toString() },
+      }),
+      callController(forceCloseTask, {
+        user: moderator,
+        params: { id: task._id.toString() },
+        body: { reason: "Spam listing" },
+      }),
+    ]);
+
+    const { succeeded, failedStatuses } = summarize([accepted, closed]);
+    assert.equal(succeeded.length, 1);
+    assert.deepEqual(failedStatuses, [409]);
+
+    // Whichever won, the task, the bid and the money agree
+    const updatedTask = await Task.findById(task._id);
+    const updatedBid = await Bid.findById(bid._id);
+
+    if (accepted.statusCode === 200) {
+      assert.equal(updatedTask.status, "Assigned");
+      assert.equal(updatedBid.status, "Accepted");
+      assert.equal(await getEscrowBalance(task), 200 * 100);
+      assert.equal(await getWalletBalance(poster._id), 1800 * 100);
+    } else {
+      assert.equal(updatedTask.status, "Closed");
+      assert.equal(updatedBid.status, "Rejected");
+      assert.equal(await getEscrowBalance(task), 0);
+      assert.equal(await getWalletBalance(poster._id), 2000 * 100);
+    }
+  });
+
+  it("doesn't refund escrow that a completion is releasing", async () => {
+    const poster = await createUser();
+    const bidder = await createUser();
+    const moderator = await createUser({ role: "moderator" });
+    const task = await createTask(poster);
+    const bid = await createBid(task, bidder);
+    await assignTask(task, bid, { status: "Submitted" });
+
+    releaseTransactions = holdTransactions(2);
+    const [completed, closed] = await Promise.all([
+      callController(completeTask, {
+        user: poster,
+        params: { id: task._id.toString() },
+      }),
+      callController(forceCloseTask, {
+        user: moderator,
+        params: { id: task._id.toString() },
+        body: { reason: "Reported as a scam" },
+      }),
+    ]);
+
+    const { succeeded, failedStatuses } = summarize([completed, closed]);
+    assert.equal(succeeded.length, 1);
+    assert.deepEqual(failedStatuses, [409]);
+
+    // The escrow went to exactly one side
+    const updatedTask = await Task.findById(task._id);
+    assert.equal(await getEscrowBalance(task), 0);
+
+    if (completed.statusCode === 200) {
+      assert.equal(updatedTask.status, "Completed");
+      assert.equal(await getWalletBalance(bidder._id), 200 * 100);
+      assert.equal(await getWalletBalance(poster._id), 1800 * 100);
+    } else {
+      assert.equal(updatedTask.status, "Closed");
+      assert.equal(await getWalletBalance(bidder._id), 0);
+      assert.equal(await getWalletBalance(poster._id), 2000 * 100);
+    }
+  });
+
+  it("pays a milestone approved during completion only once", async () => {
+    const poster = await createUser();
+    const bidder = await createUser();
+    const task = await createTask(poster);
+    const bid = await createBid(task, bidder);
+    const dueDate = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+    const assigned = await assignTask(task, bid, {
+      status: "Submitted",
+      milestones: [
+        { title: "Draft", amount: 100, dueDate, status: "submitted" },
+        { title: "Final", amount: 100, dueDate, status: "pending" },
+      ],
+    });
+    const milestoneId = assigned.milestones[0]._id.toString();
+
+    releaseTransactions = holdTransactions(2);
+    const [approved, completed] = await Promise.all([
+      callController(approveMilestone, {
+        user: poster,
+        task: assigned,
+        params: { id: task._id.toString(), milestoneId },
+      }),
+      callController(completeTask, {
+        user: poster,
+        params: { id: task._id.toString() },
+      }),
+    ]);
+
+    // Completion always goes through; the approval may find the task
+    // already completed. The assignee is paid the bid amount, no more.
+    assert.equal(completed.statusCode, 200);
+    assert.ok([200, 400].includes(approved.statusCode));
+
+    const updatedTask = await Task.findById(task._id);
+    assert.equal(updatedTask.status, "Completed");
+    assert.ok(
+      updatedTask.milestones.every((milestone) => milestone.status === "paid")
+    );
+    assert.equal(await getEscrowBalance(task), 0);
+    assert.equal(await getWalletBalance(bidder._id), 200 * 100);
+  });
+});
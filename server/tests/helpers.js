@@ -0,0 +1,158 @@
+// server/tests/helpers.js
+const mongoose = require("mongoose");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+const User = require("../models/User");
+const Task = require("../models/Task");
+const Bid = require("../models/Bid");
+const Wallet = require("../models/Wallet");
+const LedgerEntry = require("../models/LedgerEntry");
+const walletService = require("../services/walletService");
+const { awardBid } = require("../services/auctionService");
+
+let replSet;
+
+// Start a one-node replica set (transactions need one) and connect to it
+const startDatabase = async () => {
+  replSet = await MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: "wiredTiger" },
+  });
+  await mongoose.connect(replSet.getUri());
+
+  // Collections can't be created inside a transaction, so build them and
+  // their indexes up front
+  await Promise.all(
+    Object.values(mongoose.models).map((model) => model.init())
+  );
+};
+
+const stopDatabase = async () => {
+  await mongoose.disconnect();
+  await replSet?.stop();
+};
+
+// Call a controller with a minimal request and capture its response
+const callController = async (
+  handler,
+  { user, params = {}, body = {}, ...rest }
+) => {
+  const req = {
+    user,
+    params,
+    body,
+    ...rest, // Whatever route middleware would have set, e.g. req.task
+    app: { get: () => null }, // No Socket.IO server in tests
+  };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+
+  await handler(req, res);
+  return res;
+};
+
+// Hold every transaction until `count` of them have started, so all
+// parallel requests pass their checks on the same state before any of
+// them writes. Returns a function that removes the barrier.
+const holdTransactions = (count) => {
+  const connection = mongoose.connection;
+  const transaction = connection.transaction;
+  let started = 0;
+  let release;
+  const allStarted = new Promise((resolve) => {
+    release = resolve;
+  });
+
+  connection.transaction = async function (...args) {
+    started += 1;
+    if (started === count) release();
+    await allStarted;
+    return transaction.apply(this, args);
+  };
+
+  return () => {
+    connection.transaction = transaction;
+  };
+};
+
+let userCount = 0;
+
+const createUser = (overrides = {}) => {
+  userCount += 1;
+  return User.create({
+    firstName: "Test",
+    lastName: `User ${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: "password123",
+    college: "Test College",
+    phone: `+91987654${String(userCount).padStart(4, "0")}`,
+    ...overrides,
+  });
+};
+
+// An open task whose poster has enough in their wallet to accept any bid
+const createTask = async (poster, overrides = {}) => {
+  await walletService.deposit(poster._id, 2000, "tok_test");
+
+  return Task.create({
+    title: "Move boxes to the new hostel",
+    description: "Need a hand carrying six boxes across campus",
+    category: "Campus Life",
+    budget: { min: 100, max: 500 },
+    deadline: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+    poster: poster._id,
+    ...overrides,
+  });
+};
+
+const createBid = (task, bidder, amount = 200) =>
+  Bid.create({
+    task: task._id,
+    bidder: bidder._id,
+    amount,
+    proposedTimeline: "Tomorrow afternoon",
+  });
+
+// Award a bid and move the task on to a later status. Escrow holds the
+// bid amount, as it does after a real award.
+const assignTask = async (task, bid, update = {}) => {
+  await awardBid(null, task, bid);
+  await Task.updateOne({ _id: task._id }, { $set: update });
+  return Task.findById(task._id);
+};
+
+// Balances in paise
+const getWalletBalance = async (userId) =>
+  (await Wallet.forUser(userId)).getBalance();
+
+const getEscrowBalance = (task) =>
+  LedgerEntry.getBalance({ account: "escrow", task: task._id });
+
+// Split responses into the ones that succeeded and the status of the rest
+const summarize = (responses) => ({
+  succeeded: responses.filter((res) => res.statusCode === 200),
+  failedStatuses: responses
+    .filter((res) => res.statusCode !== 200)
+    .map((res) => res.statusCode),
+});
+
+module.exports = {
+  startDatabase,
+  stopDatabase,
+  callController,
+  holdTransactions,
+  createUser,
+  createTask,
+  createBid,
+  assignTask,
+  getWalletBalance,
+  getEscrowBalance,
+  summarize,
+};
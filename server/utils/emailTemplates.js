@@ -423,7 +423,13 @@ const paymentReceivedEmail = (firstName, amount, task) => {
 };
 
 // Rating received notification template
-const ratingReceivedEmail = (firstName, rating, review, task) => {
+const ratingReceivedEmail = (
+  firstName,
+  rating,
+  review,
+  task,
+  reviewer = task.poster
+) => {
   const content = `
     <h2>New Rating Received! ⭐</h2>
     <p>Hi ${firstName},</p>
@@ -432,9 +438,11 @@ const ratingReceivedEmail = (firstName, rating, review, task) => {
     
     <div class="task-details">
         <h3>${task.title}</h3>
-        <p><strong>Rating:</strong> ${"⭐".repeat(rating)} (${rating}/5)</p>
-        <p><strong>From:</strong> ${task.poster.firstName} ${
-    task.poster.lastName
+        <p><strong>Rating:</strong> ${"⭐".repeat(
+          Math.round(rating)
+        )} (${rating}/5)</p>
+        <p><strong>From:</strong> ${reviewer.firstName} ${
+    reviewer.lastName
   }</p>
         
         ${
@@ -21,6 +21,8 @@ const TASK_STATUSES = [
   "Open",
   "Assigned",
   "In-Progress",
+  "Submitted",
+  "Disputed",
   "Completed",
   "Closed",
 ];